@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -5,13 +6,25 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 // Import modules
+const config = require('./src/config/environment');
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/utils/error-handler');
+const Integrity = require('./src/utils/integrity');
 const MonzoWebhookHandler = require('./src/gateway/monzo-webhook');
 const MonzoConnector = require('./src/connectors/monzo-connector');
 const MonzoOAuthHandler = require('./src/auth/monzo-oauth-handler');
 const WalletClient = require('./src/storage/wallet-client');
 const CallbackClient = require('./src/gateway/callback-client');
+const CallbackUrlPolicy = require('./src/gateway/callback-url-policy');
+const TokenStore = require('./src/storage/token-store');
+const SyncStateStore = require('./src/storage/sync-state-store');
+const JobQueue = require('./src/storage/job-queue');
+const CallbackDeadLetterStore = require('./src/storage/callback-dead-letter-store');
+const OAuthStateStore = require('./src/storage/oauth-state-store');
+const WalletRouter = require('./src/storage/wallet-router');
+const MonzoCredentials = require('./src/auth/monzo-credentials');
+const ScaApprovalTracker = require('./src/auth/sca-approval-tracker');
+const { createStorageBackend } = require('./src/storage/backends');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -24,11 +37,122 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Initialize components
-const authHandler = new MonzoOAuthHandler();
-const connector = new MonzoConnector();
-const walletClient = new WalletClient();
-const callbackClient = new CallbackClient();
-const webhookHandler = new MonzoWebhookHandler(connector, walletClient, callbackClient);
+const storageBackend = createStorageBackend();
+const tokenStore = new TokenStore(storageBackend);
+const syncStateStore = new SyncStateStore(storageBackend);
+const jobQueue = new JobQueue({ backend: storageBackend });
+const deadLetterStore = new CallbackDeadLetterStore(storageBackend, {
+  redeliveryScheduleMinutes: config.callbacks.redeliveryScheduleMinutes
+});
+const oauthStateStore = new OAuthStateStore(storageBackend);
+const walletClient = new WalletClient({
+  apiUrl: config.wallet.apiUrl,
+  username: config.wallet.username,
+  password: config.wallet.password,
+  timeout: config.wallet.timeout,
+  signingKeys: config.integrity.signingKeys,
+  userRefSecret: config.integrity.userRefSecret,
+  router: new WalletRouter(config.wallet)
+});
+const authHandler = new MonzoOAuthHandler({ tokenStore, stateStore: oauthStateStore, syncStateStore, walletClient });
+const connector = new MonzoConnector({ oauthHandler: authHandler });
+const approvalTracker = new ScaApprovalTracker({
+  backend: storageBackend,
+  connector,
+  tokenStore,
+  oauthHandler: authHandler
+});
+// The tracker polls with the OAuth handler's tokens, and revoking a user's tokens clears their tracking
+authHandler.approvalTracker = approvalTracker;
+const callbackClient = new CallbackClient({
+  signingSecrets: config.callbacks.signingSecrets,
+  urlPolicy: new CallbackUrlPolicy({
+    allowedHosts: config.callbacks.allowedHosts,
+    deniedHosts: config.callbacks.deniedHosts,
+    allowPrivateNetworks: config.callbacks.allowPrivateNetworks
+  }),
+  deadLetterStore,
+  redeliveryIntervalMs: config.callbacks.redeliveryIntervalMs,
+  deliveryDeadlineMs: config.callbacks.deliveryDeadlineMs
+});
+const webhookHandler = new MonzoWebhookHandler(connector, walletClient, callbackClient, {
+  tokenStore,
+  syncStateStore,
+  jobQueue,
+  oauthHandler: authHandler,
+  approvalTracker
+});
+
+// Local test routes (development mode only) act on behalf of this user
+const LOCAL_TEST_USER = 'local-test-user';
+// The /test routes read and store real account data for any user, so they only exist in explicit development mode
+const DEVELOPMENT_MODE = process.env.NODE_ENV === 'development';
+
+// The user is never taken from the query or body: only from a verified token (see requireUserToken)
+function getTestUserId(req) {
+  return req.userId || LOCAL_TEST_USER;
+}
+
+// Only same-site paths are accepted as post-authorization redirects (no open redirects)
+function getSafeRedirect(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return null;
+  }
+  return value;
+}
+
+async function getTestCredentials(req) {
+  const userId = getTestUserId(req);
+  const tokens = await tokenStore.getTokens(userId);
+  if (tokens?.accessToken) {
+    return new MonzoCredentials({ userId, tokenStore, oauthHandler: authHandler });
+  }
+  return process.env.MONZO_ACCESS_TOKEN || null;
+}
+
+// Routes acting for a user take it from a verified gateway JWT (`sub`), sent as a Bearer token
+// or as `?token=` where the route is opened in a browser. Without a token, development mode
+// acts as the local test user.
+async function requireUserToken(req, res, next) {
+  try {
+    const token = webhookHandler.extractJwtToken(req) || req.query.token;
+    if (!token && DEVELOPMENT_MODE) {
+      req.userId = LOCAL_TEST_USER;
+      return next();
+    }
+    if (!token) {
+      return res.status(401).json({
+        status: 'error',
+        error: { code: 'missing_token', message: 'Missing gateway JWT for this user' },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const verification = await webhookHandler.validateJwtToken(token);
+    if (!verification.valid) {
+      return res.status(401).json({
+        status: 'error',
+        error: { code: 'invalid_token', message: 'Invalid or expired JWT token', reason: verification.reason },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.userId = verification.payload.sub;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Outside development mode the /test routes answer as if they did not exist
+function developmentOnlyRoutes(req, res, next) {
+  if (!DEVELOPMENT_MODE && req.path.startsWith('/test/')) {
+    return errorHandler.notFound(req, res, next);
+  }
+  next();
+}
+
+app.use(developmentOnlyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -40,16 +164,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Monzo API rate limiter queue depth and throttling metrics
+app.get('/metrics/rate-limit', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    rateLimit: connector.rateLimiter.getMetrics(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Main webhook endpoint for CheckD Gateway
 app.post('/webhook/connect', async (req, res) => {
   await webhookHandler.handleConnectRequest(req, res);
 });
 
+// Consent withdrawal: revoke the user's Monzo authorization and delete their stored data
+app.post('/webhook/disconnect', async (req, res) => {
+  await webhookHandler.handleDisconnectRequest(req, res);
+});
+
 // Additional webhook management endpoints
-app.get('/webhook/status/:requestId', (req, res) => {
+app.get('/webhook/status/:requestId', requireUserToken, async (req, res) => {
   try {
     const { requestId } = req.params;
-    const status = webhookHandler.getRequestStatus(requestId);
+    const status = await webhookHandler.getRequestStatus(requestId, req.userId);
     
     if (!status) {
       return res.status(404).json({
@@ -116,6 +254,240 @@ app.post('/webhook/test-callback', async (req, res) => {
   }
 });
 
+// Admin routes require `Authorization: Bearer <ADMIN_API_TOKEN>` and are disabled when no token is configured
+function requireAdminToken(req, res, next) {
+  if (!config.admin.apiToken) {
+    return res.status(503).json({
+      status: 'error',
+      error: { code: 'admin_disabled', message: 'Admin API is disabled (ADMIN_API_TOKEN not set)' },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+  // Compare digests so the comparison is constant-time regardless of token length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(config.admin.apiToken))) {
+    return res.status(401).json({
+      status: 'error',
+      error: { code: 'unauthorized', message: 'Invalid or missing admin token' },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
+
+// List dead-lettered callbacks (payloads omitted; fetch one to inspect it)
+app.get('/admin/callbacks/dead-letters', requireAdminToken, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).split(',') : undefined;
+    const records = await deadLetterStore.list({ status });
+
+    res.json({
+      status: 'success',
+      stats: await deadLetterStore.getStats(),
+      data: records.map(({ payload, ...record }) => ({ ...record, url: callbackClient.sanitizeUrl(record.url) })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to list dead-lettered callbacks', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      error: { code: 'dead_letter_list_failed', message: 'Failed to list dead-lettered callbacks' },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Replay dead-lettered callbacks in bulk: body { ids: [...] } or { status: 'pending' | 'exhausted' }
+app.post('/admin/callbacks/dead-letters/replay', requireAdminToken, async (req, res) => {
+  try {
+    const { ids, status } = req.body || {};
+    const summary = await callbackClient.replayDeadLetters({ ids, status });
+
+    res.json({
+      status: 'success',
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Bulk callback replay failed', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      error: { code: 'dead_letter_replay_failed', message: 'Failed to replay dead-lettered callbacks' },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Inspect one dead-lettered callback, including its payload
+app.get('/admin/callbacks/dead-letters/:id', requireAdminToken, async (req, res) => {
+  try {
+    const record = await deadLetterStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        error: { code: 'dead_letter_not_found', message: 'Dead-lettered callback not found' },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { ...record, url: callbackClient.sanitizeUrl(record.url) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to get dead-lettered callback', { id: req.params.id, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      error: { code: 'dead_letter_lookup_failed', message: 'Failed to get dead-lettered callback' },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Replay one dead-lettered callback now
+app.post('/admin/callbacks/dead-letters/:id/replay', requireAdminToken, async (req, res) => {
+  try {
+    const result = await callbackClient.replayDeadLetter(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        error: { code: 'dead_letter_not_found', message: 'Dead-lettered callback not found' },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      status: result.success ? 'success' : 'error',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Callback replay failed', { id: req.params.id, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      error: { code: 'dead_letter_replay_failed', message: 'Failed to replay dead-lettered callback' },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Connector public keys, so CheckD and wallet consumers can verify record signatures offline
+app.get('/.well-known/connector-keys', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(Integrity.public_key_set(walletClient.signingKeys));
+});
+
+// Verify stored wallet records against their checksums:
+// ?path=<endpoint path>[&namespace=<namespace>][&record_ids=id1,id2][&include_data=true]
+app.get('/integrity/verify', requireAdminToken, async (req, res) => {
+  const namespace = req.query.namespace ? String(req.query.namespace) : walletClient.router.namespace;
+  const path = req.query.path ? String(req.query.path) : null;
+  const recordIds = req.query.record_ids ? String(req.query.record_ids).split(',').map(id => id.trim()).filter(Boolean) : null;
+
+  if (!path) {
+    return res.status(400).json({
+      status: 'error',
+      error: { code: 'missing_path', message: 'path query parameter is required' },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    WalletRouter.validateNamespace(namespace);
+    WalletRouter.validatePath(path);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      error: { code: 'invalid_wallet_route', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const result = await walletClient.getVerifiedData(namespace, path, { recordIds });
+
+  if (!result.success) {
+    return res.status(502).json({
+      status: 'error',
+      error: { code: 'integrity_verify_failed', message: 'Failed to read records from the wallet', details: result.error },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const includeData = req.query.include_data === 'true';
+  const { mismatched, invalid_signature: invalidSignature, unsigned } = result.summary;
+  let status = 'success';
+  if (mismatched > 0) {
+    status = 'mismatch';
+  } else if (invalidSignature + unsigned > 0) {
+    status = 'invalid_signature';
+  }
+
+  res.json({
+    status,
+    data: {
+      namespace: result.namespace,
+      path: result.path,
+      summary: result.summary,
+      records: result.records.map(({ recordId, metadata, data, verification }) => ({
+        recordId,
+        key: metadata?.key,
+        ...verification,
+        ...(includeData && { data })
+      })),
+      missing: result.missing
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Audit the hash chain of a wallet endpoint: ?path=<endpoint path>[&namespace=<namespace>]
+app.get('/integrity/chain', requireAdminToken, async (req, res) => {
+  const namespace = req.query.namespace ? String(req.query.namespace) : walletClient.router.namespace;
+  const path = req.query.path ? String(req.query.path) : null;
+
+  if (!path) {
+    return res.status(400).json({
+      status: 'error',
+      error: { code: 'missing_path', message: 'path query parameter is required' },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    WalletRouter.validateNamespace(namespace);
+    WalletRouter.validatePath(path);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      error: { code: 'invalid_wallet_route', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { success, error, ...audit } = await walletClient.auditChain(namespace, path);
+
+  if (!success) {
+    return res.status(502).json({
+      status: 'error',
+      error: { code: 'chain_audit_failed', message: 'Failed to read records from the wallet', details: error },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    status: audit.intact ? 'success' : 'broken',
+    data: audit,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Direct wallet test using raw API calls (like curl commands)
 app.post('/test/wallet-direct', async (req, res) => {
   try {
@@ -124,11 +496,11 @@ app.post('/test/wallet-direct', async (req, res) => {
     logger.info('Testing direct wallet API calls');
     
     // Step 1: Authenticate
-    const authResponse = await axios.get('https://kennethleeje8wka.hubat.net/users/access_token', {
+    const authResponse = await axios.get(`${config.wallet.apiUrl}/users/access_token`, {
       headers: {
         'Accept': 'application/json',
-        'username': 'kennethleeje8wka',
-        'password': 'burger-wine-cheese'
+        'username': config.wallet.username,
+        'password': config.wallet.password
       }
     });
     
@@ -146,7 +518,7 @@ app.post('/test/wallet-direct', async (req, res) => {
       }
     };
     
-    const writeResponse = await axios.post('https://kennethleeje8wka.hubat.net/api/v2.6/data/test/monzo/accounts', testData, {
+    const writeResponse = await axios.post(`${config.wallet.apiUrl}/api/v2.6/data/test/monzo/accounts`, testData, {
       headers: {
         'Content-Type': 'application/json',
         'x-auth-token': accessToken
@@ -192,19 +564,19 @@ app.post('/test/wallet-direct-api', async (req, res) => {
     logger.info('Testing direct wallet API calls like test-wallet-direct.js');
     
     // Step 1: Authenticate exactly like test-wallet-direct.js
-    const authResponse = await axios.get('https://kennethleeje8wka.hubat.net/users/access_token', {
+    const authResponse = await axios.get(`${config.wallet.apiUrl}/users/access_token`, {
       headers: {
         'Accept': 'application/json',
-        'username': 'kennethleeje8wka',
-        'password': 'burger-wine-cheese'
+        'username': config.wallet.username,
+        'password': config.wallet.password
       }
     });
     
     const accessToken = authResponse.data.accessToken;
     logger.info('Direct authentication successful', { tokenLength: accessToken.length });
     
-    // Step 2: Get Monzo data from current session
-    const monzoAccessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+    // Step 2: Get Monzo data for the test user
+    const monzoAccessToken = await getTestCredentials(req);
     
     if (!monzoAccessToken) {
       return res.status(400).json({
@@ -218,7 +590,7 @@ app.post('/test/wallet-direct-api', async (req, res) => {
     const monzoData = await connector.getCompleteAccountData(monzoAccessToken);
     
     // Step 3: Store Monzo data using direct API call (exactly like test-wallet-direct.js)
-    const writeResponse = await axios.post('https://kennethleeje8wka.hubat.net/api/v2.6/data/test/monzo/accounts', monzoData, {
+    const writeResponse = await axios.post(`${config.wallet.apiUrl}/api/v2.6/data/test/monzo/accounts`, monzoData, {
       headers: {
         'Content-Type': 'application/json',
         'x-auth-token': accessToken
@@ -375,7 +747,7 @@ app.post('/test/wallet-store', async (req, res) => {
       };
     } else {
       // Use real Monzo data if available
-      const accessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+      const accessToken = await getTestCredentials(req);
       
       if (!accessToken) {
         return res.status(400).json({
@@ -395,8 +767,7 @@ app.post('/test/wallet-store', async (req, res) => {
     });
     
     const result = await walletClient.storeCompleteData(testData, {
-      isTest: true, // Store in test/monzo namespace
-      recordName: 'test-wallet-storage'
+      isTest: true // Store in monzo/test namespace
     });
     
     res.json({
@@ -447,8 +818,7 @@ app.post('/test/store-monzo-with-checksum', async (req, res) => {
     });
 
     // Get the actual checksum from the stored data
-    const Integrity = require('./src/utils/integrity');
-    const actualChecksum = Integrity.compute_checksum(monzoData);
+    const actualChecksum = Integrity.compute_checksum(monzoData, 'sha256', walletClient.canonicalization);
 
     // Prepare enhanced response with actual checksum details
     const response = {
@@ -461,7 +831,9 @@ app.post('/test/store-monzo-with-checksum', async (req, res) => {
           metadata: {
             inbox_message_id: inbox_message_id,
             create_at: new Date().toISOString(),
-            checksum: actualChecksum
+            checksum: actualChecksum,
+            checksum_algorithm: 'sha256',
+            canonicalization: walletClient.canonicalization
           },
           data: 'monzo-account-and-balance-data'
         }
@@ -547,8 +919,8 @@ app.get('/test/complete-oauth-flow', async (req, res) => {
         connectionTest: { success: true, message: 'OAuth flow test with mock data' }
       };
     } else {
-      // Check if we have a temporary access token from OAuth flow
-      const accessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+      // Check if the test user has completed the OAuth flow
+      const accessToken = await getTestCredentials(req);
       
       if (!accessToken) {
         return res.status(400).json({
@@ -592,8 +964,7 @@ app.get('/test/complete-oauth-flow', async (req, res) => {
     
     // Store data in wallet (test namespace)
     const walletResult = await walletClient.storeCompleteData(monzoData, {
-      isTest: true,
-      recordName: `oauth-flow-test-${authStatus}`
+      isTest: true
     });
     
     res.json({
@@ -613,11 +984,11 @@ app.get('/test/complete-oauth-flow', async (req, res) => {
         },
         walletStorage: {
           success: walletResult.success,
-          recordId: walletResult.recordId,
           namespace: walletResult.namespace,
-          path: walletResult.path,
-          error: walletResult.error,
-          isDuplicate: walletResult.isDuplicate
+          created: walletResult.created,
+          updated: walletResult.updated,
+          unchanged: walletResult.unchanged,
+          error: walletResult.error
         }
       },
       timestamp: new Date().toISOString()
@@ -668,7 +1039,7 @@ app.get('/test/complete-flow', async (req, res) => {
       };
     } else {
       // Check for access token
-      const accessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+      const accessToken = await getTestCredentials(req);
       
       if (!accessToken) {
         return res.status(400).json({
@@ -706,8 +1077,7 @@ app.get('/test/complete-flow', async (req, res) => {
     
     // Store data in wallet (test namespace)
     const walletResult = await walletClient.storeCompleteData(monzoData, {
-      isTest: true,
-      recordName: 'complete-flow-test'
+      isTest: true
     });
     
     res.json({
@@ -724,8 +1094,10 @@ app.get('/test/complete-flow', async (req, res) => {
         },
         walletStorage: {
           success: walletResult.success,
-          recordId: walletResult.recordId,
           namespace: walletResult.namespace,
+          created: walletResult.created,
+          updated: walletResult.updated,
+          unchanged: walletResult.unchanged,
           error: walletResult.error
         }
       },
@@ -743,13 +1115,16 @@ app.get('/test/complete-flow', async (req, res) => {
   }
 });
 
-// OAuth callback endpoint to receive authorization code
+// OAuth callback endpoint: validates the state and exchanges the code for the user who started the flow
 app.get('/auth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
   try {
-    const { code, state, error } = req.query;
-    
     if (error) {
       logger.error('OAuth callback error', { error });
+      if (state) {
+        await oauthStateStore.markFailed(state, `OAuth error: ${error}`);
+      }
       return res.status(400).json({
         status: 'error',
         message: `OAuth error: ${error}`,
@@ -765,107 +1140,71 @@ app.get('/auth/callback', async (req, res) => {
       });
     }
 
-    logger.info('OAuth callback received', { code: code.substring(0, 20) + '...', state });
+    logger.info('OAuth callback received', { state: oauthStateStore.maskState(state) });
+
+    const { userId, redirectTo } = await authHandler.completeAuthorization({ code, state });
 
-    // Store the code and state temporarily (in production, use a proper session store)
-    global.tempOAuthData = { code, state, timestamp: Date.now() };
+    // The new token only works once the user approves access in the Monzo app
+    await approvalTracker.markPending(userId);
+
+    if (redirectTo) {
+      return res.redirect(302, redirectTo);
+    }
 
-    // Return success page with instructions
     res.send(`
       <html>
         <head><title>Monzo OAuth Success</title></head>
         <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
           <h2>✅ Monzo OAuth Authorization Successful!</h2>
-          <p><strong>Authorization Code:</strong> <code>${code}</code></p>
-          <p><strong>State:</strong> <code>${state}</code></p>
-          
-          <h3>Next Steps:</h3>
-          <p>The authorization code has been captured by the server. Now run this command to exchange it for an access token:</p>
-          
-          <pre style="background: #f5f5f5; padding: 15px; border-radius: 5px; overflow-x: auto;">
-curl -X POST http://localhost:8080/auth/exchange \\
-  -H "Content-Type: application/json"
-          </pre>
-          
-          <p><em>Note: The authorization code expires quickly, so run the command above soon!</em></p>
+          <p>Your Monzo tokens have been stored for this connector. You can close this window.</p>
           
           <h3>🔐 Important: Mobile App Approval</h3>
           <p><strong>Don't forget to open your Monzo mobile app and approve the data access request!</strong></p>
+          <p>The connector picks up your approval automatically; pending requests continue once it is granted.</p>
         </body>
       </html>
     `);
 
+    logger.info('OAuth authorization completed', { userId: tokenStore.maskUserId(userId) });
+
   } catch (error) {
     logger.error('OAuth callback processing failed', { error: error.message });
-    res.status(500).json({
+
+    // Unknown, expired or reused states are client errors; anything else failed on our side
+    const invalidState = ['unknown_state', 'state_expired', 'state_already_used'].includes(error.code);
+    res.status(invalidState ? 400 : 500).json({
       status: 'error', 
-      message: 'Failed to process OAuth callback',
+      message: invalidState ? 'Invalid or expired authorization state. Please restart the OAuth flow.' : 'Failed to process OAuth callback',
       error: error.message
     });
   }
 });
 
-// Exchange the captured authorization code for access token
-app.post('/auth/exchange', async (req, res) => {
+// Monzo app approval state for the authenticated user (pending, approved or timed_out)
+app.get('/auth/approval', requireUserToken, async (req, res) => {
   try {
-    if (!global.tempOAuthData) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'No authorization code found. Please complete OAuth flow first by visiting /auth/start'
-      });
-    }
+    const userId = req.userId;
+    const approval = await approvalTracker.getStatus(userId);
 
-    const { code, state } = global.tempOAuthData;
-    
-    // Check if code is too old (5 minutes)
-    if (Date.now() - global.tempOAuthData.timestamp > 5 * 60 * 1000) {
-      delete global.tempOAuthData;
-      return res.status(400).json({
+    if (!approval) {
+      return res.status(404).json({
         status: 'error',
-        message: 'Authorization code expired. Please restart OAuth flow.'
+        message: 'No approval is being tracked for this user. Authorize via /auth/start first.'
       });
     }
 
-    logger.info('Exchanging captured authorization code for access token');
-    const tokenData = await authHandler.exchangeCodeForToken(code, state, state);
-    
-    // Store the access token temporarily for testing
-    global.tempAccessToken = tokenData.accessToken;
-    
-    // Clear the temp OAuth data
-    delete global.tempOAuthData;
-    
-    res.json({
-      status: 'success',
-      message: 'Access token obtained successfully!',
-      tokenData: {
-        tokenType: tokenData.tokenType,
-        expiresIn: tokenData.expiresIn,
-        hasRefreshToken: !!tokenData.refreshToken,
-        scope: tokenData.scope
-      },
-      nextSteps: [
-        'Access token stored temporarily on server',
-        'Use /test/monzo-connection-auto to test API connection',
-        'Use /test/monzo-accounts-auto to get your account details',
-        'IMPORTANT: Make sure you approved access in your Monzo mobile app!'
-      ]
-    });
-
+    res.json({ status: 'success', approval });
   } catch (error) {
-    logger.error('Failed to exchange authorization code', { error: error.message });
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to exchange authorization code for token',
-      error: error.message
-    });
+    logger.error('Failed to get approval status', { error: error.message });
+    res.status(500).json({ status: 'error', message: 'Failed to get approval status', error: error.message });
   }
 });
 
 // Auto-test endpoints that use the stored access token
 app.get('/test/monzo-connection-auto', async (req, res) => {
   try {
-    if (!global.tempAccessToken) {
+    const accessToken = await getTestCredentials(req);
+    if (!accessToken) {
       return res.status(400).json({
         status: 'error',
         message: 'No access token available. Please complete OAuth flow first.'
@@ -873,7 +1212,7 @@ app.get('/test/monzo-connection-auto', async (req, res) => {
     }
 
     logger.info('Testing Monzo API connection with stored token');
-    const testResult = await connector.testConnection(global.tempAccessToken);
+    const testResult = await connector.testConnection(accessToken);
     
     if (testResult.success) {
       res.json({
@@ -896,7 +1235,8 @@ app.get('/test/monzo-connection-auto', async (req, res) => {
 
 app.get('/test/monzo-accounts-auto', async (req, res) => {
   try {
-    if (!global.tempAccessToken) {
+    const accessToken = await getTestCredentials(req);
+    if (!accessToken) {
       return res.status(400).json({
         status: 'error',
         message: 'No access token available. Please complete OAuth flow first.'
@@ -904,7 +1244,7 @@ app.get('/test/monzo-accounts-auto', async (req, res) => {
     }
 
     logger.info('Fetching Monzo accounts with stored token');
-    const accounts = await connector.getAccounts(global.tempAccessToken);
+    const accounts = await connector.getAccounts(accessToken);
     
     res.json({
       status: 'success',
@@ -930,8 +1270,9 @@ app.get('/test/monzo-auth', async (req, res) => {
   try {
     logger.info('Starting Monzo authentication and token exchange');
 
-    // Generate OAuth URL and open browser
-    const { authorizationUrl, state } = authHandler.generateAuthorizationUrl();
+    // Generate OAuth URL for the test user and open browser
+    const userId = getTestUserId(req);
+    const { authorizationUrl, state } = await authHandler.startAuthorization({ userId });
     
     const { exec } = require('child_process');
     exec(`open "${authorizationUrl}"`, (error) => {
@@ -942,64 +1283,72 @@ app.get('/test/monzo-auth', async (req, res) => {
       }
     });
 
-    // Store state for validation
-    global.tempOAuthState = state;
-
-    // Wait for OAuth callback (polling approach)
+    // Wait for /auth/callback to finish this state's authorization (polling approach)
     let attempts = 0;
     const maxAttempts = 120; // 2 minutes timeout
     
     const pollForCallback = () => {
       return new Promise((resolve, reject) => {
-        const checkCallback = () => {
+        const checkCallback = async () => {
           attempts++;
+          const record = await oauthStateStore.get(state);
           
-          if (global.tempOAuthData) {
-            logger.info('OAuth callback received, exchanging for token');
-            resolve(global.tempOAuthData);
+          if (record && record.status === 'completed') {
+            logger.info('OAuth callback completed token exchange');
+            resolve(record);
+          } else if (record && record.status === 'failed') {
+            reject(new Error(record.error || 'OAuth authorization failed'));
           } else if (attempts >= maxAttempts) {
             reject(new Error('OAuth timeout - no callback received within 2 minutes'));
           } else {
-            setTimeout(checkCallback, 1000); // Check every second
+            setTimeout(() => checkCallback().catch(reject), 1000); // Check every second
           }
         };
-        checkCallback();
+        checkCallback().catch(reject);
       });
     };
 
-    // Wait for OAuth callback
-    const { code, state: returnedState } = await pollForCallback();
-    
-    // Validate state
-    if (returnedState !== global.tempOAuthState) {
-      throw new Error('State parameter mismatch - possible security issue');
-    }
+    await pollForCallback();
+    const tokenData = await tokenStore.getTokens(userId);
 
-    // Exchange authorization code for access token
-    logger.info('Exchanging authorization code for access token');
-    const tokenData = await authHandler.exchangeCodeForToken(code, returnedState, global.tempOAuthState);
-    
-    // Store access token
-    global.tempAccessToken = tokenData.accessToken;
-    
-    // Clean up OAuth data
-    delete global.tempOAuthData;
-    delete global.tempOAuthState;
+    // Wait (up to ?wait= seconds, default 2 minutes) for the user to approve access in the Monzo app
+    const waitSeconds = parseInt(req.query.wait) || 120;
+    const approval = await approvalTracker.waitForApproval(userId, { timeoutMs: waitSeconds * 1000 });
+
+    if (approval && approval.status !== 'approved') {
+      return res.status(approval.status === 'pending' ? 202 : 400).json({
+        status: approval.status === 'pending' ? 'awaiting_approval' : 'approval_timed_out',
+        message: approval.status === 'pending'
+          ? '✅ Token obtained. Still waiting for approval in your Monzo mobile app; it is picked up automatically.'
+          : '✅ Token obtained, but access was not approved in the Monzo mobile app in time. Please call /test/monzo-auth again.',
+        tokenData: {
+          tokenType: tokenData.tokenType,
+          expiresAt: tokenData.expiresAt,
+          scope: tokenData.scope
+        },
+        approval,
+        nextStep: approval.status === 'pending'
+          ? 'Approve access in the Monzo mobile app, then check GET /auth/approval'
+          : 'Call /test/monzo-auth again and approve access in the Monzo mobile app'
+      });
+    }
 
     // Test API connection to verify token works
-    const connectionTest = await connector.testConnection(global.tempAccessToken);
+    const connectionTest = await connector.testConnection(
+      new MonzoCredentials({ userId, tokenStore, oauthHandler: authHandler })
+    );
     
     if (!connectionTest.success) {
       return res.status(400).json({
         status: 'auth_success_api_failed',
-        message: '✅ Token obtained, but API connection failed. Please approve access in your Monzo mobile app, then call /test/monzo-data',
+        message: '✅ Token obtained and approved, but API connection failed.',
         tokenData: {
           tokenType: tokenData.tokenType,
-          expiresIn: tokenData.expiresIn,
+          expiresAt: tokenData.expiresAt,
           scope: tokenData.scope
         },
         connectionTest,
-        nextStep: 'Open Monzo mobile app → approve access → call /test/monzo-data'
+        nextStep: 'Call /test/monzo-data to retry'
       });
     }
 
@@ -1009,7 +1358,7 @@ app.get('/test/monzo-auth', async (req, res) => {
       message: '🎉 Authentication and API connection successful!',
       tokenData: {
         tokenType: tokenData.tokenType,
-        expiresIn: tokenData.expiresIn,
+        expiresAt: tokenData.expiresAt,
         scope: tokenData.scope
       },
       connectionTest,
@@ -1019,11 +1368,6 @@ app.get('/test/monzo-auth', async (req, res) => {
   } catch (error) {
     logger.error('Authentication flow failed', { error: error.message });
     
-    // Clean up any temp data
-    delete global.tempOAuthData;
-    delete global.tempOAuthState;
-    delete global.tempAccessToken;
-    
     res.status(500).json({ 
       status: 'error', 
       message: 'Authentication failed',
@@ -1035,7 +1379,8 @@ app.get('/test/monzo-auth', async (req, res) => {
 // 2-Call Test Flow: Step 2 - Data Retrieval
 app.get('/test/monzo-data', async (req, res) => {
   try {
-    if (!global.tempAccessToken) {
+    const accessToken = await getTestCredentials(req);
+    if (!accessToken) {
       return res.status(400).json({
         status: 'error',
         message: 'No access token available. Please call /test/monzo-auth first.'
@@ -1045,7 +1390,7 @@ app.get('/test/monzo-data', async (req, res) => {
     logger.info('Fetching complete Monzo account data');
 
     // Test API connection first
-    const connectionTest = await connector.testConnection(global.tempAccessToken);
+    const connectionTest = await connector.testConnection(accessToken);
     
     if (!connectionTest.success) {
       return res.status(400).json({
@@ -1057,7 +1402,7 @@ app.get('/test/monzo-data', async (req, res) => {
     }
 
     // Fetch all account data
-    const accounts = await connector.getAccounts(global.tempAccessToken);
+    const accounts = await connector.getAccounts(accessToken);
 
     const completeData = {
       connectionTest,
@@ -1084,16 +1429,13 @@ app.get('/test/monzo-data', async (req, res) => {
 
       try {
         // Try to get balance
-        const balance = await connector.getAccountBalance(account.id, global.tempAccessToken);
+        const balance = await connector.getAccountBalance(account.id, accessToken);
         completeData.balances.push({
           accountId: account.id,
           balance: balance.balance,
           currency: balance.currency,
           spendToday: balance.spend_today
         });
-        
-        // Rate limiting delay
-        await new Promise(resolve => setTimeout(resolve, 500));
       } catch (balanceError) {
         logger.warn('Could not fetch balance for account', { 
           accountId: account.id, 
@@ -1102,9 +1444,6 @@ app.get('/test/monzo-data', async (req, res) => {
       }
     }
 
-    // Clean up access token after successful data retrieval
-    delete global.tempAccessToken;
-
     res.json({
       status: 'success',
       message: `🏦 Successfully retrieved data for ${accounts.length} account(s)!`,
@@ -1122,10 +1461,15 @@ app.get('/test/monzo-data', async (req, res) => {
 });
 
 // Monzo Authentication Test Endpoints
-app.get('/auth/start', (req, res) => {
+// Starts authorization for the user in the gateway JWT, so tokens can only be bound to the caller's own identity
+app.get('/auth/start', requireUserToken, async (req, res) => {
   try {
     logger.info('Starting Monzo OAuth flow');
-    const { authorizationUrl, state } = authHandler.generateAuthorizationUrl();
+    const userId = req.userId;
+    const { authorizationUrl, state, expiresAt } = await authHandler.startAuthorization({
+      userId,
+      redirectTo: getSafeRedirect(req.query.redirect)
+    });
     
     // Automatically open the authorization URL in the default browser
     const { exec } = require('child_process');
@@ -1142,14 +1486,17 @@ app.get('/auth/start', (req, res) => {
       status: 'success',
       authorizationUrl,
       state,
+      expiresAt,
+      userId,
       message: '🚀 Browser opened automatically! Complete authentication in the browser window.',
       instructions: [
         '✅ Browser window opened with Monzo login',
         '1. Login with your Monzo credentials', 
         '2. Verify your email',
-        '3. Approve access in your Monzo mobile app',
-        '4. You will be redirected back automatically',
-        '5. Then use /auth/exchange to get your access token'
+        '3. You will be redirected back automatically and your tokens stored for this user',
+        '4. Approve access in your Monzo mobile app',
+        '5. GET /auth/approval (with the same token) shows when the approval has been picked up',
+        '6. Then use /test/monzo-connection-auto to test the API connection'
       ]
     });
   } catch (error) {
@@ -1166,11 +1513,17 @@ app.use(errorHandler.errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  jobQueue.stop();
+  approvalTracker.stop();
+  callbackClient.stopRedelivery();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  jobQueue.stop();
+  approvalTracker.stop();
+  callbackClient.stopRedelivery();
   process.exit(0);
 });
 
@@ -1178,6 +1531,20 @@ process.on('SIGINT', () => {
 app.listen(PORT, () => {
   logger.info(`Monzo Data Connector server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('Secrets loaded', config.secrets);
+
+  // Resume async requests accepted before the last restart
+  jobQueue.start().catch(error => {
+    logger.error('Failed to resume job queue', { error: error.message });
+  });
+
+  // Resume polling for Monzo app approvals that were pending at the last restart
+  approvalTracker.start().catch(error => {
+    logger.error('Failed to resume approval tracking', { error: error.message });
+  });
+
+  // Keep retrying dead-lettered callbacks on their backoff schedule
+  callbackClient.startRedelivery();
 });
 
 module.exports = app;
\ No newline at end of file
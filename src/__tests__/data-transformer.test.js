@@ -0,0 +1,149 @@
+jest.mock('../config/environment', () => ({
+  server: {},
+  monzo: {},
+  retry: {}
+}));
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const DataTransformer = require('../utils/data-transformer');
+
+describe('DataTransformer', () => {
+  let transformer;
+
+  const rawTransaction = {
+    id: 'tx_123',
+    amount: -1250,
+    currency: 'GBP',
+    description: 'PRET A MANGER',
+    created: '2024-03-01T12:30:00.000Z',
+    account_balance: 10000,
+    merchant: {
+      name: 'Pret A Manger',
+      category: 'eating_out',
+      address: { formatted: '1 High St, London' }
+    }
+  };
+
+  beforeEach(() => {
+    transformer = new DataTransformer();
+  });
+
+  describe('getValueAtPath', () => {
+    test('should resolve dotted and indexed paths', () => {
+      const account = { owners: [{ preferred_name: 'Alex' }] };
+
+      expect(DataTransformer.getValueAtPath(rawTransaction, 'merchant.address.formatted')).toBe('1 High St, London');
+      expect(DataTransformer.getValueAtPath(account, 'owners[0].preferred_name')).toBe('Alex');
+    });
+
+    test('should return undefined for missing segments', () => {
+      expect(DataTransformer.getValueAtPath({ merchant: null }, 'merchant.address.formatted')).toBeUndefined();
+      expect(DataTransformer.getValueAtPath({ owners: [] }, 'owners[0].preferred_name')).toBeUndefined();
+    });
+  });
+
+  describe('transformRecord', () => {
+    test('should map fields and run custom transformers', () => {
+      const { record, errors } = transformer.transformRecord('transaction', rawTransaction);
+
+      expect(errors).toEqual([]);
+      expect(record).toEqual({
+        monzo_transaction_id: 'tx_123',
+        amount: -12.5,
+        currency: 'GBP',
+        description: 'PRET A MANGER',
+        transaction_date: '2024-03-01T12:30:00.000Z',
+        merchant_name: 'Pret A Manger',
+        category: 'eating_out',
+        merchant_address: '1 High St, London',
+        balance_after: 100
+      });
+    });
+
+    test('should default the category for transactions without a merchant', () => {
+      const { record } = transformer.transformRecord('transaction', { ...rawTransaction, merchant: null });
+
+      expect(record.category).toBe('uncategorized');
+      expect(record.merchant_address).toBeNull();
+    });
+
+    test('should convert foreign currency amounts from minor units', () => {
+      const { record } = transformer.transformRecord('transaction', {
+        ...rawTransaction,
+        local_amount: -1399,
+        local_currency: 'EUR'
+      });
+
+      expect(record.local_amount).toBe(-13.99);
+      expect(record.local_currency).toBe('EUR');
+    });
+
+    test('should convert local amounts with the exponent of the local currency', () => {
+      const convert = (local_amount, local_currency) => transformer.transformRecord('transaction', {
+        ...rawTransaction,
+        local_amount,
+        local_currency
+      }).record.local_amount;
+
+      expect(convert(-1500, 'JPY')).toBe(-1500);
+      expect(convert(-25000, 'KRW')).toBe(-25000);
+      expect(convert(-12345, 'KWD')).toBe(-12.345);
+      expect(convert(-1399, 'usd')).toBe(-13.99);
+    });
+
+    test('should report missing required fields', () => {
+      const { record, errors } = transformer.transformRecord('transaction', { id: 'tx_1', amount: 100 });
+
+      expect(record).toBeNull();
+      expect(errors.map(error => error.field)).toEqual(['currency', 'created']);
+    });
+
+    test('should report transformer failures as validation errors', () => {
+      const { record, errors } = transformer.transformRecord('transaction', { ...rawTransaction, created: 'not-a-date' });
+
+      expect(record).toBeNull();
+      expect(errors[0].field).toBe('created');
+    });
+
+    test('should strip excluded fields from nested values', () => {
+      const custom = new DataTransformer({
+        fieldMappings: { account: { id: 'id', legal_entity: 'legal_entity' } },
+        customTransformers: {},
+        requiredFields: {},
+        excludedFields: ['access_token']
+      });
+
+      const { record } = custom.transformRecord('account', {
+        id: 'acc_1',
+        legal_entity: { type: 'personal', access_token: 'secret' }
+      });
+
+      expect(record).toEqual({ id: 'acc_1', legal_entity: { type: 'personal' } });
+    });
+  });
+
+  describe('transformCompleteData', () => {
+    test('should keep per-account grouping and collect validation errors', () => {
+      const result = transformer.transformCompleteData({
+        accounts: [{ id: 'acc_1', description: 'Current account', currency: 'GBP', owners: [{ preferred_name: 'Alex' }] }],
+        balances: [{ accountId: 'acc_1', balance: 5000, total_balance: 7500, currency: 'GBP', spend_today: -300 }],
+        pots: [{ accountId: 'acc_1', pots: [{ id: 'pot_1', name: 'Holiday', balance: 2500, currency: 'GBP' }] }],
+        transactions: [{ accountId: 'acc_1', transactions: [rawTransaction, { id: 'tx_bad' }] }]
+      });
+
+      expect(result.accounts[0]).toEqual(expect.objectContaining({ monzo_account_id: 'acc_1', account_holder: 'Alex' }));
+      expect(result.balances[0]).toEqual(expect.objectContaining({ monzo_account_id: 'acc_1', current_balance: 50, total_balance: 75 }));
+      expect(result.pots).toEqual([{ accountId: 'acc_1', pots: [expect.objectContaining({ monzo_pot_id: 'pot_1', pot_balance: 25 })] }]);
+      expect(result.transactions[0].transactions).toHaveLength(1);
+      expect(result.validationErrors).toEqual([
+        expect.objectContaining({ type: 'transaction', id: 'tx_bad', index: 1 })
+      ]);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const http = require('http');
 
 // Helper to create test JWT tokens
@@ -10,9 +11,8 @@ function createTestJwt(payload = {}) {
     ...payload
   };
 
-  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64');
-  const encodedPayload = Buffer.from(JSON.stringify(defaultPayload)).toString('base64');
-  return `${header}.${encodedPayload}.test_signature`;
+  // Sign with the same shared secret the connector verifies against
+  return jwt.sign(defaultPayload, process.env.JWT_SECRET, { algorithm: 'HS256' });
 }
 
 describe('End-to-End Integration Tests', () => {
@@ -196,6 +196,7 @@ describe('End-to-End Integration Tests', () => {
         // Test request status endpoint
         const statusResponse = await request(serverUrl)
           .get(`/webhook/status/${response.body.requestId}`)
+          .set('Authorization', `Bearer ${testJwt}`)
           .expect('Content-Type', /json/);
 
         expect([200, 404]).toContain(statusResponse.status);
@@ -203,7 +204,7 @@ describe('End-to-End Integration Tests', () => {
         if (statusResponse.status === 200) {
           expect(statusResponse.body.data).toMatchObject({
             requestId: response.body.requestId,
-            status: expect.stringMatching(/^(pending|processing|completed|failed)$/),
+            status: expect.stringMatching(/^(pending|processing|completed|failed|retrying)$/),
             hasCallback: true
           });
         }
@@ -54,7 +54,8 @@ describe('End-to-End Integration Tests', () => {
       apiUrl: process.env.DATASWIFT_API_URL,
       username: process.env.DATASWIFT_USERNAME,
       password: process.env.DATASWIFT_PASSWORD,
-      applicationId: process.env.DS_APPLICATION_ID
+      applicationId: process.env.DS_APPLICATION_ID,
+      userRefSecret: process.env.WALLET_USER_REF_SECRET
     });
     callbackClient = new CallbackClient();
     webhookHandler = new MonzoWebhookHandler(monzoConnector, walletClient, callbackClient);
@@ -249,10 +250,8 @@ describe('End-to-End Integration Tests', () => {
         aud: 'monzo-data-connector'
       };
 
-      // Create a properly formatted JWT (for testing - in production this comes from CheckD)
-      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64');
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      const testJwt = `${header}.${encodedPayload}.test_signature`;
+      // Sign with the shared gateway secret (in production this comes from CheckD)
+      const testJwt = jwt.sign(payload, process.env.JWT_SECRET, { algorithm: 'HS256' });
 
       // Make webhook request
       const response = await request(app)
@@ -309,9 +308,7 @@ describe('End-to-End Integration Tests', () => {
         exp: Math.floor(Date.now() / 1000) + 3600
       };
 
-      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64');
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      const testJwt = `${header}.${encodedPayload}.test_signature`;
+      const testJwt = jwt.sign(payload, process.env.JWT_SECRET, { algorithm: 'HS256' });
 
       // Use httpbin.org as a test callback URL
       const response = await request(app)
@@ -346,6 +343,7 @@ describe('End-to-End Integration Tests', () => {
         // Check request status
         const statusResponse = await request(app)
           .get(`/webhook/status/${response.body.requestId}`)
+          .set('Authorization', `Bearer ${testJwt}`)
           .expect('Content-Type', /json/);
 
         expect([200, 404]).toContain(statusResponse.status);
@@ -355,7 +353,7 @@ describe('End-to-End Integration Tests', () => {
             status: 'success',
             data: expect.objectContaining({
               requestId: response.body.requestId,
-              status: expect.stringMatching(/^(pending|processing|completed|failed)$/),
+              status: expect.stringMatching(/^(pending|processing|completed|failed|retrying)$/),
               hasCallback: true
             })
           });
@@ -517,9 +515,7 @@ module.exports = {
       ...payload
     };
 
-    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64');
-    const encodedPayload = Buffer.from(JSON.stringify(defaultPayload)).toString('base64');
-    return `${header}.${encodedPayload}.test_signature`;
+    return jwt.sign(defaultPayload, process.env.JWT_SECRET, { algorithm: 'HS256' });
   },
   
   testConfig
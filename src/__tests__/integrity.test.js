@@ -69,4 +69,154 @@ describe('Integrity Checksum Implementation', () => {
 
     expect(checksum1).toBe(checksum2);
   });
-});
\ No newline at end of file
+
+  test('should bind chain links to sequence, previous link and checksum', () => {
+    const checksum = Integrity.compute_checksum({ test: 'data' });
+    const link = { sequence: 2, previous_checksum: 'a'.repeat(64), checksum };
+    const expected = require('crypto').createHash('sha256')
+      .update(`{"checksum":"${checksum}","previous_checksum":"${'a'.repeat(64)}","sequence":2}`)
+      .digest('hex');
+
+    expect(Integrity.compute_link_checksum(link)).toBe(expected);
+    expect(Integrity.compute_link_checksum({ ...link, sequence: 3 })).not.toBe(expected);
+    expect(Integrity.compute_link_checksum({ ...link, previous_checksum: 'b'.repeat(64) })).not.toBe(expected);
+    expect(Integrity.compute_link_checksum({ sequence: 1, checksum }))
+      .toBe(Integrity.compute_link_checksum({ sequence: 1, previous_checksum: null, checksum }));
+  });
+});
+describe('Integrity Metadata Signatures', () => {
+  const crypto = require('crypto');
+  const data = { monzo_account_id: 'acc_123', account_name: 'Current' };
+  const exportKey = (key, type) => key.export({ type, format: 'der' }).toString('base64');
+
+  let current;
+  let retired;
+  let keys;
+  let metadata;
+
+  beforeEach(() => {
+    current = crypto.generateKeyPairSync('ed25519');
+    retired = crypto.generateKeyPairSync('ed25519');
+    keys = Integrity.parse_signing_keys(
+      `2026-10:${exportKey(current.privateKey, 'pkcs8')},2026-01:${exportKey(retired.publicKey, 'spki')}`
+    );
+    metadata = { checksum: Integrity.compute_checksum(data), create_at: '2026-10-01T00:00:00.000Z' };
+  });
+
+  test('should sign the checksum and create_at with the first key', () => {
+    const signed = { ...metadata, ...Integrity.sign_metadata(metadata, keys[0]) };
+
+    expect(signed.key_id).toBe('2026-10');
+    expect(Integrity.verify_signature(signed, keys, data)).toEqual({ valid: true, keyId: '2026-10' });
+  });
+
+  test('should verify offline against the published key set', () => {
+    const signed = { ...metadata, ...Integrity.sign_metadata(metadata, keys[0]) };
+    const keySet = JSON.parse(JSON.stringify(Integrity.public_key_set(keys)));
+
+    expect(keySet.keys).toEqual([
+      expect.objectContaining({ kid: '2026-10', kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA' }),
+      expect.objectContaining({ kid: '2026-01', kty: 'OKP', crv: 'Ed25519' })
+    ]);
+    expect(keySet.keys[0]).not.toHaveProperty('d');
+    expect(Integrity.verify_signature(signed, keySet)).toEqual({ valid: true, keyId: '2026-10' });
+  });
+
+  test('should reject altered metadata, altered data, unknown keys and unsigned records', () => {
+    const signed = { ...metadata, ...Integrity.sign_metadata(metadata, keys[0]) };
+
+    expect(Integrity.verify_signature({ ...signed, create_at: '2026-10-02T00:00:00.000Z' }, keys).reason).toBe('invalid_signature');
+    expect(Integrity.verify_signature(signed, keys, { ...data, account_name: 'Changed' }).reason).toBe('checksum_mismatch');
+    expect(Integrity.verify_signature({ ...signed, key_id: 'other' }, keys).reason).toBe('unknown_key');
+    expect(Integrity.verify_signature(metadata, keys).reason).toBe('unsigned');
+  });
+
+  test('should cover the record key, update time, checksum scheme, chain position and user reference', () => {
+    const chained = {
+      ...metadata,
+      key: 'acc_1',
+      updated_at: '2026-10-05T00:00:00.000Z',
+      checksum_algorithm: 'sha256',
+      canonicalization: 'legacy-sorted-keys',
+      sequence: 2,
+      previous_checksum: 'a'.repeat(64),
+      link_checksum: 'b'.repeat(64),
+      user_ref: 'c'.repeat(64)
+    };
+    const signed = { ...chained, ...Integrity.sign_metadata(chained, keys[0]) };
+
+    expect(Integrity.verify_signature(signed, keys, data)).toEqual({ valid: true, keyId: '2026-10' });
+    [
+      { key: 'acc_2' },
+      { updated_at: '2026-10-06T00:00:00.000Z' },
+      { sequence: 3 },
+      { previous_checksum: 'd'.repeat(64) },
+      { link_checksum: 'd'.repeat(64) },
+      { user_ref: 'd'.repeat(64) },
+      { checksum_algorithm: 'sha512' },
+      { canonicalization: 'jcs-rfc8785' }
+    ].forEach(change => {
+      expect(Integrity.verify_signature({ ...signed, ...change }, keys).reason).toBe('invalid_signature');
+    });
+    const withoutUser = { ...signed };
+    delete withoutUser.user_ref;
+    expect(Integrity.verify_signature(withoutUser, keys).reason).toBe('invalid_signature');
+  });
+
+  test('should only accept Ed25519 keys with a private signing key first', () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+    expect(() => Integrity.parse_signing_keys(`rsa:${exportKey(rsa.privateKey, 'pkcs8')}`)).toThrow('not an Ed25519 key');
+    expect(() => Integrity.parse_signing_keys(`old:${exportKey(retired.publicKey, 'spki')}`)).toThrow('must be a private key');
+    expect(Integrity.parse_signing_keys(current.privateKey.export({ type: 'pkcs8', format: 'pem' }))[0].id).toBe('key1');
+  });
+});
+describe('Integrity JSON Canonicalization (RFC 8785)', () => {
+  // Shared with other implementations: each vector is JSON text, its canonical form and sha256
+  const vectors = require('./fixtures/jcs-test-vectors.json');
+  const { CANONICALIZATION } = require('../utils/integrity');
+
+  test.each(vectors.map(vector => [vector.description, vector]))('should canonicalize %s', (description, vector) => {
+    const value = JSON.parse(vector.input);
+
+    expect(Integrity.canonicalize(value)).toBe(vector.canonical);
+    expect(Integrity.compute_checksum(value, 'sha256', CANONICALIZATION.JCS)).toBe(vector.sha256);
+  });
+
+  test('should follow JSON semantics for undefined values and dates', () => {
+    const createdAt = new Date('2026-10-01T00:00:00.000Z');
+
+    expect(Integrity.canonicalize({ b: undefined, a: createdAt, list: [undefined, 1] }))
+      .toBe('{"a":"2026-10-01T00:00:00.000Z","list":[null,1]}');
+    expect(Integrity.compute_checksum({ a: 1, b: undefined }, 'sha256', CANONICALIZATION.JCS))
+      .toBe(Integrity.compute_checksum({ a: 1 }, 'sha256', CANONICALIZATION.JCS));
+  });
+
+  test('should reject values JSON cannot represent', () => {
+    expect(() => Integrity.canonicalize({ amount: NaN })).toThrow('non-finite');
+    expect(() => Integrity.canonicalize([Infinity])).toThrow('non-finite');
+    expect(() => Integrity.canonicalize({ id: 1n })).toThrow('BigInt');
+    expect(() => Integrity.canonicalize('\ud800')).toThrow('lone surrogates');
+    expect(() => Integrity.canonicalize('a\udc00b')).toThrow('lone surrogates');
+    expect(() => Integrity.canonicalize({ key: '\ud83d\ude00\ud83d' })).toThrow('lone surrogates');
+    expect(Integrity.canonicalize('\ud83d\ude00')).toBe('"\ud83d\ude00"');
+    expect(() => Integrity.canonicalize(undefined)).toThrow();
+  });
+
+  test('should verify checksums with the scheme recorded in metadata', () => {
+    const data = { amount: -4.5, description: 'Coffee', notes: undefined };
+    const legacy = { checksum: Integrity.compute_checksum(data) };
+    const jcs = Integrity.checksum_metadata(data);
+
+    expect(jcs).toEqual({
+      checksum: Integrity.compute_checksum(data, 'sha256', CANONICALIZATION.JCS),
+      checksum_algorithm: 'sha256',
+      canonicalization: CANONICALIZATION.JCS
+    });
+    expect(Integrity.verify_metadata_checksum(data, legacy)).toBe(true);
+    expect(Integrity.verify_metadata_checksum(data, jcs)).toBe(true);
+    expect(Integrity.verify_metadata_checksum(data, { ...jcs, canonicalization: CANONICALIZATION.LEGACY })).toBe(false);
+    expect(Integrity.verify_metadata_checksum({ ...data, amount: -5 }, jcs)).toBe(false);
+    expect(Integrity.verify_metadata_checksum(data, { ...jcs, canonicalization: 'unknown' })).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../config/environment', () => ({
+  server: {},
+  monzo: { rateLimitPerSecond: 10 },
+  retry: {}
+}));
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const RateLimiter = require('../utils/rate-limiter');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const flushPromises = () => new Promise(jest.requireActual('timers').setImmediate);
+
+  const settledCount = async (promises) => {
+    let settled = 0;
+    promises.forEach(promise => promise.then(() => settled++));
+    await flushPromises();
+    return () => settled;
+  };
+
+  const advance = async (ms) => {
+    jest.advanceTimersByTime(ms);
+    await flushPromises();
+  };
+
+  test('should default to monzoConfig.rateLimit', () => {
+    const limiter = new RateLimiter();
+
+    expect(limiter.getMetrics().limits).toEqual({
+      requestsPerSecond: 10,
+      requestsPerMinute: 600,
+      burstLimit: 20
+    });
+  });
+
+  test('should allow a burst and then queue requests', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 2, requestsPerMinute: 600, burstLimit: 2 });
+
+    const requests = [limiter.acquire('a'), limiter.acquire('a'), limiter.acquire('a')];
+    const settled = await settledCount(requests);
+
+    expect(settled()).toBe(2);
+    expect(limiter.getMetrics().queueDepth).toBe(1);
+
+    await advance(500);
+
+    expect(settled()).toBe(3);
+    expect(limiter.getMetrics().queueDepth).toBe(0);
+  });
+
+  test('should enforce the per-minute limit', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, requestsPerMinute: 2, burstLimit: 100 });
+
+    const requests = [limiter.acquire('a'), limiter.acquire('b'), limiter.acquire('c')];
+    const settled = await settledCount(requests);
+
+    expect(settled()).toBe(2);
+
+    await advance(30000);
+
+    expect(settled()).toBe(3);
+  });
+
+  test('should limit each key separately while sharing the global budget', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1, requestsPerMinute: 600, burstLimit: 1 });
+    limiter.globalBuckets = [
+      { waitTime: () => 0, take: jest.fn() }
+    ];
+
+    const requests = [limiter.acquire('a'), limiter.acquire('a'), limiter.acquire('b')];
+    const settled = await settledCount(requests);
+
+    // 'b' is not held up behind the second request for 'a'
+    expect(settled()).toBe(2);
+    expect(limiter.getMetrics().queueDepthByKey).toEqual({ a: 1 });
+  });
+
+  test('should pause a key for Retry-After and slow down after a 429', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, requestsPerMinute: 6000, burstLimit: 10 });
+
+    limiter.penalize('a', 5);
+    const settled = await settledCount([limiter.acquire('a')]);
+
+    expect(settled()).toBe(0);
+    expect(limiter.getMetrics().adaptiveFactor).toBe(0.5);
+    expect(limiter.getMetrics().throttled).toBe(1);
+
+    await advance(5000);
+
+    expect(settled()).toBe(1);
+  });
+
+  test('should forget keys that have gone idle', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 10, requestsPerMinute: 600, burstLimit: 10 });
+
+    await settledCount([limiter.acquire('a'), limiter.acquire('b')]);
+    limiter.penalize('b', 1);
+    expect(limiter.getMetrics().trackedKeys).toBe(2);
+
+    await advance(120000);
+    await settledCount([limiter.acquire('c')]);
+
+    expect(limiter.getMetrics().trackedKeys).toBe(1);
+    expect(limiter.keyBuckets.has('c')).toBe(true);
+    expect(limiter.pausedUntil.size).toBe(0);
+  });
+
+  test('should recover the rate gradually after successes', () => {
+    const limiter = new RateLimiter();
+
+    limiter.penalize('a');
+    for (let i = 0; i < 20; i++) {
+      limiter.recordSuccess();
+    }
+
+    expect(limiter.getMetrics().adaptiveFactor).toBe(1);
+  });
+});
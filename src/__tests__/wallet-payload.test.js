@@ -1,3 +1,16 @@
+jest.mock('../config/environment', () => ({
+  server: {},
+  monzo: {},
+  retry: {}
+}));
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
 const WalletClient = require('../storage/wallet-client');
 const Integrity = require('../utils/integrity');
 
@@ -46,6 +59,7 @@ describe('Wallet Client Payload Structure', () => {
     // Check data structure
     expect(payload.data).toHaveProperty('accounts');
     expect(payload.data).toHaveProperty('balances');
+    expect(payload.data).toHaveProperty('pots');
     expect(payload.data).toHaveProperty('transactions');
     expect(payload.data).toHaveProperty('extractionMeta');
   });
@@ -77,6 +91,7 @@ describe('Wallet Client Payload Structure', () => {
     const rawData = {
       accounts: [{ id: 'acc_1' }, { id: 'acc_2' }],
       balances: [{ balance: 1000 }, { balance: 2000 }],
+      pots: [{ accountId: 'acc_1', pots: [{ id: 'pot_1' }] }],
       transactions: [{ id: 'tx_1' }]
     };
 
@@ -85,6 +100,7 @@ describe('Wallet Client Payload Structure', () => {
     expect(payload.data.extractionMeta).toEqual({
       accountCount: 2,
       balanceCount: 2,
+      potCount: 1,
       transactionCount: 1,
       extractedAt: expect.any(String),
       connector: 'monzo-data-connector'
@@ -97,6 +113,7 @@ describe('Wallet Client Payload Structure', () => {
 
     expect(payload.data.accounts).toEqual([]);
     expect(payload.data.balances).toEqual([]);
+    expect(payload.data.pots).toEqual([]);
     expect(payload.data.transactions).toEqual([]);
     expect(payload.data.extractionMeta.accountCount).toBe(0);
     expect(payload.metadata.checksum).toMatch(/^[a-f0-9]{64}$/);
@@ -132,4 +149,39 @@ describe('Wallet Client Payload Structure', () => {
     const isValid = Integrity.verify_checksum(payload.data, payload.metadata.checksum);
     expect(isValid).toBe(true);
   });
-});
\ No newline at end of file
+
+  test('should store normalized records', () => {
+    const rawData = {
+      accounts: [{ id: 'acc_1', description: 'Current account', currency: 'GBP' }],
+      transactions: [{
+        accountId: 'acc_1',
+        transactions: [
+          { id: 'tx_1', amount: -250, currency: 'GBP', created: '2024-01-01T00:00:00.000Z' },
+          { id: 'tx_2', amount: -100 }
+        ]
+      }]
+    };
+
+    const payload = walletClient.prepareWalletData(rawData, 'monzo', 'test-record');
+
+    expect(payload.data.accounts[0].monzo_account_id).toBe('acc_1');
+    expect(payload.data.transactions[0].transactions).toEqual([
+      expect.objectContaining({ monzo_transaction_id: 'tx_1', amount: -2.5 })
+    ]);
+    expect(payload.data.validationErrors).toEqual([
+      expect.objectContaining({ type: 'transaction', id: 'tx_2' })
+    ]);
+    expect(payload.data).not.toHaveProperty('raw');
+  });
+
+  test('should keep raw data alongside when requested', () => {
+    const rawData = {
+      accounts: [{ id: 'acc_1', description: 'Current account', currency: 'GBP', access_token: 'secret' }]
+    };
+
+    const payload = walletClient.prepareWalletData(rawData, 'monzo', 'test-record', null, { keepRaw: true });
+
+    expect(payload.data.raw.accounts).toEqual([{ id: 'acc_1', description: 'Current account', currency: 'GBP' }]);
+    expect(Integrity.verify_checksum(payload.data, payload.metadata.checksum)).toBe(true);
+  });
+});
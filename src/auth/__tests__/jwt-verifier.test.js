@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/environment', () => ({
+  gateway: {
+    jwtSecret: 'test-gateway-secret',
+    jwtClockSkew: 30
+  }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const JwtVerifier = require('../jwt-verifier');
+
+describe('JwtVerifier', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+  const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-verifier-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('HS256 shared secret', () => {
+    test('should accept token signed with configured secret', () => {
+      const verifier = new JwtVerifier();
+      const token = jwt.sign({ sub: 'user123', iat: now() }, 'test-gateway-secret');
+
+      const result = verifier.verify(token);
+
+      expect(result.valid).toBe(true);
+      expect(result.payload.sub).toBe('user123');
+    });
+
+    test('should reject HS256 token when no secret is configured', () => {
+      const verifier = new JwtVerifier({ secret: null });
+      const token = jwt.sign({ sub: 'user123', iat: now() }, 'test-gateway-secret');
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'unsupported_algorithm' })
+      );
+    });
+  });
+
+  describe('RS256 / ES256 public keys', () => {
+    test('should verify RS256 token against a PEM public key file', () => {
+      const pemPath = path.join(tmpDir, 'checkd.pem');
+      fs.writeFileSync(pemPath, rsaKeys.publicKey.export({ type: 'spki', format: 'pem' }));
+
+      const verifier = new JwtVerifier({ publicKeyPath: pemPath });
+      const token = jwt.sign({ sub: 'user123', iat: now() }, rsaKeys.privateKey, { algorithm: 'RS256' });
+
+      expect(verifier.verify(token).valid).toBe(true);
+    });
+
+    test('should select ES256 key from a JWKS document by kid', () => {
+      const jwksPath = path.join(tmpDir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify({
+        keys: [
+          { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+          { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', use: 'sig' }
+        ]
+      }));
+
+      const verifier = new JwtVerifier({ jwksPath });
+      const token = jwt.sign({ sub: 'user123', iat: now() }, ecKeys.privateKey, {
+        algorithm: 'ES256',
+        keyid: 'ec-1'
+      });
+
+      expect(verifier.verify(token).valid).toBe(true);
+    });
+
+    test('should reject token with unknown kid', () => {
+      const verifier = new JwtVerifier({
+        jwks: { keys: [{ ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1' }] }
+      });
+      const token = jwt.sign({ sub: 'user123', iat: now() }, rsaKeys.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'rsa-2'
+      });
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'unknown_key' })
+      );
+    });
+
+    test('should reject token signed by a different key pair', () => {
+      const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const verifier = new JwtVerifier({ publicKeys: { 'rsa-1': rsaKeys.publicKey.export({ type: 'spki', format: 'pem' }) } });
+      const token = jwt.sign({ sub: 'user123', iat: now() }, otherKeys.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'rsa-1'
+      });
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'invalid_signature' })
+      );
+    });
+  });
+
+  describe('Claim checks', () => {
+    test('should reject token with wrong audience', () => {
+      const verifier = new JwtVerifier({ audience: 'monzo-data-connector' });
+      const token = jwt.sign({ sub: 'user123', iat: now(), aud: 'other-service' }, 'test-gateway-secret');
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'invalid_audience' })
+      );
+    });
+
+    test('should reject token with wrong issuer', () => {
+      const verifier = new JwtVerifier({ issuer: 'checkd-gateway' });
+      const token = jwt.sign({ sub: 'user123', iat: now(), iss: 'someone-else' }, 'test-gateway-secret');
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'invalid_issuer' })
+      );
+    });
+
+    test('should accept matching audience and issuer', () => {
+      const verifier = new JwtVerifier({ audience: 'monzo-data-connector', issuer: 'checkd-gateway' });
+      const token = jwt.sign(
+        { sub: 'user123', iat: now(), aud: 'monzo-data-connector', iss: 'checkd-gateway' },
+        'test-gateway-secret'
+      );
+
+      expect(verifier.verify(token).valid).toBe(true);
+    });
+
+    test('should reject token that is not yet valid', () => {
+      const verifier = new JwtVerifier({ clockSkew: 30 });
+      const token = jwt.sign({ sub: 'user123', iat: now(), nbf: now() + 300 }, 'test-gateway-secret');
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'token_not_active' })
+      );
+    });
+
+    test('should allow nbf and exp within the configured clock skew', () => {
+      const verifier = new JwtVerifier({ clockSkew: 60 });
+      const notYet = jwt.sign({ sub: 'user123', iat: now(), nbf: now() + 30 }, 'test-gateway-secret');
+      const justExpired = jwt.sign({ sub: 'user123', iat: now() - 120, exp: now() - 30 }, 'test-gateway-secret');
+
+      expect(verifier.verify(notYet).valid).toBe(true);
+      expect(verifier.verify(justExpired).valid).toBe(true);
+    });
+
+    test('should reject token issued in the future beyond the clock skew', () => {
+      const verifier = new JwtVerifier({ clockSkew: 30 });
+      const token = jwt.sign({ sub: 'user123', iat: now() + 600 }, 'test-gateway-secret');
+
+      expect(verifier.verify(token)).toEqual(
+        expect.objectContaining({ valid: false, reason: 'token_not_active' })
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../config/environment', () => ({
+  monzo: { tokenRefreshSkew: 300 },
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MonzoCredentials = require('../monzo-credentials');
+const TokenStore = require('../../storage/token-store');
+const { createStorageBackend } = require('../../storage/backends');
+
+describe('MonzoCredentials', () => {
+  let tokenStore;
+  let oauthHandler;
+
+  const userId = 'user@example.com';
+
+  const createCredentials = () => new MonzoCredentials({ userId, tokenStore, oauthHandler });
+
+  beforeEach(() => {
+    tokenStore = new TokenStore(createStorageBackend({ backend: 'memory' }));
+    oauthHandler = {
+      refreshAccessToken: jest.fn().mockResolvedValue({
+        accessToken: 'access_new',
+        refreshToken: 'refresh_new',
+        tokenType: 'Bearer',
+        expiresIn: 3600
+      })
+    };
+  });
+
+  test('should wrap a raw access token without refresh support', async () => {
+    const credentials = MonzoCredentials.from('raw_token');
+
+    expect(credentials.canRefresh).toBe(false);
+    expect(await credentials.getAccessToken()).toBe('raw_token');
+    await expect(credentials.refresh()).rejects.toThrow('cannot be refreshed');
+  });
+
+  test('should reject missing credentials', () => {
+    expect(() => MonzoCredentials.from(null)).toThrow('Access token is required');
+  });
+
+  test('should return the stored token while it is fresh', async () => {
+    await tokenStore.saveTokens(userId, { accessToken: 'access_old', refreshToken: 'refresh_old', expiresIn: 3600 });
+
+    expect(await createCredentials().getAccessToken()).toBe('access_old');
+    expect(oauthHandler.refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('should refresh proactively when the token is about to expire', async () => {
+    await tokenStore.saveTokens(userId, { accessToken: 'access_old', refreshToken: 'refresh_old', expiresIn: 60 });
+
+    expect(await createCredentials().getAccessToken()).toBe('access_new');
+    expect(oauthHandler.refreshAccessToken).toHaveBeenCalledWith('refresh_old');
+  });
+
+  test('should save the rotated refresh token', async () => {
+    await tokenStore.saveTokens(userId, { accessToken: 'access_old', refreshToken: 'refresh_old', expiresIn: 3600 }, { newLogin: true });
+    const before = await tokenStore.getTokens(userId);
+
+    await createCredentials().refresh('access_old');
+
+    const after = await tokenStore.getTokens(userId);
+    expect(after.accessToken).toBe('access_new');
+    expect(after.refreshToken).toBe('refresh_new');
+    expect(after.authenticatedAt).toBe(before.authenticatedAt);
+  });
+
+  test('should share one refresh between concurrent requests for the same user', async () => {
+    await tokenStore.saveTokens(userId, { accessToken: 'access_old', refreshToken: 'refresh_old', expiresIn: 3600 });
+
+    const results = await Promise.all([
+      createCredentials().refresh('access_old'),
+      createCredentials().refresh('access_old'),
+      createCredentials().refresh('access_old')
+    ]);
+
+    expect(oauthHandler.refreshAccessToken).toHaveBeenCalledTimes(1);
+    results.forEach(record => expect(record.accessToken).toBe('access_new'));
+  });
+
+  test('should not refresh again when the rejected token was already rotated', async () => {
+    await tokenStore.saveTokens(userId, { accessToken: 'access_new', refreshToken: 'refresh_new', expiresIn: 3600 });
+
+    const record = await createCredentials().refresh('access_old');
+
+    expect(record.accessToken).toBe('access_new');
+    expect(oauthHandler.refreshAccessToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+jest.mock('../../config/environment', () => ({
+  monzo: {
+    clientId: 'oauth2client_test',
+    clientSecret: 'test-secret',
+    redirectUrl: 'http://localhost:8080/auth/callback',
+    baseUrl: 'https://api.monzo.com',
+    tokenUrl: 'https://api.monzo.com/oauth2/token',
+    oauthStateTtl: 600
+  },
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const crypto = require('crypto');
+const MonzoOAuthHandler = require('../monzo-oauth-handler');
+const TokenStore = require('../../storage/token-store');
+const OAuthStateStore = require('../../storage/oauth-state-store');
+const SyncStateStore = require('../../storage/sync-state-store');
+const { createStorageBackend } = require('../../storage/backends');
+
+describe('MonzoOAuthHandler authorization flow', () => {
+  let tokenStore;
+  let stateStore;
+  let handler;
+
+  const tokenResponse = (accessToken) => ({
+    ok: true,
+    json: jest.fn().mockResolvedValue({
+      access_token: accessToken,
+      refresh_token: `${accessToken}_refresh`,
+      token_type: 'Bearer',
+      expires_in: 3600
+    })
+  });
+
+  beforeEach(() => {
+    const backend = createStorageBackend({ backend: 'memory' });
+    tokenStore = new TokenStore(backend);
+    stateStore = new OAuthStateStore(backend);
+    handler = new MonzoOAuthHandler({ tokenStore, stateStore });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should embed the stored state in the authorization URL', async () => {
+    const { authorizationUrl, state } = await handler.startAuthorization({ userId: 'alice', redirectTo: '/done' });
+
+    expect(new URL(authorizationUrl).searchParams.get('state')).toBe(state);
+    expect(await stateStore.get(state)).toEqual(expect.objectContaining({ userId: 'alice', redirectTo: '/done' }));
+  });
+
+  test('should exchange the code on callback and store tokens for the initiating user', async () => {
+    const alice = await handler.startAuthorization({ userId: 'alice' });
+    const bob = await handler.startAuthorization({ userId: 'bob' });
+    global.fetch
+      .mockResolvedValueOnce(tokenResponse('bob_access'))
+      .mockResolvedValueOnce(tokenResponse('alice_access'));
+
+    // Callbacks arrive in the opposite order to the starts
+    const bobResult = await handler.completeAuthorization({ code: 'code_b', state: bob.state });
+    const aliceResult = await handler.completeAuthorization({ code: 'code_a', state: alice.state });
+
+    expect(bobResult.userId).toBe('bob');
+    expect(aliceResult.userId).toBe('alice');
+    expect((await tokenStore.getTokens('alice')).accessToken).toBe('alice_access');
+    expect((await tokenStore.getTokens('bob')).accessToken).toBe('bob_access');
+    expect((await stateStore.get(alice.state)).status).toBe('completed');
+  });
+
+  test('should reject a reused state without calling Monzo', async () => {
+    const { state } = await handler.startAuthorization({ userId: 'alice' });
+    global.fetch.mockResolvedValueOnce(tokenResponse('alice_access'));
+    await handler.completeAuthorization({ code: 'code_a', state });
+
+    await expect(handler.completeAuthorization({ code: 'code_a', state }))
+      .rejects.toMatchObject({ code: 'state_already_used' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should mark the state failed when the token exchange fails', async () => {
+    const { state } = await handler.startAuthorization({ userId: 'alice' });
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      text: jest.fn().mockResolvedValue('invalid_grant')
+    });
+
+    await expect(handler.completeAuthorization({ code: 'bad', state })).rejects.toThrow('Token exchange failed');
+    expect(await stateStore.get(state)).toEqual(expect.objectContaining({ status: 'failed' }));
+    expect(await tokenStore.getTokens('alice')).toBeNull();
+  });
+
+  describe('PKCE', () => {
+    test('should not add PKCE parameters unless enabled', async () => {
+      const { authorizationUrl, state } = await handler.startAuthorization({ userId: 'alice' });
+      global.fetch.mockResolvedValueOnce(tokenResponse('alice_access'));
+      await handler.completeAuthorization({ code: 'code_a', state });
+
+      expect(new URL(authorizationUrl).searchParams.has('code_challenge')).toBe(false);
+      expect(global.fetch.mock.calls[0][1].body.has('code_verifier')).toBe(false);
+    });
+
+    test('should send an S256 challenge and exchange the code with its stored verifier', async () => {
+      handler = new MonzoOAuthHandler({ tokenStore, stateStore, usePkce: true });
+
+      const { authorizationUrl, state } = await handler.startAuthorization({ userId: 'alice' });
+      const params = new URL(authorizationUrl).searchParams;
+      expect(params.get('code_challenge_method')).toBe('S256');
+
+      global.fetch.mockResolvedValueOnce(tokenResponse('alice_access'));
+      await handler.completeAuthorization({ code: 'code_a', state });
+
+      const verifier = global.fetch.mock.calls[0][1].body.get('code_verifier');
+      expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(crypto.createHash('sha256').update(verifier).digest('base64url')).toBe(params.get('code_challenge'));
+      expect(await stateStore.get(state)).not.toHaveProperty('codeVerifier');
+    });
+
+    test('should generate a fresh verifier for every authorization', () => {
+      const first = MonzoOAuthHandler.generatePkcePair();
+      const second = MonzoOAuthHandler.generatePkcePair();
+
+      expect(first.codeVerifier).not.toBe(second.codeVerifier);
+      expect(first.codeChallenge).not.toBe(first.codeVerifier);
+    });
+  });
+
+  describe('Revocation', () => {
+    let syncStateStore;
+    let walletClient;
+
+    beforeEach(async () => {
+      syncStateStore = new SyncStateStore(tokenStore.backend);
+      walletClient = { eraseUserData: jest.fn().mockResolvedValue({ success: true, namespace: 'monzo', deleted: 2 }) };
+      handler = new MonzoOAuthHandler({ tokenStore, stateStore, syncStateStore, walletClient });
+
+      await tokenStore.saveTokens('alice', { accessToken: 'alice_access', refreshToken: 'alice_refresh', expiresIn: 3600 });
+      await syncStateStore.saveMarks('alice', {
+        acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2026-01-01T00:00:00.000Z' }
+      });
+    });
+
+    test('should log out at Monzo and delete stored tokens and sync state', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const result = await handler.revokeToken('alice');
+
+      expect(global.fetch).toHaveBeenCalledWith('https://api.monzo.com/oauth2/logout', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer alice_access' })
+      }));
+      expect(result).toEqual(expect.objectContaining({
+        remoteRevoked: true,
+        tokensDeleted: true,
+        syncStateDeleted: 1,
+        wallet: null
+      }));
+      expect(await tokenStore.getTokens('alice')).toBeNull();
+      expect(await syncStateStore.getMarks('alice')).toEqual({});
+      expect(walletClient.eraseUserData).not.toHaveBeenCalled();
+    });
+
+    test('should stop tracking a pending Monzo app approval', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+      const approvalTracker = { clear: jest.fn().mockResolvedValue(true) };
+      handler = new MonzoOAuthHandler({ tokenStore, stateStore, syncStateStore, walletClient, approvalTracker });
+
+      const result = await handler.revokeToken('alice');
+
+      expect(approvalTracker.clear).toHaveBeenCalledWith('alice');
+      expect(result.approvalCleared).toBe(true);
+    });
+
+    test('should erase wallet records when asked', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const result = await handler.revokeToken('alice', { eraseWalletData: true, walletRoute: { tenant: 'acme' } });
+
+      expect(walletClient.eraseUserData).toHaveBeenCalledWith('alice', { tenant: 'acme' });
+      expect(result.wallet).toEqual({ success: true, namespace: 'monzo', deleted: 2 });
+    });
+
+    test('should treat an already invalid token as revoked', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+
+      expect((await handler.revokeToken('alice')).remoteRevoked).toBe(true);
+    });
+
+    test('should still delete local data when Monzo cannot be reached', async () => {
+      global.fetch.mockRejectedValueOnce(new Error('socket hang up'));
+
+      const result = await handler.revokeToken('alice');
+
+      expect(result).toEqual(expect.objectContaining({ remoteRevoked: false, remoteError: 'socket hang up', tokensDeleted: true }));
+      expect(await tokenStore.getTokens('alice')).toBeNull();
+    });
+
+    test('should not call Monzo for users without stored tokens', async () => {
+      const result = await handler.revokeToken('bob');
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ remoteRevoked: false, tokensDeleted: false }));
+    });
+  });
+});
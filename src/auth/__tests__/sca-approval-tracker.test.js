@@ -0,0 +1,196 @@
+jest.mock('../../config/environment', () => ({
+  monzo: { scaApprovalTimeout: 600, tokenRefreshSkew: 300 },
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ScaApprovalTracker = require('../sca-approval-tracker');
+const { APPROVAL_STATUS } = require('../sca-approval-tracker');
+const MonzoCredentials = require('../monzo-credentials');
+const { createStorageBackend } = require('../../storage/backends');
+
+const forbidden = { success: false, status: 403, category: 'AUTH_FAILURE', error: 'Forbidden - insufficient permissions. Check mobile app approval.' };
+
+describe('ScaApprovalTracker', () => {
+  let connector;
+  let tracker;
+
+  const createTracker = (options = {}) => new ScaApprovalTracker({
+    backend: createStorageBackend({ backend: 'memory' }),
+    connector,
+    initialDelayMs: 5,
+    maxDelayMs: 20,
+    ...options
+  });
+
+  beforeEach(() => {
+    connector = { testConnection: jest.fn().mockResolvedValue(forbidden) };
+    tracker = createTracker();
+  });
+
+  afterEach(() => {
+    tracker.stop();
+  });
+
+  test('should record a pending approval with its expiry', async () => {
+    tracker.stop();
+    const record = await tracker.markPending('alice');
+
+    expect(record).toEqual(expect.objectContaining({
+      userId: 'alice',
+      status: APPROVAL_STATUS.PENDING,
+      attempts: 0
+    }));
+    expect(new Date(record.expiresAt) - new Date(record.startedAt)).toBe(600 * 1000);
+    expect(await tracker.getStatus('alice')).toEqual(expect.objectContaining({ status: APPROVAL_STATUS.PENDING }));
+  });
+
+  test('should stay pending while Monzo answers 403', async () => {
+    tracker.stop();
+    await tracker.markPending('alice');
+
+    const record = await tracker.check('alice');
+
+    expect(connector.testConnection).toHaveBeenCalledWith(expect.any(MonzoCredentials));
+    expect(connector.testConnection.mock.calls[0][0].userId).toBe('alice');
+    expect(record.status).toBe(APPROVAL_STATUS.PENDING);
+    expect(record.attempts).toBe(1);
+    expect(record.lastError).toEqual(expect.objectContaining({ status: 403, category: 'AUTH_FAILURE' }));
+  });
+
+  test('should mark the user approved once the 403 clears', async () => {
+    tracker.stop();
+    await tracker.markPending('alice');
+    connector.testConnection.mockResolvedValueOnce({ success: true, accountCount: 1 });
+
+    const record = await tracker.check('alice');
+
+    expect(record.status).toBe(APPROVAL_STATUS.APPROVED);
+    expect(record.approvedAt).toBeTruthy();
+    expect(record.lastError).toBeNull();
+  });
+
+  test('should time out once the approval window has passed', async () => {
+    tracker = createTracker({ timeoutMs: 1 });
+    tracker.stop();
+    await tracker.markPending('alice');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const record = await tracker.check('alice');
+
+    expect(record.status).toBe(APPROVAL_STATUS.TIMED_OUT);
+    expect(connector.testConnection).not.toHaveBeenCalled();
+  });
+
+  test('should back off between checks up to the maximum delay', () => {
+    expect(tracker.getPollDelay(0)).toBe(5);
+    expect(tracker.getPollDelay(1)).toBe(10);
+    expect(tracker.getPollDelay(2)).toBe(20);
+    expect(tracker.getPollDelay(5)).toBe(20);
+  });
+
+  test('should poll in the background until approved and release waiters', async () => {
+    connector.testConnection
+      .mockResolvedValueOnce(forbidden)
+      .mockResolvedValueOnce(forbidden)
+      .mockResolvedValue({ success: true, accountCount: 1 });
+
+    await tracker.markPending('alice');
+    const record = await tracker.waitForApproval('alice');
+
+    expect(record.status).toBe(APPROVAL_STATUS.APPROVED);
+    expect(record.attempts).toBe(3);
+    expect(connector.testConnection).toHaveBeenCalledTimes(3);
+  });
+
+  test('should resolve waiters as timed out when approval never arrives', async () => {
+    tracker = createTracker({ timeoutMs: 50 });
+    await tracker.markPending('alice');
+
+    const record = await tracker.waitForApproval('alice');
+
+    expect(record.status).toBe(APPROVAL_STATUS.TIMED_OUT);
+    expect(record.lastError.status).toBe(403);
+  });
+
+  test('should return the record as it stands when a wait limit is reached', async () => {
+    await tracker.markPending('alice');
+
+    const record = await tracker.waitForApproval('alice', { timeoutMs: 10 });
+
+    expect(record.status).toBe(APPROVAL_STATUS.PENDING);
+  });
+
+  test('should report when a pending approval is next checked', async () => {
+    tracker = createTracker({ initialDelayMs: 1000, maxDelayMs: 60000 });
+    const record = await tracker.markPending('alice');
+    tracker.stop();
+
+    expect(tracker.watch(record)).toBe(new Date(new Date(record.startedAt).getTime() + 1000).toISOString());
+
+    const checked = { ...record, attempts: 2, lastCheckedAt: record.startedAt };
+    expect(tracker.watch(checked)).toBe(new Date(new Date(record.startedAt).getTime() + 4000).toISOString());
+
+    const nearlyExpired = { ...checked, attempts: 10, expiresAt: new Date(Date.now() + 500).toISOString() };
+    expect(tracker.watch(nearlyExpired)).toBe(nearlyExpired.expiresAt);
+  });
+
+  test('should notify listeners when an approval is settled', async () => {
+    const listener = jest.fn();
+    tracker.onSettled(listener);
+    connector.testConnection.mockResolvedValue({ success: true, accountCount: 1 });
+
+    await tracker.markPending('alice');
+    await tracker.waitForApproval('alice');
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ userId: 'alice', status: APPROVAL_STATUS.APPROVED }));
+  });
+
+  test('should stop polling and forget the approval when cleared', async () => {
+    tracker = createTracker({ initialDelayMs: 60000 });
+    await tracker.markPending('alice');
+    const waiting = tracker.waitForApproval('alice', { timeoutMs: 60000 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await tracker.clear('alice')).toBe(true);
+
+    expect(await waiting).toBeNull();
+    expect(tracker.timers.has('alice')).toBe(false);
+    expect(await tracker.getStatus('alice')).toBeNull();
+    expect(await tracker.clear('alice')).toBe(false);
+  });
+
+  test('should not wait for users without a pending approval', async () => {
+    expect(await tracker.waitForApproval('unknown')).toBeNull();
+    expect(connector.testConnection).not.toHaveBeenCalled();
+  });
+
+  test('should resume pending approvals and time out expired ones on start', async () => {
+    const backend = createStorageBackend({ backend: 'memory' });
+    const previous = createTracker({ backend });
+    previous.stop();
+    await previous.markPending('alice');
+    await backend.set('monzo_sca_approval', 'bob', {
+      userId: 'bob',
+      status: APPROVAL_STATUS.PENDING,
+      startedAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-01-01T00:10:00.000Z',
+      attempts: 4,
+      lastError: null
+    });
+    connector.testConnection.mockResolvedValue({ success: true, accountCount: 1 });
+
+    tracker = createTracker({ backend });
+    expect(await tracker.start()).toEqual({ resumed: 1, timedOut: 1 });
+
+    expect((await tracker.waitForApproval('alice')).status).toBe(APPROVAL_STATUS.APPROVED);
+    expect((await tracker.getStatus('bob')).status).toBe(APPROVAL_STATUS.TIMED_OUT);
+  });
+});
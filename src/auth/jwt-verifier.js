@@ -0,0 +1,204 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Reason sub-codes reported alongside the `invalid_token` webhook error
+const JWT_REJECTION_REASONS = {
+  MALFORMED: 'malformed',
+  UNSUPPORTED_ALGORITHM: 'unsupported_algorithm',
+  UNKNOWN_KEY: 'unknown_key',
+  INVALID_SIGNATURE: 'invalid_signature',
+  EXPIRED: 'token_expired',
+  NOT_ACTIVE: 'token_not_active',
+  INVALID_AUDIENCE: 'invalid_audience',
+  INVALID_ISSUER: 'invalid_issuer',
+  MISSING_CLAIMS: 'missing_claims',
+  VERIFICATION_FAILED: 'verification_failed'
+};
+
+const SYMMETRIC_ALGORITHMS = ['HS256'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * JWT Verifier for CheckD Gateway tokens
+ * Verifies HS256 tokens against the shared gateway secret and RS256/ES256
+ * tokens against CheckD public keys loaded from a PEM file or a local JWKS document
+ */
+class JwtVerifier {
+  constructor(options = {}) {
+    const gatewayConfig = config.gateway || {};
+
+    this.secret = options.secret !== undefined ? options.secret : gatewayConfig.jwtSecret;
+    this.audience = options.audience !== undefined ? options.audience : gatewayConfig.jwtAudience;
+    this.issuer = options.issuer !== undefined ? options.issuer : gatewayConfig.jwtIssuer;
+    this.clockSkew = options.clockSkew !== undefined ? options.clockSkew : (gatewayConfig.jwtClockSkew || 0);
+
+    // Public keys indexed by `kid`; a key from a PEM file is stored under `null`
+    this.publicKeys = new Map();
+    this.loadPublicKeys({
+      publicKeyPath: options.publicKeyPath !== undefined ? options.publicKeyPath : gatewayConfig.jwtPublicKeyPath,
+      jwksPath: options.jwksPath !== undefined ? options.jwksPath : gatewayConfig.jwksPath,
+      publicKeys: options.publicKeys,
+      jwks: options.jwks
+    });
+
+    if (!this.audience || !this.issuer) {
+      logger.warn('JWT audience or issuer not configured, those claims will not be checked', {
+        hasAudience: !!this.audience,
+        hasIssuer: !!this.issuer
+      });
+    }
+
+    logger.info('JWT Verifier initialized', {
+      hasSecret: !!this.secret,
+      publicKeyCount: this.publicKeys.size,
+      clockSkew: this.clockSkew
+    });
+  }
+
+  /**
+   * Load CheckD public keys from a PEM file and/or a JWKS document
+   * @param {Object} sources - publicKeyPath, jwksPath, or already-parsed publicKeys/jwks
+   */
+  loadPublicKeys(sources) {
+    if (sources.publicKeyPath) {
+      const pem = fs.readFileSync(sources.publicKeyPath, 'utf8');
+      this.publicKeys.set(null, crypto.createPublicKey(pem));
+    }
+
+    if (sources.publicKeys) {
+      Object.entries(sources.publicKeys).forEach(([kid, pem]) => {
+        this.publicKeys.set(kid, crypto.createPublicKey(pem));
+      });
+    }
+
+    const jwks = sources.jwks || (sources.jwksPath
+      ? JSON.parse(fs.readFileSync(sources.jwksPath, 'utf8'))
+      : null);
+
+    if (jwks) {
+      if (!Array.isArray(jwks.keys)) {
+        throw new Error('Invalid JWKS document: missing keys array');
+      }
+
+      jwks.keys.forEach(jwk => {
+        if (jwk.use && jwk.use !== 'sig') {
+          return;
+        }
+        this.publicKeys.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      });
+    }
+  }
+
+  /**
+   * Verify a JWT token
+   * @param {string} token - Raw JWT from the gateway request
+   * @returns {Object} { valid: true, payload } or { valid: false, reason, message }
+   */
+  verify(token) {
+    if (!token || typeof token !== 'string' || token.split('.').length !== 3) {
+      return this.reject(JWT_REJECTION_REASONS.MALFORMED, 'Token is not a three-part JWT');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || typeof decoded.payload !== 'object') {
+      return this.reject(JWT_REJECTION_REASONS.MALFORMED, 'Token header or payload could not be decoded');
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+
+    if (SYMMETRIC_ALGORITHMS.includes(alg)) {
+      if (!this.secret) {
+        return this.reject(JWT_REJECTION_REASONS.UNSUPPORTED_ALGORITHM, `No shared secret configured for ${alg}`);
+      }
+      key = this.secret;
+    } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+      key = this.selectPublicKey(kid);
+      if (!key) {
+        return this.reject(JWT_REJECTION_REASONS.UNKNOWN_KEY, `No public key found for kid ${kid || '(none)'}`);
+      }
+    } else {
+      return this.reject(JWT_REJECTION_REASONS.UNSUPPORTED_ALGORITHM, `Algorithm ${alg} is not accepted`);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, key, {
+        algorithms: [alg],
+        audience: this.audience || undefined,
+        issuer: this.issuer || undefined,
+        clockTolerance: this.clockSkew
+      });
+    } catch (error) {
+      return this.reject(this.mapVerificationError(error), error.message);
+    }
+
+    if (!payload.sub || !payload.iat) {
+      return this.reject(JWT_REJECTION_REASONS.MISSING_CLAIMS, 'Token is missing sub or iat claim');
+    }
+
+    // jsonwebtoken does not reject tokens issued in the future
+    if (payload.iat > Math.floor(Date.now() / 1000) + this.clockSkew) {
+      return this.reject(JWT_REJECTION_REASONS.NOT_ACTIVE, 'Token iat is in the future');
+    }
+
+    return { valid: true, payload };
+  }
+
+  /**
+   * Pick the public key for a token: by kid, or the only configured key when no kid is given
+   */
+  selectPublicKey(kid) {
+    if (kid !== undefined && kid !== null) {
+      return this.publicKeys.get(kid) || null;
+    }
+
+    if (this.publicKeys.has(null)) {
+      return this.publicKeys.get(null);
+    }
+
+    return this.publicKeys.size === 1 ? this.publicKeys.values().next().value : null;
+  }
+
+  /**
+   * Map jsonwebtoken errors onto rejection reason sub-codes
+   */
+  mapVerificationError(error) {
+    if (error.name === 'TokenExpiredError') {
+      return JWT_REJECTION_REASONS.EXPIRED;
+    }
+
+    if (error.name === 'NotBeforeError') {
+      return JWT_REJECTION_REASONS.NOT_ACTIVE;
+    }
+
+    const message = error.message || '';
+    if (message.includes('signature')) {
+      return JWT_REJECTION_REASONS.INVALID_SIGNATURE;
+    }
+    if (message.startsWith('jwt audience invalid')) {
+      return JWT_REJECTION_REASONS.INVALID_AUDIENCE;
+    }
+    if (message.startsWith('jwt issuer invalid')) {
+      return JWT_REJECTION_REASONS.INVALID_ISSUER;
+    }
+    if (message.includes('algorithm') || message.includes('"alg"')) {
+      return JWT_REJECTION_REASONS.UNSUPPORTED_ALGORITHM;
+    }
+    if (message.includes('malformed')) {
+      return JWT_REJECTION_REASONS.MALFORMED;
+    }
+
+    return JWT_REJECTION_REASONS.VERIFICATION_FAILED;
+  }
+
+  reject(reason, message) {
+    return { valid: false, reason, message };
+  }
+}
+
+module.exports = JwtVerifier;
+module.exports.JWT_REJECTION_REASONS = JWT_REJECTION_REASONS;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Refreshes in progress, keyed by user, shared by every credential handle in the process
+const inFlightRefreshes = new Map();
+
+/**
+ * Monzo credential handle
+ * Resolves a user's current access token from the token store, refreshing it
+ * when it is close to expiry or when the API rejects it
+ */
+class MonzoCredentials {
+  constructor({ userId = null, tokenStore = null, oauthHandler = null, accessToken = null, refreshSkewMs } = {}) {
+    this.userId = userId;
+    this.tokenStore = tokenStore;
+    this.oauthHandler = oauthHandler;
+    this.staticAccessToken = accessToken;
+    this.refreshSkewMs = refreshSkewMs !== undefined
+      ? refreshSkewMs
+      : ((config.monzo && config.monzo.tokenRefreshSkew) || 300) * 1000;
+  }
+
+  /**
+   * Wrap a raw access token (no refresh possible)
+   */
+  static fromAccessToken(accessToken) {
+    return new MonzoCredentials({ accessToken });
+  }
+
+  /**
+   * Accept either a credential handle or a raw access token string
+   */
+  static from(credentials) {
+    if (credentials instanceof MonzoCredentials) {
+      return credentials;
+    }
+    if (typeof credentials === 'string' && credentials) {
+      return MonzoCredentials.fromAccessToken(credentials);
+    }
+    throw new Error('Access token is required');
+  }
+
+  /**
+   * Stable, non-reversible key identifying whose token a request uses (for rate limiting)
+   */
+  get rateLimitKey() {
+    const identity = this.userId ? `user:${this.userId}` : `token:${this.staticAccessToken}`;
+    return crypto.createHash('sha256').update(identity).digest('hex').substring(0, 16);
+  }
+
+  get canRefresh() {
+    return !!(this.userId && this.tokenStore && this.oauthHandler);
+  }
+
+  /**
+   * Get a usable access token, refreshing proactively when it is about to expire
+   * @returns {string} Access token
+   */
+  async getAccessToken() {
+    if (this.staticAccessToken) {
+      return this.staticAccessToken;
+    }
+
+    const record = await this.getTokenRecord();
+
+    if (this.canRefresh && record.refreshToken && this.tokenStore.isExpired(record, this.refreshSkewMs)) {
+      logger.info('Access token close to expiry, refreshing proactively', {
+        userId: this.tokenStore.maskUserId(this.userId),
+        expiresAt: record.expiresAt
+      });
+      const refreshed = await this.refresh(record.accessToken);
+      return refreshed.accessToken;
+    }
+
+    return record.accessToken;
+  }
+
+  /**
+   * When the user last completed the OAuth login
+   * @returns {Date|null} Login time, or null when unknown (raw access tokens)
+   */
+  async getAuthenticatedAt() {
+    if (this.staticAccessToken || !this.tokenStore) {
+      return null;
+    }
+    const record = await this.getTokenRecord();
+    return record.authenticatedAt ? new Date(record.authenticatedAt) : null;
+  }
+
+  /**
+   * Refresh the user's tokens and save the rotated refresh token
+   * Concurrent calls for the same user share a single refresh request
+   * @param {string} staleAccessToken - Token that was rejected or is expiring
+   * @returns {Object} Updated token record
+   */
+  async refresh(staleAccessToken = null) {
+    if (!this.canRefresh) {
+      throw new Error('Credentials cannot be refreshed - no stored refresh token for this user');
+    }
+
+    if (inFlightRefreshes.has(this.userId)) {
+      return await inFlightRefreshes.get(this.userId);
+    }
+
+    const refreshPromise = (async () => {
+      const record = await this.getTokenRecord();
+
+      // Another request may already have rotated the token we were given
+      if (staleAccessToken && record.accessToken !== staleAccessToken &&
+          !this.tokenStore.isExpired(record, this.refreshSkewMs)) {
+        return record;
+      }
+
+      if (!record.refreshToken) {
+        throw new Error('No refresh token stored for user');
+      }
+
+      const refreshed = await this.oauthHandler.refreshAccessToken(record.refreshToken);
+      return await this.tokenStore.saveTokens(this.userId, refreshed);
+    })();
+
+    inFlightRefreshes.set(this.userId, refreshPromise);
+
+    try {
+      return await refreshPromise;
+    } finally {
+      inFlightRefreshes.delete(this.userId);
+    }
+  }
+
+  async getTokenRecord() {
+    const record = this.tokenStore ? await this.tokenStore.getTokens(this.userId) : null;
+    if (!record || !record.accessToken) {
+      throw new Error('No Monzo tokens stored for user');
+    }
+    return record;
+  }
+}
+
+module.exports = MonzoCredentials;
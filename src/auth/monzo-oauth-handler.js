@@ -7,7 +7,14 @@ const crypto = require('crypto');
  * Follows data connector template authentication patterns
  */
 class MonzoOAuthHandler {
-  constructor() {
+  constructor(options = {}) {
+    this.tokenStore = options.tokenStore || null;
+    this.stateStore = options.stateStore || null;
+    this.syncStateStore = options.syncStateStore || null;
+    this.walletClient = options.walletClient || null;
+    this.approvalTracker = options.approvalTracker || null;
+    // PKCE (S256) is optional for confidential clients; enable it where the redirect URI runs on a shared host
+    this.usePkce = options.usePkce !== undefined ? !!options.usePkce : !!config.monzo.pkce;
     this.clientId = config.monzo.clientId;
     this.clientSecret = config.monzo.clientSecret;
     this.redirectUrl = config.monzo.redirectUrl;
@@ -21,19 +28,29 @@ class MonzoOAuthHandler {
     
     logger.info('Monzo OAuth Handler initialized', {
       clientId: this.clientId?.substring(0, 20) + '...',
-      redirectUrl: this.redirectUrl
+      redirectUrl: this.redirectUrl,
+      pkce: this.usePkce
     });
   }
 
+  /**
+   * Generate a PKCE code verifier and its S256 code challenge (RFC 7636)
+   * @returns {Object} { codeVerifier, codeChallenge }
+   */
+  static generatePkcePair() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
   /**
    * Generate OAuth authorization URL with state parameter
+   * @param {string} state - State to embed (a random one is generated when omitted)
+   * @param {Object} options - codeChallenge: S256 PKCE challenge to include
    * @returns {Object} Authorization URL and state
    */
-  generateAuthorizationUrl() {
+  generateAuthorizationUrl(state = crypto.randomBytes(32).toString('hex'), options = {}) {
     try {
-      // Generate secure state parameter for CSRF protection
-      const state = crypto.randomBytes(32).toString('hex');
-      
       const authUrl = new URL('https://auth.monzo.com/');
       authUrl.searchParams.append('client_id', this.clientId);
       authUrl.searchParams.append('redirect_uri', this.redirectUrl);
@@ -41,8 +58,12 @@ class MonzoOAuthHandler {
       authUrl.searchParams.append('state', state);
       authUrl.searchParams.append('scope', this.scope);
       authUrl.searchParams.append('intent', 'login');
+      if (options.codeChallenge) {
+        authUrl.searchParams.append('code_challenge', options.codeChallenge);
+        authUrl.searchParams.append('code_challenge_method', 'S256');
+      }
 
-      logger.info('Generated Monzo authorization URL', { state });
+      logger.info('Generated Monzo authorization URL', { state: `${state.substring(0, 8)}...` });
 
       return {
         authorizationUrl: authUrl.toString(),
@@ -54,14 +75,71 @@ class MonzoOAuthHandler {
     }
   }
 
+  /**
+   * Start an authorization for a user, recording its state in the state store
+   * @param {Object} params - userId the tokens will belong to, optional redirectTo after the callback
+   * @returns {Object} Authorization URL, state and expiry
+   */
+  async startAuthorization({ userId, redirectTo = null }) {
+    if (!this.stateStore) {
+      throw new Error('OAuth state store is not configured');
+    }
+
+    // The verifier stays server-side with the state; only its challenge goes to Monzo
+    const pkce = this.usePkce ? MonzoOAuthHandler.generatePkcePair() : null;
+    const record = await this.stateStore.create({
+      userId,
+      redirectTo,
+      ...(pkce && { codeVerifier: pkce.codeVerifier })
+    });
+    const { authorizationUrl } = this.generateAuthorizationUrl(record.state, {
+      codeChallenge: pkce && pkce.codeChallenge
+    });
+
+    return { authorizationUrl, state: record.state, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Handle the OAuth callback: consume the state and exchange the code right away,
+   * storing the tokens for the user who started the authorization
+   * @returns {Object} { tokens, userId, redirectTo }
+   */
+  async completeAuthorization({ code, state }) {
+    if (!this.stateStore) {
+      throw new Error('OAuth state store is not configured');
+    }
+
+    const consumed = await this.stateStore.consume(state);
+    if (!consumed.valid) {
+      const error = new Error(`Invalid OAuth state: ${consumed.reason}`);
+      error.code = consumed.reason;
+      throw error;
+    }
+
+    const { record } = consumed;
+    try {
+      const tokens = await this.exchangeCodeForToken(code, state, record.state, {
+        userId: record.userId,
+        codeVerifier: record.codeVerifier
+      });
+      await this.stateStore.markCompleted(state);
+      return { tokens, userId: record.userId, redirectTo: record.redirectTo };
+    } catch (error) {
+      await this.stateStore.markFailed(state, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from Monzo
    * @param {string} state - State parameter for validation
    * @param {string} storedState - Stored state for comparison
+   * @param {Object} options - userId: bind the tokens to this user in the token store;
+   *   codeVerifier: PKCE verifier for the authorization request
    * @returns {Object} Token response
    */
-  async exchangeCodeForToken(code, state, storedState) {
+  async exchangeCodeForToken(code, state, storedState, options = {}) {
     try {
       // Validate required parameters
       if (!code) {
@@ -81,6 +159,9 @@ class MonzoOAuthHandler {
       tokenData.append('client_secret', this.clientSecret);
       tokenData.append('redirect_uri', this.redirectUrl);
       tokenData.append('code', code);
+      if (options.codeVerifier) {
+        tokenData.append('code_verifier', options.codeVerifier);
+      }
 
       const response = await fetch(this.tokenUrl, {
         method: 'POST',
@@ -114,7 +195,7 @@ class MonzoOAuthHandler {
         hasRefreshToken: !!tokenResponse.refresh_token
       });
 
-      return {
+      const tokens = {
         accessToken: tokenResponse.access_token,
         tokenType: tokenResponse.token_type || 'Bearer',
         expiresIn: tokenResponse.expires_in,
@@ -122,6 +203,12 @@ class MonzoOAuthHandler {
         scope: tokenResponse.scope
       };
 
+      if (options.userId && this.tokenStore) {
+        await this.tokenStore.saveTokens(options.userId, tokens, { newLogin: true });
+      }
+
+      return tokens;
+
     } catch (error) {
       logger.error('Failed to exchange code for token', { error: error.message });
       throw error;
@@ -189,6 +276,97 @@ class MonzoOAuthHandler {
     }
   }
 
+  /**
+   * Revoke a user's authorization (consent withdrawal)
+   * Logs the access token out at Monzo, then deletes the stored tokens, sync state and any
+   * Monzo app approval tracking and, when asked, the user's records in the wallet. Local data is deleted even when Monzo
+   * cannot be reached, so the result reports whether the remote logout succeeded.
+   * @param {string} userId - User whose authorization to revoke
+   * @param {Object} options - eraseWalletData: also erase the user's wallet records;
+   *   walletRoute: tenant/environment the user's records were written with
+   * @returns {Object} Revocation summary
+   */
+  async revokeToken(userId, options = {}) {
+    if (!userId) {
+      throw new Error('User identifier is required to revoke authorization');
+    }
+    if (!this.tokenStore) {
+      throw new Error('Token store is not configured');
+    }
+
+    const maskedUserId = this.tokenStore.maskUserId(userId);
+    logger.info('Revoking Monzo authorization', { userId: maskedUserId, eraseWalletData: !!options.eraseWalletData });
+
+    const tokens = await this.tokenStore.getTokens(userId);
+    const remote = tokens && tokens.accessToken
+      ? await this.logout(tokens.accessToken)
+      : { revoked: false, error: 'No stored access token' };
+
+    const tokensDeleted = await this.tokenStore.deleteTokens(userId);
+    const syncStateDeleted = this.syncStateStore ? await this.syncStateStore.deleteUser(userId) : 0;
+    const approvalCleared = this.approvalTracker ? await this.approvalTracker.clear(userId) : false;
+
+    let wallet = null;
+    if (options.eraseWalletData) {
+      wallet = this.walletClient
+        ? await this.walletClient.eraseUserData(userId, options.walletRoute || {})
+        : { success: false, error: 'Wallet client is not configured' };
+    }
+
+    const result = {
+      userId,
+      remoteRevoked: remote.revoked,
+      remoteError: remote.error || null,
+      tokensDeleted,
+      syncStateDeleted,
+      approvalCleared,
+      wallet,
+      revokedAt: new Date().toISOString()
+    };
+
+    logger.info('Monzo authorization revoked', {
+      userId: maskedUserId,
+      remoteRevoked: result.remoteRevoked,
+      tokensDeleted,
+      walletErased: wallet ? wallet.success : null
+    });
+
+    return result;
+  }
+
+  /**
+   * Invalidate an access token at Monzo (`/oauth2/logout`)
+   * A 401 means the token is already invalid, which counts as revoked.
+   * @returns {Object} { revoked, error }
+   */
+  async logout(accessToken) {
+    try {
+      const response = await fetch(`${this.baseUrl}/oauth2/logout`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'User-Agent': 'MonzoDataConnector/1.0.0'
+        }
+      });
+
+      if (response.ok || response.status === 401) {
+        return { revoked: true };
+      }
+
+      const errorText = await response.text();
+      logger.error('Monzo logout failed', {
+        status: response.status,
+        statusText: response.statusText,
+        error: errorText
+      });
+      return { revoked: false, error: `Monzo logout failed: ${response.status} ${response.statusText}` };
+
+    } catch (error) {
+      logger.error('Monzo logout failed', { error: error.message });
+      return { revoked: false, error: error.message };
+    }
+  }
+
   /**
    * Validate an access token by making a test API call
    * @param {string} accessToken - Access token to validate
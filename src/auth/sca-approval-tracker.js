@@ -0,0 +1,349 @@
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const MonzoCredentials = require('./monzo-credentials');
+const { createStorageBackend } = require('../storage/backends');
+
+const APPROVAL_COLLECTION = 'monzo_sca_approval';
+
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  TIMED_OUT: 'timed_out'
+};
+
+/**
+ * Monzo app approval (SCA) tracker
+ * A fresh Monzo token cannot read account data until the user approves access in the
+ * Monzo app; until then the API answers 403. After each authorization the user gets a
+ * pending record, and a background poller checks `/ping/whoami` and `/accounts` with
+ * backoff until the 403 clears (approved) or the approval window ends (timed_out).
+ * Callers can wait on the outcome instead of asking the user to approve and retry.
+ */
+class ScaApprovalTracker {
+  constructor(options = {}) {
+    const monzoConfig = config.monzo || {};
+
+    this.backend = options.backend || createStorageBackend();
+    this.connector = options.connector;
+    this.tokenStore = options.tokenStore || null;
+    this.oauthHandler = options.oauthHandler || null;
+    this.timeoutMs = options.timeoutMs || (monzoConfig.scaApprovalTimeout || 600) * 1000;
+    this.initialDelayMs = options.initialDelayMs || monzoConfig.scaPollInitialDelayMs || 5000;
+    this.maxDelayMs = options.maxDelayMs || monzoConfig.scaPollMaxDelayMs || 60000;
+
+    // Poll timers and in-process waiters, keyed by user
+    this.timers = new Map();
+    this.waiters = new Map();
+    this.listeners = new Set();
+    this.stopped = false;
+
+    logger.info('SCA Approval Tracker initialized', {
+      backend: this.backend.type,
+      timeoutMs: this.timeoutMs,
+      maxDelayMs: this.maxDelayMs
+    });
+  }
+
+  /**
+   * Start tracking approval for a user who has just authorized the connector
+   * Replaces any earlier record: a new token needs its own approval.
+   * @returns {Object} Pending approval record
+   */
+  async markPending(userId) {
+    if (!userId) {
+      throw new Error('User identifier is required to track approval');
+    }
+
+    const now = new Date();
+    const record = {
+      userId,
+      status: APPROVAL_STATUS.PENDING,
+      startedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.timeoutMs).toISOString(),
+      attempts: 0,
+      lastCheckedAt: null,
+      lastError: null,
+      approvedAt: null
+    };
+
+    await this.save(record);
+
+    logger.info('Waiting for Monzo app approval', {
+      userId: this.maskUserId(userId),
+      expiresAt: record.expiresAt
+    });
+
+    this.schedule(userId, this.initialDelayMs);
+    return record;
+  }
+
+  /**
+   * Get a user's approval record
+   * @returns {Object|null} Record, or null when approval was never tracked for the user
+   */
+  async getStatus(userId) {
+    if (!userId) {
+      return null;
+    }
+    return await this.backend.get(APPROVAL_COLLECTION, userId);
+  }
+
+  /**
+   * Check a pending approval once against the Monzo API
+   * @returns {Object|null} Updated record, or null when the user is not being tracked
+   */
+  async check(userId) {
+    const record = await this.getStatus(userId);
+    if (!record || record.status !== APPROVAL_STATUS.PENDING) {
+      return record;
+    }
+
+    if (this.isExpired(record)) {
+      return await this.finish(record, APPROVAL_STATUS.TIMED_OUT);
+    }
+
+    const credentials = new MonzoCredentials({
+      userId,
+      tokenStore: this.tokenStore,
+      oauthHandler: this.oauthHandler
+    });
+
+    // Covers both `/ping/whoami` and `/accounts`; each returns 403 until the user approves
+    const result = await this.connector.testConnection(credentials);
+    const checked = {
+      ...record,
+      attempts: record.attempts + 1,
+      lastCheckedAt: new Date().toISOString()
+    };
+
+    if (result.success) {
+      return await this.finish(checked, APPROVAL_STATUS.APPROVED);
+    }
+
+    const updated = await this.save({
+      ...checked,
+      lastError: { status: result.status, category: result.category, message: result.error }
+    });
+
+    if (this.isExpired(updated)) {
+      return await this.finish(updated, APPROVAL_STATUS.TIMED_OUT);
+    }
+
+    if (result.status !== 403) {
+      logger.warn('Monzo approval check failed, will retry', {
+        userId: this.maskUserId(userId),
+        status: result.status,
+        error: result.error
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Wait until a user's approval is settled
+   * Resolves straight away for users who are not pending, otherwise when the poller
+   * settles the record or the approval window (or `timeoutMs`, if shorter) ends.
+   * @param {Object} options - timeoutMs: stop waiting early and return the record as it stands
+   * @returns {Object|null} Latest approval record
+   */
+  async waitForApproval(userId, options = {}) {
+    const record = await this.getStatus(userId);
+    if (!record || record.status !== APPROVAL_STATUS.PENDING) {
+      return record;
+    }
+    if (this.isExpired(record)) {
+      return await this.finish(record, APPROVAL_STATUS.TIMED_OUT);
+    }
+
+    this.watch(record);
+
+    const remainingMs = new Date(record.expiresAt).getTime() - Date.now();
+    const waitMs = options.timeoutMs ? Math.min(options.timeoutMs, remainingMs) : remainingMs;
+
+    const settled = await new Promise(resolve => {
+      const timer = setTimeout(() => done(null), waitMs + 1000);
+      const done = (result) => {
+        clearTimeout(timer);
+        this.removeWaiter(userId, done);
+        resolve(result);
+      };
+
+      if (!this.waiters.has(userId)) {
+        this.waiters.set(userId, new Set());
+      }
+      this.waiters.get(userId).add(done);
+    });
+
+    return settled || await this.check(userId);
+  }
+
+  /**
+   * Make sure a pending approval is being polled and work out when it is next checked
+   * Lets callers come back after the next check instead of holding on to a waiter.
+   * @param {Object} record - Pending approval record
+   * @returns {string} ISO time of the next check, no later than the end of the approval window
+   */
+  watch(record) {
+    // Records left by another process or a restart still need a poller here
+    if (!this.timers.has(record.userId)) {
+      this.schedule(record.userId, 0);
+    }
+
+    const lastCheck = new Date(record.lastCheckedAt || record.startedAt).getTime();
+    const delay = record.lastCheckedAt ? this.getPollDelay(record.attempts) : this.initialDelayMs;
+    const nextCheck = Math.max(Date.now(), Math.min(lastCheck + delay, new Date(record.expiresAt).getTime()));
+    return new Date(nextCheck).toISOString();
+  }
+
+  /**
+   * Register a listener called with the record whenever an approval is settled
+   * @param {Function} listener - (record) => void
+   */
+  onSettled(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Forget a user's approval: stop polling, delete the record and release waiters
+   * Used when the user disconnects, so nothing keeps checking with revoked tokens.
+   * @returns {boolean} Whether a record was deleted
+   */
+  async clear(userId) {
+    clearTimeout(this.timers.get(userId));
+    this.timers.delete(userId);
+
+    const deleted = await this.backend.delete(APPROVAL_COLLECTION, userId);
+    [...(this.waiters.get(userId) || [])].forEach(resolve => resolve(null));
+
+    if (deleted) {
+      logger.info('Monzo app approval tracking cleared', { userId: this.maskUserId(userId) });
+    }
+    return deleted;
+  }
+
+  /**
+   * Resume polling for approvals left pending by a previous run
+   * @returns {Object} Counts of resumed and timed-out approvals
+   */
+  async start() {
+    this.stopped = false;
+    let resumed = 0;
+    let timedOut = 0;
+
+    for (const { value: record } of await this.backend.list(APPROVAL_COLLECTION)) {
+      if (record.status !== APPROVAL_STATUS.PENDING) {
+        continue;
+      }
+      if (this.isExpired(record)) {
+        await this.finish(record, APPROVAL_STATUS.TIMED_OUT);
+        timedOut++;
+      } else {
+        this.schedule(record.userId, 0);
+        resumed++;
+      }
+    }
+
+    logger.info('SCA Approval Tracker started', { resumed, timedOut });
+    return { resumed, timedOut };
+  }
+
+  /**
+   * Stop polling (waiters still resolve when their approval window ends)
+   */
+  stop() {
+    this.stopped = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Delay before the next check: doubles per attempt up to the maximum
+   */
+  getPollDelay(attempts) {
+    return Math.min(this.initialDelayMs * Math.pow(2, attempts), this.maxDelayMs);
+  }
+
+  schedule(userId, delayMs) {
+    if (this.stopped) {
+      return;
+    }
+
+    clearTimeout(this.timers.get(userId));
+    const timer = setTimeout(() => {
+      this.timers.delete(userId);
+      this.poll(userId);
+    }, delayMs);
+    timer.unref?.();
+    this.timers.set(userId, timer);
+  }
+
+  async poll(userId) {
+    try {
+      const record = await this.check(userId);
+      if (record && record.status === APPROVAL_STATUS.PENDING) {
+        const remainingMs = new Date(record.expiresAt).getTime() - Date.now();
+        this.schedule(userId, Math.min(this.getPollDelay(record.attempts), Math.max(remainingMs, 0)));
+      }
+    } catch (error) {
+      logger.error('Monzo approval poll failed', { userId: this.maskUserId(userId), error: error.message });
+      this.schedule(userId, this.maxDelayMs);
+    }
+  }
+
+  async finish(record, status) {
+    const now = new Date().toISOString();
+    const updated = await this.save({
+      ...record,
+      status,
+      approvedAt: status === APPROVAL_STATUS.APPROVED ? now : null,
+      lastError: status === APPROVAL_STATUS.APPROVED ? null : record.lastError
+    });
+
+    clearTimeout(this.timers.get(record.userId));
+    this.timers.delete(record.userId);
+
+    if (status === APPROVAL_STATUS.APPROVED) {
+      logger.info('Monzo app approval granted', { userId: this.maskUserId(record.userId), attempts: updated.attempts });
+    } else {
+      logger.warn('Monzo app approval timed out', { userId: this.maskUserId(record.userId), attempts: updated.attempts });
+    }
+
+    [...(this.waiters.get(record.userId) || [])].forEach(resolve => resolve(updated));
+    this.listeners.forEach(listener => {
+      try {
+        listener(updated);
+      } catch (error) {
+        logger.error('Approval listener failed', { userId: this.maskUserId(record.userId), error: error.message });
+      }
+    });
+    return updated;
+  }
+
+  removeWaiter(userId, waiter) {
+    const waiters = this.waiters.get(userId);
+    if (waiters) {
+      waiters.delete(waiter);
+      if (waiters.size === 0) {
+        this.waiters.delete(userId);
+      }
+    }
+  }
+
+  isExpired(record) {
+    return new Date(record.expiresAt).getTime() <= Date.now();
+  }
+
+  async save(record) {
+    const updated = { ...record, updatedAt: new Date().toISOString() };
+    await this.backend.set(APPROVAL_COLLECTION, record.userId, updated);
+    return updated;
+  }
+
+  maskUserId(userId) {
+    return userId ? `${String(userId).substring(0, 10)}...` : userId;
+  }
+}
+
+module.exports = ScaApprovalTracker;
+module.exports.APPROVAL_STATUS = APPROVAL_STATUS;
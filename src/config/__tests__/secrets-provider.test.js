@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretsProvider = require('../secrets-provider');
+const { EnvSecretSource, FileSecretSource, KeystoreSecretSource, createSecretsProvider } = require('../secrets-provider');
+
+describe('SecretsProvider', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-provider-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should read secrets from environment variables', () => {
+    const provider = new SecretsProvider({ sources: [new EnvSecretSource({ JWT_SECRET: 'from-env', EMPTY: '' })] });
+
+    expect(provider.get('JWT_SECRET')).toBe('from-env');
+    expect(provider.get('EMPTY')).toBeUndefined();
+  });
+
+  test('should read mounted secret files and *_FILE paths without trailing newlines', () => {
+    fs.writeFileSync(path.join(tmpDir, 'DATASWIFT_PASSWORD'), 'mounted-password\n');
+    const customPath = path.join(tmpDir, 'jwt.txt');
+    fs.writeFileSync(customPath, 'jwt-from-file\r\n');
+
+    const source = new FileSecretSource({ directory: tmpDir, env: { JWT_SECRET_FILE: customPath } });
+
+    expect(source.get('DATASWIFT_PASSWORD')).toBe('mounted-password');
+    expect(source.get('JWT_SECRET')).toBe('jwt-from-file');
+    expect(source.get('MONZO_CLIENT_SECRET')).toBeUndefined();
+  });
+
+  test('should unlock an encrypted keystore with the master key', () => {
+    const keystorePath = path.join(tmpDir, 'secrets.keystore');
+    KeystoreSecretSource.write(keystorePath, { DATASWIFT_USERNAME: 'wallet-user' }, 'master-key');
+
+    expect(fs.readFileSync(keystorePath, 'utf8')).not.toContain('wallet-user');
+    expect(new KeystoreSecretSource({ filePath: keystorePath, masterKey: 'master-key' }).get('DATASWIFT_USERNAME'))
+      .toBe('wallet-user');
+    expect(() => new KeystoreSecretSource({ filePath: keystorePath, masterKey: 'wrong-key' }).get('DATASWIFT_USERNAME'))
+      .toThrow('Failed to unlock secrets keystore');
+    expect(() => new KeystoreSecretSource({ filePath: keystorePath })).toThrow('master key');
+  });
+
+  test('should take each secret from the first source that has it', () => {
+    fs.writeFileSync(path.join(tmpDir, 'JWT_SECRET'), 'from-file');
+    fs.writeFileSync(path.join(tmpDir, 'MONZO_CLIENT_ID'), 'client-from-file');
+    const keystorePath = path.join(tmpDir, 'secrets.keystore');
+    KeystoreSecretSource.write(keystorePath, { DATASWIFT_PASSWORD: 'from-keystore', JWT_SECRET: 'ignored' }, 'master-key');
+
+    const provider = createSecretsProvider({
+      JWT_SECRET: 'from-env',
+      SECRETS_DIR: tmpDir,
+      SECRETS_KEYSTORE_PATH: keystorePath,
+      SECRETS_MASTER_KEY: 'master-key'
+    });
+
+    expect(provider.get('JWT_SECRET')).toBe('from-env');
+    expect(provider.get('MONZO_CLIENT_ID')).toBe('client-from-file');
+    expect(provider.get('DATASWIFT_PASSWORD')).toBe('from-keystore');
+    expect(provider.describe()).toEqual({
+      sources: ['env', 'file', 'keystore'],
+      secrets: { JWT_SECRET: 'env', MONZO_CLIENT_ID: 'file', DATASWIFT_PASSWORD: 'keystore' }
+    });
+  });
+
+  test('should only use the sources listed in SECRETS_SOURCES', () => {
+    const provider = createSecretsProvider({ SECRETS_SOURCES: 'file', SECRETS_DIR: tmpDir, JWT_SECRET: 'from-env' });
+
+    expect(provider.get('JWT_SECRET')).toBeUndefined();
+    expect(() => createSecretsProvider({ SECRETS_SOURCES: 'vault' })).toThrow('Unknown secrets source: vault');
+  });
+
+  test('should list every missing required secret', () => {
+    const provider = createSecretsProvider({ SECRETS_DIR: tmpDir, MONZO_CLIENT_ID: 'client' });
+
+    expect(() => provider.require(['MONZO_CLIENT_ID', 'JWT_SECRET', 'DATASWIFT_PASSWORD']))
+      .toThrow('Missing required secrets: JWT_SECRET, DATASWIFT_PASSWORD (looked in: env, file)');
+    expect(provider.require(['MONZO_CLIENT_ID'])).toEqual({ MONZO_CLIENT_ID: 'client' });
+  });
+});
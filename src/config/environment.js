@@ -1,4 +1,21 @@
 require('dotenv').config();
+const { createSecretsProvider } = require('./secrets-provider');
+
+// Credentials and keys come from the secrets provider (env, mounted files or the encrypted keystore)
+const secrets = createSecretsProvider();
+
+// Secrets the connector cannot start without; there are no defaults for these
+const REQUIRED_SECRETS = [
+  'MONZO_CLIENT_ID',
+  'MONZO_CLIENT_SECRET',
+  'JWT_SECRET',
+  'DATASWIFT_API_URL',
+  'DATASWIFT_USERNAME',
+  'DATASWIFT_PASSWORD',
+  'WALLET_USER_REF_SECRET'
+];
+
+const required = secrets.require(REQUIRED_SECRETS);
 
 const config = {
   // Server configuration
@@ -10,31 +27,100 @@ const config = {
 
   // Monzo API configuration
   monzo: {
-    clientId: process.env.MONZO_CLIENT_ID,
-    clientSecret: process.env.MONZO_CLIENT_SECRET,
+    clientId: required.MONZO_CLIENT_ID,
+    clientSecret: required.MONZO_CLIENT_SECRET,
     redirectUrl: process.env.MONZO_REDIRECT_URI,
     grantType: 'authorization_code',
     baseUrl: process.env.MONZO_BASE_URL || 'https://api.monzo.com',
     tokenUrl: 'https://api.monzo.com/oauth2/token',
     apiVersion: process.env.MONZO_API_VERSION || 'v1',
     rateLimitPerSecond: parseInt(process.env.MONZO_RATE_LIMIT_PER_SECOND) || 10,
-    timeout: parseInt(process.env.MONZO_TIMEOUT) || 30000
+    rateLimitPerMinute: parseInt(process.env.MONZO_RATE_LIMIT_PER_MINUTE),
+    rateLimitBurst: parseInt(process.env.MONZO_RATE_LIMIT_BURST) || 20,
+    timeout: parseInt(process.env.MONZO_TIMEOUT) || 30000,
+    tokenRefreshSkew: parseInt(process.env.MONZO_TOKEN_REFRESH_SKEW_SECONDS) || 300,
+    oauthStateTtl: parseInt(process.env.MONZO_OAUTH_STATE_TTL_SECONDS) || 600,
+    pkce: process.env.MONZO_OAUTH_PKCE === 'true',
+    scaApprovalTimeout: parseInt(process.env.MONZO_SCA_APPROVAL_TIMEOUT_SECONDS) || 600,
+    scaPollInitialDelayMs: parseInt(process.env.MONZO_SCA_POLL_INITIAL_DELAY_MS) || 5000,
+    scaPollMaxDelayMs: parseInt(process.env.MONZO_SCA_POLL_MAX_DELAY_MS) || 60000,
+    transactionPageSize: parseInt(process.env.MONZO_TRANSACTION_PAGE_SIZE) || 100
   },
 
   // Dataswyft Wallet configuration
   wallet: {
-    apiUrl: process.env.DATASWIFT_API_URL || 'https://postman.hubat.net',
-    username: process.env.DATASWIFT_USERNAME,
-    password: process.env.DATASWIFT_PASSWORD,
+    apiUrl: required.DATASWIFT_API_URL,
+    username: required.DATASWIFT_USERNAME,
+    password: required.DATASWIFT_PASSWORD,
     timeout: parseInt(process.env.WALLET_TIMEOUT) || 30000,
-    namespace: process.env.MONZO_NAMESPACE || 'monzo_banking'
+    // Routing: <namespace>/<tenant>/<environment>/<dataset path>
+    namespace: process.env.DS_NAMESPACE || process.env.MONZO_NAMESPACE || 'monzo',
+    environment: process.env.DS_ENVIRONMENT || null,
+    tenant: process.env.DS_TENANT || null,
+    paths: process.env.DS_DATA_PATHS || null,
+    environmentNamespaces: process.env.DS_ENVIRONMENT_NAMESPACES || null,
+    // Per-request tenant/environment overrides any gateway token may use
+    allowedTenants: process.env.DS_ALLOWED_TENANTS || null,
+    allowedEnvironments: process.env.DS_ALLOWED_ENVIRONMENTS || null
   },
 
   // Gateway configuration
   gateway: {
     applicationId: process.env.DS_APPLICATION_ID,
-    jwtSecret: process.env.JWT_SECRET,
-    tokenExpiry: process.env.JWT_EXPIRY || '1h'
+    jwtSecret: required.JWT_SECRET,
+    tokenExpiry: process.env.JWT_EXPIRY || '1h',
+    jwtPublicKeyPath: process.env.JWT_PUBLIC_KEY_PATH,
+    jwksPath: process.env.JWT_JWKS_PATH,
+    jwtAudience: process.env.JWT_AUDIENCE,
+    jwtIssuer: process.env.JWT_ISSUER,
+    jwtClockSkew: parseInt(process.env.JWT_CLOCK_SKEW_SECONDS) || 30
+  },
+
+  // Outgoing status callbacks
+  callbacks: {
+    // Comma-separated `keyId:secret` list; the first entry signs, every entry stays valid for receivers
+    signingSecrets: secrets.get('CALLBACK_SIGNING_SECRETS'),
+    // Comma-separated hosts; `*.example.com` matches subdomains. An empty allowlist allows any public host
+    allowedHosts: process.env.CALLBACK_ALLOWED_HOSTS,
+    deniedHosts: process.env.CALLBACK_DENIED_HOSTS,
+    allowPrivateNetworks: process.env.CALLBACK_ALLOW_PRIVATE_NETWORKS === 'true',
+    // Minutes between redeliveries of dead-lettered callbacks, e.g. "1,5,15,30,60,120,240,480"
+    redeliveryScheduleMinutes: process.env.CALLBACK_REDELIVERY_SCHEDULE_MINUTES
+      ? process.env.CALLBACK_REDELIVERY_SCHEDULE_MINUTES.split(',').map(Number).filter(minutes => minutes > 0)
+      : undefined,
+    redeliveryIntervalMs: parseInt(process.env.CALLBACK_REDELIVERY_INTERVAL_MS) || 60000,
+    // Total time allowed for one delivery, including retries and Retry-After waits
+    deliveryDeadlineMs: parseInt(process.env.CALLBACK_DELIVERY_DEADLINE_MS) || 120000
+  },
+
+  // Wallet record provenance
+  integrity: {
+    // Comma-separated `keyId:<Ed25519 key>` list (PEM or base64 DER); the first (private) key signs,
+    // every entry is published on /.well-known/connector-keys
+    signingKeys: secrets.get('CONNECTOR_SIGNING_KEYS'),
+    // HMAC key for the user references tagged on wallet records (used to erase a user's data)
+    userRefSecret: required.WALLET_USER_REF_SECRET
+  },
+
+  // Admin API (dead-letter inspection and replay); routes are disabled without a token
+  admin: {
+    apiToken: secrets.get('ADMIN_API_TOKEN')
+  },
+
+  // Connector state storage (tokens and other per-user records)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'memory',
+    filePath: process.env.STORAGE_FILE_PATH || './data/connector-store.enc.json',
+    encryptionKey: secrets.get('STORAGE_ENCRYPTION_KEY'),
+    sqlitePath: process.env.STORAGE_SQLITE_PATH || './data/connector.sqlite'
+  },
+
+  // Async webhook job queue
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 30000,
+    retentionMs: (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000
   },
 
   // Retry configuration
@@ -46,28 +132,7 @@ const config = {
   }
 };
 
-// Validation
-const requiredEnvVars = [
-  'MONZO_CLIENT_ID',
-  'MONZO_CLIENT_SECRET',
-  'JWT_SECRET'
-];
-
-// Optional variables (not required for Phase 2 testing)
-const optionalEnvVars = [
-  'DATASWIFT_USERNAME', 
-  'DATASWIFT_PASSWORD'
-];
-
-const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingVars.length > 0) {
-  throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-}
-
-// Log warnings for missing optional variables
-const missingOptionalVars = optionalEnvVars.filter(varName => !process.env[varName]);
-if (missingOptionalVars.length > 0) {
-  console.warn(`Warning: Missing optional environment variables: ${missingOptionalVars.join(', ')} (required for Phase 4)`);
-}
+// Where each secret was read from (names and source types only, never values)
+config.secrets = secrets.describe();
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
@@ -1,12 +1,29 @@
 const config = require('./environment');
 
+// Monzo amounts are integers in minor units (pence)
+const fromPence = (value) => (typeof value === 'number' ? value / 100 : value);
+// ISO 4217 currencies whose minor unit is not a hundredth; all others have two decimals
+const CURRENCY_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+// Minor units of `currency` to major units (a local_amount of 1000 JPY is ¥1000, not ¥10)
+const fromMinorUnits = (value, currency) => {
+  if (typeof value !== 'number') return value;
+  const exponent = CURRENCY_EXPONENTS[String(currency).toUpperCase()] ?? 2;
+  return value / 10 ** exponent;
+};
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : value);
+
 // Monzo-specific configuration following data connector template
 const monzoConfig = {
   // Provider identification
   provider: {
     name: "monzo",
     version: "1.0.0",
-    namespace: "monzo_banking"
+    namespace: (config.wallet && config.wallet.namespace) || "monzo"
   },
 
   // Authentication configuration
@@ -41,8 +58,8 @@ const monzoConfig = {
   // Rate limiting
   rateLimit: {
     requestsPerSecond: config.monzo.rateLimitPerSecond,
-    requestsPerMinute: config.monzo.rateLimitPerSecond * 60,
-    burstLimit: 20
+    requestsPerMinute: config.monzo.rateLimitPerMinute || config.monzo.rateLimitPerSecond * 60,
+    burstLimit: config.monzo.rateLimitBurst || 20
   },
 
   // Request configuration
@@ -89,19 +106,45 @@ const monzoConfig = {
     },
     // Balance mappings
     balance: {
+      "accountId": "monzo_account_id",
       "balance": "current_balance",
       "total_balance": "total_balance",
       "currency": "currency",
       "spend_today": "spend_today"
+    },
+    // Pot mappings
+    pot: {
+      "id": "monzo_pot_id",
+      "name": "pot_name",
+      "current_account_id": "monzo_account_id",
+      "balance": "pot_balance",
+      "currency": "currency",
+      "goal_amount": "goal_amount",
+      "type": "pot_type",
+      "created": "pot_created",
+      "updated": "pot_updated",
+      "deleted": "pot_deleted"
     }
   },
 
   // Custom transformers for complex data types
   customTransformers: {
-    amount: (value) => value / 100, // Monzo amounts are in pence
-    transaction_date: (value) => new Date(value).toISOString(),
-    account_created: (value) => new Date(value).toISOString(),
-    merchant_address: (address) => address ? address.formatted : null,
+    amount: fromPence,
+    local_amount: (value, transaction) => fromMinorUnits(value, transaction && transaction.local_currency),
+    balance_after: fromPence,
+    current_balance: fromPence,
+    total_balance: fromPence,
+    spend_today: fromPence,
+    pot_balance: fromPence,
+    goal_amount: fromPence,
+    transaction_date: toIsoDate,
+    account_created: toIsoDate,
+    pot_created: toIsoDate,
+    pot_updated: toIsoDate,
+    merchant_address: (address) => {
+      if (!address) return null;
+      return typeof address === 'string' ? address : address.formatted || null;
+    },
     category: (value) => value || 'uncategorized'
   },
 
@@ -109,7 +152,8 @@ const monzoConfig = {
   requiredFields: {
     account: ["id", "description", "currency"],
     transaction: ["id", "amount", "currency", "created"],
-    balance: ["balance", "currency"]
+    balance: ["balance", "currency"],
+    pot: ["id", "name", "balance", "currency"]
   },
 
   // Fields to exclude from properties
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const KEYSTORE_VERSION = 1;
+const DEFAULT_SECRETS_DIR = '/run/secrets';
+
+/**
+ * Environment variable secrets
+ */
+class EnvSecretSource {
+  constructor(env = process.env) {
+    this.type = 'env';
+    this.env = env;
+  }
+
+  get(name) {
+    return this.env[name] || undefined;
+  }
+}
+
+/**
+ * Mounted secret files (Docker / Kubernetes secrets)
+ * A secret is read from `<directory>/<NAME>`, or from the file named by `<NAME>_FILE`.
+ * Trailing newlines are dropped.
+ */
+class FileSecretSource {
+  constructor(options = {}) {
+    this.type = 'file';
+    this.directory = options.directory || null;
+    this.env = options.env || process.env;
+  }
+
+  get(name) {
+    const candidates = [
+      this.env[`${name}_FILE`],
+      this.directory ? path.join(this.directory, name) : null
+    ].filter(Boolean);
+
+    for (const filePath of candidates) {
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        const value = fs.readFileSync(filePath, 'utf8').replace(/[\r\n]+$/, '');
+        if (value) {
+          return value;
+        }
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Encrypted local keystore
+ * A JSON document of `NAME: value` pairs kept AES-256-GCM encrypted with a key derived
+ * (scrypt) from a master key, in the same envelope format as the encrypted file storage
+ * backend. The keystore is decrypted once, on first use.
+ */
+class KeystoreSecretSource {
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('Secrets keystore requires a file path');
+    }
+    if (!options.masterKey) {
+      throw new Error('Secrets keystore requires a master key (SECRETS_MASTER_KEY)');
+    }
+
+    this.type = 'keystore';
+    this.filePath = options.filePath;
+    this.masterKey = options.masterKey;
+    this.secrets = null;
+  }
+
+  get(name) {
+    return this.load()[name] || undefined;
+  }
+
+  load() {
+    if (this.secrets) {
+      return this.secrets;
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`Secrets keystore not found: ${this.filePath}`);
+    }
+
+    const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (envelope.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported secrets keystore version: ${envelope.version}`);
+    }
+
+    try {
+      const key = crypto.scryptSync(this.masterKey, Buffer.from(envelope.salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      this.secrets = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error('Failed to unlock secrets keystore - wrong master key or corrupted file');
+    }
+
+    return this.secrets;
+  }
+
+  /**
+   * Write a keystore holding the given secrets
+   * @param {string} filePath - Keystore file to create or replace
+   * @param {Object} secrets - `NAME: value` pairs
+   * @param {string} masterKey - Key the keystore is unlocked with
+   */
+  static write(filePath, secrets, masterKey) {
+    if (!masterKey) {
+      throw new Error('Secrets keystore requires a master key (SECRETS_MASTER_KEY)');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = crypto.scryptSync(masterKey, salt, 32);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    const envelope = {
+      version: KEYSTORE_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(envelope), { mode: 0o600 });
+  }
+}
+
+/**
+ * Secrets provider
+ * Looks each secret up in its sources in order (by default env, then mounted files, then
+ * the encrypted keystore) and takes the first value found. Secret values are never logged;
+ * `describe()` only reports which source each secret came from.
+ */
+class SecretsProvider {
+  constructor(options = {}) {
+    this.sources = options.sources || [new EnvSecretSource()];
+    this.resolved = new Map();
+  }
+
+  /**
+   * Get a secret
+   * @returns {string|undefined} Value from the first source that has it
+   */
+  get(name) {
+    for (const source of this.sources) {
+      const value = source.get(name);
+      if (value !== undefined) {
+        this.resolved.set(name, source.type);
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get secrets that must be present
+   * @param {string[]} names - Secret names
+   * @returns {Object} Values keyed by name
+   * @throws {Error} Listing every missing secret
+   */
+  require(names) {
+    const values = {};
+    const missing = [];
+
+    names.forEach(name => {
+      const value = this.get(name);
+      if (value === undefined) {
+        missing.push(name);
+      } else {
+        values[name] = value;
+      }
+    });
+
+    if (missing.length > 0) {
+      const sources = this.sources.map(source => source.type).join(', ');
+      throw new Error(`Missing required secrets: ${missing.join(', ')} (looked in: ${sources})`);
+    }
+
+    return values;
+  }
+
+  /**
+   * Which source each secret read so far came from (names and source types only)
+   */
+  describe() {
+    return {
+      sources: this.sources.map(source => source.type),
+      secrets: Object.fromEntries(this.resolved)
+    };
+  }
+}
+
+/**
+ * Build the secrets provider from the environment
+ * SECRETS_SOURCES picks and orders the sources (default `env,file,keystore`). Mounted files
+ * are read from SECRETS_DIR (default /run/secrets); the keystore is used when
+ * SECRETS_KEYSTORE_PATH is set and is unlocked with SECRETS_MASTER_KEY (itself an env
+ * variable or a mounted file).
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {SecretsProvider}
+ */
+function createSecretsProvider(env = process.env) {
+  const names = (env.SECRETS_SOURCES || 'env,file,keystore')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const envSource = new EnvSecretSource(env);
+  const fileSource = new FileSecretSource({ directory: env.SECRETS_DIR || DEFAULT_SECRETS_DIR, env });
+
+  const sources = names.map(name => {
+    switch (name) {
+      case 'env':
+        return envSource;
+      case 'file':
+        return fileSource;
+      case 'keystore':
+        if (!env.SECRETS_KEYSTORE_PATH) {
+          return null;
+        }
+        return new KeystoreSecretSource({
+          filePath: env.SECRETS_KEYSTORE_PATH,
+          masterKey: envSource.get('SECRETS_MASTER_KEY') || fileSource.get('SECRETS_MASTER_KEY')
+        });
+      default:
+        throw new Error(`Unknown secrets source: ${name}`);
+    }
+  }).filter(Boolean);
+
+  return new SecretsProvider({ sources });
+}
+
+module.exports = SecretsProvider;
+module.exports.EnvSecretSource = EnvSecretSource;
+module.exports.FileSecretSource = FileSecretSource;
+module.exports.KeystoreSecretSource = KeystoreSecretSource;
+module.exports.createSecretsProvider = createSecretsProvider;
@@ -0,0 +1,394 @@
+jest.mock('../../config/environment', () => ({
+  server: {},
+  monzo: {
+    baseUrl: 'https://api.monzo.test',
+    rateLimitPerSecond: 1000,
+    timeout: 1000,
+    tokenRefreshSkew: 300
+  },
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1,
+    maxDelay: 5,
+    backoffMultiplier: 2
+  },
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MonzoConnector = require('../monzo-connector');
+const MonzoCredentials = require('../../auth/monzo-credentials');
+const TokenStore = require('../../storage/token-store');
+const { createStorageBackend } = require('../../storage/backends');
+const RetryHandler = require('../../utils/retry-handler');
+const RateLimiter = require('../../utils/rate-limiter');
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 401 ? 'Unauthorized' : 'OK',
+  headers: { get: name => headers[name.toLowerCase()] || null },
+  json: jest.fn().mockResolvedValue(body),
+  text: jest.fn().mockResolvedValue(JSON.stringify(body))
+});
+
+describe('MonzoConnector', () => {
+  let connector;
+  let tokenStore;
+  let oauthHandler;
+  let rateLimiter;
+  let originalFetch;
+
+  const userId = 'user@example.com';
+
+  beforeEach(async () => {
+    originalFetch = global.fetch;
+    global.fetch = jest.fn();
+
+    oauthHandler = {
+      refreshAccessToken: jest.fn().mockResolvedValue({
+        accessToken: 'access_new',
+        refreshToken: 'refresh_new',
+        expiresIn: 3600
+      })
+    };
+    tokenStore = new TokenStore(createStorageBackend({ backend: 'memory' }));
+    await tokenStore.saveTokens(userId, { accessToken: 'access_old', refreshToken: 'refresh_old', expiresIn: 3600 });
+
+    rateLimiter = new RateLimiter({ requestsPerSecond: 1000, requestsPerMinute: 60000, burstLimit: 100 });
+    connector = new MonzoConnector({ oauthHandler, rateLimiter });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const authHeader = call => call[1].headers.Authorization;
+
+  describe('makeApiRequest', () => {
+    test('should accept a raw access token', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { accounts: [] }));
+
+      await connector.makeApiRequest('/accounts', 'raw_token');
+
+      expect(global.fetch).toHaveBeenCalledWith('https://api.monzo.test/accounts', expect.any(Object));
+      expect(authHeader(global.fetch.mock.calls[0])).toBe('Bearer raw_token');
+    });
+
+    test('should refresh and retry once when the token is rejected', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(401, { code: 'unauthorized.bad_access_token' }))
+        .mockResolvedValueOnce(jsonResponse(200, { accounts: [] }));
+
+      const credentials = new MonzoCredentials({ userId, tokenStore, oauthHandler });
+      const data = await connector.makeApiRequest('/accounts', credentials);
+
+      expect(data).toEqual({ accounts: [] });
+      expect(oauthHandler.refreshAccessToken).toHaveBeenCalledWith('refresh_old');
+      expect(authHeader(global.fetch.mock.calls[0])).toBe('Bearer access_old');
+      expect(authHeader(global.fetch.mock.calls[1])).toBe('Bearer access_new');
+      expect((await tokenStore.getTokens(userId)).refreshToken).toBe('refresh_new');
+    });
+
+    test('should not retry more than once', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(401, { code: 'unauthorized.bad_access_token' }));
+
+      const credentials = new MonzoCredentials({ userId, tokenStore, oauthHandler });
+
+      await expect(connector.makeApiRequest('/accounts', credentials)).rejects.toThrow('Unauthorized');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(oauthHandler.refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry transient server errors', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(503, {}))
+        .mockResolvedValueOnce(jsonResponse(200, { accounts: [] }));
+
+      const data = await connector.makeApiRequest('/accounts', 'raw_token');
+
+      expect(data).toEqual({ accounts: [] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry network failures as API errors', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new TypeError('fetch failed'))
+        .mockResolvedValueOnce(jsonResponse(200, { accounts: [] }));
+
+      await expect(connector.makeApiRequest('/accounts', 'raw_token')).resolves.toEqual({ accounts: [] });
+    });
+
+    test('should throw RATE_LIMITED errors carrying status and Retry-After', async () => {
+      connector = new MonzoConnector({ oauthHandler, rateLimiter, retryHandler: new RetryHandler({ maxAttempts: 1 }) });
+      global.fetch.mockResolvedValue(jsonResponse(429, {}, { 'retry-after': '7' }));
+
+      const error = await connector.makeApiRequest('/accounts', 'raw_token').catch(err => err);
+
+      expect(error.category).toBe('RATE_LIMITED');
+      expect(error.status).toBe(429);
+      expect(error.retryAfter).toBe(7);
+      expect(error.retryable).toBe(true);
+      expect(rateLimiter.getMetrics().throttled).toBe(1);
+    });
+
+    test('should hand long Retry-After waits back to the caller instead of sleeping', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(429, {}, { 'retry-after': '120' }));
+
+      const error = await connector.makeApiRequest('/accounts', 'raw_token').catch(err => err);
+
+      expect(error.category).toBe('RATE_LIMITED');
+      expect(error.retryAfter).toBe(120);
+      expect(error.retryDeferred).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the configured attempts', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(500, {}));
+
+      const error = await connector.makeApiRequest('/accounts', 'raw_token').catch(err => err);
+
+      expect(error.category).toBe('API_ERROR');
+      expect(error.status).toBe(500);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry DATA_NOT_FOUND errors', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(404, {}));
+
+      const error = await connector.makeApiRequest('/balance?account_id=acc_x', 'raw_token').catch(err => err);
+
+      expect(error.category).toBe('DATA_NOT_FOUND');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should raise TOKEN_EXPIRED when the token is rejected', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(401, {}));
+
+      const error = await connector.makeApiRequest('/accounts', 'raw_token').catch(err => err);
+
+      expect(error.category).toBe('TOKEN_EXPIRED');
+      expect(error.retryable).toBe(false);
+    });
+
+    test('should pass every request through the rate limiter', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { accounts: [] }));
+
+      await connector.makeApiRequest('/accounts', 'raw_token');
+      await connector.makeApiRequest('/accounts', 'raw_token');
+
+      expect(rateLimiter.getMetrics().acquired).toBe(2);
+    });
+
+    test('should not refresh a raw access token', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(401, {}));
+
+      await expect(connector.makeApiRequest('/accounts', 'raw_token')).rejects.toThrow('Unauthorized');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(oauthHandler.refreshAccessToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transaction backfill', () => {
+    const transaction = (id, created) => ({ id, created, amount: -100 });
+    const transactionsResponse = transactions => jsonResponse(200, { transactions });
+    const requestedParams = call => new URL(call[0]).searchParams;
+
+    test('should walk since cursors using the last transaction id', async () => {
+      await tokenStore.saveTokens(userId, { accessToken: 'access_old', expiresIn: 3600 }, { newLogin: true });
+      global.fetch
+        .mockResolvedValueOnce(transactionsResponse([
+          transaction('tx_1', '2020-01-01T00:00:00Z'),
+          transaction('tx_2', '2020-01-02T00:00:00Z')
+        ]))
+        .mockResolvedValueOnce(transactionsResponse([
+          transaction('tx_3', '2020-01-03T00:00:00Z'),
+          transaction('tx_4', '2020-01-04T00:00:00Z')
+        ]))
+        .mockResolvedValueOnce(transactionsResponse([
+          transaction('tx_5', '2020-01-05T00:00:00Z')
+        ]));
+
+      const credentials = new MonzoCredentials({ userId, tokenStore, oauthHandler });
+      const transactions = await connector.getAllTransactions('acc_1', credentials, { pageSize: 2 });
+
+      expect(transactions.map(tx => tx.id)).toEqual(['tx_1', 'tx_2', 'tx_3', 'tx_4', 'tx_5']);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(requestedParams(global.fetch.mock.calls[0]).get('since')).toBeNull();
+      expect(requestedParams(global.fetch.mock.calls[1]).get('since')).toBe('tx_2');
+      expect(requestedParams(global.fetch.mock.calls[2]).get('since')).toBe('tx_4');
+      expect(requestedParams(global.fetch.mock.calls[0]).get('limit')).toBe('2');
+    });
+
+    test('should expose the history as an async iterator', async () => {
+      global.fetch.mockResolvedValueOnce(transactionsResponse([
+        transaction('tx_1', '2020-01-01T00:00:00Z')
+      ]));
+
+      const ids = [];
+      for await (const tx of connector.iterateTransactions('acc_1', 'raw_token')) {
+        ids.push(tx.id);
+      }
+
+      expect(ids).toEqual(['tx_1']);
+    });
+
+    test('should limit the backfill to 90 days once the login window has passed', async () => {
+      const loginTime = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(loginTime + 10 * 60 * 1000);
+      global.fetch.mockResolvedValueOnce(transactionsResponse([]));
+
+      try {
+        const credentials = new MonzoCredentials({ userId, tokenStore, oauthHandler });
+        await connector.getAllTransactions('acc_1', credentials);
+      } finally {
+        Date.now.mockRestore();
+      }
+
+      const since = new Date(requestedParams(global.fetch.mock.calls[0]).get('since'));
+      const ninetyDaysAgo = loginTime + 10 * 60 * 1000 - 90 * 24 * 60 * 60 * 1000;
+      expect(since.getTime()).toBeGreaterThan(ninetyDaysAgo);
+      expect(since.getTime()).toBeLessThan(ninetyDaysAgo + 5 * 60 * 1000);
+    });
+
+    test('should assume the restricted window for raw access tokens', async () => {
+      global.fetch.mockResolvedValueOnce(transactionsResponse([]));
+
+      await connector.getAllTransactions('acc_1', 'raw_token', { since: '2015-01-01T00:00:00Z' });
+
+      const since = requestedParams(global.fetch.mock.calls[0]).get('since');
+      expect(new Date(since).getTime()).toBeGreaterThan(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should keep transaction id cursors supplied by the caller', async () => {
+      global.fetch.mockResolvedValueOnce(transactionsResponse([]));
+
+      await connector.getAllTransactions('acc_1', 'raw_token', { since: 'tx_9' });
+
+      expect(requestedParams(global.fetch.mock.calls[0]).get('since')).toBe('tx_9');
+    });
+
+    test('should stop at the before bound and at maxTransactions', async () => {
+      global.fetch.mockResolvedValue(transactionsResponse([
+        transaction('tx_1', '2020-01-01T00:00:00Z'),
+        transaction('tx_2', '2020-01-02T00:00:00Z'),
+        transaction('tx_3', '2020-01-03T00:00:00Z')
+      ]));
+
+      const bounded = await connector.getAllTransactions('acc_1', 'raw_token', {
+        pageSize: 3,
+        before: '2020-01-03T00:00:00Z'
+      });
+      const limited = await connector.getAllTransactions('acc_1', 'raw_token', {
+        pageSize: 3,
+        maxTransactions: 1
+      });
+
+      expect(bounded.map(tx => tx.id)).toEqual(['tx_1', 'tx_2']);
+      expect(limited.map(tx => tx.id)).toEqual(['tx_1']);
+    });
+  });
+
+  describe('incremental sync', () => {
+    const accountsResponse = () => jsonResponse(200, { accounts: [{ id: 'acc_1', description: 'Current account' }] });
+    const balanceResponse = () => jsonResponse(200, { balance: 100, currency: 'GBP' });
+
+    test('should fetch only transactions after the high-water mark', async () => {
+      const recent = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+      global.fetch
+        .mockResolvedValueOnce(accountsResponse())
+        .mockResolvedValueOnce(balanceResponse())
+        .mockResolvedValueOnce(jsonResponse(200, { pots: [] }))
+        .mockResolvedValueOnce(jsonResponse(200, { transactions: [{ id: 'tx_2', created: recent }] }));
+
+      const data = await connector.getCompleteAccountData('raw_token', {
+        incremental: true,
+        syncMarks: { acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: recent } }
+      });
+
+      expect(new URL(global.fetch.mock.calls[3][0]).searchParams.get('since')).toBe('tx_1');
+      expect(data.transactions[0].transactions.map(tx => tx.id)).toEqual(['tx_2']);
+      expect(data.syncMeta).toEqual({
+        mode: 'incremental',
+        marks: { acc_1: { lastTransactionId: 'tx_2', lastTransactionCreated: recent } }
+      });
+    });
+
+    test('should keep the previous mark when nothing new arrived', async () => {
+      const mark = { lastTransactionId: 'tx_1', lastTransactionCreated: new Date().toISOString() };
+      global.fetch
+        .mockResolvedValueOnce(accountsResponse())
+        .mockResolvedValueOnce(balanceResponse())
+        .mockResolvedValueOnce(jsonResponse(200, { pots: [] }))
+        .mockResolvedValueOnce(jsonResponse(200, { transactions: [] }));
+
+      const data = await connector.getCompleteAccountData('raw_token', { incremental: true, syncMarks: { acc_1: mark } });
+
+      expect(data.syncMeta.marks.acc_1).toEqual(mark);
+    });
+
+    test('should restart from the readable window when the mark is older than 90 days', async () => {
+      global.fetch
+        .mockResolvedValueOnce(accountsResponse())
+        .mockResolvedValueOnce(balanceResponse())
+        .mockResolvedValueOnce(jsonResponse(200, { pots: [] }))
+        .mockResolvedValueOnce(jsonResponse(200, { transactions: [] }));
+
+      await connector.getCompleteAccountData('raw_token', {
+        incremental: true,
+        syncMarks: { acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2015-01-01T00:00:00Z' } }
+      });
+
+      const since = new URL(global.fetch.mock.calls[3][0]).searchParams.get('since');
+      expect(new Date(since).getTime()).toBeGreaterThan(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('getPots', () => {
+    test('should request pots for the current account', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { pots: [{ id: 'pot_1', name: 'Savings', balance: 2500 }] }));
+
+      const pots = await connector.getPots('acc_1', 'raw_token');
+
+      expect(global.fetch).toHaveBeenCalledWith('https://api.monzo.test/pots?current_account_id=acc_1', expect.any(Object));
+      expect(pots).toEqual([{ id: 'pot_1', name: 'Savings', balance: 2500 }]);
+    });
+
+    test('should include pots in complete account data', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(200, { accounts: [{ id: 'acc_1' }] }))
+        .mockResolvedValueOnce(jsonResponse(200, { balance: 100, currency: 'GBP' }))
+        .mockResolvedValueOnce(jsonResponse(200, { pots: [{ id: 'pot_1' }] }))
+        .mockResolvedValueOnce(jsonResponse(200, { transactions: [] }));
+
+      const data = await connector.getCompleteAccountData('raw_token');
+
+      expect(data.pots).toEqual([{ accountId: 'acc_1', pots: [{ id: 'pot_1' }] }]);
+      expect(data.errors).toEqual([]);
+    });
+
+    test('should keep transactions and the sync mark when pots fail', async () => {
+      const created = new Date().toISOString();
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(200, { accounts: [{ id: 'acc_1' }] }))
+        .mockResolvedValueOnce(jsonResponse(200, { balance: 100, currency: 'GBP' }))
+        .mockResolvedValueOnce(jsonResponse(400, { code: 'bad_request', message: 'Pots unavailable' }))
+        .mockResolvedValueOnce(jsonResponse(200, { transactions: [{ id: 'tx_1', created }] }));
+
+      const data = await connector.getCompleteAccountData('raw_token', { incremental: true });
+
+      expect(data.pots).toEqual([]);
+      expect(data.errors).toEqual([{ accountId: 'acc_1', dataset: 'pots', error: expect.any(String) }]);
+      expect(data.balances).toHaveLength(1);
+      expect(data.transactions).toEqual([{ accountId: 'acc_1', transactions: [{ id: 'tx_1', created }] }]);
+      expect(data.syncMeta.marks).toEqual({ acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: created } });
+    });
+  });
+});
@@ -1,100 +1,197 @@
 const config = require('../config/environment');
 const logger = require('../utils/logger');
 const MonzoOAuthHandler = require('../auth/monzo-oauth-handler');
+const MonzoCredentials = require('../auth/monzo-credentials');
+const RetryHandler = require('../utils/retry-handler');
+const { getSharedRateLimiter } = require('../utils/rate-limiter');
+const { ErrorHandler } = require('../utils/error-handler');
+
+// Monzo only allows the full transaction history to be read in the first
+// 5 minutes after login; after that, requests are limited to the last 90 days
+const FULL_HISTORY_WINDOW_MS = 5 * 60 * 1000;
+const RESTRICTED_HISTORY_DAYS = 90;
+const MAX_TRANSACTION_PAGE_SIZE = 100;
 
 /**
  * Monzo API Connector
  * Handles data extraction from Monzo Banking API
  */
 class MonzoConnector {
-  constructor() {
+  constructor(options = {}) {
     this.baseUrl = config.monzo.baseUrl;
-    this.oauthHandler = new MonzoOAuthHandler();
-    this.rateLimitDelay = 1000 / config.monzo.rateLimitPerSecond; // Convert to milliseconds between requests
+    this.oauthHandler = options.oauthHandler || new MonzoOAuthHandler();
+    this.retryHandler = options.retryHandler || new RetryHandler();
+    this.rateLimiter = options.rateLimiter || getSharedRateLimiter();
     this.timeout = config.monzo.timeout;
+    this.transactionPageSize = Math.min(config.monzo.transactionPageSize || MAX_TRANSACTION_PAGE_SIZE, MAX_TRANSACTION_PAGE_SIZE);
     
     logger.info('Monzo Connector initialized', {
       baseUrl: this.baseUrl,
-      rateLimitDelay: this.rateLimitDelay
+      rateLimit: this.rateLimiter.getMetrics().limits
     });
   }
 
   /**
    * Make authenticated API request to Monzo
+   * Transient failures (429, 5xx, network errors) are retried by the RetryHandler;
+   * a 401 triggers one token refresh and retry.
    * @param {string} endpoint - API endpoint
-   * @param {string} accessToken - Access token
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
    * @param {Object} options - Request options
    * @returns {Object} API response
+   * @throws {Error} Categorized error (TOKEN_EXPIRED, AUTH_FAILURE, RATE_LIMITED, API_ERROR, DATA_NOT_FOUND, INVALID_DATA)
    */
-  async makeApiRequest(endpoint, accessToken, options = {}) {
+  async makeApiRequest(endpoint, credentials, options = {}) {
     try {
-      if (!accessToken) {
-        throw new Error('Access token is required');
-      }
+      const credentialHandle = MonzoCredentials.from(credentials);
 
-      const url = `${this.baseUrl}${endpoint}`;
-      logger.info('Making Monzo API request', { endpoint, url });
+      return await this.retryHandler.withRetry(
+        () => this.executeApiRequest(endpoint, credentialHandle, options),
+        { endpoint }
+      );
 
-      const response = await fetch(url, {
-        method: options.method || 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'MonzoDataConnector/1.0.0',
-          ...options.headers
-        },
-        body: options.body,
-        timeout: this.timeout
+    } catch (error) {
+      logger.error('API request error', {
+        endpoint,
+        error: error.message,
+        category: error.category,
+        status: error.status
       });
+      throw error;
+    }
+  }
 
-      logger.info('API response received', { 
+  /**
+   * Perform a single attempt of an API request
+   * @returns {Object} Parsed JSON response
+   */
+  async executeApiRequest(endpoint, credentialHandle, options = {}) {
+    const accessToken = await credentialHandle.getAccessToken();
+
+    const url = `${this.baseUrl}${endpoint}`;
+    logger.info('Making Monzo API request', { endpoint, url });
+
+    const rateLimitKey = credentialHandle.rateLimitKey;
+    await this.rateLimiter.acquire(rateLimitKey);
+    let response = await this.sendRequest(url, accessToken, options);
+
+    if (response.status === 401 && credentialHandle.canRefresh) {
+      logger.info('Access token rejected, refreshing and retrying once', { endpoint });
+      const refreshed = await credentialHandle.refresh(accessToken);
+      await this.rateLimiter.acquire(rateLimitKey);
+      response = await this.sendRequest(url, refreshed.accessToken, options);
+    }
+
+    logger.info('API response received', { 
+      status: response.status, 
+      statusText: response.statusText,
+      endpoint 
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error('API request failed', { 
+        endpoint,
         status: response.status, 
         statusText: response.statusText,
-        endpoint 
+        error: errorText 
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        logger.error('API request failed', { 
-          endpoint,
-          status: response.status, 
-          statusText: response.statusText,
-          error: errorText 
-        });
+      const error = this.createApiError(response, endpoint, errorText);
+      if (response.status === 429) {
+        this.rateLimiter.penalize(rateLimitKey, error.retryAfter);
+      }
+      throw error;
+    }
 
-        // Handle specific error cases
-        if (response.status === 401) {
-          throw new Error('Unauthorized - token may be expired or invalid');
-        } else if (response.status === 403) {
-          throw new Error('Forbidden - insufficient permissions. Check mobile app approval.');
-        } else if (response.status === 429) {
-          throw new Error('Rate limit exceeded - too many requests');
-        }
+    this.rateLimiter.recordSuccess();
 
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
+    const data = await response.json();
+    logger.info('API request successful', { endpoint, dataKeys: Object.keys(data) });
 
-      const data = await response.json();
-      logger.info('API request successful', { endpoint, dataKeys: Object.keys(data) });
+    return data;
+  }
 
-      return data;
+  /**
+   * Build a categorized error from a failed Monzo API response
+   * `status` is the HTTP status from Monzo; `retryAfter` is the server's Retry-After
+   * in seconds (null when absent, so the RetryHandler falls back to backoff with jitter)
+   */
+  createApiError(response, endpoint, errorText) {
+    const retryAfterHeader = response.headers && response.headers.get
+      ? response.headers.get('retry-after')
+      : null;
+    const retryAfter = RetryHandler.parseRetryAfter(retryAfterHeader);
+    const context = { endpoint, status: response.status, response: errorText };
+
+    let error;
+    if (response.status === 401) {
+      error = ErrorHandler.createError('TOKEN_EXPIRED', null, context);
+      error.message = 'Unauthorized - token may be expired or invalid';
+      // Refresh has already been attempted, so retrying the same request cannot help
+      error.retryable = false;
+    } else if (response.status === 403) {
+      error = ErrorHandler.createError('AUTH_FAILURE', null, context);
+      error.message = 'Forbidden - insufficient permissions. Check mobile app approval.';
+      error.retryable = false;
+    } else if (response.status === 404) {
+      error = ErrorHandler.createError('DATA_NOT_FOUND', null, context);
+      error.message = `Not found: ${endpoint}`;
+    } else if (response.status === 429) {
+      error = ErrorHandler.createError('RATE_LIMITED', null, context);
+      error.message = 'Rate limit exceeded - too many requests';
+    } else if (response.status >= 500) {
+      error = ErrorHandler.createError('API_ERROR', null, context);
+      error.message = `API request failed: ${response.status} ${response.statusText}`;
+    } else {
+      error = ErrorHandler.createError('INVALID_DATA', null, context);
+      error.message = `API request failed: ${response.status} ${response.statusText}`;
+    }
 
-    } catch (error) {
-      logger.error('API request error', { endpoint, error: error.message });
+    error.status = response.status;
+    error.retryAfter = retryAfter;
+    if (retryAfterHeader) {
+      error.headers = { 'retry-after': retryAfterHeader };
+    }
+
+    return error;
+  }
+
+  /**
+   * Send a single HTTP request to the Monzo API
+   * Network failures are raised as retryable API_ERRORs
+   */
+  async sendRequest(url, accessToken, options = {}) {
+    try {
+      return await fetch(url, {
+        method: options.method || 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          'User-Agent': 'MonzoDataConnector/1.0.0',
+          ...options.headers
+        },
+        body: options.body,
+        timeout: this.timeout
+      });
+    } catch (networkError) {
+      const error = ErrorHandler.createError('API_ERROR', networkError, { url });
+      error.message = `Network error calling Monzo API: ${networkError.message}`;
+      error.retryAfter = null;
       throw error;
     }
   }
 
   /**
    * Get user's Monzo accounts
-   * @param {string} accessToken - Access token
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
    * @returns {Array} Array of account objects
    */
-  async getAccounts(accessToken) {
+  async getAccounts(credentials) {
     try {
       logger.info('Fetching Monzo accounts');
       
-      const data = await this.makeApiRequest('/accounts', accessToken);
+      const data = await this.makeApiRequest('/accounts', credentials);
       
       if (!data.accounts) {
         logger.warn('No accounts found in response', { data });
@@ -116,14 +213,14 @@ class MonzoConnector {
   /**
    * Get account balance
    * @param {string} accountId - Account ID
-   * @param {string} accessToken - Access token
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
    * @returns {Object} Balance information
    */
-  async getAccountBalance(accountId, accessToken) {
+  async getAccountBalance(accountId, credentials) {
     try {
       logger.info('Fetching account balance', { accountId });
 
-      const data = await this.makeApiRequest(`/balance?account_id=${accountId}`, accessToken);
+      const data = await this.makeApiRequest(`/balance?account_id=${accountId}`, credentials);
       
       logger.info('Successfully retrieved balance', { 
         accountId, 
@@ -139,14 +236,44 @@ class MonzoConnector {
     }
   }
 
+  /**
+   * Get pots belonging to a current account
+   * @param {string} accountId - Current account ID
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
+   * @returns {Array} Array of pot objects
+   */
+  async getPots(accountId, credentials) {
+    try {
+      logger.info('Fetching pots', { accountId });
+
+      const data = await this.makeApiRequest(`/pots?current_account_id=${accountId}`, credentials);
+
+      if (!data.pots) {
+        logger.warn('No pots found in response', { data });
+        return [];
+      }
+
+      logger.info('Successfully retrieved pots', {
+        accountId,
+        potCount: data.pots.length
+      });
+
+      return data.pots;
+
+    } catch (error) {
+      logger.error('Failed to get pots', { accountId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get transactions for an account
    * @param {string} accountId - Account ID
-   * @param {string} accessToken - Access token
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
    * @param {Object} options - Query options (since, before, limit)
    * @returns {Array} Array of transaction objects
    */
-  async getTransactions(accountId, accessToken, options = {}) {
+  async getTransactions(accountId, credentials, options = {}) {
     try {
       logger.info('Fetching transactions', { accountId, options });
 
@@ -158,7 +285,7 @@ class MonzoConnector {
       if (options.limit) queryParams.append('limit', options.limit.toString());
 
       const endpoint = `/transactions?${queryParams.toString()}`;
-      const data = await this.makeApiRequest(endpoint, accessToken);
+      const data = await this.makeApiRequest(endpoint, credentials);
 
       if (!data.transactions) {
         logger.warn('No transactions found in response', { data });
@@ -179,27 +306,166 @@ class MonzoConnector {
   }
 
   /**
-   * Get comprehensive account data (accounts + balances + recent transactions)
-   * @param {string} accessToken - Access token
-   * @param {Object} options - Options for transaction retrieval
+   * Iterate over an account's transaction history, page by page
+   * Walks forward using the last transaction id as the `since` cursor until the
+   * history is exhausted, the `before` bound is reached or `maxTransactions` is hit.
+   * Once the full-history window after login has passed, `since` is clamped to
+   * the last 90 days.
+   * @param {string} accountId - Account ID
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
+   * @param {Object} options - since (RFC 3339 timestamp or transaction id), sinceCreated (created time of a
+   *   transaction id cursor), before, pageSize, maxTransactions
+   * @yields {Object} Transaction objects, oldest first
+   */
+  async *iterateTransactions(accountId, credentials, options = {}) {
+    const credentialHandle = MonzoCredentials.from(credentials);
+    const pageSize = Math.min(options.pageSize || this.transactionPageSize, MAX_TRANSACTION_PAGE_SIZE);
+    const maxTransactions = options.maxTransactions || Infinity;
+    const beforeTime = options.before ? new Date(options.before).getTime() : null;
+
+    let since = await this.resolveBackfillStart(credentialHandle, options.since, options.sinceCreated);
+    let yielded = 0;
+    let pageCount = 0;
+
+    logger.info('Starting transaction backfill', { accountId, since, before: options.before, pageSize });
+
+    while (yielded < maxTransactions) {
+      const page = await this.getTransactions(accountId, credentialHandle, {
+        since,
+        before: options.before,
+        limit: pageSize
+      });
+      pageCount++;
+
+      for (const transaction of page) {
+        if (transaction.id === since) {
+          continue;
+        }
+        if (beforeTime && new Date(transaction.created).getTime() >= beforeTime) {
+          logger.info('Transaction backfill reached date bound', { accountId, pageCount, transactionCount: yielded });
+          return;
+        }
+
+        yield transaction;
+        yielded++;
+
+        if (yielded >= maxTransactions) {
+          break;
+        }
+      }
+
+      const lastTransaction = page[page.length - 1];
+      if (page.length < pageSize || !lastTransaction || lastTransaction.id === since) {
+        break;
+      }
+
+      since = lastTransaction.id;
+    }
+
+    logger.info('Transaction backfill complete', { accountId, pageCount, transactionCount: yielded });
+  }
+
+  /**
+   * Get an account's full transaction history (collected variant of iterateTransactions)
+   * @param {string} accountId - Account ID
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
+   * @param {Object} options - Same options as iterateTransactions
+   * @returns {Array} Array of transaction objects, oldest first
+   */
+  async getAllTransactions(accountId, credentials, options = {}) {
+    const transactions = [];
+    for await (const transaction of this.iterateTransactions(accountId, credentials, options)) {
+      transactions.push(transaction);
+    }
+    return transactions;
+  }
+
+  /**
+   * Work out where a backfill may start given Monzo's 90-day rule
+   * Full history is only readable within 5 minutes of login; when the login time is
+   * unknown (raw access tokens) the restricted window is assumed.
+   * @param {MonzoCredentials} credentialHandle - Credential handle
+   * @param {string} requestedSince - Requested `since` cursor (timestamp or transaction id)
+   * @param {string} sinceCreated - Created time of the transaction id cursor, when known
+   * @returns {string|undefined} `since` cursor to use for the first page
+   */
+  async resolveBackfillStart(credentialHandle, requestedSince, sinceCreated = null) {
+    const authenticatedAt = await credentialHandle.getAuthenticatedAt();
+    const fullHistoryAvailable = authenticatedAt &&
+      Date.now() - authenticatedAt.getTime() < FULL_HISTORY_WINDOW_MS;
+
+    if (fullHistoryAvailable) {
+      return requestedSince;
+    }
+
+    // Leave a minute of headroom so the bound is still inside the window when the request lands
+    const earliestAllowed = new Date(Date.now() - RESTRICTED_HISTORY_DAYS * 24 * 60 * 60 * 1000 + 60 * 1000);
+
+    // Transaction id cursors point at data the caller has already read, so leave them
+    // alone unless that transaction has itself fallen out of the readable window
+    if (requestedSince && !this.isTimestampCursor(requestedSince)) {
+      if (!sinceCreated || new Date(sinceCreated) >= earliestAllowed) {
+        return requestedSince;
+      }
+      logger.warn('Sync cursor is older than 90 days, restarting from the readable window', {
+        cursor: requestedSince,
+        sinceCreated
+      });
+      return earliestAllowed.toISOString();
+    }
+
+    if (!requestedSince || new Date(requestedSince) < earliestAllowed) {
+      logger.info('Limiting transaction backfill to the last 90 days', {
+        requestedSince,
+        since: earliestAllowed.toISOString(),
+        authenticatedAt: authenticatedAt ? authenticatedAt.toISOString() : null
+      });
+      return earliestAllowed.toISOString();
+    }
+
+    return requestedSince;
+  }
+
+  isTimestampCursor(cursor) {
+    return !Number.isNaN(Date.parse(cursor));
+  }
+
+  /**
+   * Get comprehensive account data (accounts + balances + pots + transaction history)
+   * In incremental mode only transactions after each account's high-water mark
+   * (`options.syncMarks`, keyed by account id) are fetched; `syncMeta.marks` in the
+   * result holds the marks to save once the data has been stored. Pots that cannot be fetched
+   * are listed in `errors` without dropping the account's other data.
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
+   * @param {Object} options - Options for transaction retrieval (since, before, transactionLimit, incremental, syncMarks)
    * @returns {Object} Complete account data
    */
-  async getCompleteAccountData(accessToken, options = {}) {
+  async getCompleteAccountData(credentials, options = {}) {
     try {
       logger.info('Fetching complete account data');
 
       // Get all accounts
-      const accounts = await this.getAccounts(accessToken);
+      const accounts = await this.getAccounts(credentials);
       
       if (accounts.length === 0) {
         logger.warn('No accounts found for user');
-        return { accounts: [], balances: [], transactions: [] };
+        return { accounts: [], balances: [], pots: [], transactions: [], errors: [] };
       }
 
+      const incremental = !!options.incremental;
+      const syncMarks = options.syncMarks || {};
+
       const completeData = {
         accounts: [],
         balances: [],
-        transactions: []
+        pots: [],
+        transactions: [],
+        // Datasets that could not be fetched for an account: { accountId, dataset, error }
+        errors: [],
+        syncMeta: {
+          mode: incremental ? 'incremental' : 'full',
+          marks: {}
+        }
       };
 
       // Process each account
@@ -214,18 +480,35 @@ class MonzoConnector {
 
         try {
           // Get balance for this account
-          const balance = await this.getAccountBalance(account.id, accessToken);
+          const balance = await this.getAccountBalance(account.id, credentials);
           completeData.balances.push({
             accountId: account.id,
             ...balance
           });
 
-          // Rate limiting delay
-          await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-
-          // Get recent transactions for this account
-          const transactions = await this.getTransactions(account.id, accessToken, {
-            limit: options.transactionLimit || 50
+          // Get pots held against this account; a pots failure must not cost the account its
+          // transactions and sync mark, so it is recorded on its own
+          try {
+            const pots = await this.getPots(account.id, credentials);
+            completeData.pots.push({
+              accountId: account.id,
+              pots: pots
+            });
+          } catch (potsError) {
+            logger.error('Failed to get pots for account', {
+              accountId: account.id,
+              error: potsError.message
+            });
+            completeData.errors.push({ accountId: account.id, dataset: 'pots', error: potsError.message });
+          }
+
+          // Backfill transaction history for this account (or only what is new since the last sync)
+          const mark = incremental ? syncMarks[account.id] : null;
+          const transactions = await this.getAllTransactions(account.id, credentials, {
+            since: mark ? mark.lastTransactionId : options.since,
+            sinceCreated: mark ? mark.lastTransactionCreated : null,
+            before: options.before,
+            maxTransactions: options.transactionLimit
           });
           
           completeData.transactions.push({
@@ -233,8 +516,10 @@ class MonzoConnector {
             transactions: transactions
           });
 
-          // Rate limiting delay
-          await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+          const newMark = this.getHighWaterMark(transactions, mark);
+          if (newMark) {
+            completeData.syncMeta.marks[account.id] = newMark;
+          }
 
         } catch (accountError) {
           logger.error('Failed to get data for account', { 
@@ -248,7 +533,10 @@ class MonzoConnector {
       logger.info('Complete account data retrieved', {
         accountCount: completeData.accounts.length,
         balanceCount: completeData.balances.length,
-        transactionAccounts: completeData.transactions.length
+        potAccounts: completeData.pots.length,
+        transactionAccounts: completeData.transactions.length,
+        errorCount: completeData.errors.length,
+        syncMode: completeData.syncMeta.mode
       });
 
       return completeData;
@@ -259,20 +547,40 @@ class MonzoConnector {
     }
   }
 
+  /**
+   * Work out an account's high-water mark after a sync
+   * @param {Array} transactions - Transactions fetched in this sync
+   * @param {Object} previousMark - Mark the sync started from, if any
+   * @returns {Object|null} { lastTransactionId, lastTransactionCreated }
+   */
+  getHighWaterMark(transactions, previousMark = null) {
+    let latest = previousMark
+      ? { lastTransactionId: previousMark.lastTransactionId, lastTransactionCreated: previousMark.lastTransactionCreated }
+      : null;
+
+    for (const transaction of transactions) {
+      if (!latest || new Date(transaction.created) >= new Date(latest.lastTransactionCreated)) {
+        latest = { lastTransactionId: transaction.id, lastTransactionCreated: transaction.created };
+      }
+    }
+
+    return latest;
+  }
+
   /**
    * Test connectivity to Monzo API
-   * @param {string} accessToken - Access token
+   * @param {MonzoCredentials|string} credentials - Credential handle (or raw access token)
    * @returns {Object} Test results
    */
-  async testConnection(accessToken) {
+  async testConnection(credentials) {
     try {
       logger.info('Testing Monzo API connection');
 
       // Test basic connectivity with whoami endpoint
-      const whoamiData = await this.makeApiRequest('/ping/whoami', accessToken);
+      const whoamiData = await this.makeApiRequest('/ping/whoami', credentials);
       
       // Test accounts endpoint
-      const accounts = await this.getAccounts(accessToken);
+      const accounts = await this.getAccounts(credentials);
 
       const testResult = {
         success: true,
@@ -288,6 +596,9 @@ class MonzoConnector {
       const testResult = {
         success: false,
         error: error.message,
+        category: error.category || null,
+        status: error.status || null,
+        retryAfter: error.retryAfter || null,
         timestamp: new Date().toISOString()
       };
 
@@ -3,7 +3,18 @@ jest.mock('axios', () => ({
   create: jest.fn()
 }));
 
+jest.mock('../../config/environment', () => ({
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    backoffMultiplier: 2
+  }
+}));
+
 const CallbackClient = require('../callback-client');
+const { verifyCallbackSignature } = require('../callback-signature');
+const CallbackUrlPolicy = require('../callback-url-policy');
 
 // Mock logger
 jest.mock('../../utils/logger', () => ({
@@ -17,6 +28,11 @@ describe('CallbackClient', () => {
   let callbackClient;
   let mockAxiosInstance;
 
+  // Resolves every host to a public address so tests never touch DNS
+  const createUrlPolicy = (addresses = [{ address: '93.184.216.34', family: 4 }]) =>
+    new CallbackUrlPolicy({ resolver: jest.fn().mockResolvedValue(addresses) });
+  const pinnedRequest = expect.objectContaining({ maxRedirects: 0 });
+
   beforeEach(() => {
     jest.clearAllMocks();
     
@@ -31,7 +47,8 @@ describe('CallbackClient', () => {
     callbackClient = new CallbackClient({
       timeout: 5000,
       maxRetries: 2,
-      retryDelay: 500
+      retryDelay: 500,
+      urlPolicy: createUrlPolicy()
     });
   });
 
@@ -91,7 +108,7 @@ describe('CallbackClient', () => {
           attempts: 1
         })
       );
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith(testUrl, testPayload);
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(testUrl, testPayload, pinnedRequest);
     });
 
     test('should return error when no URL provided', async () => {
@@ -144,6 +161,96 @@ describe('CallbackClient', () => {
     });
   });
 
+  describe('Retry policy', () => {
+    const testUrl = 'https://example.com/callback';
+    const testPayload = { requestId: 'test123', status: 'completed' };
+    let client;
+
+    beforeEach(() => {
+      client = new CallbackClient({ maxRetries: 3, retryDelay: 1000, urlPolicy: createUrlPolicy() });
+      jest.spyOn(client.retryHandler, 'sleep').mockResolvedValue();
+    });
+
+    test('should retry 429 responses after the Retry-After delay', async () => {
+      mockAxiosInstance.post
+        .mockResolvedValueOnce({ status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '7' } })
+        .mockResolvedValueOnce({ status: 200, statusText: 'OK', data: {} });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result.success).toBe(true);
+      expect(client.retryHandler.sleep).toHaveBeenCalledWith(7000);
+      expect(result.outcomes).toEqual([
+        expect.objectContaining({ attempt: 1, outcome: 'failed', statusCode: 429, retryable: true, retryAfter: 7 }),
+        expect.objectContaining({ attempt: 2, outcome: 'delivered', statusCode: 200, error: null })
+      ]);
+    });
+
+    test('should retry 408 and 5xx responses with jittered backoff', async () => {
+      mockAxiosInstance.post
+        .mockResolvedValueOnce({ status: 408, statusText: 'Request Timeout', headers: {} })
+        .mockResolvedValueOnce({ status: 503, statusText: 'Service Unavailable', headers: {} })
+        .mockResolvedValueOnce({ status: 204, statusText: 'No Content' });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, attempts: 3 }));
+      const [first, second] = client.retryHandler.sleep.mock.calls.map(call => call[0]);
+      expect(first).toBeGreaterThanOrEqual(750);
+      expect(first).toBeLessThanOrEqual(1250);
+      expect(second).toBeGreaterThanOrEqual(1500);
+      expect(second).toBeLessThanOrEqual(2500);
+    });
+
+    test('should not retry other client errors', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ status: 422, statusText: 'Unprocessable Entity', headers: {} });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'HTTP 422: Unprocessable Entity', attempts: 1 }));
+      expect(result.outcomes).toEqual([expect.objectContaining({ statusCode: 422, retryable: false })]);
+      expect(client.retryHandler.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should not wait out a Retry-After longer than the maximum retry delay', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ status: 503, statusText: 'Service Unavailable', headers: { 'retry-after': '60' } });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('asked to retry after 60s');
+      expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+      expect(client.retryHandler.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should stop when the next retry would pass the delivery deadline', async () => {
+      client.deliveryDeadlineMs = 5000;
+      mockAxiosInstance.post.mockResolvedValue({ status: 503, statusText: 'Service Unavailable', headers: { 'retry-after': '60' } });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('deadline of 5000ms reached after 1 attempts');
+      expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+      expect(client.retryHandler.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should record network failures as retryable attempts', async () => {
+      mockAxiosInstance.post
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+        .mockResolvedValueOnce({ status: 200, statusText: 'OK', data: {} });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result.outcomes[0]).toEqual(expect.objectContaining({
+        outcome: 'failed',
+        statusCode: null,
+        error: 'socket hang up',
+        retryable: true
+      }));
+    });
+  });
+
   describe('sendStatusCallback', () => {
     const testUrl = 'https://example.com/callback';
     const testStatus = { requestId: 'test123', status: 'processing' };
@@ -163,7 +270,8 @@ describe('CallbackClient', () => {
           timestamp: expect.any(String),
           connector: 'monzo-data-connector',
           version: '1.0.0'
-        })
+        }),
+        pinnedRequest
       );
     });
   });
@@ -191,7 +299,8 @@ describe('CallbackClient', () => {
           timestamp: expect.any(String),
           connector: 'monzo-data-connector',
           version: '1.0.0'
-        })
+        }),
+        pinnedRequest
       );
     });
   });
@@ -218,7 +327,8 @@ describe('CallbackClient', () => {
           timestamp: expect.any(String),
           connector: 'monzo-data-connector',
           version: '1.0.0'
-        })
+        }),
+        pinnedRequest
       );
     });
   });
@@ -243,7 +353,8 @@ describe('CallbackClient', () => {
           timestamp: expect.any(String),
           connector: 'monzo-data-connector',
           version: '1.0.0'
-        })
+        }),
+        pinnedRequest
       );
     });
 
@@ -259,7 +370,8 @@ describe('CallbackClient', () => {
         testUrl,
         expect.objectContaining({
           message: 'Data extraction in progress'
-        })
+        }),
+        pinnedRequest
       );
     });
   });
@@ -361,7 +473,8 @@ describe('CallbackClient', () => {
           test: true,
           connector: 'monzo-data-connector',
           message: 'Connectivity test'
-        })
+        }),
+        pinnedRequest
       );
     });
 
@@ -382,6 +495,184 @@ describe('CallbackClient', () => {
     });
   });
 
+  describe('Callback URL policy', () => {
+    test('should not send to a host that resolves to a private address', async () => {
+      const client = new CallbackClient({
+        urlPolicy: createUrlPolicy([{ address: '10.0.0.5', family: 4 }])
+      });
+
+      const result = await client.sendCallback('https://rebind.example.com/callback', { status: 'completed' });
+
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        rejected: true,
+        reason: 'private_address'
+      }));
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+
+    test('should pin the connection to the address that was checked', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ status: 200, data: {} });
+
+      await callbackClient.sendCallback('https://example.com/callback', { status: 'completed' });
+
+      const { httpsAgent } = mockAxiosInstance.post.mock.calls[0][2];
+      const lookup = jest.fn();
+      httpsAgent.options.lookup('example.com', { all: true }, lookup);
+      expect(lookup).toHaveBeenCalledWith(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+
+    test('should report rejected URLs from testCallback', async () => {
+      const result = await callbackClient.testCallback('http://[::ffff:127.0.0.1]/callback');
+
+      expect(result).toEqual(expect.objectContaining({ success: false, rejected: true, reason: 'private_address' }));
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dead-lettered callbacks', () => {
+    const testUrl = 'https://example.com/callback';
+    const testPayload = { requestId: 'test123', status: 'completed' };
+    let deadLetterStore;
+    let client;
+
+    beforeEach(() => {
+      deadLetterStore = {
+        add: jest.fn().mockResolvedValue({}),
+        get: jest.fn(),
+        list: jest.fn().mockResolvedValue([]),
+        listDue: jest.fn().mockResolvedValue([]),
+        markDelivered: jest.fn().mockResolvedValue({ status: 'delivered', nextAttemptAt: null }),
+        recordFailure: jest.fn().mockResolvedValue({ status: 'pending', nextAttemptAt: '2026-01-01T01:00:00.000Z' })
+      };
+      client = new CallbackClient({ maxRetries: 2, retryDelay: 1, urlPolicy: createUrlPolicy(), deadLetterStore });
+    });
+
+    const deadLetter = (overrides = {}) => ({
+      id: 'cb_1',
+      url: testUrl,
+      payload: testPayload,
+      status: 'pending',
+      ...overrides
+    });
+
+    test('should dead-letter a callback once retries are exhausted', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ status: 503, statusText: 'Service Unavailable' });
+
+      const result = await client.sendCallback(testUrl, testPayload);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, deadLettered: true, attempts: 2 }));
+      expect(deadLetterStore.add).toHaveBeenCalledWith({
+        callbackId: result.callbackId,
+        url: testUrl,
+        payload: testPayload,
+        attempts: 2,
+        error: expect.stringContaining('All 2 callback attempts failed')
+      });
+    });
+
+    test('should not dead-letter callbacks rejected by the URL policy', async () => {
+      const result = await client.sendCallback('http://127.0.0.1/callback', testPayload);
+
+      expect(result.rejected).toBe(true);
+      expect(deadLetterStore.add).not.toHaveBeenCalled();
+    });
+
+    test('should mark a replayed callback delivered', async () => {
+      deadLetterStore.get.mockResolvedValue(deadLetter());
+      mockAxiosInstance.post.mockResolvedValue({ status: 200, data: {} });
+
+      const result = await client.replayDeadLetter('cb_1');
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(testUrl, testPayload, pinnedRequest);
+      expect(deadLetterStore.markDelivered).toHaveBeenCalledWith('cb_1', 1);
+      expect(result).toEqual(expect.objectContaining({ id: 'cb_1', success: true, status: 'delivered' }));
+    });
+
+    test('should record a failed replay without dead-lettering it again', async () => {
+      deadLetterStore.get.mockResolvedValue(deadLetter());
+      mockAxiosInstance.post.mockResolvedValue({ status: 502, statusText: 'Bad Gateway' });
+
+      const result = await client.replayDeadLetter('cb_1', { scheduled: true });
+
+      expect(deadLetterStore.add).not.toHaveBeenCalled();
+      expect(deadLetterStore.recordFailure).toHaveBeenCalledWith('cb_1', {
+        error: expect.stringContaining('HTTP 502'),
+        attempts: 2
+      }, { scheduled: true });
+      expect(result).toEqual(expect.objectContaining({ success: false, status: 'pending' }));
+    });
+
+    test('should skip callbacks that were already delivered and unknown ids', async () => {
+      deadLetterStore.get
+        .mockResolvedValueOnce(deadLetter({ status: 'delivered' }))
+        .mockResolvedValueOnce(null);
+
+      expect(await client.replayDeadLetter('cb_1')).toEqual(expect.objectContaining({ skipped: true }));
+      expect(await client.replayDeadLetter('missing')).toBeNull();
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+
+    test('should bulk replay every undelivered callback by default', async () => {
+      deadLetterStore.list.mockResolvedValue([deadLetter({ id: 'cb_1' }), deadLetter({ id: 'cb_2', status: 'exhausted' })]);
+      deadLetterStore.get.mockImplementation(async id => deadLetter({ id }));
+      mockAxiosInstance.post
+        .mockResolvedValueOnce({ status: 200, data: {} })
+        .mockResolvedValue({ status: 400, statusText: 'Bad Request' });
+
+      const summary = await client.replayDeadLetters();
+
+      expect(deadLetterStore.list).toHaveBeenCalledWith({ status: ['pending', 'exhausted'] });
+      expect(summary).toEqual(expect.objectContaining({ total: 2, delivered: 1, failed: 1 }));
+    });
+
+    test('should redeliver due callbacks as scheduled attempts', async () => {
+      deadLetterStore.listDue.mockResolvedValue([deadLetter()]);
+      deadLetterStore.get.mockResolvedValue(deadLetter());
+      mockAxiosInstance.post.mockResolvedValue({ status: 503, statusText: 'Service Unavailable' });
+
+      expect(await client.redeliverDue()).toBe(1);
+      expect(deadLetterStore.recordFailure).toHaveBeenCalledWith('cb_1', expect.any(Object), { scheduled: true });
+    });
+  });
+
+  describe('Signed callbacks', () => {
+    const testUrl = 'https://example.com/callback';
+    const testPayload = { requestId: 'test123', status: 'completed' };
+
+    test('should sign the serialized body when signing secrets are configured', async () => {
+      const client = new CallbackClient({ maxRetries: 1, signingSecrets: 'current:new-secret,previous:old-secret', urlPolicy: createUrlPolicy() });
+      mockAxiosInstance.post.mockResolvedValue({ status: 200, statusText: 'OK', data: {} });
+
+      await client.sendCallback(testUrl, testPayload);
+
+      const [url, body, requestConfig] = mockAxiosInstance.post.mock.calls[0];
+      expect(url).toBe(testUrl);
+      expect(body).toBe(JSON.stringify(testPayload));
+      expect(requestConfig.headers['X-Connector-Key-Id']).toBe('current');
+
+      const result = verifyCallbackSignature({
+        body,
+        headers: requestConfig.headers,
+        secrets: 'previous:old-secret,current:new-secret'
+      });
+      expect(result).toEqual({ valid: true, keyId: 'current' });
+    });
+
+    test('should use a fresh nonce for every retry attempt', async () => {
+      const client = new CallbackClient({ maxRetries: 2, retryDelay: 1, signingSecrets: 'k1:secret', urlPolicy: createUrlPolicy() });
+      mockAxiosInstance.post
+        .mockResolvedValueOnce({ status: 503, statusText: 'Service Unavailable' })
+        .mockResolvedValueOnce({ status: 200, statusText: 'OK', data: {} });
+
+      await client.sendCallback(testUrl, testPayload);
+
+      const nonces = mockAxiosInstance.post.mock.calls.map(call => call[2].headers['X-Connector-Nonce']);
+      expect(nonces).toHaveLength(2);
+      expect(nonces[0]).not.toBe(nonces[1]);
+    });
+  });
+
   describe('Utility Methods', () => {
     test('should generate unique callback IDs', () => {
       const id1 = callbackClient.generateCallbackId();
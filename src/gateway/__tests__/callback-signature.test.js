@@ -0,0 +1,97 @@
+const {
+  parseSigningKeys,
+  signCallback,
+  verifyCallbackSignature,
+  NonceCache
+} = require('../callback-signature');
+
+describe('callback signature', () => {
+  const body = JSON.stringify({ requestId: 'req_1', status: 'completed' });
+  const currentKey = { id: 'current', secret: 'current-secret' };
+
+  describe('parseSigningKeys', () => {
+    test('should parse keyId:secret lists and give bare secrets positional ids', () => {
+      expect(parseSigningKeys('a:one, two ,')).toEqual([
+        { id: 'a', secret: 'one' },
+        { id: 'key2', secret: 'two' }
+      ]);
+    });
+
+    test('should return no keys when nothing is configured', () => {
+      expect(parseSigningKeys(undefined)).toEqual([]);
+      expect(parseSigningKeys('')).toEqual([]);
+    });
+  });
+
+  describe('verifyCallbackSignature', () => {
+    test('should accept a callback signed with an active secret', () => {
+      const headers = signCallback(body, currentKey);
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey] }))
+        .toEqual({ valid: true, keyId: 'current' });
+    });
+
+    test('should read headers case-insensitively and accept Buffer bodies', () => {
+      const headers = Object.fromEntries(
+        Object.entries(signCallback(body, currentKey)).map(([name, value]) => [name.toLowerCase(), value]));
+
+      expect(verifyCallbackSignature({ body: Buffer.from(body), headers, secrets: [currentKey] }).valid).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const headers = signCallback(body, currentKey);
+      const tampered = body.replace('completed', 'failed');
+
+      expect(verifyCallbackSignature({ body: tampered, headers, secrets: [currentKey] }))
+        .toEqual({ valid: false, reason: 'invalid_signature' });
+    });
+
+    test('should reject a swapped nonce', () => {
+      const headers = { ...signCallback(body, currentKey), 'X-Connector-Nonce': 'another-nonce' };
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey] }).reason).toBe('invalid_signature');
+    });
+
+    test('should reject a signature made with an unknown secret', () => {
+      const headers = signCallback(body, { id: 'current', secret: 'wrong-secret' });
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey] }).reason).toBe('invalid_signature');
+    });
+
+    test('should reject a key id that is not active', () => {
+      const headers = signCallback(body, { id: 'retired', secret: 'retired-secret' });
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey] }).reason).toBe('unknown_key');
+    });
+
+    test('should accept callbacks signed with any secret during rotation', () => {
+      const secrets = 'current:current-secret,previous:previous-secret';
+      const oldHeaders = signCallback(body, { id: 'previous', secret: 'previous-secret' });
+      const { 'X-Connector-Key-Id': _keyId, ...withoutKeyId } = signCallback(body, currentKey);
+
+      expect(verifyCallbackSignature({ body, headers: oldHeaders, secrets }).keyId).toBe('previous');
+      expect(verifyCallbackSignature({ body, headers: withoutKeyId, secrets }).keyId).toBe('current');
+    });
+
+    test('should reject timestamps outside the tolerance window', () => {
+      const timestamp = Math.floor(Date.now() / 1000) - 600;
+      const headers = signCallback(body, currentKey, { timestamp });
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey], toleranceSeconds: 300 }))
+        .toEqual({ valid: false, reason: 'timestamp_out_of_tolerance' });
+    });
+
+    test('should reject replayed nonces', () => {
+      const nonceCache = new NonceCache();
+      const headers = signCallback(body, currentKey);
+
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey], nonceCache }).valid).toBe(true);
+      expect(verifyCallbackSignature({ body, headers, secrets: [currentKey], nonceCache }))
+        .toEqual({ valid: false, reason: 'replayed_nonce' });
+    });
+
+    test('should reject unsigned callbacks', () => {
+      expect(verifyCallbackSignature({ body, headers: {}, secrets: [currentKey] }).reason).toBe('missing_signature');
+    });
+  });
+});
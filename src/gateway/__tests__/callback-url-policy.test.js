@@ -0,0 +1,108 @@
+const CallbackUrlPolicy = require('../callback-url-policy');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CallbackUrlPolicy', () => {
+  const publicAddress = [{ address: '93.184.216.34', family: 4 }];
+
+  const createPolicy = (options = {}, addresses = publicAddress) =>
+    new CallbackUrlPolicy({ resolver: jest.fn().mockResolvedValue(addresses), ...options });
+
+  describe('isPrivateAddress', () => {
+    test.each([
+      '127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '198.18.0.1', '224.0.0.1', '255.255.255.255'
+    ])('should block IPv4 %s', (address) => {
+      expect(CallbackUrlPolicy.isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each([
+      '::', '::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::127.0.0.1', '64:ff9b::a00:1',
+      '2002:7f00:1::', '2001:0:4136:e378::1', '2001:db8::1', 'fc00::1', 'fd12:3456::1',
+      'fe80::1', 'fec0::1', 'ff02::1'
+    ])('should block IPv6 %s', (address) => {
+      expect(CallbackUrlPolicy.isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['8.8.8.8', '93.184.216.34', '172.32.0.1', '2606:4700:4700::1111', '2a00:1450:4009::200e'])(
+      'should allow public address %s', (address) => {
+        expect(CallbackUrlPolicy.isPrivateAddress(address)).toBe(false);
+      });
+  });
+
+  describe('validate', () => {
+    test('should resolve a public host and return the address to pin', async () => {
+      const result = await createPolicy().validate('https://example.com/callback');
+
+      expect(result).toEqual({ valid: true, hostname: 'example.com', address: '93.184.216.34', family: 4 });
+    });
+
+    test('should reject hosts that resolve to a private address', async () => {
+      const policy = createPolicy({}, [{ address: '93.184.216.34', family: 4 }, { address: 'fd00::1', family: 6 }]);
+
+      expect(await policy.validate('https://rebind.example.com/')).toEqual({ valid: false, reason: 'private_address' });
+    });
+
+    test('should reject private IP literals without resolving them', async () => {
+      const policy = createPolicy();
+
+      expect((await policy.validate('http://[::1]:8080/')).reason).toBe('private_address');
+      expect((await policy.validate('http://2130706433/')).reason).toBe('private_address');
+      expect((await policy.validate('http://app.localhost/')).reason).toBe('private_address');
+      expect(policy.resolver).not.toHaveBeenCalled();
+    });
+
+    test('should reject unsupported schemes and malformed URLs', async () => {
+      const policy = createPolicy();
+
+      expect((await policy.validate('ftp://example.com/')).reason).toBe('unsupported_protocol');
+      expect((await policy.validate('not-a-url')).reason).toBe('invalid_url');
+    });
+
+    test('should reject hosts that do not resolve', async () => {
+      const policy = new CallbackUrlPolicy({
+        resolver: jest.fn().mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }))
+      });
+
+      expect((await policy.validate('https://missing.example.com/')).reason).toBe('unresolvable_host');
+    });
+
+    test('should enforce allow and deny lists', async () => {
+      const policy = createPolicy({
+        allowedHosts: 'api.checkd.io,*.callbacks.checkd.io',
+        deniedHosts: ['legacy.callbacks.checkd.io']
+      });
+
+      expect((await policy.validate('https://api.checkd.io/cb')).valid).toBe(true);
+      expect((await policy.validate('https://eu.callbacks.checkd.io/cb')).valid).toBe(true);
+      expect((await policy.validate('https://legacy.callbacks.checkd.io/cb')).reason).toBe('host_denied');
+      expect((await policy.validate('https://callbacks.checkd.io/cb')).reason).toBe('host_not_allowed');
+      expect((await policy.validate('https://example.com/cb')).reason).toBe('host_not_allowed');
+    });
+
+    test('should allow private addresses only when explicitly enabled', async () => {
+      const policy = createPolicy({ allowPrivateNetworks: true }, [{ address: '127.0.0.1', family: 4 }]);
+
+      expect((await policy.validate('http://localhost:3000/cb')).valid).toBe(true);
+    });
+  });
+
+  describe('createPinnedLookup', () => {
+    test('should answer both single and all-address lookups with the pinned address', () => {
+      const lookup = CallbackUrlPolicy.createPinnedLookup('93.184.216.34', 4);
+      const single = jest.fn();
+      const all = jest.fn();
+
+      lookup('example.com', {}, single);
+      lookup('example.com', { all: true }, all);
+
+      expect(single).toHaveBeenCalledWith(null, '93.184.216.34', 4);
+      expect(all).toHaveBeenCalledWith(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+  });
+});
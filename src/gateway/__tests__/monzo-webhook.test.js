@@ -1,4 +1,13 @@
+const jwt = require('jsonwebtoken');
 const MonzoWebhookHandler = require('../monzo-webhook');
+const { ErrorHandler } = require('../../utils/error-handler');
+
+const TEST_JWT_SECRET = 'test-gateway-secret';
+
+// Sign test tokens the same way the CheckD Gateway does (HS256 shared secret)
+function createTestToken(payload, secret = TEST_JWT_SECRET, options = {}) {
+  return jwt.sign(payload, secret, { algorithm: 'HS256', ...options });
+}
 
 // Mock dependencies
 const mockConnector = {
@@ -12,9 +21,23 @@ const mockWalletClient = {
 };
 
 const mockCallbackClient = {
-  sendStatusCallback: jest.fn()
+  sendStatusCallback: jest.fn(),
+  validateCallbackUrl: jest.fn()
 };
 
+jest.mock('../../config/environment', () => ({
+  gateway: {
+    jwtSecret: 'test-gateway-secret',
+    jwtClockSkew: 30
+  },
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    backoffMultiplier: 2
+  }
+}));
+
 // Mock logger to prevent console spam during tests
 jest.mock('../../utils/logger', () => ({
   info: jest.fn(),
@@ -31,6 +54,7 @@ describe('MonzoWebhookHandler', () => {
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
+    mockCallbackClient.validateCallbackUrl.mockResolvedValue({ valid: true });
     
     // Create fresh instance
     webhookHandler = new MonzoWebhookHandler(mockConnector, mockWalletClient, mockCallbackClient);
@@ -48,6 +72,10 @@ describe('MonzoWebhookHandler', () => {
     };
   });
 
+  afterEach(() => {
+    webhookHandler.jobQueue.stop();
+  });
+
   describe('JWT Token Extraction', () => {
     test('should extract token from Authorization header', () => {
       mockReq.headers.authorization = 'Bearer test.jwt.token';
@@ -81,28 +109,52 @@ describe('MonzoWebhookHandler', () => {
   });
 
   describe('JWT Token Validation', () => {
-    test('should validate properly formatted JWT with required claims', async () => {
-      // Create a valid JWT-like token (base64 encoded)
+    test('should validate signed JWT with required claims', async () => {
       const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      const token = `header.${encodedPayload}.signature`;
+      const token = createTestToken(payload);
 
       const result = await webhookHandler.validateJwtToken(token);
-      expect(result).toEqual(payload);
+      expect(result.valid).toBe(true);
+      expect(result.payload).toEqual(payload);
     });
 
     test('should reject token with invalid format', async () => {
       const result = await webhookHandler.validateJwtToken('invalid.token');
-      expect(result).toBeNull();
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'malformed' }));
+    });
+
+    test('should reject token with forged claims and no valid signature', async () => {
+      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
+      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+      const token = `${header}.${encodedPayload}.signature`;
+
+      const result = await webhookHandler.validateJwtToken(token);
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'invalid_signature' }));
+    });
+
+    test('should reject token signed with a different secret', async () => {
+      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
+      const token = createTestToken(payload, 'some-other-secret');
+
+      const result = await webhookHandler.validateJwtToken(token);
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'invalid_signature' }));
+    });
+
+    test('should reject unsigned tokens', async () => {
+      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
+      const token = jwt.sign(payload, null, { algorithm: 'none' });
+
+      const result = await webhookHandler.validateJwtToken(token);
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'unsupported_algorithm' }));
     });
 
     test('should reject token missing required claims', async () => {
       const payload = { someOtherClaim: 'value' }; // Missing sub and iat
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      const token = `header.${encodedPayload}.signature`;
+      const token = createTestToken(payload);
 
       const result = await webhookHandler.validateJwtToken(token);
-      expect(result).toBeNull();
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'missing_claims' }));
     });
 
     test('should reject expired token', async () => {
@@ -111,17 +163,16 @@ describe('MonzoWebhookHandler', () => {
         iat: Math.floor(Date.now() / 1000),
         exp: Math.floor(Date.now() / 1000) - 3600 // Expired 1 hour ago
       };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      const token = `header.${encodedPayload}.signature`;
+      const token = createTestToken(payload);
 
       const result = await webhookHandler.validateJwtToken(token);
-      expect(result).toBeNull();
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'token_expired' }));
     });
 
     test('should handle malformed JWT payload', async () => {
       const token = 'header.invalidbase64.signature';
       const result = await webhookHandler.validateJwtToken(token);
-      expect(result).toBeNull();
+      expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'malformed' }));
     });
   });
 
@@ -153,16 +204,16 @@ describe('MonzoWebhookHandler', () => {
         expect.objectContaining({
           status: 'error',
           error: expect.objectContaining({
-            code: 'invalid_token'
+            code: 'invalid_token',
+            reason: 'malformed'
           })
         })
       );
     });
 
     test('should reject request without user data', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = {}; // Missing data
 
       await webhookHandler.handleConnectRequest(mockReq, mockRes);
@@ -179,9 +230,8 @@ describe('MonzoWebhookHandler', () => {
     });
 
     test('should reject request with invalid callback URL', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { 
         data: 'user@example.com',
         callback_url: 'not-a-valid-url'
@@ -199,12 +249,101 @@ describe('MonzoWebhookHandler', () => {
         })
       );
     });
+
+    test('should reject callback URLs the callback policy does not allow', async () => {
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = {
+        data: 'user@example.com',
+        callback_url: 'http://metadata.internal/latest',
+        async: true
+      };
+      mockCallbackClient.validateCallbackUrl.mockResolvedValue({ valid: false, reason: 'private_address' });
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockCallbackClient.validateCallbackUrl).toHaveBeenCalledWith('http://metadata.internal/latest');
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({
+            code: 'callback_not_allowed',
+            reason: 'private_address'
+          })
+        })
+      );
+    });
+
+    test('should reject wallet routing that breaks Dataswyft naming rules', async () => {
+      const WalletRouter = require('../../storage/wallet-router');
+      webhookHandler = new MonzoWebhookHandler(mockConnector, { ...mockWalletClient, router: new WalletRouter() }, mockCallbackClient);
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = {
+        data: 'user@example.com',
+        wallet: { tenant: 'acme/../other' }
+      };
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({
+            code: 'invalid_wallet_route',
+            reason: 'Invalid wallet path segment: ..'
+          })
+        })
+      );
+      expect(mockWalletClient.storeCompleteData).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests for a user other than the token subject', async () => {
+      const payload = { sub: 'attacker@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: 'user_mismatch' })
+        })
+      );
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+    });
+
+    test('should reject wallet routing the token and allowlist do not grant', async () => {
+      const WalletRouter = require('../../storage/wallet-router');
+      webhookHandler = new MonzoWebhookHandler(mockConnector, { ...mockWalletClient, router: new WalletRouter({ tenant: 'acme', allowedEnvironments: 'staging' }) }, mockCallbackClient);
+      const payload = { sub: 'user@example.com', tenant: 'globex', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = {
+        data: 'user@example.com',
+        wallet: { tenant: 'initech', environment: 'staging' }
+      };
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({
+            code: 'wallet_route_not_allowed',
+            reason: 'Wallet tenant not allowed for this token: initech'
+          })
+        })
+      );
+      expect(mockWalletClient.storeCompleteData).not.toHaveBeenCalled();
+    });
   });
 
   describe('Synchronous Request Processing', () => {
     beforeEach(() => {
       // Mock environment token
       process.env.MONZO_ACCESS_TOKEN = 'test_access_token';
+      webhookHandler.allowEnvAccessToken = true;
     });
 
     afterEach(() => {
@@ -213,9 +352,8 @@ describe('MonzoWebhookHandler', () => {
     });
 
     test('should process valid synchronous request successfully', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { data: 'user@example.com' };
 
       // Mock successful API calls
@@ -228,8 +366,10 @@ describe('MonzoWebhookHandler', () => {
       // Mock successful wallet storage
       mockWalletClient.storeCompleteData.mockResolvedValue({
         success: true,
-        recordId: 'wallet_record_123',
         namespace: 'monzo',
+        created: 2,
+        updated: 1,
+        unchanged: 4,
         timestamp: new Date().toISOString()
       });
 
@@ -250,19 +390,119 @@ describe('MonzoWebhookHandler', () => {
           }),
           wallet: expect.objectContaining({
             stored: true,
-            recordId: 'wallet_record_123',
-            namespace: 'monzo'
+            namespace: 'monzo',
+            created: 2,
+            updated: 1,
+            unchanged: 4
           })
         })
       );
     });
 
+    test('should pass per-request wallet routing to the wallet write', async () => {
+      const WalletRouter = require('../../storage/wallet-router');
+      webhookHandler.walletClient = { ...mockWalletClient, router: new WalletRouter({ allowedTenants: 'acme' }) };
+      const payload = { sub: 'user@example.com', environment: 'staging', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com', wallet: { tenant: 'acme', environment: 'staging', namespace: 'ignored' } };
+
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({ accounts: [], balances: [] });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: true });
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockWalletClient.storeCompleteData).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ tenant: 'acme', environment: 'staging' })
+      );
+      expect(mockWalletClient.storeCompleteData.mock.calls[0][1].namespace).toBeUndefined();
+    });
+
+    test('should use the access token stored for the requesting user', async () => {
+      delete process.env.MONZO_ACCESS_TOKEN;
+      await webhookHandler.tokenStore.saveTokens('user@example.com', { accessToken: 'user_token', expiresIn: 3600 });
+      await webhookHandler.tokenStore.saveTokens('other@example.com', { accessToken: 'other_token', expiresIn: 3600 });
+
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({ accounts: [], balances: [] });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: true });
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      const credentials = mockConnector.testConnection.mock.calls[0][0];
+      expect(credentials.userId).toBe('user@example.com');
+      expect(await credentials.getAccessToken()).toBe('user_token');
+      expect(mockConnector.getCompleteAccountData).toHaveBeenCalledWith(credentials, expect.objectContaining({ incremental: true }));
+    });
+
+    test('should sync incrementally and advance marks after the wallet write', async () => {
+      delete process.env.MONZO_ACCESS_TOKEN;
+      await webhookHandler.tokenStore.saveTokens('user@example.com', { accessToken: 'user_token', expiresIn: 3600 });
+      await webhookHandler.syncStateStore.saveMarks('user@example.com', {
+        acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2024-01-01T00:00:00Z' }
+      });
+
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({
+        accounts: [{ id: 'acc_1' }],
+        balances: [],
+        transactions: [{ accountId: 'acc_1', transactions: [{ id: 'tx_2', created: '2024-01-02T00:00:00Z' }] }],
+        syncMeta: {
+          mode: 'incremental',
+          marks: { acc_1: { lastTransactionId: 'tx_2', lastTransactionCreated: '2024-01-02T00:00:00Z' } }
+        }
+      });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: true });
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      const syncOptions = mockConnector.getCompleteAccountData.mock.calls[0][1];
+      expect(syncOptions.syncMarks.acc_1.lastTransactionId).toBe('tx_1');
+      const mark = await webhookHandler.syncStateStore.getMark('user@example.com', 'acc_1');
+      expect(mark.lastTransactionId).toBe('tx_2');
+    });
+
+    test('should not advance sync marks when the wallet write fails', async () => {
+      delete process.env.MONZO_ACCESS_TOKEN;
+      await webhookHandler.tokenStore.saveTokens('user@example.com', { accessToken: 'user_token', expiresIn: 3600 });
+
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({
+        accounts: [{ id: 'acc_1' }],
+        balances: [],
+        transactions: [],
+        syncMeta: {
+          mode: 'incremental',
+          marks: { acc_1: { lastTransactionId: 'tx_2', lastTransactionCreated: '2024-01-02T00:00:00Z' } }
+        }
+      });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: false, error: 'Wallet unavailable' });
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(await webhookHandler.syncStateStore.getMark('user@example.com', 'acc_1')).toBeNull();
+    });
+
     test('should handle missing access token', async () => {
       delete process.env.MONZO_ACCESS_TOKEN;
       
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { data: 'user@example.com' };
 
       await webhookHandler.handleConnectRequest(mockReq, mockRes);
@@ -278,10 +518,26 @@ describe('MonzoWebhookHandler', () => {
       );
     });
 
+    test('should not fall back to MONZO_ACCESS_TOKEN outside development mode', async () => {
+      webhookHandler.allowEnvAccessToken = false;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: 'no_token' })
+        })
+      );
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+    });
+
     test('should handle API connection failure', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { data: 'user@example.com' };
 
       mockConnector.testConnection.mockResolvedValue({ success: false });
@@ -300,9 +556,8 @@ describe('MonzoWebhookHandler', () => {
     });
 
     test('should handle data extraction failure', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { data: 'user@example.com' };
 
       mockConnector.testConnection.mockResolvedValue({ success: true });
@@ -320,11 +575,38 @@ describe('MonzoWebhookHandler', () => {
         })
       );
     });
+
+    test('should report categorized connector errors', async () => {
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      const rateLimited = ErrorHandler.createError('RATE_LIMITED');
+      rateLimited.retryAfter = 30;
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockRejectedValue(rateLimited);
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({
+            code: 'extraction_failed',
+            category: 'RATE_LIMITED',
+            errorCode: 'RATE_LIMITED',
+            retryable: true,
+            retryAfter: 30
+          })
+        })
+      );
+    });
   });
 
   describe('Asynchronous Request Processing', () => {
     beforeEach(() => {
       process.env.MONZO_ACCESS_TOKEN = 'test_access_token';
+      webhookHandler.allowEnvAccessToken = true;
     });
 
     afterEach(() => {
@@ -333,9 +615,8 @@ describe('MonzoWebhookHandler', () => {
     });
 
     test('should accept asynchronous request and return 202', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { 
         data: 'user@example.com',
         async: true,
@@ -355,9 +636,8 @@ describe('MonzoWebhookHandler', () => {
     });
 
     test('should store pending request data', async () => {
-      const payload = { sub: 'user123', iat: Math.floor(Date.now() / 1000) };
-      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
-      mockReq.headers.authorization = `Bearer header.${encodedPayload}.signature`;
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
       mockReq.body = { 
         data: 'user@example.com',
         async: true,
@@ -368,7 +648,7 @@ describe('MonzoWebhookHandler', () => {
 
       // Check that a request was stored
       const requestId = mockRes.json.mock.calls[0][0].requestId;
-      const status = webhookHandler.getRequestStatus(requestId);
+      const status = await webhookHandler.getRequestStatus(requestId, 'user@example.com');
       
       expect(status).toEqual(
         expect.objectContaining({
@@ -380,23 +660,236 @@ describe('MonzoWebhookHandler', () => {
     });
   });
 
+  describe('Monzo App Approval', () => {
+    let approvalTracker;
+    const pendingApproval = {
+      userId: 'user@example.com',
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+    };
+    const nextCheckAt = new Date(Date.now() + 5000).toISOString();
+    const job = {
+      id: 'monzo_approval_job',
+      attempts: 1,
+      createdAt: new Date().toISOString(),
+      payload: { userIdentifier: 'user@example.com', callbackUrl: 'https://example.com/callback' }
+    };
+    const deferredJob = { ...job, deferredFor: 'monzo_approval' };
+
+    const mockSuccessfulExtraction = () => {
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({ accounts: [], balances: [] });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: true, namespace: 'monzo', created: 1 });
+    };
+
+    beforeEach(() => {
+      process.env.MONZO_ACCESS_TOKEN = 'test_access_token';
+      approvalTracker = {
+        getStatus: jest.fn().mockResolvedValue(pendingApproval),
+        check: jest.fn(),
+        watch: jest.fn().mockReturnValue(nextCheckAt),
+        onSettled: jest.fn()
+      };
+      webhookHandler.jobQueue.stop();
+      webhookHandler = new MonzoWebhookHandler(mockConnector, mockWalletClient, mockCallbackClient, { approvalTracker, allowEnvAccessToken: true });
+    });
+
+    afterEach(() => {
+      delete process.env.MONZO_ACCESS_TOKEN;
+    });
+
+    test('should defer the job until the next approval check instead of waiting', async () => {
+      await expect(webhookHandler.processAsyncRequest(job)).rejects.toMatchObject({
+        deferUntil: nextCheckAt,
+        deferReason: 'monzo_approval'
+      });
+
+      const statuses = mockCallbackClient.sendStatusCallback.mock.calls.map(call => call[1].status);
+      expect(statuses).toEqual(['awaiting_approval']);
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenCalledWith('https://example.com/callback',
+        expect.objectContaining({ status: 'awaiting_approval', expiresAt: pendingApproval.expiresAt }));
+      expect(approvalTracker.watch).toHaveBeenCalledWith(pendingApproval);
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+    });
+
+    test('should not repeat the awaiting_approval callback while still pending', async () => {
+      await expect(webhookHandler.processAsyncRequest(deferredJob)).rejects.toMatchObject({ deferUntil: nextCheckAt });
+
+      expect(mockCallbackClient.sendStatusCallback).not.toHaveBeenCalled();
+    });
+
+    test('should continue a deferred job once approved', async () => {
+      approvalTracker.getStatus.mockResolvedValue({ ...pendingApproval, status: 'approved' });
+      mockSuccessfulExtraction();
+
+      await webhookHandler.processAsyncRequest(deferredJob);
+
+      const statuses = mockCallbackClient.sendStatusCallback.mock.calls.map(call => call[1].status);
+      expect(statuses).toEqual(['processing', 'completed']);
+    });
+
+    test('should fail without retry when approval times out', async () => {
+      approvalTracker.getStatus.mockResolvedValue({ ...pendingApproval, expiresAt: new Date(Date.now() - 1000).toISOString() });
+      approvalTracker.check.mockResolvedValue({ ...pendingApproval, status: 'timed_out' });
+
+      await expect(webhookHandler.processAsyncRequest(deferredJob)).rejects.toThrow('Monzo app approval was not granted in time');
+
+      expect(approvalTracker.check).toHaveBeenCalledWith('user@example.com');
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenLastCalledWith('https://example.com/callback',
+        expect.objectContaining({ status: 'failed', category: 'AUTH_FAILURE', retryable: false }));
+    });
+
+    test('should not defer for users without a pending approval', async () => {
+      approvalTracker.getStatus.mockResolvedValue({ ...pendingApproval, status: 'approved' });
+      mockSuccessfulExtraction();
+
+      await webhookHandler.processAsyncRequest(job);
+
+      expect(approvalTracker.watch).not.toHaveBeenCalled();
+      const statuses = mockCallbackClient.sendStatusCallback.mock.calls.map(call => call[1].status);
+      expect(statuses).toEqual(['processing', 'completed']);
+    });
+
+    test('should wake the user\'s deferred jobs when approval settles', async () => {
+      const wake = jest.spyOn(webhookHandler.jobQueue, 'wake').mockResolvedValue(1);
+      const [listener] = approvalTracker.onSettled.mock.calls[0];
+
+      listener({ ...pendingApproval, status: 'approved' });
+
+      const [predicate] = wake.mock.calls[0];
+      expect(predicate(deferredJob)).toBe(true);
+      expect(predicate(job)).toBe(false);
+      expect(predicate({ ...deferredJob, payload: { userIdentifier: 'other@example.com' } })).toBe(false);
+    });
+
+    test('should reject sync requests while approval is pending', async () => {
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com' };
+
+      await webhookHandler.handleConnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'awaiting_approval', expiresAt: pendingApproval.expiresAt })
+      }));
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Disconnect Requests', () => {
+    let oauthHandler;
+    const revocation = {
+      userId: 'user@example.com',
+      remoteRevoked: true,
+      remoteError: null,
+      tokensDeleted: true,
+      syncStateDeleted: 2,
+      approvalCleared: true,
+      wallet: { success: true, namespace: 'monzo', deleted: 3 },
+      revokedAt: '2026-01-01T00:00:00.000Z'
+    };
+    const job = {
+      id: 'monzo_disconnect_job',
+      attempts: 1,
+      createdAt: new Date().toISOString(),
+      payload: {
+        type: 'disconnect',
+        userIdentifier: 'user@example.com',
+        callbackUrl: 'https://example.com/callback',
+        eraseWalletData: true
+      }
+    };
+
+    beforeEach(() => {
+      oauthHandler = { revokeToken: jest.fn().mockResolvedValue(revocation) };
+      webhookHandler.jobQueue.stop();
+      webhookHandler = new MonzoWebhookHandler(mockConnector, mockWalletClient, mockCallbackClient, { oauthHandler });
+    });
+
+    test('should require a valid gateway token', async () => {
+      mockReq.body = { data: 'user@example.com' };
+
+      await webhookHandler.handleDisconnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(oauthHandler.revokeToken).not.toHaveBeenCalled();
+    });
+
+    test('should only disconnect the user the gateway token was issued for', async () => {
+      const payload = { sub: 'attacker@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com', erase_wallet_data: true };
+
+      await webhookHandler.handleDisconnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'user_mismatch' })
+      }));
+      expect(await webhookHandler.jobQueue.getStats()).toEqual(expect.objectContaining({ pending: 0 }));
+    });
+
+    test('should queue the disconnect and return 202', async () => {
+      const payload = { sub: 'user@example.com', iat: Math.floor(Date.now() / 1000) };
+      mockReq.headers.authorization = `Bearer ${createTestToken(payload)}`;
+      mockReq.body = { data: 'user@example.com', erase_wallet_data: true, callback_url: 'https://example.com/callback' };
+
+      await webhookHandler.handleDisconnectRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      const { requestId } = mockRes.json.mock.calls[0][0];
+      const queued = await webhookHandler.jobQueue.get(requestId);
+      expect(queued.payload).toEqual(expect.objectContaining({
+        type: 'disconnect',
+        userIdentifier: 'user@example.com',
+        eraseWalletData: true
+      }));
+    });
+
+    test('should revoke the authorization and send a disconnected callback', async () => {
+      const result = await webhookHandler.processJob(job);
+
+      expect(oauthHandler.revokeToken).toHaveBeenCalledWith('user@example.com', { eraseWalletData: true });
+      expect(result).toEqual(expect.objectContaining({ remoteRevoked: true, tokensDeleted: true, approvalCleared: true }));
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenCalledWith('https://example.com/callback',
+        expect.objectContaining({
+          requestId: 'monzo_disconnect_job',
+          status: 'disconnected',
+          data: expect.objectContaining({ wallet: { erased: true, deleted: 3, namespace: 'monzo' } })
+        }));
+      expect(mockConnector.testConnection).not.toHaveBeenCalled();
+    });
+
+    test('should retry when the wallet erase fails', async () => {
+      oauthHandler.revokeToken.mockResolvedValue({ ...revocation, wallet: { success: false, error: 'Wallet unavailable' } });
+
+      await expect(webhookHandler.processJob(job)).rejects.toThrow('Failed to erase wallet data: Wallet unavailable');
+
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenCalledWith('https://example.com/callback',
+        expect.objectContaining({ status: 'retrying', category: 'WALLET_ERROR' }));
+    });
+  });
+
   describe('Request Status Tracking', () => {
-    test('should return null for non-existent request ID', () => {
-      const status = webhookHandler.getRequestStatus('non_existent_id');
+    test('should return null for non-existent request ID', async () => {
+      const status = await webhookHandler.getRequestStatus('non_existent_id', 'user@example.com');
       expect(status).toBeNull();
     });
 
-    test('should track request status correctly', () => {
-      // Manually add a request to the pending requests map
+    test('should track request status correctly', async () => {
+      // Manually add a job to the queue's store
       const requestId = 'test_request_123';
-      webhookHandler.pendingRequests.set(requestId, {
+      await webhookHandler.jobQueue.saveJob({
+        id: requestId,
         status: 'processing',
-        createdAt: new Date().toISOString(),
-        startTime: Date.now() - 5000, // 5 seconds ago
-        callbackUrl: 'https://example.com/callback'
+        payload: { userIdentifier: 'user@example.com', callbackUrl: 'https://example.com/callback' },
+        attempts: 1,
+        createdAt: new Date(Date.now() - 5000).toISOString() // 5 seconds ago
       });
 
-      const status = webhookHandler.getRequestStatus(requestId);
+      const status = await webhookHandler.getRequestStatus(requestId, 'user@example.com');
       
       expect(status).toEqual(
         expect.objectContaining({
@@ -407,6 +900,68 @@ describe('MonzoWebhookHandler', () => {
         })
       );
     });
+
+    test('should complete queued requests and keep a result summary', async () => {
+      process.env.MONZO_ACCESS_TOKEN = 'test_access_token';
+      webhookHandler.allowEnvAccessToken = true;
+      webhookHandler.jobQueue.stop();
+
+      mockConnector.testConnection.mockResolvedValue({ success: true });
+      mockConnector.getCompleteAccountData.mockResolvedValue({
+        accounts: [{ id: 'acc_1' }],
+        balances: [],
+        pots: [],
+        transactions: [{ accountId: 'acc_1', transactions: [{ id: 'tx_1' }, { id: 'tx_2' }] }]
+      });
+      mockWalletClient.storeCompleteData.mockResolvedValue({ success: true, created: 3, updated: 0, unchanged: 0 });
+
+      const job = await webhookHandler.jobQueue.enqueue('req_1', {
+        userIdentifier: 'user@example.com',
+        callbackUrl: 'https://example.com/callback'
+      });
+      await webhookHandler.jobQueue.runJob(job);
+      delete process.env.MONZO_ACCESS_TOKEN;
+
+      const status = await webhookHandler.getRequestStatus('req_1', 'user@example.com');
+      expect(status.status).toBe('completed');
+      expect(status.result).toEqual(expect.objectContaining({
+        accounts: [{ id: 'acc_1' }],
+        transactionCount: 2,
+        wallet: expect.objectContaining({ stored: true, created: 3 })
+      }));
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenLastCalledWith(
+        'https://example.com/callback',
+        expect.objectContaining({ requestId: 'req_1', status: 'completed' })
+      );
+    });
+
+    test('should only report request status to the user who made the request', async () => {
+      webhookHandler.jobQueue.stop();
+      await webhookHandler.jobQueue.enqueue('req_3', { userIdentifier: 'user@example.com' });
+
+      expect(await webhookHandler.getRequestStatus('req_3', 'user@example.com')).toEqual(expect.objectContaining({ requestId: 'req_3' }));
+      expect(await webhookHandler.getRequestStatus('req_3', 'other@example.com')).toBeNull();
+      expect(await webhookHandler.getRequestStatus('req_3')).toBeNull();
+    });
+
+    test('should mark queued requests failed and send a failure callback', async () => {
+      delete process.env.MONZO_ACCESS_TOKEN;
+      webhookHandler.jobQueue.stop();
+
+      const job = await webhookHandler.jobQueue.enqueue('req_2', {
+        userIdentifier: 'nobody@example.com',
+        callbackUrl: 'https://example.com/callback'
+      });
+      await webhookHandler.jobQueue.runJob(job);
+
+      const status = await webhookHandler.getRequestStatus('req_2', 'nobody@example.com');
+      expect(status.status).toBe('failed');
+      expect(status.error).toBe('No Monzo access token available for processing');
+      expect(mockCallbackClient.sendStatusCallback).toHaveBeenLastCalledWith(
+        'https://example.com/callback',
+        expect.objectContaining({ requestId: 'req_2', status: 'failed' })
+      );
+    });
   });
 
   describe('Utility Methods', () => {
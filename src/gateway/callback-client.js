@@ -1,5 +1,10 @@
 const axios = require('axios');
+const http = require('http');
+const https = require('https');
 const logger = require('../utils/logger');
+const RetryHandler = require('../utils/retry-handler');
+const { parseSigningKeys, signCallback } = require('./callback-signature');
+const CallbackUrlPolicy = require('./callback-url-policy');
 
 /**
  * Callback Client for CheckD Gateway Status Reporting
@@ -10,7 +15,23 @@ class CallbackClient {
     this.timeout = options.timeout || 30000; // 30 second timeout
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000; // 1 second base delay
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+    // No attempt is started (or waited for) after this much time has passed
+    this.deliveryDeadlineMs = options.deliveryDeadlineMs || 120000;
+    this.retryHandler = options.retryHandler || new RetryHandler({
+      maxAttempts: this.maxRetries,
+      baseDelay: this.retryDelay,
+      maxDelay: this.maxRetryDelay
+    });
     this.userAgent = options.userAgent || 'Monzo-Data-Connector/1.0';
+    // The first key signs outgoing callbacks; older keys stay listed for receivers during rotation
+    this.signingKeys = parseSigningKeys(options.signingSecrets);
+    this.urlPolicy = options.urlPolicy || new CallbackUrlPolicy();
+    // Callbacks that still fail after all retries are kept here for scheduled redelivery and replay
+    this.deadLetterStore = options.deadLetterStore || null;
+    this.redeliveryIntervalMs = options.redeliveryIntervalMs || 60000;
+    this.redeliveryTimer = null;
+    this.redelivering = false;
     
     // Configure axios instance
     this.httpClient = axios.create({
@@ -19,20 +40,23 @@ class CallbackClient {
         'Content-Type': 'application/json',
         'User-Agent': this.userAgent
       },
-      validateStatus: (status) => status < 500 // Retry on 5xx errors only
+      // Every status resolves; sendWithRetry decides what is retryable
+      validateStatus: () => true
     });
 
     logger.info('Callback Client initialized', { 
       timeout: this.timeout,
       maxRetries: this.maxRetries,
-      userAgent: this.userAgent
+      userAgent: this.userAgent,
+      signing: this.signingKeys.length > 0 ? this.signingKeys[0].id : 'disabled'
     });
   }
 
   /**
    * Send status callback to CheckD Gateway or provided URL
+   * @param {Object} options - deadLetter: false to skip the dead-letter store on failure (replays)
    */
-  async sendCallback(url, payload) {
+  async sendCallback(url, payload, options = {}) {
     if (!url) {
       logger.warn('No callback URL provided, skipping callback');
       return { success: false, error: 'No callback URL provided' };
@@ -41,6 +65,19 @@ class CallbackClient {
     const callbackId = this.generateCallbackId();
     const startTime = Date.now();
 
+    // Resolved on every send, so a host that has since been repointed inward is caught
+    const target = await this.urlPolicy.validate(url);
+    if (!target.valid) {
+      return {
+        success: false,
+        callbackId,
+        rejected: true,
+        reason: target.reason,
+        error: `Callback URL rejected: ${target.reason}`,
+        duration: Date.now() - startTime
+      };
+    }
+
     try {
       logger.info('Sending callback request', { 
         callbackId, 
@@ -49,7 +86,7 @@ class CallbackClient {
         status: payload.status
       });
 
-      const result = await this.sendWithRetry(url, payload, callbackId);
+      const result = await this.sendWithRetry(url, payload, callbackId, target);
       
       logger.info('Callback request successful', { 
         callbackId,
@@ -63,7 +100,8 @@ class CallbackClient {
         callbackId,
         statusCode: result.statusCode,
         duration: Date.now() - startTime,
-        attempts: result.attempt
+        attempts: result.attempt,
+        outcomes: result.outcomes
       };
 
     } catch (error) {
@@ -74,11 +112,17 @@ class CallbackClient {
         duration: Date.now() - startTime
       });
 
+      const deadLettered = options.deadLetter !== false &&
+        await this.deadLetter(callbackId, url, payload, error);
+
       return {
         success: false,
         callbackId,
         error: error.message,
-        duration: Date.now() - startTime
+        attempts: error.attempts,
+        outcomes: error.outcomes || [],
+        duration: Date.now() - startTime,
+        ...(deadLettered && { deadLettered: true })
       };
     }
   }
@@ -145,68 +189,283 @@ class CallbackClient {
 
   /**
    * Send request with retry logic
+   * Retries go through the shared RetryHandler: 408, 429, 5xx and network errors are retried
+   * with jittered backoff (or the receiver's Retry-After), within the delivery deadline
+   * @param {Object} target - Policy result whose resolved address every attempt is pinned to
+   * @returns {Object} { statusCode, attempt, data, outcomes } - one outcome per attempt
    */
-  async sendWithRetry(url, payload, callbackId) {
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        logger.debug('Sending callback attempt', { callbackId, attempt, maxRetries: this.maxRetries });
-
-        const response = await this.httpClient.post(url, payload);
-        
-        if (response.status >= 200 && response.status < 300) {
-          logger.debug('Callback successful', { 
-            callbackId, 
-            attempt, 
-            statusCode: response.status 
-          });
-          
-          return {
-            statusCode: response.status,
-            attempt,
-            data: response.data
-          };
-        } else if (response.status >= 400 && response.status < 500) {
-          // Client errors (4xx) - don't retry
-          throw new Error(`HTTP ${response.status}: ${response.statusText || 'Client error'}`);
-        } else {
-          // Server errors (5xx) - retry
-          throw new Error(`HTTP ${response.status}: ${response.statusText || 'Server error'}`);
-        }
+  async sendWithRetry(url, payload, callbackId, target) {
+    const outcomes = [];
+    const deadline = Date.now() + this.deliveryDeadlineMs;
 
+    const attemptDelivery = async (attempt) => {
+      const startedAt = Date.now();
+      logger.debug('Sending callback attempt', { callbackId, attempt, maxRetries: this.maxRetries });
+
+      let response;
+      try {
+        response = await this.postCallback(url, payload, target, Math.max(1, deadline - startedAt));
       } catch (error) {
-        lastError = error;
-        
-        if (error.response && error.response.status >= 400 && error.response.status < 500) {
-          // Client errors - don't retry
-          logger.warn('Callback failed with client error, not retrying', { 
-            callbackId,
-            attempt,
-            status: error.response.status,
-            error: error.message
-          });
-          throw error;
-        }
+        const networkError = this.createDeliveryError(error.response || null, error);
+        outcomes.push(this.describeAttempt(attempt, startedAt, networkError));
+        throw networkError;
+      }
 
-        logger.warn('Callback attempt failed', { 
+      if (response.status >= 200 && response.status < 300) {
+        outcomes.push(this.describeAttempt(attempt, startedAt, null, response));
+        return { statusCode: response.status, attempt, data: response.data, outcomes };
+      }
+
+      const error = this.createDeliveryError(response);
+      outcomes.push(this.describeAttempt(attempt, startedAt, error));
+      throw error;
+    };
+
+    try {
+      return await this.retryHandler.withRetry(attemptDelivery, { callbackId }, { deadline });
+    } catch (error) {
+      const attempts = outcomes.length;
+      let failure = error;
+
+      if (error.deadlineExceeded) {
+        failure = new Error(`Callback delivery deadline of ${this.deliveryDeadlineMs}ms reached after ${attempts} attempts. Last error: ${error.message}`);
+      } else if (error.retryDeferred) {
+        failure = new Error(`Callback receiver asked to retry after ${error.retryAfter}s, longer than the retry delay allows, after ${attempts} attempts. Last error: ${error.message}`);
+      } else if (error.retryable) {
+        failure = new Error(`All ${attempts} callback attempts failed. Last error: ${error.message}`);
+      } else {
+        logger.warn('Callback failed with client error, not retrying', {
           callbackId,
-          attempt,
-          maxRetries: this.maxRetries,
+          attempt: attempts,
+          status: error.status,
           error: error.message
         });
+      }
 
-        // Don't wait after the last attempt
-        if (attempt < this.maxRetries) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-          logger.debug('Waiting before retry', { callbackId, delay, nextAttempt: attempt + 1 });
-          await this.sleep(delay);
-        }
+      failure.attempts = attempts;
+      failure.outcomes = outcomes;
+      throw failure;
+    }
+  }
+
+  /**
+   * Build an error for a failed delivery attempt
+   * 408, 429 and 5xx responses and network failures are retryable; other 4xx are not
+   * @param {Object|null} response - HTTP response, or null when none was received
+   * @param {Error} cause - Underlying network error, if any
+   */
+  createDeliveryError(response, cause = null) {
+    if (!response) {
+      const error = new Error(cause?.message || 'Callback request failed');
+      error.code = cause?.code;
+      error.retryable = true;
+      return error;
+    }
+
+    const status = response.status;
+    const error = new Error(`HTTP ${status}: ${response.statusText || (status >= 500 ? 'Server error' : 'Client error')}`);
+    error.status = status;
+    error.retryable = status === 408 || status === 429 || status >= 500;
+    // Retry-After is honoured by the RetryHandler in place of its own backoff
+    error.retryAfter = RetryHandler.parseRetryAfter(response.headers?.['retry-after']);
+    return error;
+  }
+
+  describeAttempt(attempt, startedAt, error, response = null) {
+    return {
+      attempt,
+      outcome: error ? 'failed' : 'delivered',
+      statusCode: response?.status ?? error?.status ?? null,
+      error: error ? error.message : null,
+      retryable: error ? error.retryable : null,
+      retryAfter: error?.retryAfter ?? null,
+      duration: Date.now() - startedAt
+    };
+  }
+
+  /**
+   * POST a callback, signing the exact serialized body when signing secrets are configured
+   * Each attempt is signed afresh so retries carry a current timestamp and a new nonce
+   */
+  async postCallback(url, payload, target, timeout = this.timeout) {
+    const requestConfig = {
+      ...this.getPinnedRequestConfig(target),
+      timeout: Math.min(this.timeout, timeout)
+    };
+
+    if (this.signingKeys.length === 0) {
+      return await this.httpClient.post(url, payload, requestConfig);
+    }
+
+    const body = JSON.stringify(payload);
+    return await this.httpClient.post(url, body, {
+      ...requestConfig,
+      headers: signCallback(body, this.signingKeys[0])
+    });
+  }
+
+  /**
+   * Request options that connect to the address the policy approved
+   * The URL (and so the Host header and TLS server name) is unchanged; only the lookup is pinned.
+   * Redirects are not followed since their target was never checked.
+   */
+  getPinnedRequestConfig(target) {
+    const lookup = CallbackUrlPolicy.createPinnedLookup(target.address, target.family);
+    return {
+      maxRedirects: 0,
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup })
+    };
+  }
+
+  /**
+   * Check a callback URL against the policy (resolves DNS)
+   * @returns {Object} { valid, reason }
+   */
+  async validateCallbackUrl(url) {
+    const result = await this.urlPolicy.validate(url);
+    return { valid: result.valid, reason: result.reason };
+  }
+
+  /**
+   * Write an undeliverable callback to the dead-letter store
+   * @returns {boolean} True when the callback was stored
+   */
+  async deadLetter(callbackId, url, payload, error) {
+    if (!this.deadLetterStore) {
+      return false;
+    }
+
+    try {
+      await this.deadLetterStore.add({
+        callbackId,
+        url,
+        payload,
+        attempts: error.attempts || 0,
+        error: error.message
+      });
+      return true;
+    } catch (storeError) {
+      logger.error('Failed to dead-letter callback', { callbackId, error: storeError.message });
+      return false;
+    }
+  }
+
+  /**
+   * Replay one dead-lettered callback
+   * @param {string} id - Dead-letter id (the original callback id)
+   * @param {Object} options - scheduled: true when called by the redelivery schedule
+   * @returns {Object|null} Replay outcome, or null when the id is unknown
+   */
+  async replayDeadLetter(id, options = {}) {
+    if (!this.deadLetterStore) {
+      throw new Error('Callback dead-letter store is not configured');
+    }
+
+    const record = await this.deadLetterStore.get(id);
+    if (!record) {
+      return null;
+    }
+    if (record.status === 'delivered') {
+      return { id, success: true, status: record.status, skipped: true };
+    }
+
+    const result = await this.sendCallback(record.url, record.payload, { deadLetter: false });
+    const updated = result.success
+      ? await this.deadLetterStore.markDelivered(id, result.attempts)
+      : await this.deadLetterStore.recordFailure(id, {
+        error: result.error,
+        attempts: result.attempts || 0
+      }, options);
+
+    logger.info('Replayed dead-lettered callback', {
+      callbackId: id,
+      success: result.success,
+      scheduled: !!options.scheduled,
+      status: updated.status
+    });
+
+    return {
+      id,
+      success: result.success,
+      status: updated.status,
+      statusCode: result.statusCode,
+      error: result.error,
+      nextAttemptAt: updated.nextAttemptAt
+    };
+  }
+
+  /**
+   * Replay several dead-lettered callbacks, one at a time
+   * @param {Object} filter - ids, or status (defaults to every undelivered callback)
+   * @returns {Object} { total, delivered, failed, results }
+   */
+  async replayDeadLetters(filter = {}) {
+    if (!this.deadLetterStore) {
+      throw new Error('Callback dead-letter store is not configured');
+    }
+
+    const ids = filter.ids && filter.ids.length > 0
+      ? filter.ids
+      : (await this.deadLetterStore.list({
+        status: filter.status || ['pending', 'exhausted']
+      })).map(record => record.id);
+
+    const results = [];
+    for (const id of ids) {
+      results.push(await this.replayDeadLetter(id) || { id, success: false, error: 'Dead-lettered callback not found' });
+    }
+
+    return {
+      total: results.length,
+      delivered: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  }
+
+  /**
+   * Redeliver every dead-lettered callback whose scheduled retry is due
+   * @returns {number} Number of callbacks attempted
+   */
+  async redeliverDue() {
+    if (!this.deadLetterStore || this.redelivering) {
+      return 0;
+    }
+
+    this.redelivering = true;
+    try {
+      const due = await this.deadLetterStore.listDue();
+      for (const record of due) {
+        await this.replayDeadLetter(record.id, { scheduled: true });
       }
+      return due.length;
+    } finally {
+      this.redelivering = false;
     }
+  }
 
-    // All retries exhausted
-    throw new Error(`All ${this.maxRetries} callback attempts failed. Last error: ${lastError?.message || 'Unknown error'}`);
+  /**
+   * Start checking for due redeliveries in the background
+   */
+  startRedelivery() {
+    if (!this.deadLetterStore || this.redeliveryTimer) {
+      return;
+    }
+
+    this.redeliveryTimer = setInterval(() => {
+      this.redeliverDue().catch(error => logger.error('Callback redelivery failed', { error: error.message }));
+    }, this.redeliveryIntervalMs);
+    this.redeliveryTimer.unref?.();
+
+    logger.info('Callback redelivery started', { intervalMs: this.redeliveryIntervalMs });
+  }
+
+  stopRedelivery() {
+    if (this.redeliveryTimer) {
+      clearInterval(this.redeliveryTimer);
+      this.redeliveryTimer = null;
+    }
   }
 
   /**
@@ -235,24 +494,10 @@ class CallbackClient {
   }
 
   /**
-   * Check if hostname is a local/internal address
+   * Check if hostname is a local/internal address (without resolving it)
    */
   isLocalAddress(hostname) {
-    // Local addresses that should be rejected for security
-    const localPatterns = [
-      /^localhost$/i,
-      /^127\./,
-      /^10\./,
-      /^192\.168\./,
-      /^172\.(1[6-9]|2[0-9]|3[01])\./,
-      /^169\.254\./,
-      /^0\./,
-      /^::1$/,
-      /^fc00::/,
-      /^fe80::/
-    ];
-
-    return localPatterns.some(pattern => pattern.test(hostname));
+    return this.urlPolicy.isLocalHostname(hostname);
   }
 
   /**
@@ -302,7 +547,8 @@ class CallbackClient {
         success: result.success,
         url: this.sanitizeUrl(url),
         duration: result.duration,
-        statusCode: result.statusCode
+        statusCode: result.statusCode,
+        ...(result.rejected && { rejected: true, reason: result.reason })
       };
     } catch (error) {
       return {
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-connector-signature';
+const NONCE_HEADER = 'x-connector-nonce';
+const KEY_ID_HEADER = 'x-connector-key-id';
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Parse signing secrets into key entries
+ * Accepts an array of { id, secret } or a comma-separated string of `id:secret`
+ * (or bare secrets, which get positional ids). The first key signs; all of them verify.
+ * @returns {Array} [{ id, secret }]
+ */
+function parseSigningKeys(secrets) {
+  if (!secrets) {
+    return [];
+  }
+
+  const entries = Array.isArray(secrets)
+    ? secrets
+    : String(secrets).split(',').map(entry => entry.trim()).filter(Boolean);
+
+  return entries.map((entry, index) => {
+    if (typeof entry === 'object') {
+      return { id: entry.id || `key${index + 1}`, secret: entry.secret };
+    }
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { id: entry.substring(0, separator), secret: entry.substring(separator + 1) }
+      : { id: `key${index + 1}`, secret: entry };
+  }).filter(key => key.secret);
+}
+
+/**
+ * Compute the HMAC-SHA256 signature of a callback
+ * The signed content is `${timestamp}.${nonce}.${body}` so neither the timestamp nor
+ * the nonce can be swapped without invalidating the signature
+ */
+function computeSignature(secret, timestamp, nonce, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature headers for a serialized callback body
+ * @param {string} body - Exact request body that will be sent
+ * @param {Object} key - { id, secret } used to sign
+ * @param {Object} options - timestamp (unix seconds) and nonce overrides
+ * @returns {Object} Headers to attach to the request
+ */
+function signCallback(body, key, options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const nonce = options.nonce || crypto.randomBytes(16).toString('hex');
+  const signature = computeSignature(key.secret, timestamp, nonce, body);
+
+  return {
+    'X-Connector-Signature': `t=${timestamp},${SIGNATURE_VERSION}=${signature}`,
+    'X-Connector-Timestamp': String(timestamp),
+    'X-Connector-Nonce': nonce,
+    'X-Connector-Key-Id': key.id
+  };
+}
+
+/**
+ * Parse an `X-Connector-Signature` header value (`t=<timestamp>,v1=<hex>`)
+ */
+function parseSignatureHeader(value) {
+  const parsed = {};
+  String(value || '').split(',').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      parsed[part.substring(0, separator).trim()] = part.substring(separator + 1).trim();
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Remembers nonces seen within the tolerance window so replayed callbacks are rejected
+ */
+class NonceCache {
+  constructor(ttlMs = DEFAULT_TOLERANCE_SECONDS * 1000) {
+    this.ttlMs = ttlMs;
+    this.seen = new Map();
+  }
+
+  /**
+   * Record a nonce
+   * @returns {boolean} False when the nonce was already seen
+   */
+  checkAndAdd(nonce) {
+    const now = Date.now();
+    for (const [seenNonce, expiresAt] of this.seen) {
+      if (expiresAt <= now) {
+        this.seen.delete(seenNonce);
+      }
+    }
+
+    if (this.seen.has(nonce)) {
+      return false;
+    }
+    this.seen.set(nonce, now + this.ttlMs);
+    return true;
+  }
+}
+
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || undefined;
+  }
+  const match = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+function safeEqual(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(actual, 'hex');
+  return expectedBuffer.length === actualBuffer.length &&
+    expectedBuffer.length > 0 &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Verify a signed callback (for receivers and tests)
+ * @param {Object} params
+ * @param {string|Buffer} params.body - Raw request body exactly as received
+ * @param {Object} params.headers - Request headers (plain object or Headers)
+ * @param {Array|string} params.secrets - Active secrets; any of them may have signed
+ * @param {number} params.toleranceSeconds - Maximum allowed clock difference
+ * @param {NonceCache} params.nonceCache - Optional replay protection
+ * @returns {Object} { valid: true, keyId } or { valid: false, reason }
+ */
+function verifyCallbackSignature({ body, headers, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, nonceCache = null, now = Date.now() }) {
+  const keys = parseSigningKeys(secrets);
+  if (keys.length === 0) {
+    return { valid: false, reason: 'no_secrets_configured' };
+  }
+
+  const header = getHeader(headers, SIGNATURE_HEADER);
+  const nonce = getHeader(headers, NONCE_HEADER);
+  const keyId = getHeader(headers, KEY_ID_HEADER);
+  const { t: timestamp, [SIGNATURE_VERSION]: signature } = parseSignatureHeader(header);
+
+  if (!header || !timestamp || !signature || !nonce) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(timestampSeconds) ||
+      Math.abs(Math.floor(now / 1000) - timestampSeconds) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  // A key id narrows the candidates; without one every active secret is tried
+  const candidates = keyId ? keys.filter(key => key.id === keyId) : keys;
+  if (candidates.length === 0) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const rawBody = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  const matchedKey = candidates.find(key =>
+    safeEqual(computeSignature(key.secret, timestamp, nonce, rawBody), signature));
+
+  if (!matchedKey) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  // Only remember nonces of authentic callbacks, so forgeries cannot burn them
+  if (nonceCache && !nonceCache.checkAndAdd(nonce)) {
+    return { valid: false, reason: 'replayed_nonce' };
+  }
+
+  return { valid: true, keyId: matchedKey.id };
+}
+
+module.exports = {
+  parseSigningKeys,
+  signCallback,
+  verifyCallbackSignature,
+  NonceCache,
+  DEFAULT_TOLERANCE_SECONDS
+};
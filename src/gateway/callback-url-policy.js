@@ -0,0 +1,194 @@
+const dns = require('dns');
+const net = require('net');
+const logger = require('../utils/logger');
+
+// Address ranges a callback must never reach: loopback, private, link-local, shared,
+// documentation, multicast and reserved space, plus IPv6 transition ranges that embed
+// an IPv4 address (mapped, NAT64, 6to4, Teredo) so they cannot be used to smuggle one in
+const BLOCKED_IPV4_SUBNETS = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const BLOCKED_IPV6_SUBNETS = [
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 23],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8]
+];
+
+// Separate lists: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules,
+// so a shared list would block every IPv4 address through ::ffff:0:0/96
+const blockedIpv4 = new net.BlockList();
+const blockedIpv6 = new net.BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([network, prefix]) => blockedIpv4.addSubnet(network, prefix, 'ipv4'));
+BLOCKED_IPV6_SUBNETS.forEach(([network, prefix]) => blockedIpv6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Parse a host list from config (comma-separated string or array), lower-cased
+ */
+function parseHostList(hosts) {
+  if (!hosts) {
+    return [];
+  }
+  const entries = Array.isArray(hosts) ? hosts : String(hosts).split(',');
+  return entries.map(host => String(host).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Callback URL policy
+ * Decides whether the connector may POST to a callback URL: scheme, host allow/deny
+ * lists, and the IP addresses the host resolves to. A passing check returns the resolved
+ * address so the request can be pinned to it, which blocks DNS rebinding between the
+ * check and the connection.
+ */
+class CallbackUrlPolicy {
+  constructor(options = {}) {
+    this.allowedHosts = parseHostList(options.allowedHosts);
+    this.deniedHosts = parseHostList(options.deniedHosts);
+    // Local development only: lets callbacks reach private addresses
+    this.allowPrivateNetworks = !!options.allowPrivateNetworks;
+    this.resolver = options.resolver || ((hostname) => dns.promises.lookup(hostname, { all: true, verbatim: true }));
+
+    logger.info('Callback URL policy initialized', {
+      allowedHosts: this.allowedHosts.length,
+      deniedHosts: this.deniedHosts.length,
+      allowPrivateNetworks: this.allowPrivateNetworks
+    });
+  }
+
+  /**
+   * Check whether an IP address falls in a blocked range
+   */
+  static isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+      return false;
+    }
+    return family === 6 ? blockedIpv6.check(address, 'ipv6') : blockedIpv4.check(address, 'ipv4');
+  }
+
+  /**
+   * Strip the brackets URL parsing leaves around IPv6 literals
+   */
+  static normalizeHostname(hostname) {
+    return String(hostname || '').toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  }
+
+  /**
+   * Check whether a hostname is local without resolving it (localhost names and private IP literals)
+   */
+  isLocalHostname(hostname) {
+    const host = CallbackUrlPolicy.normalizeHostname(hostname);
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      return true;
+    }
+    return CallbackUrlPolicy.isPrivateAddress(host);
+  }
+
+  /**
+   * Match a host against a list entry; `*.example.com` matches subdomains only
+   */
+  matchesHost(host, pattern) {
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.substring(1));
+    }
+    return host === pattern;
+  }
+
+  /**
+   * Validate a callback URL and resolve the address the request must use
+   * @param {string} url - Callback URL
+   * @returns {Object} { valid: true, hostname, address, family } or { valid: false, reason }
+   */
+  async validate(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return this.reject(url, 'invalid_url');
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return this.reject(url, 'unsupported_protocol');
+    }
+
+    const hostname = CallbackUrlPolicy.normalizeHostname(parsedUrl.hostname);
+
+    if (this.deniedHosts.some(pattern => this.matchesHost(hostname, pattern))) {
+      return this.reject(url, 'host_denied');
+    }
+
+    if (this.allowedHosts.length > 0 && !this.allowedHosts.some(pattern => this.matchesHost(hostname, pattern))) {
+      return this.reject(url, 'host_not_allowed');
+    }
+
+    if (!this.allowPrivateNetworks && (hostname === 'localhost' || hostname.endsWith('.localhost'))) {
+      return this.reject(url, 'private_address');
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [{ address: hostname, family: net.isIP(hostname) }];
+    } else {
+      try {
+        addresses = await this.resolver(hostname);
+      } catch (error) {
+        return this.reject(url, 'unresolvable_host', { error: error.code || error.message });
+      }
+    }
+
+    if (!addresses || addresses.length === 0) {
+      return this.reject(url, 'unresolvable_host');
+    }
+
+    // Every address must be public, otherwise a rebinding resolver could pick the private one later
+    if (!this.allowPrivateNetworks && addresses.some(({ address }) => CallbackUrlPolicy.isPrivateAddress(address))) {
+      return this.reject(url, 'private_address');
+    }
+
+    const [{ address, family }] = addresses;
+    return { valid: true, hostname, address, family };
+  }
+
+  reject(url, reason, details = {}) {
+    logger.warn('Rejected callback URL', { url: String(url).split('?')[0], reason, ...details });
+    return { valid: false, reason };
+  }
+
+  /**
+   * Build a `lookup` function for http(s).Agent that always returns the pinned address
+   */
+  static createPinnedLookup(address, family) {
+    return (hostname, options, callback) => {
+      const done = typeof options === 'function' ? options : callback;
+      if (options && options.all) {
+        return done(null, [{ address, family }]);
+      }
+      return done(null, address, family);
+    };
+  }
+}
+
+module.exports = CallbackUrlPolicy;
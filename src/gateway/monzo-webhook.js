@@ -1,16 +1,36 @@
-const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const JwtVerifier = require('../auth/jwt-verifier');
+const TokenStore = require('../storage/token-store');
+const MonzoCredentials = require('../auth/monzo-credentials');
+const SyncStateStore = require('../storage/sync-state-store');
+const JobQueue = require('../storage/job-queue');
+const { ErrorHandler, ERROR_CATEGORIES } = require('../utils/error-handler');
+
+// Job queue deferral reason for async requests waiting on Monzo app approval
+const APPROVAL_DEFERRAL = 'monzo_approval';
 
 /**
  * Monzo Webhook Handler for CheckD Gateway Integration
  * Handles incoming webhook requests, validates JWT tokens, and processes data extraction requests
  */
 class MonzoWebhookHandler {
-  constructor(connector, walletClient, callbackClient) {
+  constructor(connector, walletClient, callbackClient, options = {}) {
     this.connector = connector;
     this.walletClient = walletClient;
     this.callbackClient = callbackClient;
-    this.pendingRequests = new Map(); // Store async request states
+    this.jwtVerifier = options.jwtVerifier || new JwtVerifier();
+    this.tokenStore = options.tokenStore || new TokenStore();
+    this.syncStateStore = options.syncStateStore || new SyncStateStore(this.tokenStore.backend);
+    this.oauthHandler = options.oauthHandler || connector.oauthHandler || null;
+    this.approvalTracker = options.approvalTracker || null;
+    this.jobQueue = options.jobQueue || new JobQueue({ backend: this.tokenStore.backend });
+    this.jobQueue.setHandler(job => this.processJob(job));
+    // Jobs deferred for approval run again as soon as the tracker settles it
+    this.approvalTracker?.onSettled?.(approval => this.resumeApprovalJobs(approval.userId));
+    // MONZO_ACCESS_TOKEN stands in for users without stored tokens only in explicit development mode
+    this.allowEnvAccessToken = options.allowEnvAccessToken !== undefined
+      ? options.allowEnvAccessToken
+      : process.env.NODE_ENV === 'development';
     logger.info('Monzo Webhook Handler initialized');
   }
 
@@ -25,29 +45,12 @@ class MonzoWebhookHandler {
     try {
       logger.info('Webhook connect request received', { requestId });
 
-      // Extract and validate JWT token
-      const token = this.extractJwtToken(req);
-      if (!token) {
-        return this.respondWithError(res, 'missing_token', 'Missing or invalid JWT token', 401);
-      }
-
-      // Validate JWT token
-      const tokenData = await this.validateJwtToken(token);
-      if (!tokenData) {
-        return this.respondWithError(res, 'invalid_token', 'Invalid or expired JWT token', 401);
-      }
-
-      // Extract request data
-      const { data: userIdentifier, callback_url, async: isAsync } = req.body;
-      
-      if (!userIdentifier) {
-        return this.respondWithError(res, 'missing_data', 'Missing user identifier in request body', 400);
-      }
-
-      // Validate callback URL if provided
-      if (callback_url && !this.isValidUrl(callback_url)) {
-        return this.respondWithError(res, 'invalid_callback', 'Invalid callback URL format', 400);
+      const validation = await this.validateWebhookRequest(req);
+      if (!validation.valid) {
+        return this.respondWithError(res, validation.errorCode, validation.message, validation.statusCode, validation.details);
       }
+      const { tokenData, userIdentifier, callbackUrl: callback_url, walletRoute } = validation;
+      const { async: isAsync } = req.body;
 
       logger.info('Webhook request validated', { 
         requestId, 
@@ -59,9 +62,9 @@ class MonzoWebhookHandler {
 
       // Handle asynchronous processing if requested
       if (isAsync) {
-        return await this.handleAsyncRequest(req, res, requestId, tokenData, userIdentifier, callback_url);
+        return await this.handleAsyncRequest(req, res, requestId, tokenData, userIdentifier, callback_url, walletRoute);
       } else {
-        return await this.handleSyncRequest(req, res, requestId, tokenData, userIdentifier);
+        return await this.handleSyncRequest(req, res, requestId, tokenData, userIdentifier, walletRoute);
       }
 
     } catch (error) {
@@ -75,41 +78,192 @@ class MonzoWebhookHandler {
     }
   }
 
+  /**
+   * Disconnect endpoint handler for CheckD Gateway (consent withdrawal)
+   * Queues revocation of the user's Monzo authorization; the callback reports when it is done.
+   * Body: { data: userIdentifier, callback_url, erase_wallet_data, wallet: { tenant, environment } }
+   */
+  async handleDisconnectRequest(req, res) {
+    const requestId = this.generateRequestId();
+
+    try {
+      logger.info('Webhook disconnect request received', { requestId });
+
+      const validation = await this.validateWebhookRequest(req);
+      if (!validation.valid) {
+        return this.respondWithError(res, validation.errorCode, validation.message, validation.statusCode, validation.details);
+      }
+      const { tokenData, userIdentifier, callbackUrl, walletRoute } = validation;
+      const eraseWalletData = req.body.erase_wallet_data === true;
+
+      await this.jobQueue.enqueue(requestId, {
+        type: 'disconnect',
+        tokenData,
+        userIdentifier,
+        callbackUrl,
+        eraseWalletData,
+        walletRoute
+      });
+
+      return res.status(202).json({
+        status: 'accepted',
+        requestId,
+        message: 'Disconnect request accepted',
+        processing: {
+          status: 'pending',
+          eraseWalletData,
+          callbackUrl: callbackUrl || 'none'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Webhook disconnect request failed', { requestId, error: error.message });
+      return this.respondWithError(res, 'processing_error', 'Internal server error processing disconnect request', 500);
+    }
+  }
+
+  /**
+   * Validate the gateway JWT, user identifier, callback URL and wallet routing shared by webhook requests
+   * The user identifier in the body must be the verified token's subject: a gateway token only
+   * authorizes requests for its own user.
+   * @returns {Object} { valid: true, tokenData, userIdentifier, callbackUrl, walletRoute } or
+   *   { valid: false, errorCode, message, statusCode, details }
+   */
+  async validateWebhookRequest(req) {
+    const reject = (errorCode, message, statusCode, details = {}) =>
+      ({ valid: false, errorCode, message, statusCode, details });
+
+    // Extract and validate JWT token
+    const token = this.extractJwtToken(req);
+    if (!token) {
+      return reject('missing_token', 'Missing or invalid JWT token', 401);
+    }
+
+    const verification = await this.validateJwtToken(token);
+    if (!verification.valid) {
+      return reject('invalid_token', 'Invalid or expired JWT token', 401, { reason: verification.reason });
+    }
+
+    // Extract request data
+    const { data: userIdentifier, callback_url } = req.body;
+
+    if (!userIdentifier) {
+      return reject('missing_data', 'Missing user identifier in request body', 400);
+    }
+
+    if (userIdentifier !== verification.payload.sub) {
+      return reject('user_mismatch', 'User identifier does not match the authenticated token subject', 403);
+    }
+
+    // Validate callback URL if provided
+    if (callback_url && !this.isValidUrl(callback_url)) {
+      return reject('invalid_callback', 'Invalid callback URL format', 400);
+    }
+
+    // Reject callbacks to hosts outside the policy or resolving to internal addresses
+    if (callback_url) {
+      const callbackCheck = await this.callbackClient.validateCallbackUrl(callback_url);
+      if (!callbackCheck.valid) {
+        return reject('callback_not_allowed', 'Callback URL is not allowed', 400, { reason: callbackCheck.reason });
+      }
+    }
+
+    // Optional per-request wallet routing (tenant, environment), checked against Dataswyft naming
+    // rules and only accepted where the gateway token's claims or the configured allowlist grant it
+    const walletRoute = this.getWalletRoute(req.body.wallet);
+    if (walletRoute) {
+      const router = this.walletClient.router;
+      if (!router) {
+        return reject('wallet_route_not_allowed', 'Wallet routing overrides are not supported', 403);
+      }
+
+      const routeCheck = router.validateOverrides(walletRoute);
+      if (!routeCheck.valid) {
+        return reject('invalid_wallet_route', 'Invalid wallet routing', 400, { reason: routeCheck.error });
+      }
+
+      const routeAccess = router.authorizeOverrides(walletRoute, verification.payload);
+      if (!routeAccess.allowed) {
+        return reject('wallet_route_not_allowed', 'Wallet routing is not allowed for this token', 403, { reason: routeAccess.error });
+      }
+    }
+
+    return { valid: true, tokenData: verification.payload, userIdentifier, callbackUrl: callback_url, walletRoute };
+  }
+
+  /**
+   * Pick the wallet routing overrides a webhook request may set
+   * @returns {Object|null} { tenant, environment } (only the fields given), or null
+   */
+  getWalletRoute(wallet) {
+    if (!wallet || typeof wallet !== 'object') {
+      return null;
+    }
+    const route = {};
+    ['tenant', 'environment'].forEach(field => {
+      if (wallet[field] !== undefined) {
+        route[field] = wallet[field];
+      }
+    });
+    return Object.keys(route).length > 0 ? route : null;
+  }
+
   /**
    * Handle synchronous webhook requests (immediate response)
    */
-  async handleSyncRequest(req, res, requestId, tokenData, userIdentifier) {
+  async handleSyncRequest(req, res, requestId, tokenData, userIdentifier, walletRoute = null) {
     try {
-      // For sync requests, we need existing access token from environment or cache
-      const accessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+      // For sync requests, the user must already have authorized the connector
+      const credentials = await this.getUserCredentials(userIdentifier);
       
-      if (!accessToken) {
+      if (!credentials) {
         return this.respondWithError(res, 'no_token', 'No Monzo access token available for immediate processing. Use async mode or provide token.', 400);
       }
 
+      // Sync requests cannot wait for the user to approve access in the Monzo app
+      const approval = await this.getPendingApproval(userIdentifier);
+      if (approval) {
+        return this.respondWithError(res, 'awaiting_approval', 'Waiting for the user to approve access in the Monzo app. Use async mode to wait for approval.', 409, {
+          expiresAt: approval.expiresAt
+        });
+      }
+
       // Test connection first
-      const connectionTest = await this.connector.testConnection(accessToken);
+      const connectionTest = await this.connector.testConnection(credentials);
       if (!connectionTest.success) {
-        return this.respondWithError(res, 'connection_failed', 'Unable to connect to Monzo API. Please check token validity.', 503);
+        return this.respondWithError(
+          res,
+          'connection_failed',
+          'Unable to connect to Monzo API. Please check token validity.',
+          connectionTest.category === 'RATE_LIMITED' ? 429 : 503,
+          this.describeError(connectionTest)
+        );
       }
 
-      // Extract account data
-      const accountData = await this.connector.getCompleteAccountData(accessToken);
+      // Extract account data (only what is new since the user's last sync)
+      const accountData = await this.connector.getCompleteAccountData(
+        credentials,
+        await this.getSyncOptions(userIdentifier)
+      );
       
       // Store data in Dataswyft wallet
       let walletResult = null;
       try {
         walletResult = await this.walletClient.storeCompleteData(accountData, {
-          isTest: false, // Production data goes to 'monzo' namespace
-          recordName: `monzo-data-sync-${requestId}`
+          ...walletRoute,
+          userId: userIdentifier
         });
         
         if (walletResult.success) {
           logger.info('Sync request: Data stored in wallet successfully', {
             requestId,
-            recordId: walletResult.recordId,
-            namespace: walletResult.namespace
+            namespace: walletResult.namespace,
+            created: walletResult.created,
+            updated: walletResult.updated,
+            unchanged: walletResult.unchanged
           });
+          await this.advanceSyncState(userIdentifier, accountData);
         } else {
           logger.warn('Sync request: Failed to store data in wallet', {
             requestId,
@@ -139,37 +293,37 @@ class MonzoWebhookHandler {
         data: {
           accounts: accountData.accounts || [],
           balances: accountData.balances || [],
+          pots: accountData.pots || [],
           extractionTime: new Date().toISOString(),
           connectionTest
         },
-        wallet: {
-          stored: walletResult?.success || false,
-          recordId: walletResult?.recordId || null,
-          namespace: walletResult?.namespace || null,
-          error: walletResult?.error || null
-        },
+        wallet: this.describeWalletResult(walletResult),
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
       logger.error('Sync request processing failed', { requestId, error: error.message });
-      return this.respondWithError(res, 'extraction_failed', `Data extraction failed: ${error.message}`, 500);
+      return this.respondWithError(
+        res,
+        'extraction_failed',
+        `Data extraction failed: ${error.message}`,
+        error.category ? ERROR_CATEGORIES[error.category].status : 500,
+        this.describeError(error)
+      );
     }
   }
 
   /**
    * Handle asynchronous webhook requests (background processing)
    */
-  async handleAsyncRequest(req, res, requestId, tokenData, userIdentifier, callbackUrl) {
+  async handleAsyncRequest(req, res, requestId, tokenData, userIdentifier, callbackUrl, walletRoute = null) {
     try {
-      // Store request state for background processing
-      this.pendingRequests.set(requestId, {
+      // Persist the request so it survives a restart; the job queue processes it in the background
+      await this.jobQueue.enqueue(requestId, {
         tokenData,
         userIdentifier,
         callbackUrl,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        startTime: Date.now()
+        walletRoute
       });
 
       // Return immediate acknowledgment
@@ -185,12 +339,7 @@ class MonzoWebhookHandler {
         timestamp: new Date().toISOString()
       };
 
-      res.status(202).json(response);
-
-      // Start background processing (non-blocking)
-      setImmediate(() => this.processAsyncRequest(requestId));
-
-      return;
+      return res.status(202).json(response);
 
     } catch (error) {
       logger.error('Async request setup failed', { requestId, error: error.message });
@@ -199,22 +348,101 @@ class MonzoWebhookHandler {
   }
 
   /**
-   * Background processing for async requests
+   * Job queue handler: dispatch a queued job by type
    */
-  async processAsyncRequest(requestId) {
-    const requestData = this.pendingRequests.get(requestId);
-    
-    if (!requestData) {
-      logger.error('Async request data not found', { requestId });
-      return;
+  async processJob(job) {
+    if (job.payload && job.payload.type === 'disconnect') {
+      return await this.processDisconnectRequest(job);
     }
+    return await this.processAsyncRequest(job);
+  }
+
+  /**
+   * Background processing for disconnect requests
+   * Revokes the user's authorization and reports the outcome by callback.
+   * Throws on failure so the queue can retry or mark the job failed.
+   */
+  async processDisconnectRequest(job) {
+    const requestId = job.id;
+    const requestData = job.payload;
 
     try {
-      logger.info('Starting async request processing', { requestId });
-      
-      // Update status
-      requestData.status = 'processing';
-      this.pendingRequests.set(requestId, requestData);
+      if (!this.oauthHandler) {
+        throw new Error('OAuth handler is not configured');
+      }
+
+      const result = await this.oauthHandler.revokeToken(requestData.userIdentifier, {
+        eraseWalletData: requestData.eraseWalletData,
+        walletRoute: requestData.walletRoute
+      });
+
+      // A wallet erase that was asked for but failed is worth retrying; everything else is already gone
+      if (result.wallet && !result.wallet.success) {
+        const walletError = ErrorHandler.createError('WALLET_ERROR', null, { requestId });
+        walletError.message = `Failed to erase wallet data: ${result.wallet.error}`;
+        throw walletError;
+      }
+
+      const summary = {
+        remoteRevoked: result.remoteRevoked,
+        tokensDeleted: result.tokensDeleted,
+        syncStateDeleted: result.syncStateDeleted,
+        approvalCleared: result.approvalCleared,
+        wallet: result.wallet && { erased: true, deleted: result.wallet.deleted, namespace: result.wallet.namespace },
+        revokedAt: result.revokedAt
+      };
+
+      logger.info('Disconnect request completed', { requestId, remoteRevoked: result.remoteRevoked });
+
+      if (requestData.callbackUrl) {
+        await this.callbackClient.sendStatusCallback(requestData.callbackUrl, {
+          requestId,
+          status: 'disconnected',
+          message: 'Monzo authorization revoked and stored data deleted',
+          data: summary
+        });
+      }
+
+      return summary;
+
+    } catch (error) {
+      const willRetry = this.jobQueue.willRetry(job, error);
+      logger.error('Disconnect request failed', { requestId, error: error.message, willRetry });
+
+      if (requestData.callbackUrl) {
+        try {
+          await this.callbackClient.sendStatusCallback(requestData.callbackUrl, {
+            requestId,
+            status: willRetry ? 'retrying' : 'failed',
+            message: willRetry
+              ? `Disconnect failed, will retry: ${error.message}`
+              : `Disconnect failed: ${error.message}`,
+            error: error.message,
+            ...this.describeError(error)
+          });
+        } catch (callbackError) {
+          logger.error('Failed to send error callback', { requestId, error: callbackError.message });
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Background processing for async requests (job queue handler)
+   * Throws on failure so the queue can retry or mark the job failed.
+   * @param {Object} job - Job record from the JobQueue
+   * @returns {Object} Result summary stored with the job
+   */
+  async processAsyncRequest(job) {
+    const requestId = job.id;
+    const requestData = job.payload;
+
+    try {
+      logger.info('Starting async request processing', { requestId, attempt: job.attempts });
+
+      await this.deferUntilApproved(job);
 
       // Send processing callback if URL provided
       if (requestData.callbackUrl) {
@@ -225,36 +453,46 @@ class MonzoWebhookHandler {
         });
       }
 
-      // For async processing, we also need an access token
-      const accessToken = process.env.MONZO_ACCESS_TOKEN || global.tempAccessToken;
+      // For async processing, we also need the user's access token
+      const credentials = await this.getUserCredentials(requestData.userIdentifier);
       
-      if (!accessToken) {
+      if (!credentials) {
         throw new Error('No Monzo access token available for processing');
       }
 
       // Test connection
-      const connectionTest = await this.connector.testConnection(accessToken);
+      const connectionTest = await this.connector.testConnection(credentials);
       if (!connectionTest.success) {
-        throw new Error('Unable to connect to Monzo API');
+        const connectionError = new Error('Unable to connect to Monzo API');
+        connectionError.category = connectionTest.category;
+        connectionError.status = connectionTest.status;
+        connectionError.retryAfter = connectionTest.retryAfter;
+        throw connectionError;
       }
 
-      // Extract account data with retry logic
-      const accountData = await this.connector.getCompleteAccountData(accessToken);
+      // Extract account data (only what is new since the user's last sync)
+      const accountData = await this.connector.getCompleteAccountData(
+        credentials,
+        await this.getSyncOptions(requestData.userIdentifier)
+      );
 
       // Store data in Dataswyft wallet
       let walletResult = null;
       try {
         walletResult = await this.walletClient.storeCompleteData(accountData, {
-          isTest: false, // Production data goes to 'monzo' namespace
-          recordName: `monzo-data-${requestId}`
+          ...requestData.walletRoute,
+          userId: requestData.userIdentifier
         });
         
         if (walletResult.success) {
           logger.info('Data stored in wallet successfully', {
             requestId,
-            recordId: walletResult.recordId,
-            namespace: walletResult.namespace
+            namespace: walletResult.namespace,
+            created: walletResult.created,
+            updated: walletResult.updated,
+            unchanged: walletResult.unchanged
           });
+          await this.advanceSyncState(requestData.userIdentifier, accountData);
         } else {
           logger.warn('Failed to store data in wallet', {
             requestId,
@@ -269,21 +507,18 @@ class MonzoWebhookHandler {
         walletResult = { success: false, error: walletError.message };
       }
 
-      // Mark as completed
-      requestData.status = 'completed';
-      requestData.completedAt = new Date().toISOString();
-      requestData.duration = Date.now() - requestData.startTime;
-      requestData.result = accountData;
-      requestData.walletResult = walletResult;
-      this.pendingRequests.set(requestId, requestData);
+      const completedAt = new Date().toISOString();
+      const duration = Date.now() - new Date(job.createdAt).getTime();
 
       logger.info('Async request processing completed', { 
         requestId,
-        duration: requestData.duration,
+        duration,
         accountCount: accountData.accounts?.length || 0,
         walletStored: walletResult?.success || false
       });
 
+      const wallet = this.describeWalletResult(walletResult);
+
       // Send completion callback
       if (requestData.callbackUrl) {
         await this.callbackClient.sendStatusCallback(requestData.callbackUrl, {
@@ -293,71 +528,232 @@ class MonzoWebhookHandler {
           data: {
             accounts: accountData.accounts || [],
             balances: accountData.balances || [],
-            extractionTime: requestData.completedAt,
-            duration: requestData.duration
+            pots: accountData.pots || [],
+            extractionTime: completedAt,
+            duration
           },
-          wallet: {
-            stored: walletResult?.success || false,
-            recordId: walletResult?.recordId || null,
-            namespace: walletResult?.namespace || null,
-            error: walletResult?.error || null
-          }
+          wallet
         });
       }
 
-      // Clean up after some time (5 minutes)
-      setTimeout(() => {
-        this.pendingRequests.delete(requestId);
-        logger.debug('Async request data cleaned up', { requestId });
-      }, 5 * 60 * 1000);
+      // Keep a summary with the job (transaction history lives in the wallet)
+      return {
+        accounts: accountData.accounts || [],
+        balances: accountData.balances || [],
+        pots: accountData.pots || [],
+        transactionCount: (accountData.transactions || [])
+          .reduce((total, group) => total + (group.transactions?.length || 0), 0),
+        wallet
+      };
 
     } catch (error) {
-      logger.error('Async request processing failed', { requestId, error: error.message });
-      
-      // Mark as failed
-      requestData.status = 'failed';
-      requestData.completedAt = new Date().toISOString();
-      requestData.duration = Date.now() - requestData.startTime;
-      requestData.error = error.message;
-      this.pendingRequests.set(requestId, requestData);
-
-      // Send failure callback
+      if (error.deferUntil) {
+        throw error;
+      }
+
+      const willRetry = this.jobQueue.willRetry(job, error);
+      logger.error('Async request processing failed', { requestId, error: error.message, willRetry });
+
+      // Send failure (or retry) callback
       if (requestData.callbackUrl) {
         try {
           await this.callbackClient.sendStatusCallback(requestData.callbackUrl, {
             requestId,
-            status: 'failed',
-            message: `Data extraction failed: ${error.message}`,
-            error: error.message
+            status: willRetry ? 'retrying' : 'failed',
+            message: willRetry
+              ? `Data extraction failed, will retry: ${error.message}`
+              : `Data extraction failed: ${error.message}`,
+            error: error.message,
+            ...this.describeError(error)
           });
         } catch (callbackError) {
           logger.error('Failed to send error callback', { requestId, error: callbackError.message });
         }
       }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Defer an async job while the user has yet to approve access in the Monzo app
+   * Rather than holding a queue worker, the job is requeued until the tracker's next check
+   * (or until the tracker settles the approval, whichever is first). The callback receiver
+   * hears `awaiting_approval` once. Throws (without retry) when approval is not granted in time.
+   */
+  async deferUntilApproved(job) {
+    const requestId = job.id;
+    const { userIdentifier, callbackUrl } = job.payload;
+    if (!this.approvalTracker || !userIdentifier) {
+      return;
+    }
+
+    let approval = await this.approvalTracker.getStatus(userIdentifier);
+    if (approval && approval.status === 'pending' && new Date(approval.expiresAt).getTime() <= Date.now()) {
+      approval = await this.approvalTracker.check(userIdentifier);
+    }
+    const deferred = job.deferredFor === APPROVAL_DEFERRAL;
+
+    if (!approval || approval.status === 'approved') {
+      if (deferred) {
+        logger.info('Monzo app approval granted, resuming async request', { requestId });
+      }
+      return;
+    }
+
+    if (approval.status !== 'pending') {
+      // An approval that lapsed before this request arrived is left to the Monzo API to report
+      if (!deferred) {
+        return;
+      }
+      const approvalError = ErrorHandler.createError('AUTH_FAILURE', null, { requestId });
+      approvalError.message = 'Monzo app approval was not granted in time';
+      approvalError.retryable = false;
+      throw approvalError;
+    }
+
+    if (!deferred) {
+      logger.info('Async request awaiting Monzo app approval', { requestId, expiresAt: approval.expiresAt });
+
+      if (callbackUrl) {
+        await this.callbackClient.sendStatusCallback(callbackUrl, {
+          requestId,
+          status: 'awaiting_approval',
+          message: 'Waiting for the user to approve access in the Monzo app',
+          expiresAt: approval.expiresAt
+        });
+      }
+    }
+
+    const deferral = new Error('Waiting for Monzo app approval');
+    deferral.deferUntil = this.approvalTracker.watch(approval);
+    deferral.deferReason = APPROVAL_DEFERRAL;
+    throw deferral;
+  }
+
+  /**
+   * Run a user's approval-deferred jobs now that their approval is settled
+   */
+  resumeApprovalJobs(userIdentifier) {
+    this.jobQueue.wake(job => job.deferredFor === APPROVAL_DEFERRAL && job.payload?.userIdentifier === userIdentifier)
+      .catch(error => logger.error('Failed to resume jobs awaiting approval', { error: error.message }));
+  }
+
+  /**
+   * Get the user's approval record while it is still pending, or null
+   */
+  async getPendingApproval(userIdentifier) {
+    if (!this.approvalTracker || !userIdentifier) {
+      return null;
     }
+    const approval = await this.approvalTracker.getStatus(userIdentifier);
+    return approval && approval.status === 'pending' ? approval : null;
   }
 
   /**
    * Get status of an async request
+   * Read from the durable job queue, so it survives restarts until the retention window ends.
+   * Results carry the user's account data, so only the user who made the request can read them.
+   * @param {string} userIdentifier - Authenticated user (gateway JWT `sub`)
+   * @returns {Object|null} Status, or null when the request does not exist or belongs to another user
    */
-  getRequestStatus(requestId) {
-    const requestData = this.pendingRequests.get(requestId);
-    if (!requestData) {
+  async getRequestStatus(requestId, userIdentifier) {
+    const job = await this.jobQueue.get(requestId);
+    if (!job || !userIdentifier || job.payload?.userIdentifier !== userIdentifier) {
       return null;
     }
 
     return {
       requestId,
-      status: requestData.status,
-      createdAt: requestData.createdAt,
-      completedAt: requestData.completedAt || null,
-      duration: requestData.duration || (Date.now() - requestData.startTime),
-      hasCallback: !!requestData.callbackUrl,
-      result: requestData.status === 'completed' ? requestData.result : null,
-      error: requestData.error || null
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null,
+      duration: job.duration || (Date.now() - new Date(job.createdAt).getTime()),
+      attempts: job.attempts,
+      nextAttemptAt: job.nextAttemptAt || null,
+      hasCallback: !!job.payload?.callbackUrl,
+      result: job.status === 'completed' ? job.result : null,
+      error: job.error || null
     };
   }
 
+  /**
+   * Describe a categorized connector error for webhook responses and callbacks
+   * @returns {Object} { category, errorCode, retryable, retryAfter } or {} for uncategorized errors
+   */
+  describeError(error) {
+    if (!error || !error.category || !ERROR_CATEGORIES[error.category]) {
+      return {};
+    }
+
+    return {
+      category: error.category,
+      errorCode: ErrorHandler.mapErrorCode(error),
+      retryable: error.retryable !== undefined ? error.retryable : ERROR_CATEGORIES[error.category].retryable,
+      retryAfter: error.retryAfter || null
+    };
+  }
+
+  /**
+   * Summarize a wallet upsert for webhook responses and callbacks
+   */
+  describeWalletResult(walletResult) {
+    return {
+      stored: walletResult?.success || false,
+      namespace: walletResult?.namespace || null,
+      created: walletResult?.created || 0,
+      updated: walletResult?.updated || 0,
+      unchanged: walletResult?.unchanged || 0,
+      error: walletResult?.error || null
+    };
+  }
+
+  /**
+   * Build incremental sync options from the user's stored high-water marks
+   * Requests without a user identifier fall back to a full extraction
+   */
+  async getSyncOptions(userIdentifier) {
+    if (!userIdentifier) {
+      return { incremental: false };
+    }
+    return {
+      incremental: true,
+      syncMarks: await this.syncStateStore.getMarks(userIdentifier)
+    };
+  }
+
+  /**
+   * Advance the user's high-water marks once the extracted data is safely in the wallet
+   */
+  async advanceSyncState(userIdentifier, accountData) {
+    if (!userIdentifier || !accountData.syncMeta) {
+      return;
+    }
+    await this.syncStateStore.saveMarks(userIdentifier, accountData.syncMeta.marks);
+  }
+
+  /**
+   * Build a credential handle for the Monzo tokens stored for a user
+   * Falls back to MONZO_ACCESS_TOKEN for single-user setups, only in development mode
+   * @returns {MonzoCredentials|null} Credential handle, or null when the user has not authorized
+   */
+  async getUserCredentials(userIdentifier) {
+    const tokens = await this.tokenStore.getTokens(userIdentifier);
+    if (tokens && tokens.accessToken) {
+      return new MonzoCredentials({
+        userId: userIdentifier,
+        tokenStore: this.tokenStore,
+        oauthHandler: this.oauthHandler
+      });
+    }
+
+    if (this.allowEnvAccessToken && process.env.MONZO_ACCESS_TOKEN) {
+      return MonzoCredentials.fromAccessToken(process.env.MONZO_ACCESS_TOKEN);
+    }
+
+    return null;
+  }
+
   /**
    * Extract JWT token from request headers or body
    */
@@ -382,48 +778,19 @@ class MonzoWebhookHandler {
   }
 
   /**
-   * Validate JWT token
-   * In production, this should validate against CheckD Gateway's public key
+   * Validate JWT token against the gateway secret or CheckD public keys
+   * @returns {Object} { valid: true, payload } or { valid: false, reason, message }
    */
   async validateJwtToken(token) {
-    try {
-      // For development, we'll do basic JWT structure validation
-      // In production, replace with actual CheckD Gateway key validation
-      
-      if (!token || typeof token !== 'string') {
-        return null;
-      }
-
-      // Basic JWT format check (three parts separated by dots)
-      const parts = token.split('.');
-      if (parts.length !== 3) {
-        logger.warn('Invalid JWT token format');
-        return null;
-      }
-
-      // For now, we'll accept any properly formatted JWT
-      // TODO: Replace with actual signature validation using CheckD's public key
-      const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-      
-      // Basic payload validation
-      if (!payload.sub || !payload.iat) {
-        logger.warn('JWT missing required claims');
-        return null;
-      }
+    const result = this.jwtVerifier.verify(token);
 
-      // Check expiration if present
-      if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
-        logger.warn('JWT token expired');
-        return null;
-      }
-
-      logger.debug('JWT token validated', { sub: payload.sub, iat: payload.iat });
-      return payload;
-
-    } catch (error) {
-      logger.warn('JWT validation failed', { error: error.message });
-      return null;
+    if (!result.valid) {
+      logger.warn('JWT validation failed', { reason: result.reason, error: result.message });
+      return result;
     }
+
+    logger.debug('JWT token validated', { sub: result.payload.sub, iat: result.payload.iat });
+    return result;
   }
 
   /**
@@ -442,17 +809,18 @@ class MonzoWebhookHandler {
     }
   }
 
-  respondWithError(res, errorCode, message, statusCode = 400) {
+  respondWithError(res, errorCode, message, statusCode = 400, details = {}) {
     const response = {
       status: 'error',
       error: {
         code: errorCode,
-        message
+        message,
+        ...details
       },
       timestamp: new Date().toISOString()
     };
     
-    logger.warn('Webhook request error', { errorCode, message, statusCode });
+    logger.warn('Webhook request error', { errorCode, message, statusCode, ...details });
     return res.status(statusCode).json(response);
   }
 }
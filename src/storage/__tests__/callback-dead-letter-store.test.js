@@ -0,0 +1,132 @@
+jest.mock('../../config/environment', () => ({
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CallbackDeadLetterStore = require('../callback-dead-letter-store');
+const { DEAD_LETTER_STATES } = require('../callback-dead-letter-store');
+const { createStorageBackend } = require('../backends');
+
+describe('CallbackDeadLetterStore', () => {
+  const MINUTE = 60 * 1000;
+  let store;
+
+  const failedCallback = (overrides = {}) => ({
+    callbackId: 'cb_1',
+    url: 'https://checkd.example.com/callback',
+    payload: { requestId: 'monzo_1', status: 'completed', data: { accounts: 1 } },
+    attempts: 3,
+    error: 'All 3 callback attempts failed. Last error: HTTP 503',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T00:00:00.000Z'));
+    store = new CallbackDeadLetterStore(createStorageBackend({ backend: 'memory' }), {
+      redeliveryScheduleMinutes: [1, 60]
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should store the payload, attempts and last error with the first redelivery scheduled', async () => {
+    await store.add(failedCallback());
+
+    expect(await store.get('cb_1')).toEqual(expect.objectContaining({
+      id: 'cb_1',
+      url: 'https://checkd.example.com/callback',
+      payload: failedCallback().payload,
+      requestId: 'monzo_1',
+      callbackStatus: 'completed',
+      status: DEAD_LETTER_STATES.PENDING,
+      attempts: 3,
+      redeliveries: 0,
+      lastError: failedCallback().error,
+      nextAttemptAt: '2026-01-01T00:01:00.000Z'
+    }));
+  });
+
+  test('should list records by status, oldest first', async () => {
+    await store.add(failedCallback({ callbackId: 'cb_old' }));
+    jest.advanceTimersByTime(MINUTE);
+    await store.add(failedCallback({ callbackId: 'cb_new' }));
+    await store.markDelivered('cb_old');
+
+    expect((await store.list()).map(record => record.id)).toEqual(['cb_old', 'cb_new']);
+    expect((await store.list({ status: 'pending' })).map(record => record.id)).toEqual(['cb_new']);
+    expect(await store.getStats()).toEqual({ pending: 1, delivered: 1, exhausted: 0 });
+  });
+
+  test('should only report redeliveries that are due', async () => {
+    await store.add(failedCallback());
+
+    expect(await store.listDue()).toHaveLength(0);
+    jest.advanceTimersByTime(MINUTE);
+    expect((await store.listDue()).map(record => record.id)).toEqual(['cb_1']);
+  });
+
+  test('should back off along the schedule and mark the callback exhausted at the end', async () => {
+    await store.add(failedCallback());
+
+    jest.advanceTimersByTime(MINUTE);
+    const second = await store.recordFailure('cb_1', { error: 'HTTP 502', attempts: 3 }, { scheduled: true });
+    expect(second).toEqual(expect.objectContaining({
+      status: DEAD_LETTER_STATES.PENDING,
+      redeliveries: 1,
+      attempts: 6,
+      lastError: 'HTTP 502',
+      nextAttemptAt: '2026-01-01T01:01:00.000Z'
+    }));
+
+    jest.advanceTimersByTime(60 * MINUTE);
+    const last = await store.recordFailure('cb_1', { error: 'HTTP 504', attempts: 3 }, { scheduled: true });
+    expect(last).toEqual(expect.objectContaining({
+      status: DEAD_LETTER_STATES.EXHAUSTED,
+      redeliveries: 2,
+      nextAttemptAt: null
+    }));
+    expect(await store.listDue(Date.now() + 24 * 60 * MINUTE)).toHaveLength(0);
+  });
+
+  test('should leave the schedule alone when a manual replay fails', async () => {
+    await store.add(failedCallback());
+
+    const updated = await store.recordFailure('cb_1', { error: 'HTTP 500', attempts: 1 });
+
+    expect(updated).toEqual(expect.objectContaining({
+      status: DEAD_LETTER_STATES.PENDING,
+      redeliveries: 0,
+      attempts: 4,
+      nextAttemptAt: '2026-01-01T00:01:00.000Z'
+    }));
+  });
+
+  test('should mark a callback delivered', async () => {
+    await store.add(failedCallback());
+
+    const delivered = await store.markDelivered('cb_1', 1);
+
+    expect(delivered).toEqual(expect.objectContaining({
+      status: DEAD_LETTER_STATES.DELIVERED,
+      attempts: 4,
+      nextAttemptAt: null,
+      deliveredAt: '2026-01-01T00:00:00.000Z'
+    }));
+  });
+
+  test('should return null for unknown callbacks', async () => {
+    expect(await store.get('missing')).toBeNull();
+    expect(await store.markDelivered('missing')).toBeNull();
+    expect(await store.recordFailure('missing', { error: 'x' })).toBeNull();
+  });
+});
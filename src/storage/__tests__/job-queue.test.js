@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/environment', () => ({
+  storage: { backend: 'memory' },
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1,
+    maxDelay: 5,
+    backoffMultiplier: 2
+  }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const JobQueue = require('../job-queue');
+const { createStorageBackend } = require('../backends');
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await predicate()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+describe('JobQueue', () => {
+  let queue;
+
+  const transientError = () => Object.assign(new Error('Monzo API temporarily unavailable'), { retryable: true });
+
+  afterEach(() => {
+    if (queue) {
+      queue.stop();
+    }
+  });
+
+  test('should process enqueued jobs and record the result', async () => {
+    const handler = jest.fn().mockResolvedValue({ ok: true });
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler });
+
+    const job = await queue.enqueue('job_1', { userIdentifier: 'user@example.com' });
+    expect(job.status).toBe('pending');
+
+    await waitFor(async () => (await queue.get('job_1')).status === 'completed');
+
+    const completed = await queue.get('job_1');
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'job_1',
+      status: 'processing',
+      attempts: 1,
+      payload: { userIdentifier: 'user@example.com' }
+    }));
+    expect(completed.result).toEqual({ ok: true });
+    expect(completed.completedAt).toEqual(expect.any(String));
+  });
+
+  test('should retry transient failures and then succeed', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(transientError())
+      .mockResolvedValueOnce({ ok: true });
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler, retryDelayMs: 10 });
+
+    await queue.enqueue('job_1', {});
+    await waitFor(async () => (await queue.get('job_1')).status === 'completed');
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect((await queue.get('job_1')).attempts).toBe(2);
+  });
+
+  test('should mark a job retrying between attempts', async () => {
+    const handler = jest.fn().mockRejectedValue(transientError());
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler, retryDelayMs: 60000 });
+
+    await queue.enqueue('job_1', {});
+    await waitFor(async () => (await queue.get('job_1')).status === 'retrying');
+
+    const job = await queue.get('job_1');
+    expect(job.error).toBe('Monzo API temporarily unavailable');
+    expect(new Date(job.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should fail permanently on non-retryable errors or after max attempts', async () => {
+    const handler = jest.fn(async job => {
+      if (job.id === 'bad_request') {
+        throw new Error('No Monzo access token available for processing');
+      }
+      throw transientError();
+    });
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler, retryDelayMs: 1, maxAttempts: 2 });
+
+    await queue.enqueue('bad_request', {});
+    await queue.enqueue('flaky', {});
+    await waitFor(async () =>
+      (await queue.get('bad_request')).status === 'failed' && (await queue.get('flaky')).status === 'failed'
+    );
+
+    expect((await queue.get('bad_request')).attempts).toBe(1);
+    expect((await queue.get('flaky')).attempts).toBe(2);
+  });
+
+  test('should requeue deferred jobs without using up an attempt', async () => {
+    const deferUntil = new Date(Date.now() + 60000).toISOString();
+    const handler = jest.fn().mockRejectedValue(
+      Object.assign(new Error('Waiting for Monzo app approval'), { deferUntil, deferReason: 'monzo_approval' })
+    );
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler, maxAttempts: 1 });
+
+    await queue.enqueue('job_1', {});
+    await waitFor(async () => (await queue.get('job_1')).status === 'retrying');
+
+    const job = await queue.get('job_1');
+    expect(job.attempts).toBe(0);
+    expect(job.nextAttemptAt).toBe(deferUntil);
+    expect(job.deferredFor).toBe('monzo_approval');
+    expect(job.error).toBe('Waiting for Monzo app approval');
+  });
+
+  test('should wake deferred jobs early', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Waiting for Monzo app approval'), {
+        deferUntil: Date.now() + 60 * 60 * 1000,
+        deferReason: 'monzo_approval'
+      }))
+      .mockResolvedValueOnce({ ok: true });
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler });
+
+    await queue.enqueue('job_1', { userIdentifier: 'user@example.com' });
+    await waitFor(async () => (await queue.get('job_1')).status === 'retrying');
+
+    expect(await queue.wake(job => job.payload.userIdentifier === 'other@example.com')).toBe(0);
+    expect(await queue.wake(job => job.payload.userIdentifier === 'user@example.com')).toBe(1);
+    await waitFor(async () => (await queue.get('job_1')).status === 'completed');
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect((await queue.get('job_1')).attempts).toBe(1);
+  });
+
+  test('should respect the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const handler = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+    });
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), handler, concurrency: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      await queue.enqueue(`job_${i}`, {});
+    }
+    await waitFor(async () => (await queue.getStats()).completed === 5);
+
+    expect(maxRunning).toBe(2);
+  });
+
+  test('should resume jobs from a previous run on startup', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    const backendOptions = {
+      backend: 'file',
+      filePath: path.join(tmpDir, 'jobs.enc.json'),
+      encryptionKey: 'job-queue-test-key'
+    };
+
+    try {
+      // First run: one job accepted but never picked up, one interrupted mid-flight
+      const firstRun = new JobQueue({ backend: createStorageBackend(backendOptions) });
+      await firstRun.enqueue('accepted', {});
+      const interrupted = await firstRun.enqueue('interrupted', {});
+      await firstRun.saveJob({ ...interrupted, status: 'processing', attempts: 1 });
+      firstRun.stop();
+
+      const handler = jest.fn().mockResolvedValue({ ok: true });
+      queue = new JobQueue({ backend: createStorageBackend(backendOptions), handler });
+
+      expect(await queue.start()).toEqual({ resumed: 1, interrupted: 1 });
+      await waitFor(async () =>
+        (await queue.get('accepted')).status === 'completed' && (await queue.get('interrupted')).status === 'completed'
+      );
+
+      expect((await queue.get('interrupted')).attempts).toBe(2);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should keep finished jobs for the retention window only', async () => {
+    queue = new JobQueue({ backend: createStorageBackend({ backend: 'memory' }), retentionMs: 60 * 60 * 1000 });
+
+    const old = await queue.enqueue('old', {});
+    const recent = await queue.enqueue('recent', {});
+    await queue.saveJob({ ...old, status: 'completed', completedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+    await queue.saveJob({ ...recent, status: 'failed', completedAt: new Date().toISOString() });
+
+    expect(await queue.prune()).toBe(1);
+    expect(await queue.get('old')).toBeNull();
+    expect(await queue.get('recent')).not.toBeNull();
+  });
+});
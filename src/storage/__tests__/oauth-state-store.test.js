@@ -0,0 +1,98 @@
+jest.mock('../../config/environment', () => ({
+  monzo: { oauthStateTtl: 600 },
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const OAuthStateStore = require('../oauth-state-store');
+const { OAUTH_STATE_STATUS } = require('../oauth-state-store');
+const { createStorageBackend } = require('../backends');
+
+describe('OAuthStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T00:00:00.000Z'));
+    store = new OAuthStateStore(createStorageBackend({ backend: 'memory' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should record the initiating user, redirect target and expiry', async () => {
+    const record = await store.create({ userId: 'alice', redirectTo: '/done' });
+
+    expect(record.state).toMatch(/^[a-f0-9]{64}$/);
+    expect(await store.get(record.state)).toEqual(expect.objectContaining({
+      userId: 'alice',
+      redirectTo: '/done',
+      status: OAUTH_STATE_STATUS.PENDING,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-01-01T00:10:00.000Z'
+    }));
+  });
+
+  test('should require a user', async () => {
+    await expect(store.create({})).rejects.toThrow('User identifier is required');
+  });
+
+  test('should keep concurrent authorizations for different users apart', async () => {
+    const alice = await store.create({ userId: 'alice' });
+    const bob = await store.create({ userId: 'bob' });
+
+    expect((await store.consume(bob.state)).record.userId).toBe('bob');
+    expect((await store.consume(alice.state)).record.userId).toBe('alice');
+  });
+
+  test('should only allow a state to be consumed once', async () => {
+    const { state } = await store.create({ userId: 'alice' });
+
+    const [first, second] = await Promise.all([store.consume(state), store.consume(state)]);
+
+    expect([first.valid, second.valid].sort()).toEqual([false, true]);
+    expect(await store.consume(state)).toEqual({ valid: false, reason: 'state_already_used' });
+  });
+
+  test('should reject unknown and expired states', async () => {
+    const { state } = await store.create({ userId: 'alice' });
+
+    expect(await store.consume('not-a-state')).toEqual({ valid: false, reason: 'unknown_state' });
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(await store.consume(state)).toEqual({ valid: false, reason: 'state_expired' });
+  });
+
+  test('should record how a consumed authorization ended', async () => {
+    const ok = await store.create({ userId: 'alice' });
+    const bad = await store.create({ userId: 'bob' });
+    await store.consume(ok.state);
+    await store.consume(bad.state);
+
+    await store.markCompleted(ok.state);
+    await store.markFailed(bad.state, 'Token exchange failed: 400 Bad Request');
+
+    expect((await store.get(ok.state)).status).toBe(OAUTH_STATE_STATUS.COMPLETED);
+    expect(await store.get(bad.state)).toEqual(expect.objectContaining({
+      status: OAUTH_STATE_STATUS.FAILED,
+      error: 'Token exchange failed: 400 Bad Request'
+    }));
+  });
+
+  test('should prune expired states', async () => {
+    const { state } = await store.create({ userId: 'alice' });
+
+    jest.advanceTimersByTime(11 * 60 * 1000);
+
+    expect(await store.prune()).toBe(1);
+    expect(await store.get(state)).toBeNull();
+  });
+});
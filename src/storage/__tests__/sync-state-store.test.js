@@ -0,0 +1,59 @@
+jest.mock('../../config/environment', () => ({
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const SyncStateStore = require('../sync-state-store');
+
+describe('SyncStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SyncStateStore();
+  });
+
+  test('should store marks per user and account', async () => {
+    await store.saveMarks('user-a', {
+      acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2024-01-01T00:00:00Z' },
+      acc_2: { lastTransactionId: 'tx_9', lastTransactionCreated: '2024-01-05T00:00:00Z' }
+    });
+    await store.saveMarks('user-b', {
+      acc_1: { lastTransactionId: 'tx_other', lastTransactionCreated: '2024-02-01T00:00:00Z' }
+    });
+
+    const marks = await store.getMarks('user-a');
+
+    expect(Object.keys(marks).sort()).toEqual(['acc_1', 'acc_2']);
+    expect(marks.acc_1.lastTransactionId).toBe('tx_1');
+    expect((await store.getMark('user-b', 'acc_1')).lastTransactionId).toBe('tx_other');
+  });
+
+  test('should never move a mark backwards', async () => {
+    await store.saveMarks('user-a', {
+      acc_1: { lastTransactionId: 'tx_2', lastTransactionCreated: '2024-01-02T00:00:00Z' }
+    });
+
+    const advanced = await store.saveMarks('user-a', {
+      acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2024-01-01T00:00:00Z' }
+    });
+
+    expect(advanced).toBe(0);
+    expect((await store.getMark('user-a', 'acc_1')).lastTransactionId).toBe('tx_2');
+  });
+
+  test('should delete all marks for a user', async () => {
+    await store.saveMarks('user-a', {
+      acc_1: { lastTransactionId: 'tx_1', lastTransactionCreated: '2024-01-01T00:00:00Z' }
+    });
+
+    expect(await store.deleteUser('user-a')).toBe(1);
+    expect(await store.getMarks('user-a')).toEqual({});
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/environment', () => ({
+  storage: { backend: 'memory' }
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TokenStore = require('../token-store');
+const { createStorageBackend } = require('../backends');
+
+describe('TokenStore', () => {
+  let tmpDir;
+
+  const tokenResponse = {
+    accessToken: 'access_abc',
+    refreshToken: 'refresh_abc',
+    tokenType: 'Bearer',
+    expiresIn: 3600,
+    scope: 'read'
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const backends = {
+    memory: () => createStorageBackend({ backend: 'memory' }),
+    file: () => createStorageBackend({
+      backend: 'file',
+      filePath: path.join(tmpDir, 'store.enc.json'),
+      encryptionKey: 'test-encryption-key'
+    }),
+    sqlite: () => createStorageBackend({
+      backend: 'sqlite',
+      sqlitePath: path.join(tmpDir, 'store.sqlite')
+    })
+  };
+
+  describe.each(Object.keys(backends))('%s backend', (backendName) => {
+    let backend;
+    let tokenStore;
+
+    beforeEach(() => {
+      backend = backends[backendName]();
+      tokenStore = new TokenStore(backend);
+    });
+
+    afterEach(async () => {
+      await backend.close();
+    });
+
+    test('should store and retrieve tokens per user', async () => {
+      await tokenStore.saveTokens('alice@example.com', tokenResponse);
+      await tokenStore.saveTokens('bob@example.com', { ...tokenResponse, accessToken: 'access_bob' });
+
+      const alice = await tokenStore.getTokens('alice@example.com');
+      const bob = await tokenStore.getTokens('bob@example.com');
+
+      expect(alice).toEqual(expect.objectContaining({
+        userId: 'alice@example.com',
+        accessToken: 'access_abc',
+        refreshToken: 'refresh_abc',
+        scope: 'read',
+        expiresAt: expect.any(String)
+      }));
+      expect(bob.accessToken).toBe('access_bob');
+    });
+
+    test('should return null for unknown users', async () => {
+      expect(await tokenStore.getTokens('nobody')).toBeNull();
+    });
+
+    test('should keep refresh token and login time when not rotated', async () => {
+      const first = await tokenStore.saveTokens('alice@example.com', tokenResponse, { newLogin: true });
+      const second = await tokenStore.saveTokens('alice@example.com', {
+        accessToken: 'access_new',
+        expiresIn: 3600
+      });
+
+      expect(second.refreshToken).toBe('refresh_abc');
+      expect(second.authenticatedAt).toBe(first.authenticatedAt);
+    });
+
+    test('should delete tokens', async () => {
+      await tokenStore.saveTokens('alice@example.com', tokenResponse);
+
+      expect(await tokenStore.deleteTokens('alice@example.com')).toBe(true);
+      expect(await tokenStore.getTokens('alice@example.com')).toBeNull();
+      expect(await tokenStore.listUsers()).toEqual([]);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should survive a restart with the encrypted file backend', async () => {
+      const filePath = path.join(tmpDir, 'store.enc.json');
+      const first = new TokenStore(createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-1' }));
+      await first.saveTokens('alice@example.com', tokenResponse);
+
+      // Tokens must not be readable from the file on disk
+      expect(fs.readFileSync(filePath, 'utf8')).not.toContain('access_abc');
+
+      const second = new TokenStore(createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-1' }));
+      expect((await second.getTokens('alice@example.com')).accessToken).toBe('access_abc');
+    });
+
+    test('should refuse to open the encrypted file with a wrong key', async () => {
+      const filePath = path.join(tmpDir, 'store.enc.json');
+      const first = new TokenStore(createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-1' }));
+      await first.saveTokens('alice@example.com', tokenResponse);
+
+      const second = new TokenStore(createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-2' }));
+      await expect(second.getTokens('alice@example.com')).rejects.toThrow('Failed to decrypt store file');
+    });
+
+    test('should keep writing to the encrypted file after a failed write', async () => {
+      const filePath = path.join(tmpDir, 'store.enc.json');
+      const backend = createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-1' });
+      const tokenStore = new TokenStore(backend);
+      jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+
+      await expect(tokenStore.saveTokens('alice@example.com', tokenResponse)).rejects.toThrow('ENOSPC');
+      await tokenStore.saveTokens('bob@example.com', tokenResponse);
+      await backend.close();
+
+      const reopened = new TokenStore(createStorageBackend({ backend: 'file', filePath, encryptionKey: 'key-1' }));
+      expect((await reopened.getTokens('bob@example.com')).accessToken).toBe('access_abc');
+      expect((await reopened.getTokens('alice@example.com')).accessToken).toBe('access_abc');
+    });
+
+    test('should survive a restart with the SQLite backend', async () => {
+      const sqlitePath = path.join(tmpDir, 'store.sqlite');
+      const firstBackend = createStorageBackend({ backend: 'sqlite', sqlitePath });
+      await new TokenStore(firstBackend).saveTokens('alice@example.com', tokenResponse);
+      await firstBackend.close();
+
+      const secondBackend = createStorageBackend({ backend: 'sqlite', sqlitePath });
+      expect((await new TokenStore(secondBackend).getTokens('alice@example.com')).accessToken).toBe('access_abc');
+      await secondBackend.close();
+    });
+  });
+
+  test('should detect expired tokens with skew', () => {
+    const tokenStore = new TokenStore(createStorageBackend({ backend: 'memory' }));
+    const soon = { expiresAt: new Date(Date.now() + 30 * 1000).toISOString() };
+
+    expect(tokenStore.isExpired(soon)).toBe(false);
+    expect(tokenStore.isExpired(soon, 60 * 1000)).toBe(true);
+    expect(tokenStore.isExpired({ expiresAt: null })).toBe(false);
+  });
+});
@@ -3,6 +3,13 @@ jest.mock('axios', () => ({
   create: jest.fn()
 }));
 
+jest.mock('../../config/environment', () => ({
+  server: {},
+  monzo: {},
+  retry: {}
+}));
+
+const crypto = require('crypto');
 const WalletClient = require('../wallet-client');
 
 // Mock logger
@@ -24,6 +31,8 @@ describe('WalletClient', () => {
     mockAxiosInstance = {
       post: jest.fn(),
       get: jest.fn(),
+      put: jest.fn(),
+      delete: jest.fn(),
       interceptors: {
         response: {
           use: jest.fn()
@@ -39,18 +48,25 @@ describe('WalletClient', () => {
       username: 'testuser',
       password: 'testpass',
       applicationId: 'test-monzo-connector',
-      timeout: 5000
+      timeout: 5000,
+      userRefSecret: 'test-user-ref-secret'
     });
   });
 
   describe('Constructor', () => {
+    test('should require an API URL instead of falling back to built-in credentials', () => {
+      expect(() => new WalletClient()).toThrow('Wallet API URL is required');
+    });
+
     test('should initialize with default options', () => {
       const axios = require('axios');
-      const client = new WalletClient();
+      const client = new WalletClient({ apiUrl: 'https://test.hubat.net' });
       
+      expect(client.username).toBeNull();
+      expect(client.password).toBeNull();
       expect(axios.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          baseURL: 'https://postman.hubat.net',
+          baseURL: 'https://test.hubat.net',
           timeout: 30000,
           headers: {
             'Content-Type': 'application/json'
@@ -83,31 +99,40 @@ describe('WalletClient', () => {
 
   describe('Authentication', () => {
     test('should authenticate successfully with valid credentials', async () => {
-      mockAxiosInstance.post.mockResolvedValue({
+      mockAxiosInstance.get.mockResolvedValue({
         data: {
-          accessToken: 'test_access_token',
-          expiresIn: 3600
+          accessToken: 'test_access_token'
         }
       });
 
       const token = await walletClient.authenticate();
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/users/access_token', {
-        username: 'testuser',
-        password: 'testpass'
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/users/access_token', {
+        headers: {
+          'Accept': 'application/json',
+          'username': 'testuser',
+          'password': 'testpass'
+        }
       });
       expect(token).toBe('test_access_token');
       expect(walletClient.accessToken).toBe('test_access_token');
+      expect(walletClient.tokenExpiry).toBeGreaterThan(Date.now());
+    });
+
+    test('should accept a plain text access token', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: 'text_access_token\n' });
+
+      expect(await walletClient.authenticate()).toBe('text_access_token');
     });
 
     test('should handle authentication failure', async () => {
-      mockAxiosInstance.post.mockRejectedValue(new Error('Invalid credentials'));
+      mockAxiosInstance.get.mockRejectedValue(new Error('Invalid credentials'));
 
       await expect(walletClient.authenticate()).rejects.toThrow('Authentication failed: Invalid credentials');
     });
 
     test('should handle missing access token in response', async () => {
-      mockAxiosInstance.post.mockResolvedValue({
+      mockAxiosInstance.get.mockResolvedValue({
         data: {} // Missing accessToken
       });
 
@@ -140,24 +165,17 @@ describe('WalletClient', () => {
 
     test('should authenticate first if no access token', async () => {
       walletClient.accessToken = null;
-      
-      mockAxiosInstance.post.mockResolvedValue({
-        data: {
-          accessToken: 'new_access_token',
-          expiresIn: 3600
-        }
-      });
-      
-      mockAxiosInstance.get.mockResolvedValue({
-        data: {
-          accessToken: 'new_app_token'
-        }
-      });
+
+      mockAxiosInstance.get
+        .mockResolvedValueOnce({ data: { accessToken: 'new_access_token' } })
+        .mockResolvedValueOnce({ data: { accessToken: 'new_app_token' } });
 
       const token = await walletClient.getApplicationToken();
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/users/access_token', expect.any(Object));
-      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/applications/test-monzo-connector/access-token', expect.any(Object));
+      expect(mockAxiosInstance.get).toHaveBeenNthCalledWith(1, '/users/access_token', expect.any(Object));
+      expect(mockAxiosInstance.get).toHaveBeenNthCalledWith(2, '/api/v2.6/applications/test-monzo-connector/access-token', {
+        headers: { 'x-auth-token': 'new_access_token' }
+      });
       expect(token).toBe('new_app_token');
     });
 
@@ -170,25 +188,21 @@ describe('WalletClient', () => {
 
   describe('Token Management', () => {
     test('should refresh tokens when expired', async () => {
+      walletClient.accessToken = 'expired_access_token';
+      walletClient.applicationToken = 'expired_app_token';
       walletClient.tokenExpiry = Date.now() - 1000; // Expired
-      
-      mockAxiosInstance.post.mockResolvedValue({
-        data: {
-          accessToken: 'refreshed_access_token',
-          expiresIn: 3600
-        }
-      });
-      
-      mockAxiosInstance.get.mockResolvedValue({
-        data: {
-          accessToken: 'refreshed_app_token'
-        }
-      });
+
+      mockAxiosInstance.get
+        .mockResolvedValueOnce({ data: { accessToken: 'refreshed_access_token' } })
+        .mockResolvedValueOnce({ data: { accessToken: 'refreshed_app_token' } });
 
       await walletClient.ensureValidToken();
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/users/access_token', expect.any(Object));
-      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/applications/test-monzo-connector/access-token', expect.any(Object));
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/users/access_token', expect.any(Object));
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/applications/test-monzo-connector/access-token', {
+        headers: { 'x-auth-token': 'refreshed_access_token' }
+      });
+      expect(walletClient.applicationToken).toBe('refreshed_app_token');
     });
 
     test('should not refresh valid tokens', async () => {
@@ -210,8 +224,8 @@ describe('WalletClient', () => {
 
     test('should store data successfully in production namespace', async () => {
       const testData = {
-        accounts: [{ id: 'acc123', description: 'Test Account' }],
-        balances: [{ accountId: 'acc123', balance: 1000 }]
+        accounts: [{ id: 'acc123', description: 'Test Account', currency: 'GBP' }],
+        balances: [{ accountId: 'acc123', balance: 1000, currency: 'GBP' }]
       };
 
       mockAxiosInstance.post.mockResolvedValue({
@@ -219,30 +233,26 @@ describe('WalletClient', () => {
         data: { id: 'record_123' }
       });
 
-      const result = await walletClient.storeData('test', testData, {
+      const result = await walletClient.storeData('monzo', 'complete', testData, {
         isTest: false,
         recordName: 'test-record'
       });
 
       expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/monzo',
+        '/api/v2.6/data/monzo/complete',
         expect.objectContaining({
-          source: expect.objectContaining({
-            name: 'monzo-data-connector',
-            provider: 'monzo'
-          }),
           metadata: expect.objectContaining({
-            recordName: 'test-record',
-            namespace: 'monzo',
-            dataType: 'banking-data'
+            create_at: expect.any(String),
+            checksum: expect.stringMatching(/^[a-f0-9]{64}$/)
           }),
           data: expect.objectContaining({
-            accounts: testData.accounts,
-            balances: testData.balances
+            accounts: [expect.objectContaining({ monzo_account_id: 'acc123', account_name: 'Test Account' })],
+            balances: [expect.objectContaining({ monzo_account_id: 'acc123', current_balance: 10 })]
           })
         }),
         {
           headers: {
+            'Content-Type': 'application/json',
             'x-auth-token': 'test_app_token'
           }
         }
@@ -252,12 +262,13 @@ describe('WalletClient', () => {
         success: true,
         recordId: 'record_123',
         namespace: 'monzo',
+        path: 'complete',
         timestamp: expect.any(String),
         dataSize: expect.any(Number)
       });
     });
 
-    test('should store data in test namespace when isTest=true', async () => {
+    test('should store data under the test path when isTest=true', async () => {
       const testData = {
         accounts: [{ id: 'test_acc', description: 'Test Account' }]
       };
@@ -267,18 +278,18 @@ describe('WalletClient', () => {
         data: { id: 'test_record_123' }
       });
 
-      const result = await walletClient.storeData('ignored', testData, {
+      const result = await walletClient.storeData('monzo', 'complete', testData, {
         isTest: true,
         recordName: 'test-record'
       });
 
       expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/test/monzo',
-        expect.any(Object),
+        '/api/v2.6/data/monzo/test/complete',
+        testData,
         expect.any(Object)
       );
 
-      expect(result.namespace).toBe('test/monzo');
+      expect(result.path).toBe('test/complete');
     });
 
     test('should handle storage failure gracefully', async () => {
@@ -286,49 +297,46 @@ describe('WalletClient', () => {
 
       mockAxiosInstance.post.mockRejectedValue(new Error('Storage failed'));
 
-      const result = await walletClient.storeData('test', testData);
+      const result = await walletClient.storeData('monzo', 'complete', testData);
 
       expect(result).toEqual({
         success: false,
         error: 'Storage failed',
-        namespace: 'test',
+        namespace: 'monzo',
+        path: 'complete',
         timestamp: expect.any(String)
       });
     });
 
     test('should prepare wallet data with proper metadata', () => {
+      const Integrity = require('../../utils/integrity');
       const rawData = {
-        accounts: [{ id: 'acc1', description: 'Account 1' }],
-        balances: [{ accountId: 'acc1', balance: 500 }],
+        accounts: [{ id: 'acc1', description: 'Account 1', currency: 'GBP' }],
+        balances: [{ accountId: 'acc1', balance: 500, currency: 'GBP' }],
         transactions: []
       };
 
-      const walletData = walletClient.prepareWalletData(rawData, 'test/monzo', 'test-record');
+      const walletData = walletClient.prepareWalletData(rawData, 'monzo', 'test-record', 'msg_1');
 
       expect(walletData).toEqual({
-        source: {
-          name: 'monzo-data-connector',
-          version: '1.0.0',
-          provider: 'monzo',
-          extractionTime: expect.any(String)
-        },
         metadata: {
-          recordName: 'test-record',
-          namespace: 'test/monzo',
-          contentType: 'application/json',
-          dataType: 'banking-data',
-          schema: 'raw-monzo-api-response',
-          created: expect.any(String),
-          updated: expect.any(String)
+          inbox_message_id: 'msg_1',
+          create_at: expect.any(String),
+          checksum: Integrity.compute_checksum(walletData.data, 'sha256', 'jcs-rfc8785'),
+          checksum_algorithm: 'sha256',
+          canonicalization: 'jcs-rfc8785'
         },
         data: {
-          accounts: rawData.accounts,
-          balances: rawData.balances,
-          transactions: rawData.transactions,
+          accounts: [expect.objectContaining({ monzo_account_id: 'acc1', account_name: 'Account 1' })],
+          balances: [expect.objectContaining({ monzo_account_id: 'acc1', current_balance: 5 })],
+          pots: [],
+          transactions: [],
           connectionTest: null,
+          validationErrors: [],
           extractionMeta: {
             accountCount: 1,
             balanceCount: 1,
+            potCount: 0,
             transactionCount: 0,
             extractedAt: expect.any(String),
             connector: 'monzo-data-connector'
@@ -338,81 +346,201 @@ describe('WalletClient', () => {
     });
   });
 
-  describe('Specialized Storage Methods', () => {
+  describe('Upserting Records', () => {
+    const storedRecord = (path, recordId, record, checksum) => ({
+      endpoint: `monzo/${path}`,
+      recordId,
+      data: { metadata: { key: Object.values(record)[0], create_at: '2026-01-01T00:00:00.000Z', checksum }, data: record }
+    });
+
     beforeEach(() => {
       walletClient.applicationToken = 'test_app_token';
-      mockAxiosInstance.post.mockResolvedValue({
-        status: 200,
-        data: { id: 'record_123' }
-      });
+      mockAxiosInstance.get.mockResolvedValue({ data: [] });
+      mockAxiosInstance.post.mockResolvedValue({ status: 201, data: [] });
+      mockAxiosInstance.put = jest.fn().mockResolvedValue({ status: 201, data: [] });
     });
 
-    test('should store account data with correct record name', async () => {
-      const accountData = { accounts: [{ id: 'acc1' }] };
-      
-      await walletClient.storeAccountData(accountData);
+    test('should create records that are not in the wallet yet', async () => {
+      const result = await walletClient.storeAccountData({ accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }] });
 
+      expect(mockAxiosInstance.put).toHaveBeenCalledWith(
+        expect.stringMatching(/^\/api\/v2\.6\/combinator\/query-[a-f0-9]{32}$/),
+        [{ endpoint: 'monzo/accounts', filters: [{ field: 'data.monzo_account_id', operator: { operator: 'in', value: ['acc1'] } }] }],
+        expect.any(Object)
+      );
+      expect(mockAxiosInstance.get).not.toHaveBeenCalledWith('/api/v2.6/data/monzo/accounts', expect.anything());
       expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/monzo',
-        expect.objectContaining({
-          metadata: expect.objectContaining({
-            recordName: 'monzo-accounts'
-          })
-        }),
+        '/api/v2.6/data/monzo/accounts',
+        [expect.objectContaining({
+          metadata: expect.objectContaining({ key: 'acc1', checksum: expect.stringMatching(/^[a-f0-9]{64}$/) }),
+          data: expect.objectContaining({ monzo_account_id: 'acc1', account_name: 'Current' })
+        })],
         expect.any(Object)
       );
+      expect(mockAxiosInstance.put).not.toHaveBeenCalledWith('/api/v2.6/data', expect.anything(), expect.anything());
+      expect(result).toEqual(expect.objectContaining({ success: true, path: 'accounts', created: 1, updated: 0, unchanged: 0 }));
     });
 
-    test('should store balance data with correct record name', async () => {
-      const balanceData = { balances: [{ accountId: 'acc1', balance: 100 }] };
-      
-      await walletClient.storeBalanceData(balanceData);
+    test('should query through one combinator per endpoint and delete it after reading', async () => {
+      const calls = [];
+      mockAxiosInstance.put.mockImplementation(async (url, query) => {
+        calls.push(['put', url, query[0].filters[0].operator.value]);
+        return { status: 201 };
+      });
+      mockAxiosInstance.get.mockImplementation(async url => {
+        calls.push(['get', url]);
+        return { data: [] };
+      });
+      mockAxiosInstance.delete.mockImplementation(async url => {
+        calls.push(['delete', url]);
+        return { status: 200 };
+      });
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/monzo',
-        expect.objectContaining({
-          metadata: expect.objectContaining({
-            recordName: 'monzo-balances'
-          })
-        }),
-        expect.any(Object)
-      );
+      await Promise.all([
+        walletClient.findRecordsByKey('monzo/accounts', 'monzo_account_id', ['acc1']),
+        walletClient.findRecordsByKey('monzo/accounts', 'monzo_account_id', ['acc2'])
+      ]);
+
+      const combinator = calls[0][1];
+      expect(combinator).toMatch(/^\/api\/v2\.6\/combinator\/query-[a-f0-9]{32}$/);
+      expect(calls).toEqual([
+        ['put', combinator, ['acc1']],
+        ['get', combinator],
+        ['delete', combinator],
+        ['put', combinator, ['acc2']],
+        ['get', combinator],
+        ['delete', combinator]
+      ]);
+      expect(walletClient.queryChains.size).toBe(0);
     });
 
-    test('should store transaction data with correct record name', async () => {
-      const transactionData = { transactions: [{ id: 'tx1', amount: 50 }] };
-      
-      await walletClient.storeTransactionData(transactionData);
+    test('should delete the query combinator when reading it fails', async () => {
+      mockAxiosInstance.get.mockRejectedValue(new Error('Wallet unavailable'));
+      mockAxiosInstance.delete.mockResolvedValue({ status: 200 });
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/monzo',
-        expect.objectContaining({
-          metadata: expect.objectContaining({
-            recordName: 'monzo-transactions'
-          })
-        }),
-        expect.any(Object)
-      );
+      await expect(walletClient.findRecordsByKey('monzo/accounts', 'monzo_account_id', ['acc1'])).rejects.toThrow('Wallet unavailable');
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/v2\.6\/combinator\/query-/), expect.any(Object));
     });
 
-    test('should store complete data with correct record name', async () => {
-      const completeData = {
-        accounts: [{ id: 'acc1' }],
-        balances: [{ accountId: 'acc1', balance: 100 }],
-        transactions: []
-      };
-      
-      await walletClient.storeCompleteData(completeData);
+    test('should update changed records in place and skip unchanged ones', async () => {
+      const Integrity = require('../../utils/integrity');
+      const unchanged = walletClient.transformer.transformRecord('balance', { accountId: 'acc1', balance: 100, currency: 'GBP' }).record;
+      const stale = walletClient.transformer.transformRecord('balance', { accountId: 'acc2', balance: 100, currency: 'GBP' }).record;
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [
+          storedRecord('balances', 'rec-1', unchanged, Integrity.compute_checksum(unchanged)),
+          storedRecord('balances', 'rec-2', stale, Integrity.compute_checksum(stale))
+        ]
+      });
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
-        '/api/v2.6/data/monzo',
+      const result = await walletClient.storeBalanceData({
+        balances: [
+          { accountId: 'acc1', balance: 100, currency: 'GBP' },
+          { accountId: 'acc2', balance: 250, currency: 'GBP' },
+          { accountId: 'acc3', balance: 5, currency: 'GBP' }
+        ]
+      });
+
+      expect(mockAxiosInstance.put).toHaveBeenCalledWith('/api/v2.6/data', [
         expect.objectContaining({
-          metadata: expect.objectContaining({
-            recordName: 'monzo-complete-data'
+          endpoint: 'monzo/balances',
+          recordId: 'rec-2',
+          data: expect.objectContaining({
+            metadata: expect.objectContaining({ key: 'acc2', create_at: '2026-01-01T00:00:00.000Z' }),
+            data: expect.objectContaining({ current_balance: 2.5 })
           })
-        }),
-        expect.any(Object)
+        })
+      ], expect.any(Object));
+      expect(mockAxiosInstance.post.mock.calls[0][1]).toHaveLength(1);
+      expect(result).toEqual(expect.objectContaining({ created: 1, updated: 1, unchanged: 1 }));
+    });
+
+    test('should record the checksum scheme and keep comparing legacy records in their own scheme', async () => {
+      const Integrity = require('../../utils/integrity');
+      const legacy = walletClient.transformer.transformRecord('balance', { accountId: 'acc1', balance: 100, currency: 'GBP' }).record;
+      mockAxiosInstance.get.mockResolvedValue({ data: [storedRecord('balances', 'rec-1', legacy, Integrity.compute_checksum(legacy))] });
+
+      const result = await walletClient.storeBalanceData({
+        balances: [
+          { accountId: 'acc1', balance: 100, currency: 'GBP' },
+          { accountId: 'acc2', balance: 5, currency: 'GBP' }
+        ]
+      });
+
+      const [created] = mockAxiosInstance.post.mock.calls[0][1];
+      expect(created.metadata).toEqual(expect.objectContaining({
+        checksum: Integrity.compute_checksum(created.data, 'sha256', 'jcs-rfc8785'),
+        checksum_algorithm: 'sha256',
+        canonicalization: 'jcs-rfc8785'
+      }));
+      expect(result).toEqual(expect.objectContaining({ created: 1, updated: 0, unchanged: 1 }));
+      expect(() => new WalletClient({ apiUrl: 'https://test.hubat.net', canonicalization: 'c14n' }))
+        .toThrow('Unsupported checksum canonicalization: c14n');
+    });
+
+    test('should key grouped pots and transactions by their Monzo ids', async () => {
+      const result = await walletClient.storeCompleteData({
+        accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }],
+        balances: [{ accountId: 'acc1', balance: 100, currency: 'GBP' }],
+        pots: [{ accountId: 'acc1', pots: [{ id: 'pot_1', name: 'Savings', balance: 2500, currency: 'GBP' }] }],
+        transactions: [{
+          accountId: 'acc1',
+          transactions: [
+            { id: 'tx1', amount: -50, currency: 'GBP', created: '2026-01-01T00:00:00.000Z' },
+            { id: 'tx2', amount: -75, currency: 'GBP', created: '2026-01-02T00:00:00.000Z' }
+          ]
+        }]
+      }, { userId: 'user@example.com' });
+
+      const posted = Object.fromEntries(mockAxiosInstance.post.mock.calls.map(([url, body]) => [url, body]));
+      expect(posted['/api/v2.6/data/monzo/pots'][0].metadata.key).toBe('pot_1');
+      expect(posted['/api/v2.6/data/monzo/transactions'].map(record => record.metadata.key)).toEqual(['tx1', 'tx2']);
+      expect(posted['/api/v2.6/data/monzo/transactions'][0].metadata.user_ref).toBe(walletClient.userRef('user@example.com'));
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        namespace: 'monzo',
+        created: 5,
+        counts: expect.objectContaining({ transactions: { created: 2, updated: 0, unchanged: 0 } })
+      }));
+    });
+
+    test('should report failures with the counts written so far', async () => {
+      mockAxiosInstance.post.mockRejectedValueOnce(new Error('Wallet unavailable'));
+
+      const result = await walletClient.storeCompleteData({
+        accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }],
+        balances: [{ accountId: 'acc1', balance: 100, currency: 'GBP' }]
+      });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Wallet unavailable', created: 0 }));
+    });
+
+    test('should write to the routed namespace and tenant paths', async () => {
+      const WalletRouter = require('../wallet-router');
+      walletClient.router = new WalletRouter({ namespace: 'banking', environment: 'production', paths: 'transactions:txns' });
+
+      const result = await walletClient.storeCompleteData({
+        accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }],
+        transactions: [{ accountId: 'acc1', transactions: [{ id: 'tx1', amount: -50, currency: 'GBP', created: '2026-01-01T00:00:00.000Z' }] }]
+      }, { tenant: 'acme' });
+
+      const urls = mockAxiosInstance.post.mock.calls.map(([url]) => url);
+      expect(urls).toEqual([
+        '/api/v2.6/data/banking/acme/production/accounts',
+        '/api/v2.6/data/banking/acme/production/txns'
+      ]);
+      expect(result.routes.transactions).toBe('banking/acme/production/txns');
+    });
+
+    test('should reject invalid routes before writing anything', async () => {
+      const result = await walletClient.storeAccountData(
+        { accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }] },
+        { tenant: 'acme/../other' }
       );
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Invalid wallet path segment: ..' }));
+      expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
     });
   });
 
@@ -450,8 +578,8 @@ describe('WalletClient', () => {
 
       const result = await walletClient.getData('monzo', { isTest: true });
 
-      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/data/test/monzo', expect.any(Object));
-      expect(result.namespace).toBe('test/monzo');
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/data/monzo/test', expect.any(Object));
+      expect(result.namespace).toBe('monzo/test');
     });
 
     test('should handle retrieval failure', async () => {
@@ -467,8 +595,423 @@ describe('WalletClient', () => {
     });
   });
 
+  describe('User Data Erasure', () => {
+    const userRecord = (recordId, userId) => ({
+      endpoint: 'monzo/complete',
+      recordId,
+      data: { metadata: { user_ref: walletClient.userRef(userId) }, data: {} }
+    });
+
+    beforeEach(() => {
+      walletClient.applicationToken = 'test_app_token';
+      mockAxiosInstance.delete = jest.fn().mockResolvedValue({ status: 200 });
+    });
+
+    test('should tag records with a keyed user reference', () => {
+      const walletData = walletClient.prepareWalletData({ accounts: [] }, 'monzo', 'record', null, { userId: 'user@example.com' });
+
+      expect(walletData.metadata.user_ref).toBe(crypto.createHmac('sha256', 'test-user-ref-secret').update('user@example.com').digest('hex'));
+      expect(walletData.metadata.user_ref).not.toBe(WalletClient.legacyUserRef('user@example.com'));
+      expect(walletData.metadata.user_ref).not.toContain('user@example.com');
+    });
+
+    test('should not tag records without a user reference secret', async () => {
+      walletClient.userRefSecret = null;
+
+      expect(() => walletClient.prepareWalletData({ accounts: [] }, 'monzo', 'record', null, { userId: 'user@example.com' }))
+        .toThrow('A user reference secret is required to tag wallet records');
+      expect(await walletClient.eraseUserData('alice')).toEqual(expect.objectContaining({ success: false }));
+    });
+
+    test('should also delete records tagged with the unkeyed reference', async () => {
+      mockAxiosInstance.put.mockResolvedValue({ status: 200 });
+      mockAxiosInstance.get.mockImplementation(() => Promise.resolve({
+        data: [{ recordId: 'rec-old', data: { metadata: { user_ref: WalletClient.legacyUserRef('alice') } } }]
+      }));
+
+      await walletClient.eraseUserData('alice');
+
+      expect(mockAxiosInstance.put).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/v2\.6\/combinator\//), [{
+        endpoint: 'monzo/complete',
+        filters: [{ field: 'metadata.user_ref', operator: { operator: 'contains', value: WalletClient.legacyUserRef('alice') } }]
+      }], expect.any(Object));
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith(expect.stringContaining('records=rec-old'), expect.any(Object));
+    });
+
+    test('should only delete records belonging to the user', async () => {
+      // Serve each combinator read from the endpoint it was registered over
+      const combinators = new Map();
+      mockAxiosInstance.put.mockImplementation((url, query) => {
+        combinators.set(url, query[0].endpoint);
+        return Promise.resolve({ status: 200 });
+      });
+      mockAxiosInstance.get.mockImplementation(url => Promise.resolve({
+        data: combinators.get(url) === 'monzo/complete'
+          ? [userRecord('rec-1', 'alice'), userRecord('rec-2', 'bob'), { recordId: 'rec-3', data: { metadata: {} } }]
+          : []
+      }));
+
+      const result = await walletClient.eraseUserData('alice');
+
+      expect(mockAxiosInstance.put).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/v2\.6\/combinator\//), [{
+        endpoint: 'monzo/complete',
+        filters: [{ field: 'metadata.user_ref', operator: { operator: 'contains', value: walletClient.userRef('alice') } }]
+      }], expect.any(Object));
+      expect(mockAxiosInstance.get).not.toHaveBeenCalledWith('/api/v2.6/data/monzo/complete', expect.anything());
+      const recordDeletes = mockAxiosInstance.delete.mock.calls.filter(([url]) => url.startsWith('/api/v2.6/data'));
+      expect(recordDeletes).toEqual([['/api/v2.6/data?records=rec-1', expect.any(Object)]]);
+      expect(result).toEqual({ success: true, namespace: 'monzo', deleted: 1 });
+    });
+
+    test('should not call delete when the user has no records', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: [userRecord('rec-2', 'bob')] });
+
+      const result = await walletClient.eraseUserData('alice');
+
+      expect(mockAxiosInstance.delete).not.toHaveBeenCalledWith(expect.stringMatching(/^\/api\/v2\.6\/data/), expect.anything());
+      expect(result.deleted).toBe(0);
+    });
+
+    test('should report erase failures', async () => {
+      mockAxiosInstance.get.mockRejectedValue(new Error('Wallet unavailable'));
+
+      const result = await walletClient.eraseUserData('alice');
+
+      expect(result).toEqual({ success: false, namespace: 'monzo', error: 'Wallet unavailable' });
+    });
+  });
+
+  describe('Integrity Verification', () => {
+    const Integrity = require('../../utils/integrity');
+    const storedRecord = (recordId, data, checksum = Integrity.compute_checksum(data)) => ({
+      endpoint: 'monzo/accounts',
+      recordId,
+      data: { metadata: { key: data.monzo_account_id, checksum }, data }
+    });
+
+    beforeEach(() => {
+      walletClient.applicationToken = 'test_app_token';
+    });
+
+    test('should verify records whose data matches the stored checksum', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: [storedRecord('rec-1', { monzo_account_id: 'acc1', account_name: 'Current' })] });
+
+      const result = await walletClient.getVerifiedData('monzo', 'accounts');
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/v2.6/data/monzo/accounts', expect.objectContaining({
+        params: { take: 1000, skip: 0 }
+      }));
+      expect(result.records[0]).toEqual(expect.objectContaining({
+        recordId: 'rec-1',
+        data: { monzo_account_id: 'acc1', account_name: 'Current' },
+        verification: expect.objectContaining({ status: 'verified' })
+      }));
+      expect(result.summary).toEqual({ total: 1, verified: 1, mismatched: 0, invalid_signature: 0, unsigned: 0, unverifiable: 0, missing: 0 });
+    });
+
+    test('should flag tampered and unverifiable records', async () => {
+      const original = { monzo_account_id: 'acc2', account_name: 'Joint' };
+      const tampered = storedRecord('rec-2', { ...original, account_name: 'Changed' }, Integrity.compute_checksum(original));
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [
+          storedRecord('rec-1', { monzo_account_id: 'acc1' }),
+          tampered,
+          { endpoint: 'monzo/accounts', recordId: 'rec-3', data: { something: 'Normal JSON' } }
+        ]
+      });
+
+      const result = await walletClient.getVerifiedData('monzo', 'accounts');
+
+      expect(result.records[1].verification).toEqual({
+        status: 'mismatch',
+        expectedChecksum: Integrity.compute_checksum(original),
+        computedChecksum: Integrity.compute_checksum(tampered.data.data)
+      });
+      expect(result.records[2].verification).toEqual(expect.objectContaining({ status: 'unverifiable', reason: 'missing_checksum' }));
+      expect(result.summary).toEqual({ total: 3, verified: 1, mismatched: 1, invalid_signature: 0, unsigned: 0, unverifiable: 1, missing: 0 });
+    });
+
+    test('should verify each record with the checksum scheme in its metadata', async () => {
+      const data = { monzo_account_id: 'acc1', balance: 1250.1, opened_at: '2026-01-01T00:00:00.000Z' };
+      const jcs = { endpoint: 'monzo/accounts', recordId: 'rec-2', data: { metadata: Integrity.checksum_metadata(data), data } };
+      const unknown = { endpoint: 'monzo/accounts', recordId: 'rec-3', data: { metadata: { ...jcs.data.metadata, canonicalization: 'c14n' }, data } };
+      mockAxiosInstance.get.mockResolvedValue({ data: [storedRecord('rec-1', data), jcs, unknown] });
+
+      const result = await walletClient.getVerifiedData('monzo', 'accounts');
+
+      expect(result.records.map(record => record.verification.status)).toEqual(['verified', 'verified', 'unverifiable']);
+      expect(result.records[2].verification.reason).toBe('unsupported_checksum_scheme');
+      expect(walletClient.prepareWalletData({ accounts: [] }, 'monzo', 'record').metadata).toEqual(expect.objectContaining({
+        checksum_algorithm: 'sha256',
+        canonicalization: 'jcs-rfc8785'
+      }));
+    });
+
+    test('should only verify the requested records and report missing ones', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [storedRecord('rec-1', { monzo_account_id: 'acc1' }), storedRecord('rec-2', { monzo_account_id: 'acc2' })]
+      });
+
+      const result = await walletClient.getVerifiedData('monzo', 'accounts', { recordIds: ['rec-2', 'rec-9'] });
+
+      expect(result.records.map(record => record.recordId)).toEqual(['rec-2']);
+      expect(result.missing).toEqual(['rec-9']);
+      expect(result.summary).toEqual(expect.objectContaining({ total: 1, verified: 1, missing: 1 }));
+    });
+
+    test('should sign record metadata and check signatures on read-back', async () => {
+      const { privateKey } = require('crypto').generateKeyPairSync('ed25519');
+      walletClient.signingKeys = Integrity.parse_signing_keys(`k1:${privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')}`);
+      mockAxiosInstance.get.mockResolvedValue({ data: [] });
+      mockAxiosInstance.post.mockResolvedValue({ status: 201, data: [] });
+
+      const walletData = walletClient.prepareWalletData({ accounts: [] }, 'monzo', 'record');
+      await walletClient.storeAccountData({ accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }] });
+      const posted = mockAxiosInstance.post.mock.calls[0][1][0];
+
+      expect(walletData.metadata).toEqual(expect.objectContaining({ key_id: 'k1', signature: expect.any(String) }));
+      expect(posted.metadata).toEqual(expect.objectContaining({ key_id: 'k1', signature: expect.any(String) }));
+
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [
+          { endpoint: 'monzo/accounts', recordId: 'rec-1', data: posted },
+          { endpoint: 'monzo/accounts', recordId: 'rec-2', data: { ...posted, metadata: { ...posted.metadata, create_at: '2020-01-01T00:00:00.000Z' } } },
+          { endpoint: 'monzo/accounts', recordId: 'rec-3', data: { ...posted, metadata: { ...posted.metadata, key: 'acc2' } } }
+        ]
+      });
+      const result = await walletClient.getVerifiedData('monzo', 'accounts');
+
+      expect(result.records[0].verification).toEqual(expect.objectContaining({ status: 'verified', signature: { valid: true, keyId: 'k1' } }));
+      expect(result.records[1].verification).toEqual(expect.objectContaining({ status: 'invalid_signature', signature: { valid: false, reason: 'invalid_signature' } }));
+      expect(result.records[2].verification.status).toBe('invalid_signature');
+      expect(result.summary).toEqual(expect.objectContaining({ verified: 1, invalid_signature: 2, unsigned: 0 }));
+    });
+
+    test('should fail verification of unsigned records when connector keys are configured', async () => {
+      const logger = require('../../utils/logger');
+      const { privateKey } = require('crypto').generateKeyPairSync('ed25519');
+      walletClient.signingKeys = Integrity.parse_signing_keys(`k1:${privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')}`);
+      mockAxiosInstance.get.mockResolvedValue({ data: [storedRecord('rec-1', { monzo_account_id: 'acc1', account_name: 'Current' })] });
+
+      const result = await walletClient.getVerifiedData('monzo', 'accounts');
+
+      expect(result.records[0].verification).toEqual(expect.objectContaining({ status: 'unsigned', signature: { valid: false, reason: 'unsigned' } }));
+      expect(result.summary).toEqual(expect.objectContaining({ verified: 0, unsigned: 1 }));
+      expect(logger.warn).toHaveBeenCalledWith('Wallet records failed integrity verification', expect.objectContaining({
+        unsigned: 1,
+        records: [{ recordId: 'rec-1', status: 'unsigned' }]
+      }));
+    });
+
+    test('should reject invalid routes without reading the wallet', async () => {
+      const result = await walletClient.getVerifiedData('monzo', '../accounts');
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Invalid wallet path segment: ..' }));
+      expect(mockAxiosInstance.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Hash Chaining', () => {
+    const Integrity = require('../../utils/integrity');
+    const chained = (recordId, sequence, data, previousChecksum) => {
+      const checksum = Integrity.compute_checksum(data);
+      return {
+        endpoint: 'monzo/accounts',
+        recordId,
+        data: {
+          metadata: {
+            key: data.monzo_account_id,
+            checksum,
+            sequence,
+            previous_checksum: previousChecksum,
+            link_checksum: Integrity.compute_link_checksum({ sequence, previous_checksum: previousChecksum, checksum })
+          },
+          data
+        }
+      };
+    };
+    const chain = (...records) => records.reduce((links, data, index) => {
+      const previous = links[index - 1];
+      links.push(chained(`rec-${index + 1}`, index + 1, data, previous ? previous.data.metadata.link_checksum : null));
+      return links;
+    }, []);
+
+    beforeEach(() => {
+      walletClient.applicationToken = 'test_app_token';
+      walletClient.hashChain = true;
+      mockAxiosInstance.get.mockResolvedValue({ data: [] });
+      mockAxiosInstance.post.mockResolvedValue({ status: 201, data: [] });
+      mockAxiosInstance.put = jest.fn().mockResolvedValue({ status: 201, data: [] });
+    });
+
+    test('should link new records to the head of the chain', async () => {
+      const stored = chain({ monzo_account_id: 'acc0' });
+      mockAxiosInstance.get.mockResolvedValue({ data: stored });
+
+      await walletClient.storeAccountData({
+        accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }, { id: 'acc2', description: 'Joint', currency: 'GBP' }]
+      });
+
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/v2\.6\/combinator\//), expect.objectContaining({
+        params: { orderBy: 'metadata.sequence', ordering: 'descending', take: 1 }
+      }));
+      const [first, second] = mockAxiosInstance.post.mock.calls[0][1];
+      expect(first.metadata).toEqual(expect.objectContaining({
+        sequence: 2,
+        previous_checksum: stored[0].data.metadata.link_checksum,
+        link_checksum: Integrity.compute_link_checksum({
+          sequence: 2,
+          previous_checksum: stored[0].data.metadata.link_checksum,
+          checksum: first.metadata.checksum
+        })
+      }));
+      expect(second.metadata).toEqual(expect.objectContaining({ sequence: 3, previous_checksum: first.metadata.link_checksum }));
+    });
+
+    test('should append changed records as new versions instead of updating in place', async () => {
+      const original = walletClient.transformer.transformRecord('account', { id: 'acc1', description: 'Current', currency: 'GBP' }).record;
+      mockAxiosInstance.get.mockResolvedValue({ data: chain(original) });
+
+      const result = await walletClient.storeAccountData({ accounts: [{ id: 'acc1', description: 'Renamed', currency: 'GBP' }] });
+
+      expect(mockAxiosInstance.put).not.toHaveBeenCalledWith('/api/v2.6/data', expect.anything(), expect.anything());
+      expect(mockAxiosInstance.post.mock.calls[0][1][0].metadata).toEqual(expect.objectContaining({ key: 'acc1', sequence: 2 }));
+      expect(result).toEqual(expect.objectContaining({ created: 0, updated: 1, unchanged: 0 }));
+    });
+
+    test('should compare against the latest version of each record', async () => {
+      const v1 = walletClient.transformer.transformRecord('account', { id: 'acc1', description: 'Current', currency: 'GBP' }).record;
+      const v2 = walletClient.transformer.transformRecord('account', { id: 'acc1', description: 'Renamed', currency: 'GBP' }).record;
+      mockAxiosInstance.get.mockResolvedValue({ data: chain(v1, v2).reverse() });
+
+      const result = await walletClient.storeAccountData({ accounts: [{ id: 'acc1', description: 'Renamed', currency: 'GBP' }] });
+
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+      expect(result.unchanged).toBe(1);
+    });
+
+    test('should chain single-record payloads from prepareWalletData', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: chain({ monzo_account_id: 'acc0' }) });
+
+      await walletClient.storeData('monzo', 'complete', { accounts: [] });
+
+      const { metadata } = mockAxiosInstance.post.mock.calls[0][1];
+      expect(metadata).toEqual(expect.objectContaining({ sequence: 2, link_checksum: expect.stringMatching(/^[a-f0-9]{64}$/) }));
+      expect(metadata.link_checksum).toBe(Integrity.compute_link_checksum(metadata));
+    });
+
+    test('should not fork the chain when writes to an endpoint overlap', async () => {
+      const stored = [];
+      mockAxiosInstance.get.mockImplementation(async () => ({ data: [...stored].reverse() }));
+      mockAxiosInstance.post.mockImplementation(async (url, payload) => {
+        stored.push({ endpoint: 'monzo/complete', recordId: `rec-${stored.length + 1}`, data: payload });
+        return { status: 201, data: {} };
+      });
+
+      await Promise.all([
+        walletClient.storeData('monzo', 'complete', { accounts: [] }),
+        walletClient.storeData('monzo', 'complete', { accounts: [] })
+      ]);
+
+      const [first, second] = stored.map(record => record.data.metadata);
+      expect(first.sequence).toBe(1);
+      expect(second).toEqual(expect.objectContaining({ sequence: 2, previous_checksum: first.link_checksum }));
+      expect(walletClient.writeChains.size).toBe(0);
+    });
+
+    test('should continue chains written before link checksums from the data checksum', async () => {
+      const legacy = chained('rec-1', 1, { monzo_account_id: 'acc0' }, null);
+      delete legacy.data.metadata.link_checksum;
+      mockAxiosInstance.get.mockResolvedValue({ data: [legacy] });
+
+      await walletClient.storeAccountData({ accounts: [{ id: 'acc1', description: 'Current', currency: 'GBP' }] });
+      const [appended] = mockAxiosInstance.post.mock.calls[0][1];
+
+      expect(appended.metadata.previous_checksum).toBe(legacy.data.metadata.checksum);
+
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [legacy, { endpoint: 'monzo/accounts', recordId: 'rec-2', data: appended }]
+      });
+      expect((await walletClient.auditChain('monzo', 'accounts')).intact).toBe(true);
+    });
+
+    test('should report an intact chain', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: [...chain({ monzo_account_id: 'acc1' }, { monzo_account_id: 'acc2' }), { recordId: 'legacy', data: { metadata: {}, data: {} } }]
+      });
+
+      const audit = await walletClient.auditChain('monzo', 'accounts');
+
+      expect(audit).toEqual(expect.objectContaining({
+        success: true,
+        intact: true,
+        length: 2,
+        head: expect.objectContaining({ sequence: 2, recordId: 'rec-2' }),
+        gaps: [],
+        forks: [],
+        brokenLinks: [],
+        alteredLinks: [],
+        unchained: 1
+      }));
+    });
+
+    test('should report gaps, forks and broken links', async () => {
+      const records = chain(
+        { monzo_account_id: 'acc1' },
+        { monzo_account_id: 'acc2' },
+        { monzo_account_id: 'acc3' },
+        { monzo_account_id: 'acc4' },
+        { monzo_account_id: 'acc5' },
+        { monzo_account_id: 'acc6' }
+      );
+      const fork = chained('rec-fork', 2, { monzo_account_id: 'accX' }, records[0].data.metadata.link_checksum);
+      const reordered = chained('rec-6', 6, { monzo_account_id: 'acc6' }, records[1].data.metadata.link_checksum);
+      mockAxiosInstance.get.mockResolvedValue({ data: [records[0], records[1], fork, records[2], records[4], reordered] });
+
+      const audit = await walletClient.auditChain('monzo', 'accounts');
+
+      expect(audit.intact).toBe(false);
+      expect(audit.gaps).toEqual([{ from: 4, to: 4 }]);
+      expect(audit.forks).toEqual([{ sequence: 2, recordIds: ['rec-2', 'rec-fork'] }]);
+      expect(audit.brokenLinks).toEqual([expect.objectContaining({
+        sequence: 6,
+        recordId: 'rec-6',
+        previousChecksum: records[1].data.metadata.link_checksum,
+        expected: [records[4].data.metadata.link_checksum]
+      })]);
+    });
+
+    test('should report records whose chain fields were edited in place', async () => {
+      const records = chain({ monzo_account_id: 'acc1' }, { monzo_account_id: 'acc2' }, { monzo_account_id: 'acc3' });
+      // Swap the first two records' positions without recomputing their link checksums
+      const [first, second] = records.map(record => record.data.metadata);
+      [first.sequence, second.sequence] = [second.sequence, first.sequence];
+      [first.previous_checksum, second.previous_checksum] = [second.previous_checksum, first.previous_checksum];
+      mockAxiosInstance.get.mockResolvedValue({ data: records });
+
+      const audit = await walletClient.auditChain('monzo', 'accounts');
+
+      expect(audit.intact).toBe(false);
+      expect(audit.alteredLinks).toEqual([
+        { sequence: 1, recordId: 'rec-2' },
+        { sequence: 2, recordId: 'rec-1' }
+      ]);
+    });
+
+    test('should report a chain whose first records were removed', async () => {
+      const records = chain({ monzo_account_id: 'acc1' }, { monzo_account_id: 'acc2' });
+      const rebased = chained('rec-2', 1, records[1].data.data, records[0].data.metadata.link_checksum);
+      mockAxiosInstance.get.mockResolvedValue({ data: [rebased] });
+
+      const audit = await walletClient.auditChain('monzo', 'accounts');
+
+      expect(audit.brokenLinks).toEqual([expect.objectContaining({ sequence: 1, expected: [null] })]);
+    });
+  });
+
   describe('Connection Tests', () => {
     test('should test connection successfully', async () => {
+      walletClient.accessToken = 'test_access_token';
       walletClient.applicationToken = 'test_app_token';
       
       mockAxiosInstance.post.mockResolvedValue({
@@ -484,12 +1027,14 @@ describe('WalletClient', () => {
         details: expect.objectContaining({
           success: true,
           recordId: 'test_record',
-          namespace: 'test/monzo'
+          namespace: 'monzo',
+          path: 'test/testconnection'
         })
       });
     });
 
     test('should handle connection test failure', async () => {
+      walletClient.accessToken = 'test_access_token';
       walletClient.applicationToken = 'test_app_token';
       
       mockAxiosInstance.post.mockRejectedValue(new Error('Connection failed'));
@@ -502,7 +1047,8 @@ describe('WalletClient', () => {
         details: expect.objectContaining({
           success: false,
           error: 'Connection failed',
-          namespace: 'test',
+          namespace: 'monzo',
+          path: 'test/testconnection',
           timestamp: expect.any(String)
         })
       });
@@ -543,11 +1089,8 @@ describe('WalletClient', () => {
     test('should test authentication when credentials available', async () => {
       mockAxiosInstance.get
         .mockResolvedValueOnce({ status: 200 }) // Status check
+        .mockResolvedValueOnce({ data: { accessToken: 'access_token' } }) // Access token
         .mockResolvedValueOnce({ data: { accessToken: 'app_token' } }); // App token
-      
-      mockAxiosInstance.post.mockResolvedValue({
-        data: { accessToken: 'access_token', expiresIn: 3600 }
-      });
 
       const health = await walletClient.healthCheck();
 
@@ -556,6 +1099,7 @@ describe('WalletClient', () => {
 
     test('should indicate no credentials when none provided', async () => {
       const clientWithoutCreds = new WalletClient({
+        apiUrl: 'https://test.hubat.net',
         username: null,
         password: null
       });
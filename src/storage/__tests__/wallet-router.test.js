@@ -0,0 +1,105 @@
+jest.mock('../../config/environment', () => ({
+  server: {},
+  monzo: {},
+  retry: {}
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const WalletRouter = require('../wallet-router');
+
+describe('WalletRouter', () => {
+  test('should route datasets to their default paths in the monzo namespace', () => {
+    const router = new WalletRouter();
+
+    expect(router.resolve('transactions')).toEqual({
+      namespace: 'monzo',
+      path: 'transactions',
+      endpoint: 'monzo/transactions'
+    });
+  });
+
+  test('should use configured namespaces and per-dataset paths', () => {
+    const router = new WalletRouter({
+      namespace: 'banking',
+      paths: 'transactions:txns,balances:daily_balances'
+    });
+
+    expect(router.resolve('transactions').endpoint).toBe('banking/txns');
+    expect(router.resolve('balances').endpoint).toBe('banking/daily_balances');
+    expect(router.resolve('accounts').endpoint).toBe('banking/accounts');
+  });
+
+  test('should prefix paths with the tenant and environment', () => {
+    const router = new WalletRouter({ tenant: 'acme', environment: 'staging' });
+
+    expect(router.resolve('accounts').endpoint).toBe('monzo/acme/staging/accounts');
+    expect(router.resolve('accounts', { tenant: 'globex', environment: 'production' }).endpoint)
+      .toBe('monzo/globex/production/accounts');
+  });
+
+  test('should route test writes to the test environment', () => {
+    const router = new WalletRouter({ environment: 'production' });
+
+    expect(router.resolve('pots', { isTest: true }).endpoint).toBe('monzo/test/pots');
+  });
+
+  test('should use an environment namespace instead of a path segment when configured', () => {
+    const router = new WalletRouter({ environmentNamespaces: { staging: 'monzo_staging' } });
+
+    expect(router.resolve('accounts', { environment: 'staging', tenant: 'acme' })).toEqual({
+      namespace: 'monzo_staging',
+      path: 'acme/accounts',
+      endpoint: 'monzo_staging/acme/accounts'
+    });
+    expect(router.resolve('accounts', { environment: 'qa' }).endpoint).toBe('monzo/qa/accounts');
+  });
+
+  test('should reject names that break Dataswyft naming rules', () => {
+    expect(() => new WalletRouter({ namespace: 'Monzo-Data' })).toThrow('Invalid wallet namespace');
+    expect(() => new WalletRouter({ paths: { accounts: '../accounts' } })).toThrow('Invalid wallet path segment');
+    expect(() => new WalletRouter().resolve('accounts', { tenant: 'acme corp' })).toThrow('Invalid wallet path segment');
+    expect(() => WalletRouter.validateSegment('a'.repeat(65))).toThrow();
+    expect(() => WalletRouter.validatePath('accounts//2026')).toThrow();
+  });
+
+  test('should report invalid routes as non-retryable data errors', () => {
+    try {
+      new WalletRouter().resolve('accounts', { environment: 'prod/../x' });
+      throw new Error('expected an invalid route');
+    } catch (error) {
+      expect(error.category).toBe('INVALID_DATA');
+      expect(error.retryable).toBe(false);
+    }
+  });
+
+  test('should validate request overrides without throwing', () => {
+    const router = new WalletRouter();
+
+    expect(router.validateOverrides({ tenant: 'acme', environment: 'staging' })).toEqual({ valid: true });
+    expect(router.validateOverrides({ tenant: 'acme/../other' })).toEqual({
+      valid: false,
+      error: 'Invalid wallet path segment: ..'
+    });
+  });
+
+  test('should only grant overrides from token claims or the allowlist', () => {
+    const router = new WalletRouter({ tenant: 'acme', allowedTenants: 'globex, initech', allowedEnvironments: ['staging'] });
+
+    expect(router.authorizeOverrides({ tenant: 'acme' })).toEqual({ allowed: true });
+    expect(router.authorizeOverrides({ tenant: 'globex', environment: 'staging' })).toEqual({ allowed: true });
+    expect(router.authorizeOverrides({ tenant: 'umbrella' }, { tenant: 'umbrella' })).toEqual({ allowed: true });
+    expect(router.authorizeOverrides({ environment: 'production' }, { sub: 'user@example.com' })).toEqual({
+      allowed: false,
+      error: 'Wallet environment not allowed for this token: production'
+    });
+    expect(router.authorizeOverrides({ tenant: 'umbrella' }, { tenant: 'globex' }).allowed).toBe(false);
+    expect(() => new WalletRouter({ allowedTenants: 'acme corp' })).toThrow('Invalid wallet path segment');
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const CIPHER = 'aes-256-gcm';
+const FILE_VERSION = 1;
+
+/**
+ * Encrypted JSON file storage backend
+ * The whole store is kept as one AES-256-GCM encrypted JSON document.
+ * Writes are serialized and replace the file atomically (write to temp file, then rename).
+ */
+class EncryptedFileBackend {
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('Encrypted file backend requires a file path');
+    }
+    if (!options.encryptionKey) {
+      throw new Error('Encrypted file backend requires an encryption key');
+    }
+
+    this.type = 'file';
+    this.filePath = options.filePath;
+    this.encryptionKey = options.encryptionKey;
+    this.data = null;
+    this.salt = null;
+    this.key = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load and decrypt the store on first access
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      this.salt = crypto.randomBytes(16);
+      this.key = crypto.scryptSync(this.encryptionKey, this.salt, 32);
+      this.data = {};
+      return this.data;
+    }
+
+    const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported store file version: ${envelope.version}`);
+    }
+
+    this.salt = Buffer.from(envelope.salt, 'base64');
+    this.key = crypto.scryptSync(this.encryptionKey, this.salt, 32);
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      this.data = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      logger.error('Failed to decrypt store file', { filePath: this.filePath, error: error.message });
+      throw new Error('Failed to decrypt store file - wrong encryption key or corrupted file');
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Encrypt and persist the current store contents
+   */
+  persist() {
+    const snapshot = JSON.stringify(this.data);
+
+    // A failed write is reported to its own caller only; later writes still run (and persist
+    // the latest contents, so they also carry whatever the failed write missed)
+    const write = this.writeChain.catch(() => {}).then(() => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+      const ciphertext = Buffer.concat([cipher.update(snapshot, 'utf8'), cipher.final()]);
+
+      const envelope = {
+        version: FILE_VERSION,
+        salt: this.salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+      };
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      try {
+        fs.writeFileSync(tempPath, JSON.stringify(envelope), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        logger.error('Failed to write store file', { filePath: this.filePath, error: error.message });
+        throw error;
+      }
+    });
+
+    this.writeChain = write;
+    return write;
+  }
+
+  async get(collection, key) {
+    const records = this.load()[collection] || {};
+    return records[key] === undefined ? null : JSON.parse(JSON.stringify(records[key]));
+  }
+
+  async set(collection, key, value) {
+    const data = this.load();
+    data[collection] = data[collection] || {};
+    data[collection][key] = JSON.parse(JSON.stringify(value));
+    await this.persist();
+    return value;
+  }
+
+  async delete(collection, key) {
+    const data = this.load();
+    if (!data[collection] || data[collection][key] === undefined) {
+      return false;
+    }
+    delete data[collection][key];
+    await this.persist();
+    return true;
+  }
+
+  async list(collection) {
+    const records = this.load()[collection] || {};
+    return Object.entries(records).map(([key, value]) => ({
+      key,
+      value: JSON.parse(JSON.stringify(value))
+    }));
+  }
+
+  async close() {
+    await this.writeChain.catch(() => {});
+  }
+}
+
+module.exports = EncryptedFileBackend;
@@ -0,0 +1,39 @@
+const config = require('../../config/environment');
+const logger = require('../../utils/logger');
+const MemoryBackend = require('./memory-backend');
+
+/**
+ * Create a key/value storage backend for connector state
+ * @param {Object} options - backend ('memory' | 'file' | 'sqlite'), filePath, encryptionKey, sqlitePath
+ * @returns {Object} Backend exposing async get/set/delete/list/close
+ */
+function createStorageBackend(options = {}) {
+  const storageConfig = { ...(config.storage || {}), ...options };
+  const backendType = storageConfig.backend || 'memory';
+
+  logger.info('Creating storage backend', { backend: backendType });
+
+  switch (backendType) {
+    case 'memory':
+      return new MemoryBackend();
+
+    case 'file': {
+      const EncryptedFileBackend = require('./encrypted-file-backend');
+      return new EncryptedFileBackend({
+        filePath: storageConfig.filePath,
+        encryptionKey: storageConfig.encryptionKey
+      });
+    }
+
+    case 'sqlite': {
+      // Loaded lazily so the native module is only needed when SQLite is selected
+      const SqliteBackend = require('./sqlite-backend');
+      return new SqliteBackend({ sqlitePath: storageConfig.sqlitePath });
+    }
+
+    default:
+      throw new Error(`Unknown storage backend: ${backendType}`);
+  }
+}
+
+module.exports = { createStorageBackend };
@@ -0,0 +1,43 @@
+/**
+ * In-memory storage backend
+ * Keeps records in per-collection Maps; contents are lost on restart
+ */
+class MemoryBackend {
+  constructor() {
+    this.collections = new Map();
+    this.type = 'memory';
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, key) {
+    const value = this.getCollection(collection).get(key);
+    // Return copies so callers cannot mutate stored records by reference
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  async set(collection, key, value) {
+    this.getCollection(collection).set(key, JSON.parse(JSON.stringify(value)));
+    return value;
+  }
+
+  async delete(collection, key) {
+    return this.getCollection(collection).delete(key);
+  }
+
+  async list(collection) {
+    return Array.from(this.getCollection(collection).entries()).map(([key, value]) => ({
+      key,
+      value: JSON.parse(JSON.stringify(value))
+    }));
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite storage backend
+ * Stores JSON-encoded records in a single key/value table partitioned by collection
+ */
+class SqliteBackend {
+  constructor(options = {}) {
+    if (!options.sqlitePath) {
+      throw new Error('SQLite backend requires a database path');
+    }
+
+    this.type = 'sqlite';
+    this.sqlitePath = options.sqlitePath;
+
+    if (this.sqlitePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.sqlitePath), { recursive: true });
+    }
+
+    this.db = new Database(this.sqlitePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+      list: this.db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY key')
+    };
+  }
+
+  async get(collection, key) {
+    const row = this.statements.get.get(collection, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(collection, key, value) {
+    this.statements.set.run(collection, key, JSON.stringify(value), new Date().toISOString());
+    return value;
+  }
+
+  async delete(collection, key) {
+    return this.statements.delete.run(collection, key).changes > 0;
+  }
+
+  async list(collection) {
+    return this.statements.list.all(collection).map(row => ({
+      key: row.key,
+      value: JSON.parse(row.value)
+    }));
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,190 @@
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { createStorageBackend } = require('./backends');
+
+const DEAD_LETTER_COLLECTION = 'callback_dead_letters';
+
+const DEAD_LETTER_STATES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  EXHAUSTED: 'exhausted'
+};
+
+// Minutes after the original failure (then after each redelivery) before trying again
+const DEFAULT_REDELIVERY_SCHEDULE_MINUTES = [1, 5, 15, 30, 60, 120, 240, 480];
+
+/**
+ * Dead-letter store for callbacks that could not be delivered
+ * Keeps the payload, attempt counts and last error of each failed callback so it can
+ * be inspected and replayed, and tracks when the next scheduled redelivery is due.
+ * Once the schedule is used up the callback is marked exhausted (manual replay still works).
+ */
+class CallbackDeadLetterStore {
+  constructor(backend = null, options = {}) {
+    this.backend = backend || createStorageBackend();
+    this.redeliveryScheduleMinutes = options.redeliveryScheduleMinutes ||
+      (config.callbacks && config.callbacks.redeliveryScheduleMinutes) ||
+      DEFAULT_REDELIVERY_SCHEDULE_MINUTES;
+
+    logger.info('Callback Dead-Letter Store initialized', {
+      backend: this.backend.type,
+      redeliveries: this.redeliveryScheduleMinutes.length
+    });
+  }
+
+  /**
+   * Record a callback whose delivery attempts were exhausted
+   * @param {Object} entry - callbackId, url, payload, attempts, error
+   * @returns {Object} Stored dead-letter record
+   */
+  async add({ callbackId, url, payload, attempts = 0, error = null }) {
+    const now = new Date();
+    const record = {
+      id: callbackId,
+      url,
+      payload,
+      requestId: payload?.requestId || null,
+      callbackStatus: payload?.status || null,
+      status: DEAD_LETTER_STATES.PENDING,
+      attempts,
+      redeliveries: 0,
+      lastError: error,
+      nextAttemptAt: this.getNextAttemptAt(0, now),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      deliveredAt: null
+    };
+
+    await this.backend.set(DEAD_LETTER_COLLECTION, record.id, record);
+
+    logger.warn('Callback dead-lettered', {
+      callbackId: record.id,
+      requestId: record.requestId,
+      attempts,
+      nextAttemptAt: record.nextAttemptAt
+    });
+
+    return record;
+  }
+
+  /**
+   * Get a dead-lettered callback
+   * @returns {Object|null} Record, or null when unknown
+   */
+  async get(id) {
+    if (!id) {
+      return null;
+    }
+    return await this.backend.get(DEAD_LETTER_COLLECTION, id);
+  }
+
+  /**
+   * List dead-lettered callbacks, oldest first
+   * @param {Object} filter - status: one state or an array of states
+   */
+  async list(filter = {}) {
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    const records = await this.backend.list(DEAD_LETTER_COLLECTION);
+
+    return records
+      .map(record => record.value)
+      .filter(record => !statuses || statuses.includes(record.status))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Pending callbacks whose next scheduled redelivery is due
+   */
+  async listDue(now = Date.now()) {
+    const pending = await this.list({ status: DEAD_LETTER_STATES.PENDING });
+    return pending.filter(record => record.nextAttemptAt && new Date(record.nextAttemptAt).getTime() <= now);
+  }
+
+  /**
+   * Mark a callback as delivered
+   * @param {number} attempts - Attempts made by the successful replay
+   */
+  async markDelivered(id, attempts = 1) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    return await this.save({
+      ...record,
+      status: DEAD_LETTER_STATES.DELIVERED,
+      attempts: record.attempts + attempts,
+      nextAttemptAt: null,
+      deliveredAt: now
+    });
+  }
+
+  /**
+   * Record a failed replay
+   * Scheduled redeliveries move along the schedule; manual replays leave it where it is
+   * @param {Object} failure - error message and attempts made
+   * @param {Object} options - scheduled: true when the failure came from the redelivery schedule
+   */
+  async recordFailure(id, { error, attempts = 1 }, options = {}) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const redeliveries = options.scheduled ? record.redeliveries + 1 : record.redeliveries;
+    const nextAttemptAt = options.scheduled ? this.getNextAttemptAt(redeliveries) : record.nextAttemptAt;
+
+    const updated = await this.save({
+      ...record,
+      status: nextAttemptAt ? DEAD_LETTER_STATES.PENDING : DEAD_LETTER_STATES.EXHAUSTED,
+      attempts: record.attempts + attempts,
+      redeliveries,
+      lastError: error,
+      nextAttemptAt
+    });
+
+    if (updated.status === DEAD_LETTER_STATES.EXHAUSTED) {
+      logger.error('Callback redelivery schedule exhausted', {
+        callbackId: id,
+        requestId: record.requestId,
+        attempts: updated.attempts
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * When the next scheduled redelivery is due, or null when the schedule is used up
+   */
+  getNextAttemptAt(redeliveries, from = new Date()) {
+    const delayMinutes = this.redeliveryScheduleMinutes[redeliveries];
+    if (delayMinutes === undefined) {
+      return null;
+    }
+    return new Date(from.getTime() + delayMinutes * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Dead-letter counts by state
+   */
+  async getStats() {
+    const stats = {};
+    Object.values(DEAD_LETTER_STATES).forEach(state => { stats[state] = 0; });
+
+    for (const record of await this.list()) {
+      stats[record.status] = (stats[record.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  async save(record) {
+    const updated = { ...record, updatedAt: new Date().toISOString() };
+    await this.backend.set(DEAD_LETTER_COLLECTION, record.id, updated);
+    return updated;
+  }
+}
+
+module.exports = CallbackDeadLetterStore;
+module.exports.DEAD_LETTER_STATES = DEAD_LETTER_STATES;
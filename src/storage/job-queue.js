@@ -0,0 +1,365 @@
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const RetryHandler = require('../utils/retry-handler');
+const { createStorageBackend } = require('./backends');
+
+const JOB_COLLECTION = 'webhook_jobs';
+
+const JOB_STATES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  RETRYING: 'retrying'
+};
+
+/**
+ * Durable job queue for async webhook requests
+ * Jobs are persisted on a storage backend so accepted requests and their status
+ * survive a restart. Runs up to `concurrency` jobs at once, retries transient
+ * failures with backoff and keeps finished jobs for the retention window.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    const jobConfig = { ...(config.jobs || {}), ...options };
+
+    this.backend = options.backend || createStorageBackend();
+    this.handler = options.handler || null;
+    this.concurrency = jobConfig.concurrency || 2;
+    this.maxAttempts = jobConfig.maxAttempts || 3;
+    this.retryDelayMs = jobConfig.retryDelayMs || 30000;
+    this.retentionMs = jobConfig.retentionMs || 24 * 60 * 60 * 1000;
+    this.retryHandler = new RetryHandler();
+
+    this.active = new Set();
+    this.timers = new Set();
+    this.pruneTimer = null;
+    this.pumping = false;
+    this.pumpRequested = false;
+    this.stopped = false;
+
+    logger.info('Job queue initialized', {
+      backend: this.backend.type,
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      retentionMs: this.retentionMs
+    });
+  }
+
+  /**
+   * Set the function that processes a job
+   * @param {Function} handler - async (job) => result; throw to fail the attempt, or throw an
+   *   error with `deferUntil` (and `deferReason`) to requeue the job without counting the attempt
+   */
+  setHandler(handler) {
+    this.handler = handler;
+    this.schedulePump();
+  }
+
+  /**
+   * Resume jobs left over from a previous run and start retention cleanup
+   * Jobs that were mid-flight when the process stopped are retried.
+   * @returns {Object} Counts of resumed jobs
+   */
+  async start() {
+    this.stopped = false;
+
+    const jobs = await this.listJobs();
+    let interrupted = 0;
+    let resumed = 0;
+
+    for (const job of jobs) {
+      if (job.status === JOB_STATES.PROCESSING) {
+        await this.saveJob({
+          ...job,
+          status: JOB_STATES.RETRYING,
+          nextAttemptAt: new Date().toISOString(),
+          error: 'Interrupted by connector restart'
+        });
+        interrupted++;
+      } else if (job.status === JOB_STATES.PENDING || job.status === JOB_STATES.RETRYING) {
+        resumed++;
+      }
+    }
+
+    await this.prune();
+
+    if (!this.pruneTimer) {
+      this.pruneTimer = setInterval(() => {
+        this.prune().catch(error => logger.error('Job retention cleanup failed', { error: error.message }));
+      }, Math.min(this.retentionMs, 60 * 60 * 1000));
+      this.pruneTimer.unref?.();
+    }
+
+    logger.info('Job queue started', { resumed, interrupted });
+    this.schedulePump();
+
+    return { resumed, interrupted };
+  }
+
+  /**
+   * Stop picking up new jobs (jobs already running are left to finish)
+   */
+  stop() {
+    this.stopped = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} jobId - Unique job id (the webhook request id)
+   * @param {Object} payload - Data the handler needs to process the job
+   * @returns {Object} Stored job record
+   */
+  async enqueue(jobId, payload = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: jobId,
+      status: JOB_STATES.PENDING,
+      payload,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      nextAttemptAt: null,
+      deferredFor: null,
+      duration: null,
+      result: null,
+      error: null
+    };
+
+    await this.backend.set(JOB_COLLECTION, jobId, job);
+    logger.info('Job enqueued', { jobId });
+
+    this.schedulePump();
+    return job;
+  }
+
+  /**
+   * Get a job by id
+   * @returns {Object|null} Job record, or null when unknown or past retention
+   */
+  async get(jobId) {
+    return await this.backend.get(JOB_COLLECTION, jobId);
+  }
+
+  async listJobs() {
+    const records = await this.backend.list(JOB_COLLECTION);
+    return records.map(record => record.value);
+  }
+
+  /**
+   * Bring deferred jobs forward so they run on the next pump
+   * @param {Function} predicate - (job) => boolean, picks the deferred jobs to wake
+   * @returns {number} Number of jobs woken
+   */
+  async wake(predicate) {
+    const now = new Date().toISOString();
+    let woken = 0;
+
+    for (const job of await this.listJobs()) {
+      if (job.status === JOB_STATES.RETRYING && job.deferredFor && predicate(job)) {
+        await this.saveJob({ ...job, nextAttemptAt: now });
+        woken++;
+      }
+    }
+
+    if (woken > 0) {
+      logger.info('Woke deferred jobs', { woken });
+      this.schedulePump();
+    }
+    return woken;
+  }
+
+  /**
+   * Whether a failed attempt will be retried
+   */
+  willRetry(job, error) {
+    return job.attempts < (job.maxAttempts || this.maxAttempts) && this.retryHandler.isRetryable(error);
+  }
+
+  /**
+   * Job counts by state plus in-flight jobs
+   */
+  async getStats() {
+    const stats = { active: this.active.size };
+    Object.values(JOB_STATES).forEach(state => { stats[state] = 0; });
+
+    for (const job of await this.listJobs()) {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  schedulePump(delayMs = 0) {
+    if (this.stopped) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.pump().catch(error => logger.error('Job queue processing failed', { error: error.message }));
+    }, Math.max(0, delayMs));
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  /**
+   * Start ready jobs up to the concurrency limit and wake up for the next retry
+   */
+  async pump() {
+    if (!this.handler || this.stopped) {
+      return;
+    }
+    if (this.pumping) {
+      this.pumpRequested = true;
+      return;
+    }
+
+    this.pumping = true;
+    try {
+      do {
+        this.pumpRequested = false;
+
+        const now = Date.now();
+        const jobs = await this.listJobs();
+        const waiting = jobs.filter(job =>
+          (job.status === JOB_STATES.PENDING || job.status === JOB_STATES.RETRYING) && !this.active.has(job.id)
+        );
+
+        const ready = waiting
+          .filter(job => !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        const slots = this.concurrency - this.active.size;
+        ready.slice(0, Math.max(0, slots)).forEach(job => {
+          this.runJob(job).catch(error => {
+            logger.error('Failed to record job outcome', { jobId: job.id, error: error.message });
+          });
+        });
+
+        const nextRetryAt = Math.min(...waiting
+          .filter(job => job.nextAttemptAt && new Date(job.nextAttemptAt).getTime() > now)
+          .map(job => new Date(job.nextAttemptAt).getTime()));
+        if (Number.isFinite(nextRetryAt)) {
+          this.schedulePump(nextRetryAt - now);
+        }
+      } while (this.pumpRequested);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Run one attempt of a job and record the outcome
+   */
+  async runJob(job) {
+    this.active.add(job.id);
+
+    const startedAt = new Date();
+    const running = await this.saveJob({
+      ...job,
+      status: JOB_STATES.PROCESSING,
+      attempts: job.attempts + 1,
+      startedAt: startedAt.toISOString(),
+      nextAttemptAt: null
+    });
+
+    try {
+      const result = await this.handler(running);
+      const completedAt = new Date();
+
+      await this.saveJob({
+        ...running,
+        status: JOB_STATES.COMPLETED,
+        completedAt: completedAt.toISOString(),
+        duration: completedAt.getTime() - new Date(running.createdAt).getTime(),
+        result: result === undefined ? null : result,
+        error: null
+      });
+
+      logger.info('Job completed', { jobId: job.id, attempts: running.attempts });
+
+    } catch (error) {
+      if (error.deferUntil) {
+        // The job is waiting on something outside the connector: requeue it without using up an attempt
+        const nextAttemptAt = new Date(error.deferUntil).toISOString();
+        await this.saveJob({
+          ...running,
+          status: JOB_STATES.RETRYING,
+          attempts: job.attempts,
+          nextAttemptAt,
+          deferredFor: error.deferReason || null,
+          error: error.message
+        });
+
+        logger.info('Job deferred', { jobId: job.id, reason: error.deferReason, nextAttemptAt });
+      } else if (this.willRetry(running, error)) {
+        const delay = error.retryAfter
+          ? error.retryAfter * 1000
+          : this.retryDelayMs * Math.pow(2, running.attempts - 1);
+
+        await this.saveJob({
+          ...running,
+          status: JOB_STATES.RETRYING,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+          error: error.message
+        });
+
+        logger.warn('Job attempt failed, will retry', { jobId: job.id, attempts: running.attempts, delay });
+      } else {
+        const completedAt = new Date();
+        await this.saveJob({
+          ...running,
+          status: JOB_STATES.FAILED,
+          completedAt: completedAt.toISOString(),
+          duration: completedAt.getTime() - new Date(running.createdAt).getTime(),
+          error: error.message
+        });
+
+        logger.error('Job failed', { jobId: job.id, attempts: running.attempts, error: error.message });
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.schedulePump();
+    }
+  }
+
+  async saveJob(job) {
+    const updated = { ...job, updatedAt: new Date().toISOString() };
+    await this.backend.set(JOB_COLLECTION, job.id, updated);
+    return updated;
+  }
+
+  /**
+   * Delete completed and failed jobs older than the retention window
+   * @returns {number} Number of jobs removed
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    for (const job of await this.listJobs()) {
+      const finished = job.status === JOB_STATES.COMPLETED || job.status === JOB_STATES.FAILED;
+      if (finished && job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        await this.backend.delete(JOB_COLLECTION, job.id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Pruned expired jobs', { removed });
+    }
+    return removed;
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JOB_STATES = JOB_STATES;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { createStorageBackend } = require('./backends');
+
+const OAUTH_STATE_COLLECTION = 'monzo_oauth_state';
+
+const OAUTH_STATE_STATUS = {
+  PENDING: 'pending',
+  CONSUMED: 'consumed',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * OAuth authorization state store
+ * One record per in-flight authorization, keyed by the OAuth `state` value, holding the
+ * user who started it, where to send them afterwards, and when it expires. A state can be
+ * consumed once; afterwards the record only reports how the authorization ended.
+ */
+class OAuthStateStore {
+  constructor(backend = null, options = {}) {
+    this.backend = backend || createStorageBackend();
+    this.ttlMs = options.ttlMs || ((config.monzo && config.monzo.oauthStateTtl) || 600) * 1000;
+    // States being consumed right now, so two callbacks racing on one state cannot both win
+    this.consuming = new Set();
+
+    logger.info('OAuth State Store initialized', { backend: this.backend.type, ttlMs: this.ttlMs });
+  }
+
+  /**
+   * Start an authorization
+   * @param {Object} params - userId (required), redirectTo, plus any extra fields to keep with the state
+   * @returns {Object} Stored state record
+   */
+  async create({ userId, redirectTo = null, ...extra }) {
+    if (!userId) {
+      throw new Error('User identifier is required to start authorization');
+    }
+
+    await this.prune();
+
+    const now = new Date();
+    const record = {
+      ...extra,
+      state: crypto.randomBytes(32).toString('hex'),
+      userId,
+      redirectTo,
+      status: OAUTH_STATE_STATUS.PENDING,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString(),
+      consumedAt: null,
+      completedAt: null,
+      error: null
+    };
+
+    await this.backend.set(OAUTH_STATE_COLLECTION, record.state, record);
+
+    logger.info('OAuth state created', {
+      state: this.maskState(record.state),
+      userId: this.maskUserId(userId),
+      expiresAt: record.expiresAt
+    });
+
+    return record;
+  }
+
+  /**
+   * Get a state record without consuming it
+   */
+  async get(state) {
+    if (!state) {
+      return null;
+    }
+    return await this.backend.get(OAUTH_STATE_COLLECTION, state);
+  }
+
+  /**
+   * Consume a state returned to the OAuth callback (single use)
+   * @returns {Object} { valid: true, record } or { valid: false, reason }
+   */
+  async consume(state) {
+    if (!state || this.consuming.has(state)) {
+      return this.reject(state, state ? 'state_already_used' : 'unknown_state');
+    }
+
+    this.consuming.add(state);
+    try {
+      const record = await this.get(state);
+
+      if (!record) {
+        return this.reject(state, 'unknown_state');
+      }
+      if (record.status !== OAUTH_STATE_STATUS.PENDING) {
+        return this.reject(state, 'state_already_used');
+      }
+      if (new Date(record.expiresAt).getTime() <= Date.now()) {
+        await this.save({ ...record, status: OAUTH_STATE_STATUS.FAILED, error: 'Authorization state expired' });
+        return this.reject(state, 'state_expired');
+      }
+
+      // The PKCE verifier is handed to the caller for the token exchange but not kept afterwards
+      const { codeVerifier, ...rest } = record;
+      const consumed = await this.save({
+        ...rest,
+        status: OAUTH_STATE_STATUS.CONSUMED,
+        consumedAt: new Date().toISOString()
+      });
+
+      return { valid: true, record: codeVerifier ? { ...consumed, codeVerifier } : consumed };
+    } finally {
+      this.consuming.delete(state);
+    }
+  }
+
+  /**
+   * Record that the tokens for a consumed state were obtained and stored
+   */
+  async markCompleted(state) {
+    const record = await this.get(state);
+    if (!record) {
+      return null;
+    }
+    return await this.save({ ...record, status: OAUTH_STATE_STATUS.COMPLETED, completedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Record that the authorization for a state failed
+   */
+  async markFailed(state, error) {
+    const record = await this.get(state);
+    if (!record) {
+      return null;
+    }
+    return await this.save({
+      ...record,
+      status: OAUTH_STATE_STATUS.FAILED,
+      completedAt: new Date().toISOString(),
+      error
+    });
+  }
+
+  /**
+   * Delete state records past their expiry
+   * Finished records are kept until then so callers can still read how the authorization ended
+   * @returns {number} Number of records removed
+   */
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const { key, value } of await this.backend.list(OAUTH_STATE_COLLECTION)) {
+      if (new Date(value.expiresAt).getTime() <= now) {
+        await this.backend.delete(OAUTH_STATE_COLLECTION, key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Pruned expired OAuth states', { removed });
+    }
+    return removed;
+  }
+
+  reject(state, reason) {
+    logger.warn('Rejected OAuth state', { state: this.maskState(state), reason });
+    return { valid: false, reason };
+  }
+
+  async save(record) {
+    await this.backend.set(OAUTH_STATE_COLLECTION, record.state, record);
+    return record;
+  }
+
+  maskState(state) {
+    return state ? `${String(state).substring(0, 8)}...` : state;
+  }
+
+  maskUserId(userId) {
+    return userId ? `${String(userId).substring(0, 10)}...` : userId;
+  }
+}
+
+module.exports = OAuthStateStore;
+module.exports.OAUTH_STATE_STATUS = OAUTH_STATE_STATUS;
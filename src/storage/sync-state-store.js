@@ -0,0 +1,110 @@
+const logger = require('../utils/logger');
+const { createStorageBackend } = require('./backends');
+
+const SYNC_STATE_COLLECTION = 'monzo_sync_state';
+
+/**
+ * Per-user, per-account sync state
+ * Stores the high-water mark (last seen transaction id and created timestamp)
+ * so incremental syncs only fetch and store transactions after it
+ */
+class SyncStateStore {
+  constructor(backend = null) {
+    this.backend = backend || createStorageBackend();
+
+    logger.info('Sync State Store initialized', { backend: this.backend.type });
+  }
+
+  /**
+   * Get the high-water mark for one account
+   * @returns {Object|null} { userId, accountId, lastTransactionId, lastTransactionCreated, updatedAt }
+   */
+  async getMark(userId, accountId) {
+    if (!userId || !accountId) {
+      return null;
+    }
+    return await this.backend.get(SYNC_STATE_COLLECTION, this.recordKey(userId, accountId));
+  }
+
+  /**
+   * Get the high-water marks for all of a user's accounts
+   * @returns {Object} Marks keyed by account id
+   */
+  async getMarks(userId) {
+    if (!userId) {
+      return {};
+    }
+
+    const records = await this.backend.list(SYNC_STATE_COLLECTION);
+    const marks = {};
+    for (const { value } of records) {
+      if (value.userId === userId) {
+        marks[value.accountId] = value;
+      }
+    }
+    return marks;
+  }
+
+  /**
+   * Advance the high-water marks for a user's accounts
+   * Call only after the data up to these marks has been written to the wallet.
+   * Marks never move backwards.
+   * @param {string} userId - Webhook user identifier
+   * @param {Object} marks - { [accountId]: { lastTransactionId, lastTransactionCreated } }
+   * @returns {number} Number of accounts whose mark moved
+   */
+  async saveMarks(userId, marks = {}) {
+    if (!userId) {
+      throw new Error('User identifier is required to store sync state');
+    }
+
+    let advanced = 0;
+
+    for (const [accountId, mark] of Object.entries(marks)) {
+      if (!mark || !mark.lastTransactionId) {
+        continue;
+      }
+
+      const existing = await this.getMark(userId, accountId);
+      if (existing && existing.lastTransactionCreated &&
+          new Date(existing.lastTransactionCreated) >= new Date(mark.lastTransactionCreated)) {
+        continue;
+      }
+
+      await this.backend.set(SYNC_STATE_COLLECTION, this.recordKey(userId, accountId), {
+        userId,
+        accountId,
+        lastTransactionId: mark.lastTransactionId,
+        lastTransactionCreated: mark.lastTransactionCreated,
+        updatedAt: new Date().toISOString()
+      });
+      advanced++;
+    }
+
+    logger.info('Sync state updated', { userId: this.maskUserId(userId), accountsAdvanced: advanced });
+
+    return advanced;
+  }
+
+  /**
+   * Delete all sync state for a user
+   * @returns {number} Number of account marks removed
+   */
+  async deleteUser(userId) {
+    const marks = await this.getMarks(userId);
+    for (const accountId of Object.keys(marks)) {
+      await this.backend.delete(SYNC_STATE_COLLECTION, this.recordKey(userId, accountId));
+    }
+    return Object.keys(marks).length;
+  }
+
+  recordKey(userId, accountId) {
+    return `${userId}:${accountId}`;
+  }
+
+  maskUserId(userId) {
+    return userId ? `${String(userId).substring(0, 10)}...` : userId;
+  }
+}
+
+module.exports = SyncStateStore;
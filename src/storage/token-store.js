@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const { createStorageBackend } = require('./backends');
+
+const TOKEN_COLLECTION = 'monzo_tokens';
+
+/**
+ * Per-user Monzo token store
+ * Keeps access token, refresh token, expiry and scope for each connector user,
+ * keyed by the webhook user identifier, on a pluggable storage backend
+ */
+class TokenStore {
+  constructor(backend = null) {
+    this.backend = backend || createStorageBackend();
+
+    logger.info('Token Store initialized', { backend: this.backend.type });
+  }
+
+  /**
+   * Save tokens for a user
+   * @param {string} userId - Webhook user identifier (or JWT sub)
+   * @param {Object} tokenData - Token response from MonzoOAuthHandler
+   * @param {Object} options - newLogin: true when the tokens come from a fresh authorization
+   * @returns {Object} Stored token record
+   */
+  async saveTokens(userId, tokenData, options = {}) {
+    if (!userId) {
+      throw new Error('User identifier is required to store tokens');
+    }
+    if (!tokenData || !tokenData.accessToken) {
+      throw new Error('Access token is required to store tokens');
+    }
+
+    const existing = await this.backend.get(TOKEN_COLLECTION, userId);
+    const now = new Date();
+
+    const record = {
+      userId,
+      accessToken: tokenData.accessToken,
+      refreshToken: tokenData.refreshToken || existing?.refreshToken || null,
+      tokenType: tokenData.tokenType || 'Bearer',
+      scope: tokenData.scope || existing?.scope || null,
+      expiresAt: tokenData.expiresIn
+        ? new Date(now.getTime() + tokenData.expiresIn * 1000).toISOString()
+        : null,
+      // When the user last completed the OAuth login (refreshes keep the original value)
+      authenticatedAt: options.newLogin || !existing?.authenticatedAt
+        ? now.toISOString()
+        : existing.authenticatedAt,
+      updatedAt: now.toISOString()
+    };
+
+    await this.backend.set(TOKEN_COLLECTION, userId, record);
+
+    logger.info('Stored Monzo tokens for user', {
+      userId: this.maskUserId(userId),
+      expiresAt: record.expiresAt,
+      hasRefreshToken: !!record.refreshToken
+    });
+
+    return record;
+  }
+
+  /**
+   * Get stored tokens for a user
+   * @returns {Object|null} Token record or null when the user has not authorized
+   */
+  async getTokens(userId) {
+    if (!userId) {
+      return null;
+    }
+    return await this.backend.get(TOKEN_COLLECTION, userId);
+  }
+
+  /**
+   * Delete stored tokens for a user
+   * @returns {boolean} True if tokens existed
+   */
+  async deleteTokens(userId) {
+    const deleted = await this.backend.delete(TOKEN_COLLECTION, userId);
+    logger.info('Deleted Monzo tokens for user', { userId: this.maskUserId(userId), deleted });
+    return deleted;
+  }
+
+  /**
+   * List identifiers of users with stored tokens
+   */
+  async listUsers() {
+    const records = await this.backend.list(TOKEN_COLLECTION);
+    return records.map(record => record.key);
+  }
+
+  /**
+   * Check whether a token record is expired (or will be within `skewMs`)
+   */
+  isExpired(record, skewMs = 0) {
+    if (!record || !record.expiresAt) {
+      return false;
+    }
+    return new Date(record.expiresAt).getTime() - skewMs <= Date.now();
+  }
+
+  maskUserId(userId) {
+    return userId ? `${String(userId).substring(0, 10)}...` : userId;
+  }
+}
+
+module.exports = TokenStore;
@@ -1,6 +1,37 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const Integrity = require('../utils/integrity');
+const { CANONICALIZATION } = require('../utils/integrity');
+const DataTransformer = require('../utils/data-transformer');
+const WalletRouter = require('./wallet-router');
+
+// Dataset written as a single blob before per-entity upserts, still searched when erasing
+const LEGACY_COMPLETE_DATASET = 'complete';
+const ERASE_BATCH_SIZE = 100;
+// Records fetched per GET when reading an endpoint back
+const READ_PAGE_SIZE = 1000;
+// Keys looked up per filtered query when upserting
+const LOOKUP_BATCH_SIZE = 100;
+
+// Outcome of checking a stored record against its metadata checksum
+const VERIFICATION_STATUS = {
+  VERIFIED: 'verified',
+  MISMATCH: 'mismatch',
+  INVALID_SIGNATURE: 'invalid_signature',
+  UNSIGNED: 'unsigned',
+  UNVERIFIABLE: 'unverifiable'
+};
+
+// Datasets written with upsert semantics: the normalized field holding each record's
+// stable key, and the raw Monzo field it comes from (used to pair raw data when it is kept)
+const UPSERT_ENTITIES = {
+  accounts: { keyField: 'monzo_account_id', sourceKey: 'id', listKey: null },
+  balances: { keyField: 'monzo_account_id', sourceKey: 'accountId', listKey: null },
+  pots: { keyField: 'monzo_pot_id', sourceKey: 'id', listKey: 'pots' },
+  transactions: { keyField: 'monzo_transaction_id', sourceKey: 'id', listKey: 'transactions' }
+};
+const UPSERT_BATCH_SIZE = 100;
 
 /**
  * Dataswyft Wallet Client for storing banking data
@@ -8,17 +39,48 @@ const Integrity = require('../utils/integrity');
  */
 class WalletClient {
   constructor(options = {}) {
-    this.apiUrl = options.apiUrl || process.env.DATASWIFT_API_URL || 'https://kennethleeje8wka.hubat.net';
-    this.username = options.username || process.env.DATASWIFT_USERNAME || 'kennethleeje8wka';
-    this.password = options.password || process.env.DATASWIFT_PASSWORD || 'burger-wine-cheese';
+    // Credentials are passed in from the secrets provider (see config/environment); there are no defaults
+    if (!options.apiUrl) {
+      throw new Error('Wallet API URL is required');
+    }
+    this.apiUrl = options.apiUrl;
+    this.username = options.username || null;
+    this.password = options.password || null;
     this.applicationId = options.applicationId || process.env.DS_APPLICATION_ID || 'oi-s-monzodataconnector';
     this.timeout = options.timeout || 30000;
     this.maxRetries = options.maxRetries || 3;
+    this.transformer = options.transformer || new DataTransformer();
+    // Decides the namespace and path each dataset is written to
+    this.router = options.router || new WalletRouter();
+    // Store the raw Monzo responses alongside the normalized records
+    this.keepRawData = options.keepRawData !== undefined
+      ? options.keepRawData
+      : process.env.WALLET_KEEP_RAW_DATA === 'true';
+    // Ed25519 connector keys; the first signs each record's checksum, chain position and user reference
+    this.signingKeys = Integrity.parse_signing_keys(options.signingKeys);
+    // Key for the user references tagged on records, so they cannot be matched to users without it
+    this.userRefSecret = options.userRefSecret || null;
+    // Link each record written to an endpoint to the one before it (sequence, previous_checksum, link_checksum)
+    this.hashChain = options.hashChain !== undefined
+      ? options.hashChain
+      : process.env.WALLET_HASH_CHAIN === 'true';
+    // How record data is serialized before hashing; recorded in each record's metadata
+    this.canonicalization = options.canonicalization
+      || process.env.WALLET_CHECKSUM_CANONICALIZATION
+      || CANONICALIZATION.JCS;
+    if (!Object.values(CANONICALIZATION).includes(this.canonicalization)) {
+      throw new Error(`Unsupported checksum canonicalization: ${this.canonicalization}`);
+    }
     
     // Token storage
     this.accessToken = null;
     this.applicationToken = null;
     this.tokenExpiry = null;
+
+    // Filtered queries in flight per endpoint (each endpoint has a single query combinator)
+    this.queryChains = new Map();
+    // Hash-chained writes in flight per endpoint (each reads the chain head the previous one wrote)
+    this.writeChains = new Map();
     
     // Configure HTTP client
     this.httpClient = axios.create({
@@ -161,39 +223,53 @@ class WalletClient {
    * Store Monzo data in Dataswyft wallet with proper metadata
    */
   async storeData(namespace, dataPath, data, options = {}) {
-    const { isTest = false, recordName = 'monzo-banking-data', inbox_message_id = null } = options;
+    const { isTest = false, recordName = 'monzo-banking-data', inbox_message_id = null, keepRaw, userId = null } = options;
     
-    // Determine namespace: monzo/test for tests, monzo for production
-    const finalNamespace = isTest ? `${namespace}/test` : namespace;
-    const finalPath = dataPath;
+    // Test writes go under a `test/` path; both names must pass Dataswyft naming rules
+    const finalPath = isTest ? `test/${dataPath}` : dataPath;
 
     try {
+      WalletRouter.validateNamespace(namespace);
+      WalletRouter.validatePath(finalPath);
+
       // Get application token for data operations (proper data connector pattern)
       if (!this.applicationToken) {
         await this.getApplicationToken();
       }
 
       logger.info('Storing data in Dataswyft wallet', { 
-        namespace: finalNamespace,
+        namespace,
         path: finalPath,
         recordName,
         dataType: typeof data,
         accountCount: data.accounts?.length || 0
       });
 
-      // Prepare data with metadata (or use raw data for testing)
-      const walletData = isTest ? data : this.prepareWalletData(data, finalNamespace, recordName, inbox_message_id);
-      
-      // Store data using application token (correct data connector pattern)
-      const response = await this.httpClient.post(`/api/v2.6/data/${finalNamespace}/${finalPath}`, walletData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-auth-token': this.applicationToken
-        }
-      });
+      const chained = this.hashChain && !isTest;
+      const write = async () => {
+        // Chained payloads link to the latest record already stored at the endpoint
+        const chainHead = chained ? await this.fetchChainHead(`${namespace}/${finalPath}`) : null;
+
+        // Prepare data with metadata (or use raw data for testing)
+        const walletData = isTest ? data : this.prepareWalletData(data, namespace, recordName, inbox_message_id, { keepRaw, userId, chainHead });
+
+        // Store data using application token (correct data connector pattern)
+        const response = await this.httpClient.post(`/api/v2.6/data/${namespace}/${finalPath}`, walletData, {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-auth-token': this.applicationToken
+          }
+        });
+        return { response, walletData };
+      };
+
+      // Chained writes to an endpoint run one at a time so two never link to the same head
+      const { response, walletData } = chained
+        ? await this.runExclusive(this.writeChains, `${namespace}/${finalPath}`, write)
+        : await write();
 
       logger.info('Data stored successfully in wallet', { 
-        namespace: finalNamespace,
+        namespace,
         path: finalPath,
         recordId: response.data?.id,
         statusCode: response.status
@@ -202,7 +278,7 @@ class WalletClient {
       return {
         success: true,
         recordId: response.data?.id,
-        namespace: finalNamespace,
+        namespace,
         path: finalPath,
         timestamp: new Date().toISOString(),
         dataSize: JSON.stringify(walletData).length
@@ -212,19 +288,19 @@ class WalletClient {
       logger.error('Failed to store data in wallet', { 
         error: error.message,
         status: error.response?.status,
-        namespace: finalNamespace,
+        namespace,
         data: error.response?.data
       });
 
-      // Handle duplicate data as partial success for testing
+      // Dataswyft rejects a POST identical to an existing record; nothing was written
       const isDuplicateData = error.response?.data?.cause?.includes('Duplicate data') || 
                              error.response?.data?.message?.includes('Duplicate data');
 
       return {
-        success: isDuplicateData, // Consider duplicate data as success for testing
+        success: false,
         error: error.message,
         isDuplicate: isDuplicateData,
-        namespace: finalNamespace,
+        namespace,
         path: finalPath,
         timestamp: new Date().toISOString()
       };
@@ -233,34 +309,66 @@ class WalletClient {
 
   /**
    * Prepare data for wallet storage with new payload structure
-   * Format: { metadata: { inbox_message_id, create_at, checksum }, data: transformedData }
+   * Format: { metadata: { inbox_message_id, create_at, checksum, checksum_algorithm, canonicalization }, data: transformedData }
+   * (metadata also carries `signature` and `key_id` when connector signing keys are configured)
+   * Records are normalized through the DataTransformer; records failing validation are
+   * reported in `validationErrors` instead of being stored.
+   * @param {Object} options - keepRaw: also store the raw Monzo data under `raw`;
+   *   userId: tag the record with a hashed reference to the user so it can be erased later;
+   *   chainHead: { sequence, link } of the endpoint's hash chain, to link the record after it
    */
-  prepareWalletData(rawData, namespace, recordName, inbox_message_id = null) {
+  prepareWalletData(rawData, namespace, recordName, inbox_message_id = null, options = {}) {
+    const keepRaw = options.keepRaw !== undefined ? options.keepRaw : this.keepRawData;
+    const normalized = this.transformer.transformCompleteData(rawData);
+
     // Transform the raw data (this is the data from external API)
     const transformedData = {
-      accounts: rawData.accounts || [],
-      balances: rawData.balances || [],
-      transactions: rawData.transactions || [],
+      accounts: normalized.accounts,
+      balances: normalized.balances,
+      pots: normalized.pots,
+      transactions: normalized.transactions,
       connectionTest: rawData.connectionTest || null,
+      validationErrors: normalized.validationErrors,
       extractionMeta: {
         accountCount: rawData.accounts?.length || 0,
         balanceCount: rawData.balances?.length || 0,
+        potCount: rawData.pots?.length || 0,
         transactionCount: rawData.transactions?.length || 0,
         extractedAt: new Date().toISOString(),
         connector: 'monzo-data-connector'
       }
     };
 
-    // Compute checksum of the transformed data
-    const checksum = Integrity.compute_checksum(transformedData);
+    // Incremental syncs only carry transactions after the previous high-water mark
+    if (rawData.syncMeta) {
+      transformedData.sync = rawData.syncMeta;
+    }
+
+    if (keepRaw) {
+      transformedData.raw = this.transformer.stripExcludedFields({
+        accounts: rawData.accounts || [],
+        balances: rawData.balances || [],
+        pots: rawData.pots || [],
+        transactions: rawData.transactions || []
+      });
+    }
+
+    const metadata = {
+      inbox_message_id: inbox_message_id,
+      create_at: new Date().toISOString(),
+      // Checksum of the transformed data, with the scheme used to compute it
+      ...Integrity.checksum_metadata(transformedData, this.canonicalization)
+    };
+    if (options.chainHead) {
+      Object.assign(metadata, WalletClient.chainLink(options.chainHead, metadata.checksum));
+    }
+    if (options.userId) {
+      metadata.user_ref = this.userRef(options.userId);
+    }
 
     // Return the new payload structure
     return {
-      metadata: {
-        inbox_message_id: inbox_message_id,
-        create_at: new Date().toISOString(),
-        checksum: checksum
-      },
+      metadata: this.signMetadata(metadata),
       data: transformedData
     };
   }
@@ -269,42 +377,563 @@ class WalletClient {
    * Store account data specifically
    */
   async storeAccountData(accountData, options = {}) {
-    return await this.storeData('monzo', 'accounts', accountData, {
-      ...options,
-      recordName: 'monzo-accounts'
-    });
+    return await this.storeEntities(accountData, ['accounts'], options);
   }
 
   /**
    * Store balance data specifically  
    */
   async storeBalanceData(balanceData, options = {}) {
-    return await this.storeData('monzo', 'balances', balanceData, {
-      ...options,
-      recordName: 'monzo-balances'
-    });
+    return await this.storeEntities(balanceData, ['balances'], options);
+  }
+
+  /**
+   * Store pot data specifically
+   */
+  async storePotData(potData, options = {}) {
+    return await this.storeEntities(potData, ['pots'], options);
   }
 
   /**
    * Store transaction data specifically
    */
   async storeTransactionData(transactionData, options = {}) {
-    return await this.storeData('monzo', 'transactions', transactionData, {
-      ...options,
-      recordName: 'monzo-transactions'
-    });
+    return await this.storeEntities(transactionData, ['transactions'], options);
   }
 
   /**
    * Store complete banking dataset
    */
   async storeCompleteData(completeData, options = {}) {
-    return await this.storeData('monzo', 'complete', completeData, {
-      ...options,
-      recordName: 'monzo-complete-data'
+    return await this.storeEntities(completeData, Object.keys(UPSERT_ENTITIES), options);
+  }
+
+  /**
+   * Normalize a Monzo dataset and upsert one wallet record per account, balance, pot and
+   * transaction, keyed by its Monzo id, so re-syncs update records instead of piling up
+   * @param {Object} rawData - Dataset as returned by MonzoConnector.getCompleteAccountData
+   * @param {Array} datasets - Datasets to write (keys of UPSERT_ENTITIES)
+   * @param {Object} options - isTest, tenant, environment (routing), keepRaw, userId
+   * @returns {Object} { success, namespace, routes, created, updated, unchanged, counts, validationErrors }
+   */
+  async storeEntities(rawData, datasets, options = {}) {
+    const { isTest = false, tenant, environment, userId = null } = options;
+    const keepRaw = options.keepRaw !== undefined ? options.keepRaw : this.keepRawData;
+
+    // Resolve (and validate) every route before anything is written
+    const routes = {};
+    try {
+      datasets.forEach(dataset => {
+        routes[dataset] = this.router.resolve(dataset, { isTest, tenant, environment });
+      });
+    } catch (error) {
+      logger.error('Invalid wallet route', { error: error.message, tenant, environment });
+      return { success: false, error: error.message, created: 0, updated: 0, unchanged: 0, counts: {} };
+    }
+
+    const normalized = this.transformer.transformCompleteData(rawData);
+    const summary = {
+      success: true,
+      namespace: routes[datasets[0]].namespace,
+      routes: Object.fromEntries(datasets.map(dataset => [dataset, routes[dataset].endpoint])),
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      counts: {},
+      validationErrors: normalized.validationErrors,
+      timestamp: new Date().toISOString()
+    };
+    if (datasets.length === 1) {
+      summary.path = routes[datasets[0]].path;
+    }
+
+    for (const dataset of datasets) {
+      const { keyField, sourceKey, listKey } = UPSERT_ENTITIES[dataset];
+      const flatten = entries => (entries || []).flatMap(entry =>
+        listKey && Array.isArray(entry?.[listKey]) ? entry[listKey] : [entry]);
+
+      const rawByKey = new Map();
+      if (keepRaw) {
+        flatten(rawData[dataset]).forEach(record => rawByKey.set(record?.[sourceKey], this.transformer.stripExcludedFields(record)));
+      }
+
+      const { namespace, path } = routes[dataset];
+      const result = await this.upsertRecords(namespace, path, flatten(normalized[dataset]), {
+        keyField,
+        userId,
+        rawByKey,
+        syncMeta: rawData.syncMeta
+      });
+
+      summary.counts[dataset] = { created: result.created, updated: result.updated, unchanged: result.unchanged };
+      summary.created += result.created;
+      summary.updated += result.updated;
+      summary.unchanged += result.unchanged;
+
+      if (!result.success) {
+        return { ...summary, success: false, error: result.error };
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Upsert records into a wallet endpoint by a stable key
+   * Existing records are looked up by key with a filtered data API query; new keys are created (POST),
+   * changed records are updated in place (PUT on their recordId), and records whose
+   * checksum matches what is stored are left alone. With hash chaining, new and changed
+   * records are both appended (POST) with the next `sequence`, the chain head's link as
+   * `previous_checksum` and their own `link_checksum`; the latest version of a key is the one
+   * with the highest sequence; chained upserts to an endpoint run one at a time.
+   * @param {string} namespace - Wallet namespace (e.g. `monzo`)
+   * @param {string} path - Endpoint within the namespace (e.g. `transactions`)
+   * @param {Array} records - Normalized records
+   * @param {Object} options - keyField (required), userId, rawByKey, syncMeta
+   * @returns {Object} { success, namespace, path, created, updated, unchanged, error }
+   */
+  async upsertRecords(namespace, path, records, options = {}) {
+    if (this.hashChain) {
+      return await this.runExclusive(this.writeChains, `${namespace}/${path}`, () => this.applyUpsert(namespace, path, records, options));
+    }
+    return await this.applyUpsert(namespace, path, records, options);
+  }
+
+  /**
+   * Look up, compare and write one upsert (see upsertRecords)
+   */
+  async applyUpsert(namespace, path, records, options = {}) {
+    const { keyField, userId = null, rawByKey = new Map(), syncMeta = null } = options;
+    const result = { success: true, namespace, path, created: 0, updated: 0, unchanged: 0 };
+
+    try {
+      if (!keyField) {
+        throw new Error('A key field is required to upsert wallet records');
+      }
+      if (!this.applicationToken) {
+        await this.getApplicationToken();
+      }
+
+      const stored = await this.findRecordsByKey(`${namespace}/${path}`, keyField, records.map(record => record[keyField]));
+      const existing = this.indexRecords(stored, keyField);
+      // With hash chaining every write is appended to the endpoint's chain
+      let head = this.hashChain && records.length > 0 ? await this.fetchChainHead(`${namespace}/${path}`) : null;
+      const now = new Date().toISOString();
+      const toCreate = [];
+      const toUpdate = [];
+      // Appended payloads that are new versions of an existing record (counted as updates)
+      const newVersions = new Set();
+
+      for (const record of records) {
+        const key = record[keyField];
+        const current = existing.get(key);
+
+        // Compare in the scheme the stored version was written with, so records written
+        // before a canonicalization change are not all rewritten on the next sync
+        if (current && current.checksum && Integrity.verify_metadata_checksum(record, current.metadata)) {
+          result.unchanged++;
+          continue;
+        }
+        const { checksum, ...checksumScheme } = Integrity.checksum_metadata(record, this.canonicalization);
+
+        const payload = {
+          metadata: this.signMetadata({
+            key,
+            create_at: current?.createdAt || now,
+            updated_at: now,
+            checksum,
+            ...checksumScheme,
+            ...(head && WalletClient.chainLink(head, checksum)),
+            ...(userId && { user_ref: this.userRef(userId) }),
+            ...(syncMeta && { sync: syncMeta })
+          }),
+          data: record,
+          ...(rawByKey.has(key) && { raw: rawByKey.get(key) })
+        };
+
+        if (head) {
+          // Changed records are appended as a new version rather than rewritten, so the
+          // chain (and the history it protects) is never edited in place
+          head = { sequence: payload.metadata.sequence, link: payload.metadata.link_checksum };
+          toCreate.push(payload);
+          if (current) {
+            newVersions.add(payload);
+          }
+        } else if (current) {
+          toUpdate.push({ endpoint: `${namespace}/${path}`, recordId: current.recordId, data: payload });
+        } else {
+          toCreate.push(payload);
+        }
+      }
+
+      const headers = { 'Content-Type': 'application/json', 'x-auth-token': this.applicationToken };
+
+      for (let i = 0; i < toCreate.length; i += UPSERT_BATCH_SIZE) {
+        const batch = toCreate.slice(i, i + UPSERT_BATCH_SIZE);
+        await this.httpClient.post(`/api/v2.6/data/${namespace}/${path}`, batch, { headers });
+        batch.forEach(payload => {
+          if (newVersions.has(payload)) {
+            result.updated++;
+          } else {
+            result.created++;
+          }
+        });
+      }
+
+      for (let i = 0; i < toUpdate.length; i += UPSERT_BATCH_SIZE) {
+        const batch = toUpdate.slice(i, i + UPSERT_BATCH_SIZE);
+        await this.httpClient.put('/api/v2.6/data', batch, { headers });
+        result.updated += batch.length;
+      }
+
+      logger.info('Upserted wallet records', {
+        namespace,
+        path,
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to upsert wallet records', {
+        error: error.message,
+        status: error.response?.status,
+        namespace,
+        path,
+        data: error.response?.data
+      });
+
+      return { ...result, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Index stored records by their stable key
+   * Where a key has several versions (hash-chained endpoints) the latest in the chain wins.
+   * @returns {Map} key -> { recordId, checksum, createdAt, sequence, metadata }
+   */
+  indexRecords(stored, keyField) {
+    const index = new Map();
+
+    for (const record of stored) {
+      const key = record.data?.data?.[keyField];
+      if (key === undefined) {
+        continue;
+      }
+
+      const sequence = record.data.metadata?.sequence;
+      const current = index.get(key);
+      if (!current || (Number.isInteger(sequence) && sequence > (current.sequence || 0))) {
+        index.set(key, {
+          recordId: record.recordId,
+          checksum: record.data.metadata?.checksum,
+          createdAt: current?.createdAt || record.data.metadata?.create_at,
+          sequence,
+          metadata: record.data.metadata
+        });
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Latest link of an endpoint's hash chain
+   * @param {Array} stored - Wallet records read from the endpoint
+   * @returns {Object} { sequence, link } ({ sequence: 0, link: null } for an empty chain)
+   */
+  static chainHead(stored) {
+    let head = { sequence: 0, link: null };
+
+    for (const record of stored) {
+      const metadata = record.data?.metadata || {};
+      if (Number.isInteger(metadata.sequence) && metadata.sequence > head.sequence) {
+        head = { sequence: metadata.sequence, link: WalletClient.linkOf(metadata) };
+      }
+    }
+
+    return head;
+  }
+
+  /**
+   * Chain metadata for a record with data checksum `checksum` written after `head`
+   * @returns {Object} { sequence, previous_checksum, link_checksum }
+   */
+  static chainLink(head, checksum) {
+    const link = { sequence: head.sequence + 1, previous_checksum: head.link };
+    return { ...link, link_checksum: Integrity.compute_link_checksum({ ...link, checksum }) };
+  }
+
+  /**
+   * Value the next record in the chain points at: the record's link checksum, or its data
+   * checksum for records chained before link checksums were added
+   */
+  static linkOf(metadata) {
+    return metadata.link_checksum || metadata.checksum || null;
+  }
+
+  /**
+   * Audit an endpoint's hash chain
+   * Walks the chained records in sequence order and reports:
+   * - gaps: sequence numbers with no record (records deleted)
+   * - forks: sequence numbers held by more than one record (concurrent or replayed writes)
+   * - brokenLinks: records whose `previous_checksum` is not the link checksum of the record
+   *   before them (records deleted, reordered or rewritten)
+   * - alteredLinks: records whose `link_checksum` no longer matches their own sequence,
+   *   previous_checksum and checksum (chain fields or data checksum edited in place)
+   * Records without a sequence were written before chaining was enabled and are only counted.
+   * The chain cannot show records removed from its end; compare `head` with an earlier audit.
+   * @returns {Object} { success, namespace, path, intact, length, head, gaps, forks, brokenLinks, alteredLinks, unchained }
+   */
+  async auditChain(namespace, path) {
+    try {
+      WalletRouter.validateNamespace(namespace);
+      WalletRouter.validatePath(path);
+
+      if (!this.applicationToken) {
+        await this.getApplicationToken();
+      }
+
+      const bySequence = new Map();
+      let unchained = 0;
+
+      for (const record of await this.listRecords(`${namespace}/${path}`)) {
+        const metadata = record.data?.metadata || {};
+        if (!Number.isInteger(metadata.sequence)) {
+          unchained++;
+          continue;
+        }
+        if (!bySequence.has(metadata.sequence)) {
+          bySequence.set(metadata.sequence, []);
+        }
+        bySequence.get(metadata.sequence).push({
+          recordId: record.recordId,
+          checksum: metadata.checksum || null,
+          previousChecksum: metadata.previous_checksum === undefined ? null : metadata.previous_checksum,
+          linkChecksum: metadata.link_checksum || null,
+          link: WalletClient.linkOf(metadata)
+        });
+      }
+
+      const length = bySequence.size > 0 ? Math.max(...bySequence.keys()) : 0;
+      const gaps = [];
+      const forks = [];
+      const brokenLinks = [];
+      const alteredLinks = [];
+
+      for (let sequence = 1; sequence <= length; sequence++) {
+        const links = bySequence.get(sequence);
+
+        if (!links) {
+          const lastGap = gaps[gaps.length - 1];
+          if (lastGap && lastGap.to === sequence - 1) {
+            lastGap.to = sequence;
+          } else {
+            gaps.push({ from: sequence, to: sequence });
+          }
+          continue;
+        }
+
+        if (links.length > 1) {
+          forks.push({ sequence, recordIds: links.map(link => link.recordId) });
+        }
+
+        links
+          .filter(link => link.linkChecksum && link.linkChecksum !== Integrity.compute_link_checksum({
+            sequence,
+            previous_checksum: link.previousChecksum,
+            checksum: link.checksum
+          }))
+          .forEach(link => alteredLinks.push({ sequence, recordId: link.recordId }));
+
+        // A link is sound when it points at (one of) the records one step back
+        const previous = sequence === 1 ? [{ link: null }] : bySequence.get(sequence - 1);
+        if (!previous) {
+          continue;
+        }
+        links
+          .filter(link => !previous.some(candidate => candidate.link === link.previousChecksum))
+          .forEach(link => brokenLinks.push({
+            sequence,
+            recordId: link.recordId,
+            previousChecksum: link.previousChecksum,
+            expected: previous.map(candidate => candidate.link)
+          }));
+      }
+
+      const headLinks = bySequence.get(length) || [];
+      const result = {
+        success: true,
+        namespace,
+        path,
+        intact: gaps.length === 0 && forks.length === 0 && brokenLinks.length === 0 && alteredLinks.length === 0,
+        length,
+        head: headLinks.length > 0
+          ? { sequence: length, recordId: headLinks[0].recordId, checksum: headLinks[0].checksum, linkChecksum: headLinks[0].linkChecksum }
+          : null,
+        gaps,
+        forks,
+        brokenLinks,
+        alteredLinks,
+        unchained
+      };
+
+      if (!result.intact) {
+        logger.warn('Wallet hash chain audit found problems', {
+          namespace,
+          path,
+          gaps: gaps.length,
+          forks: forks.length,
+          brokenLinks: brokenLinks.length,
+          alteredLinks: alteredLinks.length
+        });
+      } else {
+        logger.info('Wallet hash chain intact', { namespace, path, length, unchained });
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to audit wallet hash chain', {
+        error: error.message,
+        status: error.response?.status,
+        namespace,
+        path
+      });
+
+      return { success: false, namespace, path, error: error.message };
+    }
+  }
+
+  /**
+   * Read every record stored under an endpoint, a page at a time
+   * @param {string} endpoint - `<namespace>/<path>`
+   * @returns {Array} Wallet records ({ endpoint, recordId, data })
+   */
+  async listRecords(endpoint) {
+    return await this.readPages(`/api/v2.6/data/${endpoint}`);
+  }
+
+  /**
+   * Read the records at an endpoint that match data API filters
+   * The filters are registered as a combinator over the endpoint (`PUT /combinator/<name>`)
+   * and read back through it, so the wallet does the matching instead of the connector
+   * reading the whole endpoint. Each endpoint has one combinator, deleted once it has been
+   * read; queries over the same endpoint run one at a time so none redefines another's filters.
+   * @param {string} endpoint - `<namespace>/<path>`
+   * @param {Array} filters - { field, operator: { operator, value } } on record fields (e.g. `metadata.user_ref`)
+   * @param {Object} options - orderBy, ordering, take: read a single page in this order
+   * @returns {Array} Matching wallet records ({ endpoint, recordId, data })
+   */
+  async queryRecords(endpoint, filters, options = {}) {
+    const combinator = `query-${crypto.createHash('sha256').update(endpoint).digest('hex').substring(0, 32)}`;
+
+    return await this.runExclusive(this.queryChains, endpoint, async () => {
+      await this.httpClient.put(`/api/v2.6/combinator/${combinator}`, [{ endpoint, filters }], {
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': this.applicationToken }
+      });
+
+      try {
+        if (options.take) {
+          const { orderBy, ordering, take } = options;
+          const response = await this.httpClient.get(`/api/v2.6/combinator/${combinator}`, {
+            params: { orderBy, ordering, take },
+            headers: { 'x-auth-token': this.applicationToken }
+          });
+          return Array.isArray(response.data) ? response.data : [];
+        }
+
+        return await this.readPages(`/api/v2.6/combinator/${combinator}`);
+      } finally {
+        await this.deleteCombinator(combinator);
+      }
     });
   }
 
+  /**
+   * Remove a query combinator from the wallet
+   * A failed delete is only logged: the next query over the endpoint replaces the combinator.
+   */
+  async deleteCombinator(combinator) {
+    try {
+      await this.httpClient.delete(`/api/v2.6/combinator/${combinator}`, {
+        headers: { 'x-auth-token': this.applicationToken }
+      });
+    } catch (error) {
+      logger.warn('Failed to delete wallet query combinator', {
+        combinator,
+        error: error.message,
+        status: error.response?.status
+      });
+    }
+  }
+
+  /**
+   * Run `task` once every task queued before it under `key` has settled
+   * A failed task is reported to its own caller only and does not stop the ones after it.
+   * @param {Map} chains - Tail of the queue per key
+   * @returns {Promise} Result of `task`
+   */
+  runExclusive(chains, key, task) {
+    const run = (chains.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    chains.set(key, run);
+
+    // Drop the key once its queue has drained so idle endpoints are not kept around
+    run.catch(() => {}).then(() => {
+      if (chains.get(key) === run) {
+        chains.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Look up the stored records for a set of keys, in batches of filtered queries
+   * @returns {Array} Wallet records whose `keyField` is one of `keys`
+   */
+  async findRecordsByKey(endpoint, keyField, keys) {
+    const wanted = [...new Set(keys.filter(key => key !== undefined))];
+    const records = [];
+
+    for (let i = 0; i < wanted.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = wanted.slice(i, i + LOOKUP_BATCH_SIZE);
+      records.push(...await this.queryRecords(endpoint, [{ field: `data.${keyField}`, operator: { operator: 'in', value: batch } }]));
+    }
+
+    return records;
+  }
+
+  /**
+   * Latest link of an endpoint's hash chain, read from the wallet
+   * Asks for the chained record with the highest sequence instead of reading the endpoint.
+   * @returns {Object} { sequence, checksum } ({ sequence: 0, checksum: null } for an empty chain)
+   */
+  async fetchChainHead(endpoint) {
+    const latest = await this.queryRecords(endpoint,
+      [{ field: 'metadata.sequence', operator: { operator: 'between', lower: 1, upper: Number.MAX_SAFE_INTEGER } }],
+      { orderBy: 'metadata.sequence', ordering: 'descending', take: 1 });
+    return WalletClient.chainHead(latest);
+  }
+
+  async readPages(url) {
+    const records = [];
+
+    for (let skip = 0; ; skip += READ_PAGE_SIZE) {
+      const response = await this.httpClient.get(url, {
+        params: { take: READ_PAGE_SIZE, skip },
+        headers: { 'x-auth-token': this.applicationToken }
+      });
+      const page = Array.isArray(response.data) ? response.data : [];
+      records.push(...page);
+
+      if (page.length < READ_PAGE_SIZE) {
+        return records;
+      }
+    }
+  }
+
   /**
    * Test wallet connectivity
    */
@@ -326,7 +955,7 @@ class WalletClient {
         }
       };
 
-      const result = await this.storeData('monzo', 'testconnection', testData, {
+      const result = await this.storeData(this.router.namespace, 'testconnection', testData, {
         isTest: true,
         recordName: 'connectivity-test'
       });
@@ -387,6 +1016,237 @@ class WalletClient {
     }
   }
 
+  /**
+   * Read records back from the wallet and verify their checksums
+   * Each record's `data` is hashed again and compared with `metadata.checksum`: records
+   * that match are `verified`, records that do not were altered or corrupted after they
+   * were written (`mismatch`), and records without a checksum or data are `unverifiable`.
+   * @param {string} namespace - Wallet namespace
+   * @param {string} path - Endpoint path within the namespace
+   * @param {Object} options - recordIds: only verify these records; isTest: read the test path
+   * @returns {Object} { success, namespace, path, records, summary, missing } or { success: false, error }
+   */
+  async getVerifiedData(namespace, path, options = {}) {
+    const { recordIds = null, isTest = false } = options;
+
+    try {
+      WalletRouter.validateNamespace(namespace);
+      WalletRouter.validatePath(path);
+      const finalPath = isTest ? `test/${path}` : path;
+
+      if (!this.applicationToken) {
+        await this.getApplicationToken();
+      }
+
+      let stored = await this.listRecords(`${namespace}/${finalPath}`);
+      let missing = [];
+      if (recordIds && recordIds.length > 0) {
+        const wanted = new Set(recordIds);
+        stored = stored.filter(record => wanted.has(record.recordId));
+        const found = new Set(stored.map(record => record.recordId));
+        missing = [...wanted].filter(recordId => !found.has(recordId));
+      }
+
+      const records = stored.map(record => ({
+        recordId: record.recordId,
+        endpoint: record.endpoint,
+        metadata: record.data?.metadata || null,
+        data: record.data?.data,
+        verification: this.verifyRecord(record)
+      }));
+
+      const summary = {
+        total: records.length,
+        verified: 0,
+        mismatched: 0,
+        invalid_signature: 0,
+        unsigned: 0,
+        unverifiable: 0,
+        missing: missing.length
+      };
+      records.forEach(({ verification }) => {
+        if (verification.status === VERIFICATION_STATUS.VERIFIED) {
+          summary.verified++;
+        } else if (verification.status === VERIFICATION_STATUS.MISMATCH) {
+          summary.mismatched++;
+        } else if (verification.status === VERIFICATION_STATUS.INVALID_SIGNATURE) {
+          summary.invalid_signature++;
+        } else if (verification.status === VERIFICATION_STATUS.UNSIGNED) {
+          summary.unsigned++;
+        } else {
+          summary.unverifiable++;
+        }
+      });
+
+      const failedRecords = records.filter(({ verification }) => [
+        VERIFICATION_STATUS.MISMATCH,
+        VERIFICATION_STATUS.INVALID_SIGNATURE,
+        VERIFICATION_STATUS.UNSIGNED
+      ].includes(verification.status));
+      if (failedRecords.length > 0) {
+        logger.warn('Wallet records failed integrity verification', {
+          namespace,
+          path: finalPath,
+          mismatched: summary.mismatched,
+          invalid_signature: summary.invalid_signature,
+          unsigned: summary.unsigned,
+          records: failedRecords.map(({ recordId, verification }) => ({ recordId, status: verification.status }))
+        });
+      }
+
+      logger.info('Verified wallet records', { namespace, path: finalPath, ...summary });
+
+      return { success: true, namespace, path: finalPath, records, summary, missing };
+
+    } catch (error) {
+      logger.error('Failed to verify wallet records', {
+        error: error.message,
+        status: error.response?.status,
+        namespace,
+        path
+      });
+
+      return { success: false, namespace, path, error: error.message };
+    }
+  }
+
+  /**
+   * Check one stored record's data against its metadata checksum
+   * The checksum is recomputed with the algorithm and canonicalization recorded in the
+   * metadata (records written before these were recorded use the legacy scheme). With connector
+   * keys configured, a record whose checksum matches must also carry a valid connector
+   * signature: it is reported as `unsigned` or `invalid_signature` otherwise.
+   * @param {Object} record - Wallet record ({ recordId, data: { metadata, data } })
+   * @returns {Object} { status, expectedChecksum, computedChecksum, reason?, signature? }
+   */
+  verifyRecord(record) {
+    const expectedChecksum = record.data?.metadata?.checksum || null;
+    const data = record.data?.data;
+
+    if (!expectedChecksum) {
+      return { status: VERIFICATION_STATUS.UNVERIFIABLE, expectedChecksum, computedChecksum: null, reason: 'missing_checksum' };
+    }
+    if (data === undefined) {
+      return { status: VERIFICATION_STATUS.UNVERIFIABLE, expectedChecksum, computedChecksum: null, reason: 'missing_data' };
+    }
+
+    const metadata = record.data.metadata;
+    let computedChecksum;
+    try {
+      computedChecksum = Integrity.compute_checksum(
+        data,
+        metadata.checksum_algorithm || 'sha256',
+        metadata.canonicalization || CANONICALIZATION.LEGACY
+      );
+    } catch (error) {
+      return { status: VERIFICATION_STATUS.UNVERIFIABLE, expectedChecksum, computedChecksum: null, reason: 'unsupported_checksum_scheme' };
+    }
+
+    const result = computedChecksum === expectedChecksum
+      ? { status: VERIFICATION_STATUS.VERIFIED, expectedChecksum, computedChecksum }
+      : { status: VERIFICATION_STATUS.MISMATCH, expectedChecksum, computedChecksum };
+
+    // With connector keys configured, also check who wrote the record
+    if (this.signingKeys.length > 0) {
+      result.signature = Integrity.verify_signature(metadata, this.signingKeys);
+      if (result.status === VERIFICATION_STATUS.VERIFIED && !result.signature.valid) {
+        result.status = result.signature.reason === 'unsigned'
+          ? VERIFICATION_STATUS.UNSIGNED
+          : VERIFICATION_STATUS.INVALID_SIGNATURE;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Add the connector signature (`signature`, `key_id`) to record metadata
+   * Metadata is returned unchanged when no signing key is configured.
+   */
+  signMetadata(metadata) {
+    if (this.signingKeys.length === 0) {
+      return metadata;
+    }
+    return { ...metadata, ...Integrity.sign_metadata(metadata, this.signingKeys[0]) };
+  }
+
+  /**
+   * User reference stored in record metadata: an HMAC-SHA256 of the identifier under the
+   * connector's user reference secret, so the raw identifier never reaches the wallet and
+   * a known identifier cannot be hashed to find its records without the secret
+   */
+  userRef(userId) {
+    if (!this.userRefSecret) {
+      throw new Error('A user reference secret is required to tag wallet records');
+    }
+    return crypto.createHmac('sha256', this.userRefSecret).update(String(userId)).digest('hex');
+  }
+
+  /**
+   * Unkeyed SHA-256 user reference written before references were keyed; only used to find
+   * those records when erasing
+   */
+  static legacyUserRef(userId) {
+    return crypto.createHash('sha256').update(String(userId)).digest('hex');
+  }
+
+  /**
+   * Erase a user's records from the wallet
+   * Only records tagged with the user's reference (or the unkeyed reference written before
+   * references were keyed) are removed; records written before tagging existed cannot be
+   * attributed to a user and are left in place.
+   * @param {string} userId - User whose records to erase
+   * @param {Object} options - tenant, environment: the routing the user's data was written with
+   * @returns {Object} { success, namespace, deleted } or { success: false, error }
+   */
+  async eraseUserData(userId, options = {}) {
+    const { tenant, environment } = options;
+    let namespace = this.router.namespace;
+
+    try {
+      const userRefs = [this.userRef(userId), WalletClient.legacyUserRef(userId)];
+      const routes = [
+        ...Object.values(this.router.resolveAll({ tenant, environment })),
+        this.router.resolve(LEGACY_COMPLETE_DATASET, { tenant, environment })
+      ];
+      namespace = routes[0].namespace;
+
+      if (!this.applicationToken) {
+        await this.getApplicationToken();
+      }
+
+      const recordIds = [];
+      for (const { endpoint } of routes) {
+        for (const userRef of userRefs) {
+          (await this.queryRecords(endpoint, [{ field: 'metadata.user_ref', operator: { operator: 'contains', value: userRef } }]))
+            .filter(record => record.data?.metadata?.user_ref === userRef)
+            .forEach(record => recordIds.push(record.recordId));
+        }
+      }
+
+      for (let i = 0; i < recordIds.length; i += ERASE_BATCH_SIZE) {
+        const query = recordIds.slice(i, i + ERASE_BATCH_SIZE)
+          .map(id => `records=${encodeURIComponent(id)}`)
+          .join('&');
+        await this.httpClient.delete(`/api/v2.6/data?${query}`, {
+          headers: { 'x-auth-token': this.applicationToken }
+        });
+      }
+
+      logger.info('Erased user records from wallet', { namespace, deleted: recordIds.length });
+
+      return { success: true, namespace, deleted: recordIds.length };
+
+    } catch (error) {
+      logger.error('Failed to erase user records from wallet', {
+        error: error.message,
+        status: error.response?.status,
+        namespace
+      });
+
+      return { success: false, namespace, error: error.message };
+    }
+  }
+
   /**
    * Health check for wallet service
    */
@@ -0,0 +1,190 @@
+const { ErrorHandler } = require('../utils/error-handler');
+
+// Dataset -> endpoint path used when no path is configured
+const DEFAULT_PATHS = {
+  accounts: 'accounts',
+  balances: 'balances',
+  pots: 'pots',
+  transactions: 'transactions'
+};
+
+const TEST_ENVIRONMENT = 'test';
+
+// Routing fields a webhook request may override
+const OVERRIDE_FIELDS = ['tenant', 'environment'];
+
+// Dataswyft naming rules: namespaces are lower-case letters, digits and underscores;
+// endpoint path segments are letters, digits, underscores and dashes. Both start with a
+// letter or digit and are at most 64 characters.
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_]{0,63}$/;
+const SEGMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Parse `name:value` pairs (comma-separated string or object) into an object
+ */
+function parseMapping(mapping) {
+  if (!mapping) {
+    return {};
+  }
+  if (typeof mapping === 'object') {
+    return { ...mapping };
+  }
+
+  const parsed = {};
+  String(mapping).split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      parsed[entry.substring(0, separator).trim()] = entry.substring(separator + 1).trim();
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Parse a comma-separated string (or array) into a list of names
+ */
+function parseList(list) {
+  if (!list) {
+    return [];
+  }
+  const entries = Array.isArray(list) ? list : String(list).split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Wallet namespace and path routing
+ * Works out where a dataset is written: `<namespace>/<tenant>/<environment>/<dataset path>`.
+ * The namespace comes from config (or a per-environment namespace), tenant and environment
+ * come from config defaults or the webhook request, and each dataset has a configurable
+ * path. Every route is checked against Dataswyft naming rules before it is used.
+ */
+class WalletRouter {
+  constructor(options = {}) {
+    this.namespace = options.namespace || 'monzo';
+    this.environment = options.environment || null;
+    this.tenant = options.tenant || null;
+    this.paths = { ...DEFAULT_PATHS, ...parseMapping(options.paths) };
+    // Environments with a namespace of their own instead of an environment path segment
+    this.environmentNamespaces = parseMapping(options.environmentNamespaces);
+    // Tenants and environments any gateway token may route to (others need a matching token claim)
+    this.allowedOverrides = {
+      tenant: parseList(options.allowedTenants),
+      environment: parseList(options.allowedEnvironments)
+    };
+
+    WalletRouter.validateNamespace(this.namespace);
+    Object.values(this.environmentNamespaces).forEach(namespace => WalletRouter.validateNamespace(namespace));
+    Object.values(this.paths).forEach(path => WalletRouter.validatePath(path));
+    [this.environment, this.tenant].filter(Boolean).forEach(segment => WalletRouter.validateSegment(segment));
+    Object.values(this.allowedOverrides).forEach(values => values.forEach(segment => WalletRouter.validateSegment(segment)));
+  }
+
+  /**
+   * Check a namespace against Dataswyft naming rules
+   * @throws {Error} INVALID_DATA error describing the problem
+   */
+  static validateNamespace(namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+      throw WalletRouter.invalidRoute(`Invalid wallet namespace: ${namespace}`);
+    }
+    return namespace;
+  }
+
+  /**
+   * Check one endpoint path segment against Dataswyft naming rules
+   */
+  static validateSegment(segment) {
+    if (typeof segment !== 'string' || !SEGMENT_PATTERN.test(segment)) {
+      throw WalletRouter.invalidRoute(`Invalid wallet path segment: ${segment}`);
+    }
+    return segment;
+  }
+
+  /**
+   * Check an endpoint path (segments separated by `/`)
+   */
+  static validatePath(path) {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw WalletRouter.invalidRoute(`Invalid wallet path: ${path}`);
+    }
+    path.split('/').forEach(segment => WalletRouter.validateSegment(segment));
+    return path;
+  }
+
+  static invalidRoute(message) {
+    const error = ErrorHandler.createError('INVALID_DATA', null, { reason: 'invalid_wallet_route' });
+    error.message = message;
+    return error;
+  }
+
+  /**
+   * Resolve where a dataset is written
+   * @param {string} dataset - Dataset name (accounts, balances, pots, transactions) or a path
+   * @param {Object} options - tenant, environment, isTest (the test environment)
+   * @returns {Object} { namespace, path, endpoint }
+   */
+  resolve(dataset, options = {}) {
+    const environment = options.isTest ? TEST_ENVIRONMENT : (options.environment || this.environment);
+    const tenant = options.tenant || this.tenant;
+    const environmentNamespace = environment && this.environmentNamespaces[environment];
+
+    const namespace = WalletRouter.validateNamespace(environmentNamespace || this.namespace);
+    const segments = [
+      tenant,
+      environmentNamespace ? null : environment,
+      this.paths[dataset] || dataset
+    ].filter(Boolean);
+    const path = WalletRouter.validatePath(segments.join('/'));
+
+    return { namespace, path, endpoint: `${namespace}/${path}` };
+  }
+
+  /**
+   * Resolve the routes of every known dataset
+   * @returns {Object} Routes keyed by dataset
+   */
+  resolveAll(options = {}) {
+    const routes = {};
+    Object.keys(this.paths).forEach(dataset => {
+      routes[dataset] = this.resolve(dataset, options);
+    });
+    return routes;
+  }
+
+  /**
+   * Validate per-request routing overrides (tenant, environment) without resolving a dataset
+   * @returns {Object} { valid: true } or { valid: false, error }
+   */
+  validateOverrides(overrides = {}) {
+    try {
+      this.resolveAll(overrides);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check that the caller may use per-request routing overrides
+   * A tenant or environment other than the configured one must match the gateway token's
+   * `tenant` / `environment` claim or be in the configured allowlist.
+   * @param {Object} overrides - { tenant, environment } from the webhook request
+   * @param {Object} claims - Verified gateway JWT payload
+   * @returns {Object} { allowed: true } or { allowed: false, error }
+   */
+  authorizeOverrides(overrides = {}, claims = {}) {
+    for (const field of OVERRIDE_FIELDS) {
+      const value = overrides[field];
+      if (value === undefined || value === this[field]) {
+        continue;
+      }
+      if (claims[field] !== value && !this.allowedOverrides[field].includes(value)) {
+        return { allowed: false, error: `Wallet ${field} not allowed for this token: ${value}` };
+      }
+    }
+    return { allowed: true };
+  }
+}
+
+module.exports = WalletRouter;
+module.exports.DEFAULT_PATHS = DEFAULT_PATHS;
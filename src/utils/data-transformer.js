@@ -0,0 +1,182 @@
+const monzoConfig = require('../config/monzo-config');
+const logger = require('./logger');
+
+/**
+ * Data transformation engine
+ * Turns raw Monzo API records into normalized wallet records using the
+ * fieldMappings, customTransformers, requiredFields and excludedFields
+ * defined in monzo-config
+ */
+class DataTransformer {
+  constructor(options = {}) {
+    this.fieldMappings = options.fieldMappings || monzoConfig.fieldMappings;
+    this.customTransformers = options.customTransformers || monzoConfig.customTransformers;
+    this.requiredFields = options.requiredFields || monzoConfig.requiredFields;
+    this.excludedFields = new Set(options.excludedFields || monzoConfig.excludedFields || []);
+  }
+
+  /**
+   * Resolve a dotted path such as `merchant.address.formatted` or `owners[0].preferred_name`
+   * @param {Object} source - Object to read from
+   * @param {string} path - Dotted path, with [n] for array indexes
+   * @returns {any} Value at the path, or undefined when any segment is missing
+   */
+  static getValueAtPath(source, path) {
+    const segments = path.match(/[^.[\]]+/g) || [];
+    let value = source;
+
+    for (const segment of segments) {
+      if (value === null || value === undefined || typeof value !== 'object') {
+        return undefined;
+      }
+      value = value[segment];
+    }
+
+    return value;
+  }
+
+  /**
+   * Transform a single record
+   * @param {string} type - Record type ('account', 'balance', 'pot', 'transaction')
+   * @param {Object} record - Raw Monzo record
+   * @returns {Object} { record, errors } - record is null when validation failed
+   */
+  transformRecord(type, record) {
+    const mapping = this.fieldMappings[type];
+    if (!mapping) {
+      throw new Error(`No field mapping defined for record type: ${type}`);
+    }
+
+    const errors = [];
+
+    if (!record || typeof record !== 'object') {
+      return { record: null, errors: [{ field: null, message: 'Record is not an object' }] };
+    }
+
+    for (const field of this.requiredFields[type] || []) {
+      const value = DataTransformer.getValueAtPath(record, field);
+      if (value === undefined || value === null) {
+        errors.push({ field, message: `Missing required field: ${field}` });
+      }
+    }
+
+    const normalized = {};
+
+    for (const [sourcePath, targetField] of Object.entries(mapping)) {
+      if (this.excludedFields.has(targetField)) {
+        continue;
+      }
+
+      const value = DataTransformer.getValueAtPath(record, sourcePath);
+      const transformer = this.customTransformers[targetField];
+
+      if (!transformer) {
+        if (value !== undefined) {
+          normalized[targetField] = this.stripExcludedFields(value);
+        }
+        continue;
+      }
+
+      // Transformers also run on missing values so they can supply defaults
+      try {
+        const transformed = transformer(value, record);
+        if (transformed !== undefined) {
+          normalized[targetField] = transformed;
+        }
+      } catch (error) {
+        errors.push({ field: sourcePath, message: `Failed to transform ${sourcePath}: ${error.message}` });
+      }
+    }
+
+    return { record: errors.length > 0 ? null : normalized, errors };
+  }
+
+  /**
+   * Transform a list of records, collecting per-record validation errors
+   * Records that fail validation are left out of the normalized list.
+   * @returns {Object} { records, errors } - errors: [{ type, index, id, errors }]
+   */
+  transformRecords(type, records = []) {
+    const normalized = [];
+    const validationErrors = [];
+
+    records.forEach((record, index) => {
+      const result = this.transformRecord(type, record);
+      if (result.record) {
+        normalized.push(result.record);
+      } else {
+        validationErrors.push({
+          type,
+          index,
+          id: record?.id || null,
+          errors: result.errors
+        });
+      }
+    });
+
+    return { records: normalized, errors: validationErrors };
+  }
+
+  /**
+   * Transform a complete dataset as returned by MonzoConnector.getCompleteAccountData
+   * Per-account groups ({ accountId, transactions: [...] }) keep their grouping.
+   * @returns {Object} { accounts, balances, pots, transactions, validationErrors }
+   */
+  transformCompleteData(rawData = {}) {
+    const validationErrors = [];
+
+    const collect = (type, records) => {
+      const result = this.transformRecords(type, records);
+      validationErrors.push(...result.errors);
+      return result.records;
+    };
+
+    // Grouped lists hold { accountId, <listKey>: [...] }; flat lists hold records directly
+    const transformGrouped = (type, entries = [], listKey) => {
+      const flat = entries.filter(entry => !Array.isArray(entry?.[listKey]));
+      const groups = entries
+        .filter(entry => Array.isArray(entry?.[listKey]))
+        .map(entry => ({ accountId: entry.accountId, [listKey]: collect(type, entry[listKey]) }));
+      return [...groups, ...collect(type, flat)];
+    };
+
+    const normalized = {
+      accounts: collect('account', rawData.accounts || []),
+      balances: collect('balance', rawData.balances || []),
+      pots: transformGrouped('pot', rawData.pots || [], 'pots'),
+      transactions: transformGrouped('transaction', rawData.transactions || [], 'transactions'),
+      validationErrors
+    };
+
+    if (validationErrors.length > 0) {
+      logger.warn('Records failed validation during transformation', {
+        invalidRecords: validationErrors.length,
+        types: [...new Set(validationErrors.map(error => error.type))]
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Recursively remove excluded fields (tokens, secrets) from a value
+   */
+  stripExcludedFields(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.stripExcludedFields(item));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const stripped = {};
+    for (const [key, nested] of Object.entries(value)) {
+      if (!this.excludedFields.has(key)) {
+        stripped[key] = this.stripExcludedFields(nested);
+      }
+    }
+    return stripped;
+  }
+}
+
+module.exports = DataTransformer;
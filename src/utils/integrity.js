@@ -1,5 +1,34 @@
 const crypto = require('crypto');
 
+// How data is serialized before hashing. Recorded in record metadata (`canonicalization`);
+// records without it were written with the legacy scheme.
+const CANONICALIZATION = {
+  // Sorted keys over JSON.stringify; JavaScript-specific (undefined values, Dates as {})
+  LEGACY: 'legacy-sorted-keys',
+  // RFC 8785 JSON Canonicalization Scheme, reproducible in any language
+  JCS: 'jcs-rfc8785'
+};
+
+// Record metadata covered by the connector signature: the record key, the checksum and how it
+// was computed, creation and update times, position in the hash chain and user reference
+// (absent fields are left out)
+const SIGNED_FIELDS = [
+  'key',
+  'checksum',
+  'checksum_algorithm',
+  'canonicalization',
+  'create_at',
+  'updated_at',
+  'sequence',
+  'previous_checksum',
+  'link_checksum',
+  'user_ref'
+];
+
+// A high surrogate not followed by a low one, or a low surrogate not preceded by a high one
+// (String.prototype.isWellFormed needs Node 20)
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
 /**
  * Integrity utility for computing checksums of data
  * Provides a consistent checksum implementation for data validation
@@ -9,14 +38,22 @@ class Integrity {
    * Compute checksum for data using SHA-256
    * @param {any} data - The data to compute checksum for
    * @param {string} algorithm - Hash algorithm to use (default: 'sha256')
+   * @param {string} canonicalization - CANONICALIZATION scheme (default: legacy)
    * @returns {string} - Hexadecimal checksum string
    */
-  static compute_checksum(data, algorithm = 'sha256') {
+  static compute_checksum(data, algorithm = 'sha256', canonicalization = CANONICALIZATION.LEGACY) {
     try {
       // Convert data to consistent string representation
-      const dataString = typeof data === 'string' 
-        ? data 
-        : this._stringifyDeterministic(data);
+      let dataString;
+      if (canonicalization === CANONICALIZATION.JCS) {
+        dataString = this.canonicalize(data);
+      } else if (canonicalization === CANONICALIZATION.LEGACY) {
+        dataString = typeof data === 'string'
+          ? data
+          : this._stringifyDeterministic(data);
+      } else {
+        throw new Error(`Unsupported canonicalization: ${canonicalization}`);
+      }
       
       // Create hash
       const hash = crypto.createHash(algorithm);
@@ -55,6 +92,123 @@ class Integrity {
     return '{' + pairs.join(',') + '}';
   }
 
+  /**
+   * Serialize a value with the JSON Canonicalization Scheme (RFC 8785)
+   * Object members are sorted by the UTF-16 code units of their names, numbers use the
+   * ECMAScript shortest round-trip form (`1e+30`, `4.5`, `-0` as `0`) and strings use the
+   * minimal JSON escapes. Input follows JSON.stringify semantics first (toJSON, so Dates
+   * become ISO strings; undefined members are dropped). Values JSON cannot represent
+   * (NaN, Infinity, BigInt, lone surrogates) are rejected rather than silently changed.
+   * @param {any} value - JSON-compatible value
+   * @returns {string} - Canonical JSON text
+   */
+  static canonicalize(value) {
+    const serialized = this._canonicalize(value, '');
+    if (serialized === undefined) {
+      throw new Error('Cannot canonicalize undefined');
+    }
+    return serialized;
+  }
+
+  static _canonicalize(value, key) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON(key);
+    }
+
+    switch (typeof value) {
+      case 'undefined':
+      case 'function':
+      case 'symbol':
+        return undefined;
+      case 'bigint':
+        throw new Error('Cannot canonicalize BigInt values');
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+        }
+        return JSON.stringify(value);
+      case 'string':
+        if (LONE_SURROGATE.test(value)) {
+          throw new Error('Cannot canonicalize strings with lone surrogates');
+        }
+        return JSON.stringify(value);
+      case 'boolean':
+        return JSON.stringify(value);
+      default:
+        break;
+    }
+
+    if (value === null) {
+      return 'null';
+    }
+
+    if (Array.isArray(value)) {
+      return '[' + value.map((item, index) => {
+        const serialized = this._canonicalize(item, String(index));
+        return serialized === undefined ? 'null' : serialized;
+      }).join(',') + ']';
+    }
+
+    // Default sort compares UTF-16 code units, which is the order RFC 8785 requires
+    const members = Object.keys(value).sort().reduce((pairs, name) => {
+      const serialized = this._canonicalize(value[name], name);
+      if (serialized !== undefined) {
+        pairs.push(this._canonicalize(name, '') + ':' + serialized);
+      }
+      return pairs;
+    }, []);
+
+    return '{' + members.join(',') + '}';
+  }
+
+  /**
+   * Checksum fields for record metadata: the checksum and how it was computed
+   * @param {any} data - The data to compute checksum for
+   * @param {string} canonicalization - CANONICALIZATION scheme (default: JCS)
+   * @returns {object} - { checksum, checksum_algorithm, canonicalization }
+   */
+  static checksum_metadata(data, canonicalization = CANONICALIZATION.JCS) {
+    return {
+      checksum: this.compute_checksum(data, 'sha256', canonicalization),
+      checksum_algorithm: 'sha256',
+      canonicalization
+    };
+  }
+
+  /**
+   * Verify data against the checksum in record metadata, using the algorithm and
+   * canonicalization the metadata records (legacy SHA-256 when it records none)
+   * @param {any} data - The data to verify
+   * @param {object} metadata - Record metadata with `checksum`
+   * @returns {boolean} - True if checksum matches
+   */
+  static verify_metadata_checksum(data, metadata) {
+    if (!metadata || !metadata.checksum) {
+      return false;
+    }
+    return this.verify_checksum(
+      data,
+      metadata.checksum,
+      metadata.checksum_algorithm || 'sha256',
+      metadata.canonicalization || CANONICALIZATION.LEGACY
+    );
+  }
+
+  /**
+   * Hash-chain link for a record: SHA-256 over its position in the chain and its data checksum
+   * (JCS of { checksum, previous_checksum, sequence }). The next record stores it as its
+   * `previous_checksum`, so reordering, renumbering or rewriting a record breaks the chain.
+   * @param {object} link - { previous_checksum, sequence, checksum }
+   * @returns {string} - Hexadecimal link checksum
+   */
+  static compute_link_checksum(link) {
+    return crypto.createHash('sha256').update(this.canonicalize({
+      checksum: link.checksum,
+      previous_checksum: link.previous_checksum === undefined ? null : link.previous_checksum,
+      sequence: link.sequence
+    }), 'utf8').digest('hex');
+  }
+
   /**
    * Compute checksum with additional metadata
    * @param {any} data - The data to compute checksum for
@@ -62,13 +216,14 @@ class Integrity {
    * @returns {object} - Checksum with metadata
    */
   static compute_checksum_with_metadata(data, options = {}) {
-    const { algorithm = 'sha256', includeTimestamp = false } = options;
+    const { algorithm = 'sha256', includeTimestamp = false, canonicalization = CANONICALIZATION.LEGACY } = options;
     
-    const checksum = this.compute_checksum(data, algorithm);
+    const checksum = this.compute_checksum(data, algorithm, canonicalization);
     
     const result = {
       checksum,
       algorithm,
+      canonicalization,
       computed_at: new Date().toISOString()
     };
 
@@ -84,17 +239,162 @@ class Integrity {
    * @param {any} data - The data to verify
    * @param {string} expectedChecksum - The expected checksum
    * @param {string} algorithm - Hash algorithm used (default: 'sha256')
+   * @param {string} canonicalization - CANONICALIZATION scheme used (default: legacy)
    * @returns {boolean} - True if checksum matches
    */
-  static verify_checksum(data, expectedChecksum, algorithm = 'sha256') {
+  static verify_checksum(data, expectedChecksum, algorithm = 'sha256', canonicalization = CANONICALIZATION.LEGACY) {
     try {
-      const computedChecksum = this.compute_checksum(data, algorithm);
+      const computedChecksum = this.compute_checksum(data, algorithm, canonicalization);
       return computedChecksum === expectedChecksum;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Parse connector signing keys
+   * Accepts a comma-separated string of `keyId:<key>` entries, where each key is an Ed25519
+   * PEM or base64 DER (PKCS#8 private or SPKI public) key, or an array of
+   * { id, privateKey, publicKey }. The first key signs and must be private; later entries
+   * may be public keys kept so records signed with retired keys still verify.
+   * @param {string|Array} keys - Key configuration
+   * @param {object} options - signing: require the first key to be private (default true)
+   * @returns {Array} [{ id, privateKey, publicKey }] with KeyObjects
+   */
+  static parse_signing_keys(keys, options = {}) {
+    const { signing = true } = options;
+
+    if (!keys) {
+      return [];
+    }
+
+    const entries = Array.isArray(keys)
+      ? keys
+      : String(keys).split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+          ? { id: entry.substring(0, separator), key: entry.substring(separator + 1).trim() }
+          : { id: `key${index + 1}`, key: entry };
+      });
+
+    const parsed = entries.map(entry => {
+      const privateKey = entry.privateKey || (entry.key ? this._load_key(entry.key, 'private') : null);
+      const publicKey = entry.publicKey || (privateKey ? crypto.createPublicKey(privateKey) : this._load_key(entry.key, 'public'));
+
+      if (!publicKey || publicKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Connector key ${entry.id} is not an Ed25519 key`);
+      }
+      return { id: entry.id, privateKey, publicKey };
+    });
+
+    if (signing && parsed.length > 0 && !parsed[0].privateKey) {
+      throw new Error(`Connector key ${parsed[0].id} signs records and must be a private key`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Load a PEM or base64 DER key; returns null when it is not a key of the requested kind
+   */
+  static _load_key(material, kind) {
+    const isPem = material.startsWith('-----BEGIN');
+    const options = isPem
+      ? { key: material, format: 'pem' }
+      : { key: Buffer.from(material, 'base64'), format: 'der', type: kind === 'private' ? 'pkcs8' : 'spki' };
+
+    try {
+      return kind === 'private' ? crypto.createPrivateKey(options) : crypto.createPublicKey(options);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Content covered by a metadata signature: JCS of the SIGNED_FIELDS the metadata carries
+   */
+  static _signing_payload(metadata) {
+    const signed = {};
+    SIGNED_FIELDS.forEach(field => {
+      signed[field] = metadata[field];
+    });
+    return Buffer.from(this.canonicalize(signed), 'utf8');
+  }
+
+  /**
+   * Sign record metadata with the connector's Ed25519 key
+   * @param {object} metadata - Metadata holding `checksum` and `create_at` (plus any other SIGNED_FIELDS)
+   * @param {object} key - Signing key ({ id, privateKey }), e.g. the first of parse_signing_keys
+   * @returns {object} - { signature (base64), key_id }
+   */
+  static sign_metadata(metadata, key) {
+    if (!metadata || !metadata.checksum || !metadata.create_at) {
+      throw new Error('Metadata must have a checksum and create_at to be signed');
+    }
+
+    const signature = crypto.sign(null, this._signing_payload(metadata), key.privateKey);
+    return { signature: signature.toString('base64'), key_id: key.id };
+  }
+
+  /**
+   * Publish connector public keys as a JWK set
+   * @param {Array} keys - Parsed keys (see parse_signing_keys)
+   * @returns {object} - { keys: [{ kid, kty, crv, x, alg, use }] }
+   */
+  static public_key_set(keys) {
+    return {
+      keys: (keys || []).map(key => ({
+        kid: key.id,
+        ...key.publicKey.export({ format: 'jwk' }),
+        alg: 'EdDSA',
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * Verify the connector signature on record metadata (works offline)
+   * @param {object} metadata - Record metadata with `checksum`, `create_at`, `signature`, `key_id`
+   * @param {object|Array|string} keys - Connector public keys: the `/.well-known/connector-keys`
+   *   JWK set, parsed keys, or a key configuration string
+   * @param {any} data - Optional record data; when given its checksum must match as well
+   * @returns {object} - { valid: true, keyId } or { valid: false, reason }
+   */
+  static verify_signature(metadata, keys, data = undefined) {
+    if (!metadata || !metadata.signature) {
+      return { valid: false, reason: 'unsigned' };
+    }
+
+    const publicKeys = keys && Array.isArray(keys.keys)
+      ? keys.keys.map(jwk => ({ id: jwk.kid, publicKey: this._load_jwk(jwk) }))
+      : this.parse_signing_keys(keys || null, { signing: false });
+    const key = publicKeys.find(candidate => candidate.id === metadata.key_id && candidate.publicKey);
+    if (!key) {
+      return { valid: false, reason: 'unknown_key' };
+    }
+
+    if (data !== undefined && !this.verify_metadata_checksum(data, metadata)) {
+      return { valid: false, reason: 'checksum_mismatch' };
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(null, this._signing_payload(metadata), key.publicKey, Buffer.from(metadata.signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+
+    return valid ? { valid: true, keyId: key.id } : { valid: false, reason: 'invalid_signature' };
+  }
+
+  static _load_jwk(jwk) {
+    try {
+      return crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get supported hash algorithms
    * @returns {string[]} - Array of supported algorithms
@@ -104,4 +404,5 @@ class Integrity {
   }
 }
 
-module.exports = Integrity;
\ No newline at end of file
+module.exports = Integrity;
+module.exports.CANONICALIZATION = CANONICALIZATION;
\ No newline at end of file
@@ -0,0 +1,264 @@
+const monzoConfig = require('../config/monzo-config');
+const logger = require('./logger');
+
+// Slowest the limiter will go after repeated 429s (fraction of the configured rate)
+const MIN_ADAPTIVE_FACTOR = 0.1;
+// How much of the configured rate is restored after each successful request
+const RECOVERY_STEP = 0.05;
+// Pause applied after a 429 without a Retry-After header
+const DEFAULT_PENALTY_MS = 1000;
+// How often per-key state is checked for keys that have gone idle
+const IDLE_SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Token bucket: holds up to `capacity` tokens, refilled continuously at `refillPerMs`
+ */
+class TokenBucket {
+  constructor(capacity, refillPerMs) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill(now, factor) {
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs * factor);
+      this.lastRefill = now;
+    }
+  }
+
+  /**
+   * Milliseconds until one token is available (0 when available now)
+   */
+  waitTime(now, factor) {
+    this.refill(now, factor);
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / (this.refillPerMs * factor));
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Rate limiter for Monzo API requests
+ * Enforces monzoConfig.rateLimit (requestsPerSecond, requestsPerMinute, burstLimit)
+ * globally and per credential key, queueing callers until both allow a request.
+ * Slows down when the API answers 429 and recovers gradually on success.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    const limits = { ...monzoConfig.rateLimit, ...options };
+
+    this.requestsPerSecond = limits.requestsPerSecond;
+    this.requestsPerMinute = limits.requestsPerMinute;
+    this.burstLimit = limits.burstLimit;
+
+    this.globalBuckets = this.createBuckets();
+    this.keyBuckets = new Map();
+    this.pausedUntil = new Map();
+    this.lastSweep = Date.now();
+    this.adaptiveFactor = 1;
+
+    this.queue = [];
+    this.timer = null;
+
+    this.stats = {
+      acquired: 0,
+      throttled: 0,
+      maxQueueDepth: 0,
+      totalWaitMs: 0
+    };
+
+    logger.info('Rate limiter initialized', {
+      requestsPerSecond: this.requestsPerSecond,
+      requestsPerMinute: this.requestsPerMinute,
+      burstLimit: this.burstLimit
+    });
+  }
+
+  createBuckets() {
+    return [
+      new TokenBucket(this.burstLimit, this.requestsPerSecond / 1000),
+      new TokenBucket(this.requestsPerMinute, this.requestsPerMinute / 60000)
+    ];
+  }
+
+  /**
+   * Wait until a request for `key` is allowed
+   * @param {string} key - Credential key (one per user token)
+   * @returns {Promise<void>} Resolves when the request may be sent
+   */
+  acquire(key = 'anonymous') {
+    this.evictIdle(Date.now());
+    return new Promise(resolve => {
+      this.queue.push({ key, resolve, enqueuedAt: Date.now() });
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      this.drain();
+    });
+  }
+
+  /**
+   * Slow down after a 429: pause the key for Retry-After (or a default) and halve the rate
+   * @param {string} key - Credential key that was rate limited
+   * @param {number|null} retryAfterSeconds - Retry-After from the response
+   */
+  penalize(key = 'anonymous', retryAfterSeconds = null) {
+    const pauseMs = retryAfterSeconds ? retryAfterSeconds * 1000 : DEFAULT_PENALTY_MS;
+    this.pausedUntil.set(key, Math.max(this.pausedUntil.get(key) || 0, Date.now() + pauseMs));
+    this.adaptiveFactor = Math.max(MIN_ADAPTIVE_FACTOR, this.adaptiveFactor / 2);
+    this.stats.throttled++;
+
+    logger.warn('Monzo API rate limit hit, slowing down', {
+      pauseMs,
+      adaptiveFactor: this.adaptiveFactor
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Restore some of the configured rate after a successful request
+   */
+  recordSuccess() {
+    if (this.adaptiveFactor < 1) {
+      this.adaptiveFactor = Math.min(1, this.adaptiveFactor + RECOVERY_STEP);
+    }
+  }
+
+  /**
+   * Grant queued requests that the buckets allow and schedule the next check
+   */
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let nextCheck = Infinity;
+
+    for (let i = 0; i < this.queue.length;) {
+      const waiter = this.queue[i];
+
+      const globalWait = this.bucketWait(this.globalBuckets, now);
+      if (globalWait > 0) {
+        nextCheck = Math.min(nextCheck, globalWait);
+        break;
+      }
+
+      const keyWait = Math.max(
+        this.bucketWait(this.getKeyBuckets(waiter.key), now),
+        (this.pausedUntil.get(waiter.key) || 0) - now
+      );
+      if (keyWait > 0) {
+        // Requests for other keys may still go ahead
+        nextCheck = Math.min(nextCheck, keyWait);
+        i++;
+        continue;
+      }
+
+      this.globalBuckets.forEach(bucket => bucket.take());
+      this.getKeyBuckets(waiter.key).forEach(bucket => bucket.take());
+      this.queue.splice(i, 1);
+
+      this.stats.acquired++;
+      this.stats.totalWaitMs += now - waiter.enqueuedAt;
+      waiter.resolve();
+    }
+
+    if (this.queue.length > 0 && nextCheck !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), nextCheck);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Drop per-key state for keys with nothing queued, full buckets and no pause left
+   * A full bucket behaves exactly like a new one, so evicting it changes no limits.
+   */
+  evictIdle(now) {
+    if (now - this.lastSweep < IDLE_SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+
+    const queuedKeys = new Set(this.queue.map(waiter => waiter.key));
+
+    for (const [key, until] of this.pausedUntil) {
+      if (until <= now && !queuedKeys.has(key)) {
+        this.pausedUntil.delete(key);
+      }
+    }
+
+    for (const [key, buckets] of this.keyBuckets) {
+      if (queuedKeys.has(key) || this.pausedUntil.has(key)) {
+        continue;
+      }
+      const full = buckets.every(bucket => {
+        bucket.refill(now, this.adaptiveFactor);
+        return bucket.tokens >= bucket.capacity;
+      });
+      if (full) {
+        this.keyBuckets.delete(key);
+      }
+    }
+  }
+
+  bucketWait(buckets, now) {
+    return Math.max(...buckets.map(bucket => bucket.waitTime(now, this.adaptiveFactor)));
+  }
+
+  getKeyBuckets(key) {
+    if (!this.keyBuckets.has(key)) {
+      this.keyBuckets.set(key, this.createBuckets());
+    }
+    return this.keyBuckets.get(key);
+  }
+
+  /**
+   * Queue depth and throughput metrics
+   */
+  getMetrics() {
+    const queueDepthByKey = {};
+    for (const { key } of this.queue) {
+      queueDepthByKey[key] = (queueDepthByKey[key] || 0) + 1;
+    }
+
+    return {
+      queueDepth: this.queue.length,
+      maxQueueDepth: this.stats.maxQueueDepth,
+      queueDepthByKey,
+      trackedKeys: this.keyBuckets.size,
+      acquired: this.stats.acquired,
+      throttled: this.stats.throttled,
+      averageWaitMs: this.stats.acquired > 0 ? Math.round(this.stats.totalWaitMs / this.stats.acquired) : 0,
+      adaptiveFactor: this.adaptiveFactor,
+      limits: {
+        requestsPerSecond: this.requestsPerSecond,
+        requestsPerMinute: this.requestsPerMinute,
+        burstLimit: this.burstLimit
+      }
+    };
+  }
+}
+
+let sharedRateLimiter = null;
+
+/**
+ * Process-wide limiter used by every MonzoConnector unless one is injected
+ */
+function getSharedRateLimiter() {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = new RateLimiter();
+  }
+  return sharedRateLimiter;
+}
+
+module.exports = RateLimiter;
+module.exports.getSharedRateLimiter = getSharedRateLimiter;
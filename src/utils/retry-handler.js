@@ -10,13 +10,19 @@ class RetryHandler {
     this.backoffMultiplier = customConfig.backoffMultiplier || config.retry.backoffMultiplier;
   }
 
-  async withRetry(operation, context = {}) {
+  /**
+   * Run an operation, retrying retryable failures with backoff
+   * @param {Function} operation - async (attempt) => result
+   * @param {Object} context - Logged with every attempt
+   * @param {Object} options - deadline: epoch ms after which no further attempt is started
+   */
+  async withRetry(operation, context = {}, options = {}) {
     let lastError;
     
     for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
       try {
         logger.debug(`Retry attempt ${attempt}/${this.maxAttempts}`, context);
-        return await operation();
+        return await operation(attempt);
       } catch (error) {
         lastError = error;
         
@@ -47,8 +53,37 @@ class RetryHandler {
           break;
         }
         
-        // Calculate delay with exponential backoff
-        const delay = this.calculateDelay(attempt, error);
+        // Calculate delay with exponential backoff, or take the server's Retry-After
+        const requestedDelay = this.getRequestedDelay(error);
+        const deferred = requestedDelay !== null && requestedDelay > this.maxDelay;
+        const delay = deferred ? requestedDelay : this.calculateDelay(attempt, error);
+
+        // Give up rather than wait past the deadline
+        if (options.deadline && Date.now() + delay >= options.deadline) {
+          logger.error('Retry deadline reached', {
+            error: error.message,
+            attempts: attempt,
+            delay,
+            ...context
+          });
+          error.deadlineExceeded = true;
+          break;
+        }
+
+        // A server-requested wait longer than maxDelay is not slept through here: the error
+        // (still carrying retryAfter) goes back to the caller so the work can be deferred
+        if (deferred) {
+          logger.warn('Retry-After exceeds the maximum retry delay, deferring', {
+            error: error.message,
+            attempts: attempt,
+            requestedDelay,
+            maxDelay: this.maxDelay,
+            ...context
+          });
+          error.retryDeferred = true;
+          break;
+        }
+
         logger.debug(`Waiting ${delay}ms before retry`, { attempt, delay });
         await this.sleep(delay);
       }
@@ -68,19 +103,33 @@ class RetryHandler {
     return retryableCodes.includes(error.status) || retryableCodes.includes(error.statusCode);
   }
 
-  calculateDelay(attempt, error) {
+  /**
+   * Wait the server asked for (error.retryAfter or a Retry-After header), in ms
+   * @returns {number|null} Requested delay, or null when the server did not ask for one
+   */
+  getRequestedDelay(error) {
     // Use error-specific retry-after if available (in seconds)
     if (error.retryAfter) {
       return error.retryAfter * 1000;
     }
-    
+
     // Check for Retry-After header (if error came from HTTP response)
     if (error.headers && error.headers['retry-after']) {
-      const retryAfter = parseInt(error.headers['retry-after']);
-      if (!isNaN(retryAfter)) {
+      const retryAfter = RetryHandler.parseRetryAfter(error.headers['retry-after']);
+      if (retryAfter !== null) {
         return retryAfter * 1000;
       }
     }
+
+    return null;
+  }
+
+  calculateDelay(attempt, error) {
+    // Honour the server's Retry-After, never waiting longer than maxDelay
+    const requestedDelay = this.getRequestedDelay(error);
+    if (requestedDelay !== null) {
+      return Math.min(requestedDelay, this.maxDelay);
+    }
     
     // Exponential backoff with jitter
     const delay = Math.min(
@@ -93,6 +142,28 @@ class RetryHandler {
     return Math.max(0, delay + jitter);
   }
 
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into seconds
+   * @returns {number|null} Seconds to wait, or null when absent or unparseable
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    return null;
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }